@@ -4,13 +4,24 @@
  */
 
 import { readdirSync, readFileSync, existsSync } from 'fs';
-import { join } from 'path';
-import { compile } from '../../compiler/index.js';
+import { join, dirname } from 'path';
+import { spawnSync } from 'child_process';
+import { compile, formatCompileError } from '../../compiler/index.js';
 import { loadComposeConfig } from '../../compiler/emitter/compose-config.js';
 import { emitCode } from '../../compiler/emitter/code-emitter.js';
 import { writeOutput } from '../../compiler/emitter/output-writer.js';
-import { mergeCode } from '../../compiler/emitter/code-merger.js';
+import { mergeCode, previewWrite, resolveOutputPath } from '../../compiler/emitter/code-merger.js';
+import { FileHashCache } from '../../compiler/emitter/file-hash-cache.js';
+import { IRCache } from '../../compiler/emitter/ir-cache.js';
 import { copyAssets } from '../../compiler/emitter/asset-copier.js';
+import { CacheMissError } from '../../compiler/emitter/cache-manager.js';
+import { LockFile } from '../../compiler/emitter/lock-file.js';
+import { getTargetCacheDir, migrateLegacyCache } from '../../compiler/emitter/target-cache.js';
+import { OrphanFinder, getTrashDir } from '../../compiler/emitter/orphan-files.js';
+import { planBuild } from '../../compiler/emitter/build-plan.js';
+import { formatCost } from '../../compiler/emitter/pricing.js';
+import { BudgetExceededError, createUsageTracker } from '../../compiler/emitter/usage-tracker.js';
+import { createReviewStage, createReviewPrompt } from '../../compiler/emitter/review-stage.js';
 
 export async function build(args) {
     console.log('🔨 Building Compose project...\n');
@@ -26,6 +37,41 @@ export async function build(args) {
     console.log(`📋 Configuration: ${configPath}`);
     console.log(`🤖 LLM: ${config.llm?.provider || 'mock'} (${config.llm?.model || 'mock'})`);
 
+    // --frozen: every LLM response must come from the committed cache
+    const llmConfig = args.includes('--frozen')
+        ? { ...config.llm, cache: { ...toCacheConfig(config.llm?.cache), mode: 'replay' } }
+        : config.llm;
+
+    if (llmConfig?.cache?.mode === 'replay') {
+        console.log('🧊 Replay mode: LLM calls are disabled, cache misses fail the build');
+    }
+
+    // --locked: fail instead of warn when settings drift from compose.lock
+    const locked = args.includes('--locked');
+    // --prune: move files of deleted models/features to .compose/trash
+    const prune = args.includes('--prune');
+    // --review: accept, reject or edit every changed file before it is written
+    const review = args.includes('--review');
+
+    // --plan: estimate the build without calling the LLM or writing anything
+    const plan = args.includes('--plan');
+    const lockFile = new LockFile(join(dirname(configPath), 'compose.lock'));
+
+    if (locked && !lockFile.exists()) {
+        throw new Error(`--locked requires ${lockFile.lockPath}. Run "compose build" once to create it.`);
+    }
+
+    // Caches from before they were kept per target
+    const migration = plan ? null : migrateLegacyCache(config.targets);
+    if (migration) {
+        if (migration.migrated.length > 0) {
+            console.log(`📦 Moved ${migration.migrated.join(', ')} into per-target caches`);
+        }
+        if (migration.discarded.length > 0) {
+            console.warn(`⚠️  ${migration.discarded.join(', ')} mixed several targets and were set aside; the next build of each target is a full build`);
+        }
+    }
+
     // Compile entry points for each target
     console.log('\n⚙️  Compiling...');
     const results = {};
@@ -53,8 +99,7 @@ export async function build(args) {
         if (!result.success) {
             console.error(`\n❌ Compilation failed for ${target.entry}:`);
             result.errors.forEach(err => {
-                console.error(`   ${err.type}: ${err.message}`);
-                console.error(`   at ${err.location.file}:${err.location.line}:${err.location.column}`);
+                console.error(`   ${formatCompileError(err)}`);
             });
             process.exit(1);
         }
@@ -63,8 +108,18 @@ export async function build(args) {
         console.log(`   ✓ Compiled successfully`);
     }
 
+    if (plan) {
+        printPlan(results, config.targets, llmConfig);
+        return;
+    }
+
     // Generate code for each target
     console.log('\n🎨 Generating code...');
+    const conflicts = [];
+    // Token usage of the whole build, checked against llm.budget
+    const usage = createUsageTracker(llmConfig);
+    // One prompt for every target, so answers piped to --review are read in order
+    const reviewPrompt = review ? createReviewPrompt() : null;
 
     for (const targetName of targetNames) {
         const target = config.targets[targetName];
@@ -86,43 +141,273 @@ export async function build(args) {
         console.log(`   Framework: ${frameworkInfo.framework}`);
 
         // Generate code with LLM config
-        const output = await emitCode(combinedIR, target, {
-            llm: config.llm
-        });
+        let output;
+        try {
+            output = await emitCode(combinedIR, target, {
+                llm: llmConfig,
+                targetName,
+                lockFile,
+                locked,
+                usage,
+                // The IR snapshot is saved below, once the files are reviewed
+                deferSnapshot: review,
+                // Live progress while the LLM response streams in
+                onFile: file => console.log(`      ✓ ${file.path} (${file.content.split('\n').length} lines)`)
+            });
+        } catch (error) {
+            // Keep whatever finished before the stream died
+            if (error.partialFiles?.length > 0) {
+                console.error(`\n❌ Generation failed for target '${targetName}': ${error.message}`);
+                console.error(`   Writing ${error.partialFiles.length} file(s) completed before the failure...`);
+                const partialFiles = review
+                    ? (await reviewFiles(error.partialFiles, target, frameworkInfo, targetName, reviewPrompt)).accepted
+                    : error.partialFiles;
+                conflicts.push(...writeFiles(partialFiles, target, frameworkInfo, getTargetCacheDir(targetName)));
+                if (error.truncatedFile) {
+                    console.error(`   ⚠️  Not written (cut off mid-file): ${error.truncatedFile.path}`);
+                }
+                reportConflicts(conflicts);
+                process.exit(1);
+            }
+            if (error instanceof BudgetExceededError) {
+                console.error(`\n❌ ${error.message}`);
+                console.error(`   Target '${targetName}' was not generated. Raise llm.budget in compose.json or run "compose usage" to see what was spent.`);
+                process.exit(1);
+            }
+            if (error instanceof CacheMissError) {
+                console.error(`\n❌ LLM cache miss for target '${targetName}'`);
+                console.error(`   Prompt hash: ${error.key}`);
+                console.error(`   The cached responses no longer match the .compose sources.`);
+                console.error(`   Run "compose build" without --frozen to refresh .compose/cache/llm-responses.json.`);
+                process.exit(1);
+            }
+            throw error;
+        }
+
+        // Files that only served deleted models, features or guides
+        await handleOrphans(combinedIR, target, targetName, prune);
 
         if (!output.files || output.files.length === 0) {
             console.warn(`   ⚠️  No files generated for target ${targetName}`);
+            if (review) {
+                new IRCache(getTargetCacheDir(targetName)).saveIR(combinedIR);
+            }
             continue;
         }
 
         console.log(`   Generated ${output.files.length} file(s)`);
 
-        // Write or merge output intelligently
-        if (frameworkInfo && frameworkInfo.framework !== 'none' && frameworkInfo.framework !== 'unknown') {
-            // Use intelligent merging
-            console.log(`   Merging into ${frameworkInfo.framework} project...`);
-            const mergeResult = mergeCode(output.files, frameworkInfo, target.output);
+        if (review) {
+            const { accepted, rejected } = await reviewFiles(output.files, target, frameworkInfo, targetName, reviewPrompt);
+            conflicts.push(...writeFiles(accepted, target, frameworkInfo, getTargetCacheDir(targetName)));
+            // Rejected files were not written: the next build regenerates them
+            new IRCache(getTargetCacheDir(targetName)).saveIR(combinedIR, { pending: rejected });
         } else {
-            // Fallback to simple write
-            const writeResult = writeOutput(output.files, target.output, target);
-
-            if (writeResult.success) {
-                console.log(`   ✓ Written to ${target.output}`);
-            } else {
-                console.error(`   ❌ Write errors:`);
-                writeResult.errors.forEach(err => {
-                    console.error(`      ${err.path}: ${err.error}`);
-                });
-            }
+            // Write or merge output intelligently
+            conflicts.push(...writeFiles(output.files, target, frameworkInfo, getTargetCacheDir(targetName)));
         }
 
         // Copy assets (if assets directory exists)
         copyAssets(baseDir, target);
     }
 
+    reviewPrompt?.close();
+    reportConflicts(conflicts);
+
+    // A --locked build verifies the lock file, it never rewrites it
+    if (!locked) {
+        lockFile.save();
+        console.log(`🔒 Updated ${lockFile.lockPath}`);
+    }
+
     console.log('\n✨ Build complete!\n');
 }
 
+/**
+ * Write or merge generated files into the target output directory
+ * @param {Array} files - Generated files
+ * @param {object} target - Target configuration
+ * @param {object} frameworkInfo - Framework info for intelligent merging
+ * @param {string} cacheDir - Target cache directory (file hashes and merge bases)
+ * @returns {Array} - Conflicts between hand edits and regenerated code
+ */
+function writeFiles(files, target, frameworkInfo, cacheDir) {
+    if (frameworkInfo && frameworkInfo.framework !== 'none' && frameworkInfo.framework !== 'unknown') {
+        // Use intelligent merging
+        console.log(`   Merging into ${frameworkInfo.framework} project...`);
+        return mergeCode(files, frameworkInfo, target.output, cacheDir, {
+            conflictStyle: target.conflictStyle
+        }).conflicts;
+    } else {
+        // Fallback to simple write, still merging hand edits
+        const writeResult = writeOutput(files, target.output, target, {
+            cacheDir,
+            conflictStyle: target.conflictStyle
+        });
+
+        if (writeResult.success) {
+            console.log(`   ✓ Written to ${target.output}`);
+        } else {
+            console.error(`   ❌ Write errors:`);
+            writeResult.errors.forEach(err => {
+                console.error(`      ${err.path}: ${err.error}`);
+            });
+        }
+        if (writeResult.merged.length > 0) {
+            console.log(`   🔀 Kept hand edits in ${writeResult.merged.length} file(s)`);
+        }
+        return writeResult.conflicts;
+    }
+}
+
+/**
+ * Let the user accept, reject or edit each generated file before it is written
+ * The diff shown is against what the write will produce, hand edits merged
+ * in. Rejected files are not written, so they keep their old hash, and the
+ * caller lists them as pending so the next build regenerates them.
+ * @param {Array} files - Generated files
+ * @param {object} target - Target configuration
+ * @param {object} frameworkInfo - Framework info for intelligent merging
+ * @param {string} targetName - Target name
+ * @param {object} prompt - Review prompt from createReviewPrompt
+ * @returns {Promise<object>} - { accepted, rejected }: accepted files, with any
+ *   edits made during the review, and the paths of the rejected ones
+ */
+async function reviewFiles(files, target, frameworkInfo, targetName, prompt) {
+    const stage = createReviewStage(targetName);
+    const hashCache = new FileHashCache(getTargetCacheDir(targetName));
+    console.log(`\n   🔍 Reviewing ${files.length} file(s), staged in ${stage.stagingDir}`);
+
+    const { accepted, rejected } = await stage.review(files, {
+        // Plain writes land where the merger's fallback puts them
+        resolvePath: path => resolveOutputPath(path, frameworkInfo, target.output),
+        preview: (diskPath, content) => previewWrite(diskPath, content, hashCache, target.conflictStyle),
+        ask: prompt.ask,
+        edit: stagedPath => {
+            const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+            // Through the shell, so EDITOR may carry arguments ("code --wait")
+            spawnSync(`${editor} "${stagedPath}"`, { stdio: 'inherit', shell: true });
+        }
+    });
+
+    console.log(`   ✓ Accepted ${accepted.length} file(s)${rejected.length > 0 ? `, rejected ${rejected.length}` : ''}`);
+    if (rejected.length > 0) {
+        rejected.forEach(path => console.log(`      ✗ ${path}`));
+        console.log(`      Rejected files were not written; the next build offers them again`);
+    }
+    return { accepted, rejected };
+}
+
+/**
+ * List generated files no current spec element owns, and prune them if asked
+ * @param {object} ir - Current IR of the target
+ * @param {object} target - Target configuration
+ * @param {string} targetName - Target name
+ * @param {boolean} prune - Move the files to the trash
+ */
+async function handleOrphans(ir, target, targetName, prune) {
+    const finder = new OrphanFinder({ cacheDir: getTargetCacheDir(targetName), outputDir: target.output });
+    const orphans = finder.find(ir);
+    if (orphans.length === 0) return;
+
+    console.warn(`   🗑️  ${orphans.length} file(s) only implement spec elements that were removed:`);
+    for (const orphan of orphans) {
+        const elements = Object.entries(orphan.implemented)
+            .flatMap(([kind, names]) => names.map(name => `${kind.slice(0, -1)} ${name}`));
+        console.warn(`      - ${orphan.diskPath} (${elements.join(', ')})${orphan.edited ? ' [hand-edited]' : ''}`);
+    }
+
+    if (!prune) {
+        console.warn('      Run "compose build --prune" to move them to .compose/trash');
+        return;
+    }
+
+    const trashDir = getTrashDir(targetName);
+    await finder.prune(orphans, trashDir);
+    console.log(`   ✓ Moved ${orphans.length} orphaned file(s) to ${trashDir}`);
+}
+
+/**
+ * List every file whose hand edits conflict with the regenerated code
+ * @param {Array} conflicts - Conflicts from mergeCode
+ */
+function reportConflicts(conflicts) {
+    if (conflicts.length === 0) return;
+
+    console.warn(`\n⚠️  ${conflicts.length} hand-edited file(s) conflict with the regenerated code:`);
+    for (const conflict of conflicts) {
+        if (conflict.sideFile) {
+            console.warn(`   - ${conflict.path}: your version was kept, the generated one is in ${conflict.sideFile}`);
+        } else {
+            console.warn(`   - ${conflict.path}: ${conflict.conflicts} conflict(s) marked with <<<<<<< / >>>>>>>`);
+        }
+    }
+}
+
+/**
+ * Print what a build would regenerate and cost per target
+ * @param {object} results - Compile results per target name
+ * @param {object} targets - Targets from compose.json
+ * @param {object} llmConfig - LLM configuration
+ */
+function printPlan(results, targets, llmConfig) {
+    console.log('\n📋 Build plan (nothing is generated or written)');
+    const total = { input: 0, output: 0, cost: 0 };
+
+    for (const [targetName, result] of Object.entries(results)) {
+        const target = targets[targetName];
+        const plan = planBuild(result.ir, target, { llm: llmConfig, targetName });
+
+        console.log(`\n   Target: ${targetName}`);
+        if (plan.mode === 'unaffected') {
+            console.log('   Mode: no files affected by the changes, nothing to generate');
+            continue;
+        }
+
+        if (plan.mode === 'selective') {
+            console.log(`   Mode: selective (${plan.files.length} file(s))`);
+        } else {
+            console.log(`   Mode: full regeneration${llmConfig?.chunked ? ' (chunked)' : ''}`);
+        }
+        if (plan.files.length > 0) {
+            plan.files.forEach(file => console.log(`      - ${file}`));
+        } else {
+            console.log(`      ~${plan.fileCount} file(s), estimated from the spec (first build)`);
+        }
+
+        console.log(`   LLM calls: ${plan.calls}`);
+        console.log(`   Tokens: ~${plan.tokens.input.toLocaleString('en-US')} prompt + ~${plan.tokens.output.toLocaleString('en-US')} output`);
+        console.log(`   Cost: ${formatEstimate(plan.cost)}${plan.pricing && plan.pricing.source !== 'mock' ? ` (${plan.pricing.source} pricing)` : ''}`);
+        if (plan.unchangedSpec) {
+            console.log('   ℹ️  The spec is unchanged since the last build, so cached LLM responses will likely be reused at no cost');
+        }
+
+        total.input += plan.tokens.input;
+        total.output += plan.tokens.output;
+        total.cost = total.cost === null || plan.cost === null ? null : total.cost + plan.cost;
+    }
+
+    console.log(`\n   Total: ~${total.input.toLocaleString('en-US')} prompt + ~${total.output.toLocaleString('en-US')} output tokens, ${formatEstimate(total.cost)}`);
+    console.log('   Estimates assume ~4 characters per token and exclude repair calls.\n');
+}
+
+/**
+ * Format an estimated cost (exact-looking amounts are marked as approximate)
+ */
+function formatEstimate(cost) {
+    return cost === null || cost < 0.01 ? formatCost(cost) : `~${formatCost(cost)}`;
+}
+
+/**
+ * Normalize llm.cache (a directory string or { dir, mode }) to an object
+ */
+function toCacheConfig(cache) {
+    if (typeof cache === 'string') {
+        return { dir: cache };
+    }
+    return cache || {};
+}
+
 /**
  * Find all .compose files recursively
  */
@@ -0,0 +1,92 @@
+/**
+ * Diff Command
+ * Shows what changed in the spec since the last build, per target, without
+ * calling the LLM: models with their fields, feature bullets and guide hints
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { compile, formatCompileError } from '../../compiler/index.js';
+import { loadComposeConfig } from '../../compiler/emitter/compose-config.js';
+import { IRCache } from '../../compiler/emitter/ir-cache.js';
+import { getTargetCacheDir, migrateLegacyCache } from '../../compiler/emitter/target-cache.js';
+import { diffSpecs, formatSpecDiff } from '../../compiler/emitter/spec-diff.js';
+
+export async function diff(args) {
+    const json = args.includes('--json');
+    const markdown = args.includes('--markdown');
+    const configPath = args.find(arg => arg.startsWith('--config='))?.split('=')[1] || './compose.json';
+    const only = args.find(arg => arg.startsWith('--target='))?.split('=')[1];
+
+    if (!existsSync(configPath)) {
+        throw new Error(`Configuration file not found: ${configPath}`);
+    }
+
+    const config = loadComposeConfig(configPath);
+    if (only && !config.targets[only]) {
+        throw new Error(`Unknown target: ${only}`);
+    }
+    migrateLegacyCache(config.targets);
+
+    const diffs = {};
+    for (const [targetName, target] of Object.entries(config.targets)) {
+        if (only && targetName !== only) continue;
+        if (!target.entry) continue;
+
+        const ir = compileTarget(target);
+        const previousIR = new IRCache(getTargetCacheDir(targetName)).loadIR();
+        diffs[targetName] = diffSpecs(previousIR, ir);
+    }
+
+    if (json) {
+        console.log(JSON.stringify({ targets: diffs }, null, 2));
+    } else if (markdown) {
+        printMarkdown(diffs);
+    } else {
+        printText(diffs);
+    }
+}
+
+/**
+ * Compile the entry point of a target
+ * @param {object} target - Target configuration
+ * @returns {object} - ComposeIR
+ */
+function compileTarget(target) {
+    const baseDir = process.cwd();
+    const entryPath = join(baseDir, target.entry);
+    if (!existsSync(entryPath)) {
+        throw new Error(`Entry file not found: ${target.entry}`);
+    }
+
+    const result = compile(readFileSync(entryPath, 'utf8'), entryPath, { baseDir, loadImports: true });
+    if (!result.success) {
+        const errors = result.errors.map(error => `  - ${formatCompileError(error)}`).join('\n');
+        throw new Error(`Compilation failed for ${target.entry}:\n${errors}`);
+    }
+    return result.ir;
+}
+
+function printText(diffs) {
+    console.log('📋 Spec changes since the last build\n');
+
+    for (const [targetName, diff] of Object.entries(diffs)) {
+        console.log(`Target: ${targetName}${diff.isInitialBuild ? ' (not built yet, everything is new)' : ''}`);
+        console.log(indent(formatSpecDiff(diff, 'text'), '   '));
+        console.log('');
+    }
+}
+
+function printMarkdown(diffs) {
+    console.log('### Spec changes\n');
+
+    for (const [targetName, diff] of Object.entries(diffs)) {
+        console.log(`**Target \`${targetName}\`**${diff.isInitialBuild ? ' (not built yet, everything is new)' : ''}\n`);
+        console.log(formatSpecDiff(diff, 'markdown'));
+        console.log('');
+    }
+}
+
+function indent(text, prefix) {
+    return text.split('\n').map(line => `${prefix}${line}`).join('\n');
+}
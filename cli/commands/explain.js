@@ -0,0 +1,110 @@
+/**
+ * Explain Command
+ * Shows which spec elements produced a generated file and what regenerates it
+ */
+
+import { existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { loadComposeConfig } from '../../compiler/emitter/compose-config.js';
+import { FileExplainer } from '../../compiler/emitter/file-explainer.js';
+import { LockFile } from '../../compiler/emitter/lock-file.js';
+import { getTargetCacheDir, migrateLegacyCache } from '../../compiler/emitter/target-cache.js';
+
+const SOURCE_LABELS = {
+    annotation: 'recorded by the LLM at generation time',
+    inferred: 'inferred from the file path and exported names'
+};
+
+export async function explain(args) {
+    const json = args.includes('--json');
+    const configPath = args.find(arg => arg.startsWith('--config='))?.split('=')[1] || './compose.json';
+    const filePath = args.find(arg => !arg.startsWith('--'));
+
+    if (!filePath) {
+        console.error('❌ Usage: compose explain <path> [--json]');
+        process.exit(1);
+    }
+
+    if (!existsSync(configPath)) {
+        console.error(`❌ Configuration file not found: ${configPath}`);
+        process.exit(1);
+    }
+
+    const config = loadComposeConfig(configPath);
+    migrateLegacyCache(config.targets);
+    const lockFile = new LockFile(join(dirname(configPath), 'compose.lock'));
+
+    let explanation = null;
+    for (const [targetName, target] of Object.entries(config.targets)) {
+        const explainer = new FileExplainer({
+            cacheDir: getTargetCacheDir(targetName),
+            target,
+            targetName,
+            lockFile
+        });
+        if (!existsSync(explainer.irCache.cachePath)) continue;
+
+        explanation = explainer.explain(filePath);
+        if (explanation) break;
+    }
+
+    if (!explanation) {
+        console.error(`❌ ${filePath} was not generated by any target. Run "compose build" first if it is new.`);
+        process.exit(1);
+    }
+
+    if (json) {
+        console.log(JSON.stringify(explanation, null, 2));
+    } else {
+        printExplanation(explanation);
+    }
+}
+
+/**
+ * Print a human-readable explanation
+ * @param {object} explanation - Result of FileExplainer.explain
+ */
+function printExplanation(explanation) {
+    console.log(`📄 ${explanation.diskPath} (target "${explanation.target}")\n`);
+
+    const implemented = explanation.models.length + explanation.features.length + explanation.guides.length;
+    if (implemented === 0) {
+        console.log('   Not tied to a particular model, feature or guide (shared file)\n');
+    } else {
+        console.log(`   Provenance ${SOURCE_LABELS[explanation.source]}\n`);
+    }
+
+    for (const model of explanation.models) {
+        console.log(`📦 model ${model.name}: ${model.fields.join(', ')}`);
+    }
+    for (const feature of explanation.features) {
+        console.log(`✨ feature "${feature.name}"`);
+        feature.description.forEach(item => console.log(`   - ${item}`));
+    }
+    for (const guide of explanation.guides) {
+        console.log(`📘 guide "${guide.name}"${guide.matchedBy === 'name' ? ' (bullets naming this file\'s models or features)' : ''}`);
+        guide.hints.forEach(hint => console.log(`   - ${hint}`));
+    }
+    if (explanation.references.length > 0) {
+        console.log('\n🔗 References:');
+        for (const ref of explanation.references) {
+            console.log(`   - @reference/${ref.path}${ref.function ? `::${ref.function}` : ''} (guide "${ref.guide}")`);
+        }
+    }
+
+    if (explanation.exports.length > 0) {
+        console.log('\n📤 Exports:');
+        explanation.exports.forEach(line => console.log(`   - ${line}`));
+    }
+
+    console.log('\n🔄 Regenerated when you:');
+    explanation.triggers.forEach(trigger => console.log(`   - ${trigger}`));
+
+    const { generatedAt, writtenAt, builtAt, provider, model } = explanation.lastBuild;
+    console.log('\n🕒 Last build:');
+    if (generatedAt) console.log(`   Generated: ${new Date(generatedAt).toISOString()}`);
+    if (writtenAt) console.log(`   Written:   ${new Date(writtenAt).toISOString()}`);
+    if (builtAt) console.log(`   Target last built: ${new Date(builtAt).toISOString()}`);
+    if (provider || model) console.log(`   LLM: ${[provider, model].filter(Boolean).join(' / ')}`);
+    console.log('');
+}
@@ -0,0 +1,74 @@
+/**
+ * Usage Command
+ * Reports the LLM tokens and spend recorded in .compose/usage.json
+ */
+
+import { existsSync } from 'fs';
+import { loadComposeConfig } from '../../compiler/emitter/compose-config.js';
+import { formatCost } from '../../compiler/emitter/pricing.js';
+import { USAGE_FILE, loadUsage, summarizeUsage, createUsageTracker } from '../../compiler/emitter/usage-tracker.js';
+
+export async function usage(args) {
+    const json = args.includes('--json');
+    const configPath = args.find(arg => arg.startsWith('--config='))?.split('=')[1] || './compose.json';
+
+    const { entries } = loadUsage();
+    const summary = summarizeUsage(entries);
+
+    // The budget is optional context; the report works without compose.json
+    const llmConfig = existsSync(configPath) ? loadComposeConfig(configPath).llm : {};
+    const budget = llmConfig?.budget || {};
+    const month = createUsageTracker(llmConfig).getMonthTotals();
+
+    if (json) {
+        console.log(JSON.stringify({ ...summary, month, budget }, null, 2));
+        return;
+    }
+
+    if (entries.length === 0) {
+        console.log(`📊 No LLM usage recorded yet (${USAGE_FILE} is written by "compose build")`);
+        return;
+    }
+
+    console.log(`📊 LLM usage (${USAGE_FILE})\n`);
+
+    console.log('By target:');
+    printGroups(summary.byTarget);
+
+    console.log('\nBy date:');
+    printGroups(summary.byDate);
+
+    console.log('\nTotal:');
+    printGroups({ all: summary.total });
+
+    console.log(`\n📅 This month: ${month.tokens.toLocaleString('en-US')} tokens, ${formatCost(month.cost)}`);
+    if (budget.monthlyTokens) {
+        console.log(`   ${percent(month.tokens / budget.monthlyTokens)} of llm.budget.monthlyTokens (${budget.monthlyTokens.toLocaleString('en-US')})`);
+    }
+    if (budget.monthlyCost) {
+        console.log(`   ${percent(month.cost / budget.monthlyCost)} of llm.budget.monthlyCost (${formatCost(budget.monthlyCost)})`);
+    }
+    if (summary.total.unpriced > 0) {
+        console.log(`\n⚠️  ${summary.total.unpriced} call(s) used a model without known pricing and are not in the spend. Set llm.pricing in compose.json.`);
+    }
+    console.log('');
+}
+
+/**
+ * Print one line per group
+ * @param {object} groups - Group name -> summary from summarizeUsage
+ */
+function printGroups(groups) {
+    const width = Math.max(...Object.keys(groups).map(name => name.length));
+
+    for (const [name, group] of Object.entries(groups)) {
+        console.log(
+            `   ${name.padEnd(width)}  ${group.calls} call(s), ${percent(group.cacheHitRatio)} cached, ` +
+            `${group.inputTokens.toLocaleString('en-US')} in / ${group.outputTokens.toLocaleString('en-US')} out, ${formatCost(group.cost)}`
+        );
+    }
+}
+
+function percent(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
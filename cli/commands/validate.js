@@ -0,0 +1,111 @@
+/**
+ * Validate Command
+ * Detects drift between the generated code on disk and the export map
+ * recorded at build time
+ *
+ * Exit codes: 0 = no drift, 1 = drift found, 2 = validation could not run
+ */
+
+import { existsSync } from 'fs';
+import { loadComposeConfig } from '../../compiler/emitter/compose-config.js';
+import { DriftValidator } from '../../compiler/emitter/drift-validator.js';
+import { getTargetCacheDir, migrateLegacyCache } from '../../compiler/emitter/target-cache.js';
+
+const LABELS = {
+    'missing-file': 'Missing files',
+    'removed-export': 'Removed exports',
+    'changed-signature': 'Changed signatures',
+    'broken-import': 'Broken imports',
+    'parse-error': 'Parse errors'
+};
+
+export async function validate(args) {
+    const json = args.includes('--json');
+    const configPath = args.find(arg => arg.startsWith('--config='))?.split('=')[1] || './compose.json';
+
+    let report;
+    try {
+        if (!existsSync(configPath)) {
+            throw new Error(`Configuration file not found: ${configPath}`);
+        }
+
+        const config = loadComposeConfig(configPath);
+        migrateLegacyCache(config.targets);
+
+        const reports = {};
+        for (const [targetName, target] of Object.entries(config.targets)) {
+            const validator = new DriftValidator({
+                cacheDir: getTargetCacheDir(targetName),
+                outputDirs: [target.output]
+            });
+            reports[targetName] = await validator.validate();
+        }
+        report = combineReports(reports);
+    } catch (error) {
+        if (json) {
+            console.log(JSON.stringify({ ok: false, error: error.message }, null, 2));
+        } else {
+            console.error(`❌ ${error.message}`);
+        }
+        process.exit(2);
+    }
+
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    process.exit(report.ok ? 0 : 1);
+}
+
+/**
+ * Merge per-target reports into one, tagging every issue with its target
+ * @param {object} reports - Target name -> DriftValidator report
+ * @returns {object} - { ok, filesChecked, issues, summary, targets }
+ */
+function combineReports(reports) {
+    const entries = Object.entries(reports);
+    const summary = {};
+    for (const [, report] of entries) {
+        for (const [key, count] of Object.entries(report.summary)) {
+            summary[key] = (summary[key] || 0) + count;
+        }
+    }
+
+    return {
+        ok: entries.every(([, report]) => report.ok),
+        filesChecked: entries.reduce((total, [, report]) => total + report.filesChecked, 0),
+        issues: entries.flatMap(([target, report]) => report.issues.map(issue => ({ target, ...issue }))),
+        summary,
+        targets: Object.fromEntries(entries.map(([target, report]) => [target, { ok: report.ok, summary: report.summary }]))
+    };
+}
+
+/**
+ * Print a human-readable drift report
+ * @param {object} report - Combined report of all targets
+ */
+function printReport(report) {
+    console.log('🔍 Validating generated code against export map...\n');
+
+    if (report.ok) {
+        console.log(`✓ No drift in ${report.filesChecked} file(s)\n`);
+        return;
+    }
+
+    for (const [type, label] of Object.entries(LABELS)) {
+        const issues = report.issues.filter(issue => issue.type === type);
+        if (issues.length === 0) continue;
+
+        console.log(`❌ ${label} (${issues.length}):`);
+        for (const issue of issues) {
+            console.log(`   - ${issue.message}`);
+            if (issue.expected) console.log(`       expected: ${issue.expected}`);
+            if (issue.actual) console.log(`       actual:   ${issue.actual}`);
+        }
+        console.log('');
+    }
+
+    console.log(`${report.issues.length} issue(s) in ${report.filesChecked} file(s). Run "compose build" to regenerate.\n`);
+}
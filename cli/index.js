@@ -62,6 +62,26 @@ try {
             await eject(args.slice(1));
             break;
 
+        case 'validate':
+            const { validate } = await import('./commands/validate.js');
+            await validate(args.slice(1));
+            break;
+
+        case 'diff':
+            const { diff } = await import('./commands/diff.js');
+            await diff(args.slice(1));
+            break;
+
+        case 'explain':
+            const { explain } = await import('./commands/explain.js');
+            await explain(args.slice(1));
+            break;
+
+        case 'usage':
+            const { usage } = await import('./commands/usage.js');
+            await usage(args.slice(1));
+            break;
+
         case 'clean':
             const { clean } = await import('./commands/clean.js');
             await clean(args.slice(1));
@@ -92,6 +112,10 @@ Commands:
   build                   Compile .compose files to target code
   dev                     Watch and rebuild on file changes  
   run [target]            Start the generated application
+  validate                Check generated code for drift from the export map
+  diff                    Show spec changes since the last build, field by field
+  explain <path>          Show which spec elements produced a generated file
+  usage                   Report LLM tokens and spend by target and date
   clean                   Remove generated code and build cache
   eject                   Eject from Compose and take full ownership of code
   project <name>          Create project with examples (deprecated, use init)
@@ -101,6 +125,9 @@ Examples:
   compose build           Build current project
   compose dev             Start development mode
   compose run frontend    Run generated frontend
+  compose validate --json Check for drift in CI (exit 1 on drift)
+  compose diff --markdown Spec changes for a PR description
+  compose explain generated/web/app/page.tsx
   compose eject           Graduate from Compose management
 
 Options:
@@ -108,6 +135,27 @@ Options:
   --version, -v           Show version number
   --debug                 Enable debug output
 
+Build Options:
+  --frozen                Replay LLM responses from cache only; fail on any miss
+  --locked                Fail if provider/model/prompt settings drift from compose.lock
+  --prune                 Move files of removed models/features to .compose/trash
+  --review                Show a diff per file and accept, reject or edit it before writing
+  --plan                  Show what would be regenerated and the estimated cost; call nothing
+
+Validate Options:
+  --json                  Print the drift report as JSON
+
+Diff Options:
+  --json                  Print the spec diff as JSON
+  --markdown              Print the spec diff as Markdown
+  --target=<name>         Only diff one target
+
+Explain Options:
+  --json                  Print the explanation as JSON
+
+Usage Options:
+  --json                  Print the usage report as JSON
+
 Documentation: https://compose-lang.dev
 `);
 }
@@ -5,9 +5,11 @@
 
 import { describe, it } from 'node:test';
 import { strict as assert } from 'node:assert';
-import { compile } from '../index.js';
+import { compile, formatCompileError } from '../index.js';
+import { diff } from '../../cli/commands/diff.js';
 import { createFullProjectPrompt } from '../emitter/prompt-templates.js';
 import { loadComposeConfig } from '../emitter/compose-config.js';
+import { mkdirSync, writeFileSync, rmSync } from 'fs';
 import path from 'path';
 
 describe('Compiler Integration', () => {
@@ -107,6 +109,191 @@ model User:
     assert.ok(result.errors[0].message.includes('UnknownType'));
   });
 
+  it('should format every error, with or without a location', () => {
+    const result = compile(`model Order:
+  user: Customer
+  title text`, 'shop.compose');
+    const semantic = compile(`model Order:
+  user: Customer
+  item: Product`, 'shop.compose');
+
+    assert.deepEqual(result.errors.map(formatCompileError), [
+      "SyntaxError: Expected ':', got 'text' (shop.compose:3:9)"
+    ]);
+    assert.deepEqual(semantic.errors.map(formatCompileError).map(line => line.split(':')[0]), [
+      'UndefinedReference',
+      'UndefinedReference'
+    ]);
+    assert.equal(formatCompileError({ message: 'Broken', location: null, type: 'UndefinedReference' }), 'UndefinedReference: Broken');
+  });
+
+  it('should list every error of a spec in compose diff', async () => {
+    const testDir = path.join(process.cwd(), '__test_diff_errors__');
+    const originalCwd = process.cwd();
+    mkdirSync(testDir, { recursive: true });
+    writeFileSync(path.join(testDir, 'compose.json'), JSON.stringify({
+      llm: { provider: 'gemini', model: 'gemini-2.5-flash', apiKey: 'test-key' },
+      targets: { web: { entry: './app.compose', type: 'frontend', language: 'typescript', framework: 'nextjs', output: './generated/web' } }
+    }));
+    writeFileSync(path.join(testDir, 'app.compose'), `model Order:
+  user: Customer
+  item: Product
+`);
+
+    try {
+      process.chdir(testDir);
+      await assert.rejects(() => diff([]), error => {
+        assert.match(error.message, /Compilation failed for \.\/app\.compose/);
+        assert.match(error.message, /undefined type "Customer"/);
+        assert.match(error.message, /undefined type "Product"/);
+        return true;
+      });
+    } finally {
+      process.chdir(originalCwd);
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should report every syntax error with its location', () => {
+    const invalidSource = `model User
+  name: text
+
+model Post:
+  title: text (min
+  body: text
+
+feature "Auth":
+  - Login`;
+
+    const result = compile(invalidSource, 'syntax-test.compose');
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors.map(({ type, location }) => [type, location.file, location.line, location.column]), [
+      ['SyntaxError', 'syntax-test.compose', 1, 11],
+      ['SyntaxError', 'syntax-test.compose', 5, 19]
+    ]);
+    assert.equal(result.ast.features.length, 1);
+  });
+
+  it('should report lexer errors at their location', () => {
+    const strayCharacter = compile('model User:\n  name: text\n  `bio: text', 'lexer-test.compose');
+    const badIndentation = compile('model User:\n   name: text', 'lexer-test.compose');
+    const openString = compile('model User:\n  role: text = "admin', 'lexer-test.compose');
+
+    assert.deepEqual([strayCharacter, badIndentation, openString].map(result => result.errors.map(formatCompileError)), [
+      ['SyntaxError: Unexpected character: ` (lexer-test.compose:3:3)'],
+      ['SyntaxError: Invalid indentation. Expected multiple of 2 spaces, got 3 (lexer-test.compose:2:4)'],
+      ['SyntaxError: Unterminated string literal (lexer-test.compose:2:16)']
+    ]);
+  });
+
+  it('should carry type aliases into the IR and the prompt', () => {
+    const source = `
+type Email = text
+type MaybeUser = User?
+
+model User:
+  email: Email (unique)
+  manager: MaybeUser
+`;
+
+    const result = compile(source, 'alias-test.compose');
+
+    assert.equal(result.success, true);
+    const [email, manager] = result.ir.models[0].fields;
+    assert.deepEqual({ ...email.type }, { baseType: 'text', isArray: false, enumValues: null, alias: 'Email' });
+    assert.deepEqual(email.constraints.map(c => ({ ...c })), [{ name: 'unique', value: null }]);
+    assert.equal(manager.type.baseType, 'User');
+    assert.equal(manager.optional, true);
+    assert.deepEqual(result.ir.typeAliases.map(alias => alias.name), ['Email', 'MaybeUser']);
+
+    const prompt = createFullProjectPrompt(result.ir, { language: 'typescript' });
+    assert.ok(prompt.includes('- Email = text'));
+    assert.ok(prompt.includes('email: Email'));
+  });
+
+  it('should carry constraints and defaults into the IR and the prompt', () => {
+    const source = `
+model User:
+  name: text (min 3, max 40)
+  role: "admin" | "member" = "member"
+  age: number (min 0) = 18
+`;
+
+    const result = compile(source, 'constraints-test.compose');
+
+    assert.equal(result.success, true);
+    const [name, role, age] = result.ir.models[0].fields;
+    assert.deepEqual(name.constraints.map(c => ({ ...c })), [{ name: 'min', value: 3 }, { name: 'max', value: 40 }]);
+    assert.deepEqual(role.constraints.map(c => ({ ...c })), [{ name: 'default', value: 'member' }]);
+    assert.deepEqual(age.constraints.map(c => ({ ...c })), [{ name: 'min', value: 0 }, { name: 'default', value: 18 }]);
+
+    const prompt = createFullProjectPrompt(result.ir, { language: 'typescript' });
+    assert.ok(prompt.includes('name: text (min 3, max 40)'));
+    assert.ok(prompt.includes('age: number = 18 (min 0)'));
+  });
+
+  it('should report defaults that do not match the field type', () => {
+    const source = `
+model User:
+  age: number = "old"
+`;
+
+    const result = compile(source, 'constraints-error.compose');
+
+    assert.equal(result.success, false);
+    assert.ok(result.errors[0].message.includes(`default "old" does not match type 'number'`));
+  });
+
+  it('should build relations from fields and their inverses', () => {
+    const source = `
+model User:
+  todos: list of Todo
+  profile: Profile?
+
+model Todo:
+  assignee: User? (inverse "todos", onDelete "set null")
+  tags: list of Tag
+
+model Tag:
+  todos: list of Todo (inverse "tags")
+
+model Profile:
+  owner: User (inverse "profile", onDelete "cascade")
+`;
+
+    const result = compile(source, 'relations-test.compose');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.ir.relations.map(relation => [relation.name, relation.cardinality, relation.onDelete]), [
+      ['User.todos <-> Todo.assignee', 'one-to-many', 'set null'],
+      ['User.profile <-> Profile.owner', 'one-to-one', 'cascade'],
+      ['Todo.tags <-> Tag.todos', 'many-to-many', null]
+    ]);
+    assert.deepEqual({ ...result.ir.relations[0].to }, { model: 'Todo', field: 'assignee', optional: true });
+
+    const prompt = createFullProjectPrompt(result.ir, { language: 'typescript' });
+    assert.ok(prompt.includes('- User.todos <-> Todo.assignee: one-to-many, Todo holds the reference to User (nullable)'));
+  });
+
+  it('should infer one-to-many relations for references without an inverse', () => {
+    const source = `
+model User:
+  name: text
+
+model Todo:
+  owner: User
+  watchers: list of User
+`;
+
+    const result = compile(source, 'relations-inferred.compose');
+
+    assert.deepEqual(result.ir.relations.map(relation => [relation.name, relation.cardinality]), [
+      ['User <-> Todo.owner', 'one-to-many'],
+      ['Todo.watchers <-> User', 'one-to-many']
+    ]);
+  });
+
   it('should load and validate a real compose.json config', () => {
     const configPath = path.resolve(process.cwd(), 'examples/todo-simple/compose.json');
     const config = loadComposeConfig(configPath);
@@ -239,4 +426,106 @@ guide "Order Processing":
     assert.equal(result.ast.features.length, 1);
     assert.equal(result.ast.guides.length, 1);
   });
+
+  it('should resolve extends and mixins across imported modules', () => {
+    const testDir = path.join(process.cwd(), '__test_inheritance__');
+    mkdirSync(path.join(testDir, 'shared'), { recursive: true });
+    writeFileSync(path.join(testDir, 'shared', 'base.compose'), `type Address = text
+type Email = Address
+type Phone = text
+
+model Timestamps:
+  createdAt: timestamp = now
+  updatedAt: timestamp
+
+model User with Timestamps:
+  email: Email (unique)
+`);
+
+    try {
+      const source = `import "./shared/base.compose"
+
+model Admin extends User:
+  permissions: list of text
+`;
+
+      const result = compile(source, path.join(testDir, 'app.compose'), { baseDir: testDir });
+
+      assert.equal(result.success, true);
+      const [admin] = result.ir.models;
+      assert.equal(admin.extends, 'User');
+      assert.deepEqual(admin.fields.map(field => [field.name, field.inheritedFrom]), [
+        ['createdAt', 'Timestamps'],
+        ['updatedAt', 'Timestamps'],
+        ['email', 'User'],
+        ['permissions', null]
+      ]);
+      assert.equal(admin.fields[2].type.alias, 'Email');
+      assert.deepEqual(result.ir.typeAliases.map(alias => alias.name), ['Email', 'Address']);
+
+      const prompt = createFullProjectPrompt(result.ir, { language: 'typescript' });
+      assert.ok(prompt.includes('Admin extends User:\n  createdAt: timestamp = now'));
+      assert.ok(prompt.includes('- Email = text'));
+    } finally {
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should keep models only ever mixed in out of the models', () => {
+    const testDir = path.join(process.cwd(), '__test_mixins__');
+    mkdirSync(testDir, { recursive: true });
+    writeFileSync(path.join(testDir, 'audit.compose'), `model Audited:
+  editedBy: text?
+`);
+
+    try {
+      const source = `import "./audit.compose"
+
+model Timestamps:
+  createdAt: timestamp = now
+
+model Owned:
+  owner: User
+
+model User with Timestamps:
+  email: text
+
+model Post with Timestamps, Owned, Audited:
+  title: text
+`;
+
+      const result = compile(source, path.join(testDir, 'app.compose'), { baseDir: testDir });
+
+      assert.equal(result.success, true);
+      assert.deepEqual(result.ir.models.map(model => model.name), ['User', 'Post']);
+      assert.deepEqual(result.ir.mixins.map(mixin => [mixin.name, mixin.fields.map(field => field.name)]), [
+        ['Timestamps', ['createdAt']],
+        ['Owned', ['owner']],
+        ['Audited', ['editedBy']]
+      ]);
+      assert.deepEqual(result.ir.relations.map(relation => relation.name), ['User <-> Post.owner']);
+
+      const prompt = createFullProjectPrompt(result.ir, { language: 'typescript' });
+      assert.ok(prompt.includes('**Mixins (shared fields, not models of their own):**\nTimestamps:\n  createdAt: timestamp = now'));
+      assert.ok(prompt.includes('Audited:\n  editedBy: text'));
+      assert.ok(!prompt.includes('**Data Models:**\nTimestamps'));
+    } finally {
+      rmSync(testDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should report fields redeclared through inheritance', () => {
+    const source = `
+model Timestamps:
+  createdAt: timestamp
+
+model Post with Timestamps:
+  createdAt: date
+`;
+
+    const result = compile(source, 'conflict.compose');
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors[0].message, 'Field "createdAt" of model "Post" redeclares the field inherited from "Timestamps"');
+  });
 });
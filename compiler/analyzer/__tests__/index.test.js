@@ -6,7 +6,9 @@
 import { describe, it, beforeEach } from 'node:test';
 import { strict as assert } from 'node:assert';
 import { SemanticAnalyzer } from '../index.js';
-import { Program, ModelDeclaration, FieldDeclaration, TypeAnnotation } from '../../parser/ast-nodes.js';
+import { Program, ModelDeclaration, FieldDeclaration, TypeAnnotation, TypeAliasDeclaration, Constraint } from '../../parser/ast-nodes.js';
+import { Lexer } from '../../lexer/tokenizer.js';
+import { Parser } from '../../parser/parser.js';
 
 describe('SemanticAnalyzer', () => {
     let analyzer;
@@ -270,4 +272,252 @@ describe('SemanticAnalyzer', () => {
             assert.ok(error.message.includes('User'));
         });
     });
+
+    describe('Type Aliases', () => {
+        it('should resolve field types through aliases', () => {
+            const ast = new Program([
+                new ModelDeclaration('User', [
+                    new FieldDeclaration('email', new TypeAnnotation('Email')),
+                    new FieldDeclaration('manager', new TypeAnnotation('MaybeUser'))
+                ])
+            ], [], [], [], [
+                new TypeAliasDeclaration('Email', new TypeAnnotation('text')),
+                new TypeAliasDeclaration('MaybeUser', new TypeAnnotation('User'), true)
+            ]);
+
+            const result = analyzer.analyze(ast);
+
+            assert.equal(result.success, true);
+            assert.equal(analyzer.symbolTable.types.get('Email').kind, 'alias');
+        });
+
+        it('should report alias cycles and undefined alias targets', () => {
+            const ast = new Program([
+                new ModelDeclaration('User', [
+                    new FieldDeclaration('owner', new TypeAnnotation('Owner'))
+                ])
+            ], [], [], [], [
+                new TypeAliasDeclaration('A', new TypeAnnotation('B')),
+                new TypeAliasDeclaration('B', new TypeAnnotation('A')),
+                new TypeAliasDeclaration('Owner', new TypeAnnotation('Customer'))
+            ]);
+
+            const result = analyzer.analyze(ast);
+
+            assert.equal(result.success, false);
+            const messages = result.errors.map(error => error.message);
+            assert.ok(messages.some(message => message.includes("'A' is circular")));
+            assert.ok(messages.some(message => message.includes("'B' is circular")));
+            assert.ok(messages.some(message => message.includes("undefined type 'Customer'")));
+            // The field itself is not reported again
+            assert.equal(messages.length, 3);
+        });
+
+        it('should reject aliases named like an existing type', () => {
+            const ast = new Program([
+                new ModelDeclaration('User', [])
+            ], [], [], [], [
+                new TypeAliasDeclaration('User', new TypeAnnotation('text')),
+                new TypeAliasDeclaration('text', new TypeAnnotation('number'))
+            ]);
+
+            const result = analyzer.analyze(ast);
+
+            assert.deepEqual(result.errors.map(error => error.message), [
+                'Type "User" is already defined',
+                'Type "text" is already defined'
+            ]);
+        });
+    });
+
+    describe('Relations', () => {
+        const reference = (name, model, isArray, constraints = [], optional = false) =>
+            new FieldDeclaration(name, new TypeAnnotation(model, isArray), optional, constraints);
+
+        it('should accept fields and inverses that name each other', () => {
+            const ast = new Program([
+                new ModelDeclaration('User', [
+                    reference('todos', 'Todo', true, [new Constraint('inverse', 'assignee')])
+                ]),
+                new ModelDeclaration('Todo', [
+                    reference('assignee', 'User', false, [new Constraint('inverse', 'todos'), new Constraint('onDelete', 'set null')], true)
+                ])
+            ], [], []);
+
+            const result = analyzer.analyze(ast);
+
+            assert.deepEqual(result.errors, []);
+        });
+
+        it('should report inverses that are missing or reference another model', () => {
+            const ast = new Program([
+                new ModelDeclaration('User', [
+                    reference('todos', 'Todo', true, [new Constraint('inverse', 'owner')]),
+                    reference('notes', 'Todo', true, [new Constraint('inverse', 'title')])
+                ]),
+                new ModelDeclaration('Todo', [
+                    new FieldDeclaration('title', new TypeAnnotation('text'))
+                ])
+            ], [], []);
+
+            const result = analyzer.analyze(ast);
+
+            assert.deepEqual(result.errors.map(error => error.message), [
+                'Field "User.todos" names inverse "owner", but model "Todo" has no such field',
+                'Field "User.notes" names inverse "Todo.title", which references "text" instead of "User"'
+            ]);
+            assert.equal(result.errors[0].type, 'InvalidRelation');
+        });
+
+        it('should report fields that do not pair up', () => {
+            const ast = new Program([
+                new ModelDeclaration('User', [
+                    reference('todos', 'Todo', true),
+                    reference('created', 'Todo', true, [new Constraint('inverse', 'author')]),
+                    reference('reviewed', 'Todo', true, [new Constraint('inverse', 'author')]),
+                    reference('assigned', 'Todo', true, [new Constraint('inverse', 'assignee')])
+                ]),
+                new ModelDeclaration('Todo', [
+                    reference('author', 'User', false),
+                    reference('assignee', 'User', false, [new Constraint('inverse', 'todos')])
+                ])
+            ], [], []);
+
+            const result = analyzer.analyze(ast);
+
+            assert.deepEqual(result.errors.map(error => error.message), [
+                'Field "Todo.author" is the inverse of both "User.created" and "User.reviewed"',
+                'Field "User.assigned" names inverse "Todo.assignee", but "Todo.assignee" names inverse "todos"'
+            ]);
+        });
+
+        it('should allow onDelete on one side of a one-to-one relation only', () => {
+            const ast = new Program([
+                new ModelDeclaration('User', [
+                    reference('profile', 'Profile', false, [new Constraint('inverse', 'owner'), new Constraint('onDelete', 'restrict')])
+                ]),
+                new ModelDeclaration('Profile', [
+                    reference('owner', 'User', false, [new Constraint('inverse', 'profile'), new Constraint('onDelete', 'cascade')])
+                ])
+            ], [], []);
+
+            const result = analyzer.analyze(ast);
+
+            assert.equal(result.errors.length, 1);
+            assert.ok(result.errors[0].message.includes('both declare onDelete'));
+        });
+
+        it('should report relation errors at the field declaring them', () => {
+            const source = `model User:
+  name: text
+  todos: list of Todo (inverse "owner")
+
+model Todo:
+  title: text
+  assignee: User (onDelete "explode")`;
+            const ast = new Parser(new Lexer(source, 'app.compose').tokenize()).parse();
+
+            const result = analyzer.analyze(ast, 'app.compose');
+
+            assert.deepEqual(result.errors.map(({ location }) => [location.file, location.line, location.column]), [
+                ['app.compose', 7, 19],
+                ['app.compose', 3, 3]
+            ]);
+        });
+    });
+
+    describe('Model Composition', () => {
+        const model = (name, fields, extendsModel = null, mixins = []) =>
+            new ModelDeclaration(name, fields.map(field => new FieldDeclaration(field, new TypeAnnotation('text'))), extendsModel, mixins);
+
+        it('should accept parents and mixins', () => {
+            const ast = new Program([
+                model('Timestamps', ['createdAt']),
+                model('User', ['email'], null, ['Timestamps']),
+                model('Admin', ['level'], 'User')
+            ], [], []);
+
+            const result = analyzer.analyze(ast);
+
+            assert.deepEqual(result.errors, []);
+        });
+
+        it('should report undefined parents and mixins that are not models', () => {
+            const ast = new Program([
+                model('Admin', ['level'], 'User', ['Email'])
+            ], [], [], [], [
+                new TypeAliasDeclaration('Email', new TypeAnnotation('text'))
+            ]);
+
+            const result = analyzer.analyze(ast);
+
+            assert.deepEqual(result.errors.map(error => error.message), [
+                'Model "Admin" extends undefined model "User"',
+                'Model "Admin" mixes in "Email", which is not a model'
+            ]);
+        });
+
+        it('should report each base model at its name and other inheritance errors at the model', () => {
+            const source = `model Timestamps:
+  createdAt: timestamp
+
+model Admin extends User with Timestamps:
+  createdAt: timestamp
+
+model Guest with Email:
+
+type Email = text`;
+            const ast = new Parser(new Lexer(source, 'app.compose').tokenize()).parse();
+
+            const result = analyzer.analyze(ast, 'app.compose');
+
+            assert.deepEqual(result.errors.map(({ location }) => [location.file, location.line, location.column]), [
+                ['app.compose', 4, 21],
+                ['app.compose', 4, 7],
+                ['app.compose', 7, 18]
+            ]);
+        });
+
+        it('should fall back to the module when a model has no location', () => {
+            const ast = new Program([model('Admin', ['level'], 'User')], [], []);
+
+            const result = analyzer.analyze(ast, 'app.compose');
+
+            assert.deepEqual(result.errors[0].location, { file: 'app.compose', line: 0, column: 0 });
+        });
+
+        it('should report inheritance cycles once per model on the cycle', () => {
+            const ast = new Program([
+                model('A', ['a'], 'B'),
+                model('B', ['b'], null, ['A']),
+                model('C', ['c'], 'A')
+            ], [], []);
+
+            const result = analyzer.analyze(ast);
+
+            assert.deepEqual(result.errors.map(error => error.message), [
+                'Model "A" inherits from itself (A -> B -> A)',
+                'Model "B" inherits from itself (B -> A -> B)'
+            ]);
+            assert.equal(result.errors[0].type, 'InvalidInheritance');
+        });
+
+        it('should report conflicting fields but not fields shared through one declaration', () => {
+            const ast = new Program([
+                model('Base', ['id']),
+                model('Timestamps', ['createdAt'], 'Base'),
+                model('SoftDelete', ['deletedAt'], 'Base'),
+                model('Audit', ['createdAt']),
+                model('Post', ['title'], null, ['Timestamps', 'SoftDelete']),
+                model('Log', ['deletedAt'], null, ['Timestamps', 'Audit', 'SoftDelete'])
+            ], [], []);
+
+            const result = analyzer.analyze(ast);
+
+            assert.deepEqual(result.errors.map(error => error.message), [
+                'Model "Log" inherits field "createdAt" from both "Timestamps" and "Audit"',
+                'Field "deletedAt" of model "Log" redeclares the field inherited from "SoftDelete"'
+            ]);
+        });
+    });
 });
@@ -7,7 +7,7 @@ import { describe, it, beforeEach } from 'node:test';
 import { strict as assert } from 'node:assert';
 import { TypeChecker } from '../type-checker.js';
 import { createGlobalSymbolTable } from '../symbol-table.js';
-import { ModelDeclaration, FieldDeclaration, TypeAnnotation } from '../../parser/ast-nodes.js';
+import { ModelDeclaration, FieldDeclaration, TypeAnnotation, TypeAliasDeclaration, Constraint } from '../../parser/ast-nodes.js';
 
 describe('TypeChecker', () => {
     let symbolTable;
@@ -192,4 +192,200 @@ describe('TypeChecker', () => {
             assert.equal(typeChecker.hasErrors(), false);
         });
     });
+
+    describe('Type Aliases', () => {
+        /**
+         * Register a type alias as the analyzer does
+         */
+        function defineAlias(name, aliasedType, optional = false) {
+            const node = new TypeAliasDeclaration(name, aliasedType, optional);
+            symbolTable.defineType(name, { kind: 'alias', name, node });
+            return node;
+        }
+
+        it('should resolve aliases of primitives, enums, lists and optional types', () => {
+            defineAlias('Email', new TypeAnnotation('text'));
+            defineAlias('Role', new TypeAnnotation('enum', false, ['admin', 'member']));
+            defineAlias('Tags', new TypeAnnotation('text', true));
+            defineAlias('MaybeEmail', new TypeAnnotation('Email'), true);
+
+            assert.deepEqual(typeChecker.resolveType(new TypeAnnotation('MaybeEmail')), {
+                baseType: 'text', isArray: false, enumValues: null, optional: true, alias: 'MaybeEmail', nestedList: false
+            });
+            assert.deepEqual(typeChecker.resolveType(new TypeAnnotation('Role')).enumValues, ['admin', 'member']);
+            assert.equal(typeChecker.resolveType(new TypeAnnotation('Tags')).isArray, true);
+        });
+
+        it('should accept fields typed with an alias', () => {
+            defineAlias('Email', new TypeAnnotation('text'));
+            const model = new ModelDeclaration('User', [
+                new FieldDeclaration('email', new TypeAnnotation('Email')),
+                new FieldDeclaration('aliases', new TypeAnnotation('Email', true))
+            ]);
+
+            typeChecker.validateModel(model);
+
+            assert.equal(typeChecker.hasErrors(), false);
+        });
+
+        it('should reject alias cycles', () => {
+            const a = defineAlias('A', new TypeAnnotation('B'));
+            defineAlias('B', new TypeAnnotation('A'));
+            const self = defineAlias('Self', new TypeAnnotation('Self', true));
+
+            typeChecker.validateTypeAlias(a);
+            typeChecker.validateTypeAlias(self);
+
+            const messages = typeChecker.getErrors().map(error => error.message);
+            assert.deepEqual(messages, [
+                "Type alias 'A' is circular (A -> B -> A)",
+                "Type alias 'Self' is circular (Self -> Self)"
+            ]);
+            assert.equal(typeChecker.resolveType(new TypeAnnotation('A')), null);
+        });
+
+        it('should reject aliases of undefined types', () => {
+            const alias = defineAlias('Owner', new TypeAnnotation('Customer'));
+
+            typeChecker.validateTypeAlias(alias);
+
+            assert.ok(typeChecker.getErrors()[0].message.includes("undefined type 'Customer'"));
+        });
+
+        it('should reject lists of list aliases', () => {
+            defineAlias('Tags', new TypeAnnotation('text', true));
+            const model = new ModelDeclaration('Post', [
+                new FieldDeclaration('tagGroups', new TypeAnnotation('Tags', true))
+            ]);
+
+            typeChecker.validateModel(model);
+
+            assert.ok(typeChecker.getErrors()[0].message.includes('already a list'));
+        });
+    });
+
+    describe('Constraints and Defaults', () => {
+        /**
+         * Validate a single field and return the error messages
+         */
+        function check(type, constraints) {
+            const field = new FieldDeclaration('value', type, false, constraints);
+            typeChecker.validateModel(new ModelDeclaration('Test', [field]));
+            return typeChecker.getErrors().map(error => error.message);
+        }
+
+        it('should accept constraints and defaults that fit the type', () => {
+            assert.deepEqual(check(new TypeAnnotation('number'), [
+                new Constraint('min', 0), new Constraint('max', 120), new Constraint('default', 18)
+            ]), []);
+            assert.deepEqual(check(new TypeAnnotation('text'), [
+                new Constraint('unique'), new Constraint('min', 3), new Constraint('pattern', '^[a-z]+$'), new Constraint('default', 'guest')
+            ]), []);
+            assert.deepEqual(check(new TypeAnnotation('enum', false, ['admin', 'member']), [new Constraint('default', 'member')]), []);
+            assert.deepEqual(check(new TypeAnnotation('timestamp'), [new Constraint('default', 'now')]), []);
+            assert.deepEqual(check(new TypeAnnotation('date'), [new Constraint('default', '2024-01-31')]), []);
+            assert.deepEqual(check(new TypeAnnotation('bool'), [new Constraint('default', false)]), []);
+        });
+
+        it('should reject defaults that do not match the type', () => {
+            assert.deepEqual(check(new TypeAnnotation('number'), [new Constraint('default', 'ten')]), [
+                `Model 'Test' field 'value': default "ten" does not match type 'number'`
+            ]);
+        });
+
+        it('should reject enum defaults that are not a value of the enum', () => {
+            const messages = check(new TypeAnnotation('enum', false, ['admin', 'member']), [new Constraint('default', 'owner')]);
+
+            assert.deepEqual(messages, [`Model 'Test' field 'value': default "owner" is not one of "admin", "member"`]);
+        });
+
+        it('should reject defaults on lists, model references and invalid dates', () => {
+            symbolTable.defineType('User', { kind: 'model', name: 'User', fields: [] });
+
+            assert.ok(check(new TypeAnnotation('text', true), [new Constraint('default', 'a')])[0].includes('list fields cannot have a default'));
+            assert.ok(check(new TypeAnnotation('User'), [new Constraint('default', 'a')])[1].includes("referencing model 'User'"));
+            assert.ok(check(new TypeAnnotation('date'), [new Constraint('default', 'soon')])[2].includes('is not a valid date'));
+        });
+
+        it('should only apply min and max to numbers and text', () => {
+            const messages = check(new TypeAnnotation('bool'), [new Constraint('min', 1)]);
+
+            assert.deepEqual(messages, [`Model 'Test' field 'value': constraint 'min' only applies to number and text fields`]);
+        });
+
+        it('should only apply pattern to text and require a valid regular expression', () => {
+            assert.ok(check(new TypeAnnotation('number'), [new Constraint('pattern', '^1')])[0].includes("'pattern' only applies to text"));
+            assert.ok(check(new TypeAnnotation('text'), [new Constraint('pattern', '[a-')])[1].includes('not a valid regular expression'));
+        });
+
+        it('should require values of the right kind', () => {
+            const messages = check(new TypeAnnotation('text'), [
+                new Constraint('min'), new Constraint('pattern', 3), new Constraint('unique', true)
+            ]);
+
+            assert.deepEqual(messages, [
+                `Model 'Test' field 'value': constraint 'min' needs a number value`,
+                `Model 'Test' field 'value': constraint 'pattern' needs a string value`,
+                `Model 'Test' field 'value': constraint 'unique' takes no value`
+            ]);
+        });
+
+        it('should reject min above max and repeated constraints', () => {
+            const messages = check(new TypeAnnotation('number'), [
+                new Constraint('min', 10), new Constraint('max', 5), new Constraint('max', 6)
+            ]);
+
+            assert.deepEqual(messages, [
+                `Model 'Test' field 'value' has constraint 'max' more than once`,
+                `Model 'Test' field 'value': min 10 is greater than max 5`
+            ]);
+        });
+
+        it('should check defaults against min, max and pattern', () => {
+            assert.ok(check(new TypeAnnotation('number'), [new Constraint('max', 120), new Constraint('default', 150)])[0].includes('is above max 120'));
+            assert.ok(check(new TypeAnnotation('text'), [new Constraint('min', 3), new Constraint('default', 'ab')])[1].includes('is below min 3 characters'));
+            assert.ok(check(new TypeAnnotation('text'), [new Constraint('pattern', '^[a-z]+$'), new Constraint('default', 'A1')])[2].includes('does not match pattern'));
+        });
+
+        it('should check constraints through type aliases', () => {
+            const node = new TypeAliasDeclaration('Age', new TypeAnnotation('number'));
+            symbolTable.defineType('Age', { kind: 'alias', name: 'Age', node });
+
+            const messages = check(new TypeAnnotation('Age'), [new Constraint('default', 'old')]);
+
+            assert.deepEqual(messages, [`Model 'Test' field 'value': default "old" does not match type 'Age'`]);
+        });
+
+        it('should only apply relation constraints to model references', () => {
+            symbolTable.defineType('User', { kind: 'model', name: 'User', fields: [] });
+
+            assert.deepEqual(check(new TypeAnnotation('User', true), [new Constraint('inverse', 'team')]), []);
+            assert.ok(check(new TypeAnnotation('text'), [new Constraint('inverse', 'team')])[0].includes("'inverse' only applies to fields referencing a model"));
+            assert.ok(check(new TypeAnnotation('User', true), [new Constraint('onDelete', 'cascade')])[1].includes("'onDelete' only applies to fields referencing a single model"));
+        });
+
+        it('should validate onDelete actions', () => {
+            symbolTable.defineType('User', { kind: 'model', name: 'User', fields: [] });
+
+            assert.deepEqual(check(new TypeAnnotation('User'), [new Constraint('onDelete', 'cascade')]), []);
+            assert.deepEqual(check(new TypeAnnotation('User'), [new Constraint('onDelete', 'nullify')]), [
+                `Model 'Test' field 'value': onDelete must be one of "cascade", "set null", "restrict"`
+            ]);
+        });
+
+        it('should require an optional field for onDelete set null', () => {
+            symbolTable.defineType('User', { kind: 'model', name: 'User', fields: [] });
+            const field = (name, optional) => new FieldDeclaration(name, new TypeAnnotation('User'), optional, [new Constraint('onDelete', 'set null')]);
+
+            typeChecker.validateModel(new ModelDeclaration('Todo', [field('assignee', true), field('owner', false)]));
+
+            assert.deepEqual(typeChecker.getErrors().map(error => error.message), [
+                `Model 'Todo' field 'owner': onDelete "set null" needs an optional field`
+            ]);
+        });
+
+        it('should pass unknown constraints through', () => {
+            assert.deepEqual(check(new TypeAnnotation('text'), [new Constraint('indexed'), new Constraint('label', 'Name')]), []);
+        });
+    });
 });
@@ -5,6 +5,8 @@
  */
 
 import { createGlobalSymbolTable, Symbol } from './symbol-table.js';
+import { TypeChecker } from './type-checker.js';
+import { collectModelFields, getBaseModels } from './model-inheritance.js';
 import { createModuleLoader } from '../loader/index.js';
 
 export class SemanticAnalyzer {
@@ -26,9 +28,7 @@ export class SemanticAnalyzer {
 
         try {
             // Check if there are imports that need resolution
-            const hasImports = ast.models.some(m => m.type === 'ImportDeclaration') ||
-                ast.features.some(f => f.type === 'ImportDeclaration') ||
-                ast.guides.some(g => g.type === 'ImportDeclaration');
+            const hasImports = (ast.imports || []).length > 0;
 
             if (this.loadImports && hasImports) {
                 return this.analyzeWithImports(ast, modulePath);
@@ -57,15 +57,15 @@ export class SemanticAnalyzer {
     analyzeWithImports(ast, modulePath) {
         const moduleLoader = createModuleLoader(this.baseDir);
 
-        // Load this module and all its dependencies
-        moduleLoader.loadModule(modulePath, null);
+        // Load the imports of this module and all their dependencies
+        const resolvedPath = moduleLoader.loadImports(ast, modulePath);
 
         // Get modules in dependency order (dependencies first)
         const orderedModules = moduleLoader.getTopologicalOrder();
 
         // Analyze dependencies first to populate their symbol tables
         for (const module of orderedModules) {
-            if (module.path !== modulePath) {
+            if (module.path !== resolvedPath) {
                 // Create a temporary analyzer to build the dependency's symbol table
                 const depAnalyzer = new SemanticAnalyzer({
                     baseDir: this.baseDir,
@@ -78,7 +78,7 @@ export class SemanticAnalyzer {
 
         // Import symbols from all dependency modules
         for (const module of orderedModules) {
-            if (module.path !== modulePath && module.symbolTable) {
+            if (module.path !== resolvedPath && module.symbolTable) {
                 this.importSymbolsFrom(module.symbolTable);
             }
         }
@@ -116,11 +116,14 @@ export class SemanticAnalyzer {
      * Analyze a single file (no imports)
      */
     analyzeSingleFile(ast, modulePath) {
-        // Phase 1: Build symbol table (register all models)
+        // Phase 1: Build symbol table (register all models and type aliases)
         this.buildSymbolTable(ast);
 
-        // Phase 2: Validate model references
+        // Phase 2: Validate type aliases, model references, inheritance and relations
+        this.validateTypeAliases(ast);
         this.validateModelReferences(ast);
+        this.validateInheritance(ast, modulePath);
+        this.validateRelations(ast, modulePath);
 
         // Phase 3: Check for duplicates
         this.checkDuplicates(ast);
@@ -142,6 +145,43 @@ export class SemanticAnalyzer {
                 this.registerModel(model);
             }
         }
+
+        // Register all type aliases
+        for (const alias of ast.typeAliases || []) {
+            this.registerTypeAlias(alias);
+        }
+    }
+
+    /**
+     * Register a type alias in the symbol table
+     */
+    registerTypeAlias(node) {
+        if (this.symbolTable.types.has(node.name)) {
+            this.errors.push({
+                message: `Type "${node.name}" is already defined`,
+                location: node.location,
+                type: 'DuplicateDefinition'
+            });
+            return;
+        }
+
+        this.symbolTable.defineType(node.name, {
+            kind: 'alias',
+            name: node.name,
+            location: node.location,
+            node
+        });
+    }
+
+    /**
+     * Validate that type aliases resolve to existing types without cycles
+     */
+    validateTypeAliases(ast) {
+        const checker = new TypeChecker(this.symbolTable);
+        for (const alias of ast.typeAliases || []) {
+            checker.validateTypeAlias(alias);
+        }
+        this.errors.push(...checker.getErrors());
     }
 
     /**
@@ -175,14 +215,23 @@ export class SemanticAnalyzer {
     }
 
     /**
-     * Validate that all model references exist
+     * Validate that all model references exist and that field constraints fit their types
      */
     validateModelReferences(ast) {
+        const checker = new TypeChecker(this.symbolTable);
+
         for (const model of ast.models) {
             if (model.type !== 'ModelDeclaration') continue;
 
             for (const field of model.fields) {
                 const fieldType = field.fieldType;
+                checker.validateConstraints(field, model.name);
+
+                // Aliased types are checked through the alias
+                if (checker.lookupAlias(fieldType)) {
+                    checker.validateFieldType(field, model.name);
+                    continue;
+                }
 
                 // Get the base type (handle list of X)
                 let baseType = fieldType.baseType;
@@ -208,6 +257,123 @@ export class SemanticAnalyzer {
                 }
             }
         }
+
+        this.errors.push(...checker.getErrors());
+    }
+
+    /**
+     * Validate extends and with
+     * Parents and mixins must be models, here or in an imported module. A model
+     * must not inherit from itself, and no field name may reach it twice.
+     */
+    validateInheritance(ast, modulePath) {
+        const lookupModel = name => {
+            const typeDef = this.symbolTable.lookupType(name);
+            return typeDef?.kind === 'model' ? typeDef.node : null;
+        };
+
+        for (const model of ast.models) {
+            if (model.type !== 'ModelDeclaration' || getBaseModels(model).length === 0) continue;
+
+            const addError = (message, type, location = model.location) => this.errors.push({
+                message,
+                location: location || { file: modulePath, line: 0, column: 0 },
+                type
+            });
+
+            for (const baseName of getBaseModels(model)) {
+                const verb = baseName === model.extends ? 'extends' : 'mixes in';
+                const location = model.baseLocations?.[baseName] || model.location;
+                const typeDef = this.symbolTable.lookupType(baseName);
+                if (!typeDef) {
+                    addError(`Model "${model.name}" ${verb} undefined model "${baseName}"`, 'UndefinedReference', location);
+                } else if (typeDef.kind !== 'model') {
+                    addError(`Model "${model.name}" ${verb} "${baseName}", which is not a model`, 'InvalidInheritance', location);
+                }
+            }
+
+            const { conflicts, cycle } = collectModelFields(model, lookupModel);
+            if (cycle) {
+                // Models leading into a cycle are not reported, only those on it
+                if (cycle[0] === model.name) {
+                    addError(`Model "${model.name}" inherits from itself (${cycle.join(' -> ')})`, 'InvalidInheritance');
+                }
+                continue;
+            }
+
+            for (const conflict of conflicts) {
+                const message = conflict.from === model.name
+                    ? `Field "${conflict.name}" of model "${model.name}" redeclares the field inherited from "${conflict.previous}"`
+                    : `Model "${model.name}" inherits field "${conflict.name}" from both "${conflict.previous}" and "${conflict.from}"`;
+                addError(message, 'InvalidInheritance');
+            }
+        }
+    }
+
+    /**
+     * Validate that inverse fields exist and pair up with the fields naming them
+     * A field and its inverse must reference each other's models, an inverse
+     * can belong to one field only, and only one side of a one-to-one relation
+     * may declare onDelete.
+     */
+    validateRelations(ast, modulePath) {
+        const checker = new TypeChecker(this.symbolTable);
+        const claimed = new Map();
+        const reported = new Set();
+
+        for (const model of ast.models) {
+            if (model.type !== 'ModelDeclaration') continue;
+
+            for (const field of model.fields) {
+                const inverseName = getConstraintValue(field, 'inverse');
+                if (typeof inverseName !== 'string') continue;
+
+                // Undefined types and misplaced constraints are reported elsewhere
+                const type = checker.resolveType(field.fieldType);
+                const target = type && !type.enumValues ? this.symbolTable.lookupType(type.baseType) : null;
+                if (target?.kind !== 'model') continue;
+
+                const fieldName = `${model.name}.${field.name}`;
+                const inverseKey = `${target.name}.${inverseName}`;
+                const addError = message => this.errors.push({
+                    message,
+                    location: field.location || model.location || { file: modulePath, line: 0, column: 0 },
+                    type: 'InvalidRelation'
+                });
+
+                const inverse = target.fields.find(candidate => candidate.name === inverseName);
+                if (!inverse) {
+                    addError(`Field "${fieldName}" names inverse "${inverseName}", but model "${target.name}" has no such field`);
+                    continue;
+                }
+
+                const inverseType = checker.resolveType(inverse.fieldType);
+                if (inverseType && inverseType.baseType !== model.name) {
+                    addError(`Field "${fieldName}" names inverse "${inverseKey}", which references "${inverseType.baseType}" instead of "${model.name}"`);
+                    continue;
+                }
+
+                const inverseOfInverse = getConstraintValue(inverse, 'inverse');
+                if (inverseOfInverse !== null && inverseOfInverse !== field.name) {
+                    addError(`Field "${fieldName}" names inverse "${inverseKey}", but "${inverseKey}" names inverse "${inverseOfInverse}"`);
+                    continue;
+                }
+
+                if (claimed.has(inverseKey)) {
+                    addError(`Field "${inverseKey}" is the inverse of both "${claimed.get(inverseKey)}" and "${fieldName}"`);
+                    continue;
+                }
+                claimed.set(inverseKey, fieldName);
+
+                const oneToOne = !type.isArray && inverseType && !inverseType.isArray;
+                const pairKey = [fieldName, inverseKey].sort().join(' <-> ');
+                if (oneToOne && inverse !== field && !reported.has(pairKey) &&
+                    getConstraintValue(field, 'onDelete') !== null && getConstraintValue(inverse, 'onDelete') !== null) {
+                    reported.add(pairKey);
+                    addError(`Fields "${fieldName}" and "${inverseKey}" both declare onDelete; only the side holding the reference of a one-to-one relation can`);
+                }
+            }
+        }
     }
 
     /**
@@ -242,3 +408,12 @@ export function analyze(ast, modulePath = '<input>', options = {}) {
     const analyzer = new SemanticAnalyzer(options);
     return analyzer.analyze(ast, modulePath);
 }
+
+/**
+ * Get the value of a field constraint
+ * @returns {*} - The value, or null when the field does not have the constraint
+ */
+function getConstraintValue(field, name) {
+    const constraint = (field.constraints || []).find(c => c.name === name);
+    return constraint ? constraint.value : null;
+}
@@ -0,0 +1,65 @@
+/**
+ * Model Inheritance
+ * Flattens models declared with extends and with into their full field list
+ */
+
+/**
+ * Collect the fields of a model together with the fields it inherits
+ * The parent's fields come first, then those of each mixin in order, then the
+ * model's own. A field reached twice through the same declaration (two mixins
+ * sharing a base) is kept once; any other field name seen twice is a conflict.
+ * Conflicts are reported for the model's own level only, so a conflict inside
+ * a parent is not repeated for every model extending it.
+ * @param {object} model - ModelDeclaration
+ * @param {Function} lookupModel - name -> ModelDeclaration, or null when there is none
+ * @returns {object} - { fields, conflicts, cycle }
+ *   fields: [{ field, from }] where from is the model declaring the field
+ *   conflicts: [{ name, from, previous }] for fields declared twice
+ *   cycle: model names of an inheritance cycle (['A', 'B', 'A']), or null
+ */
+export function collectModelFields(model, lookupModel) {
+    return collect(model, lookupModel, []);
+}
+
+/**
+ * Get the models a model inherits from directly
+ * @param {object} model - ModelDeclaration
+ * @returns {Array<string>} - The parent, then the mixins
+ */
+export function getBaseModels(model) {
+    return [model.extends, ...(model.mixins || [])].filter(Boolean);
+}
+
+function collect(model, lookupModel, path) {
+    if (path.includes(model.name)) {
+        return { fields: [], conflicts: [], cycle: [...path.slice(path.indexOf(model.name)), model.name] };
+    }
+
+    const fields = [];
+    const conflicts = [];
+    const add = (entry) => {
+        const existing = fields.find(candidate => candidate.field.name === entry.field.name);
+        if (!existing) {
+            fields.push(entry);
+        } else if (existing.field !== entry.field) {
+            conflicts.push({ name: entry.field.name, from: entry.from, previous: existing.from });
+        }
+    };
+
+    for (const baseName of getBaseModels(model)) {
+        const base = lookupModel(baseName);
+        if (!base) continue;
+
+        const inherited = collect(base, lookupModel, [...path, model.name]);
+        if (inherited.cycle) {
+            return { fields: [], conflicts: [], cycle: inherited.cycle };
+        }
+        inherited.fields.forEach(add);
+    }
+
+    for (const field of model.fields) {
+        add({ field, from: model.name });
+    }
+
+    return { fields, conflicts, cycle: null };
+}
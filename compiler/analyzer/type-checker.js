@@ -6,7 +6,17 @@
 import { Symbol } from './symbol-table.js';
 import { ModelDeclaration } from '../parser/ast-nodes.js';
 
-const PRIMITIVE_TYPES = ['text', 'number', 'bool', 'date', 'timestamp', 'image', 'file', 'markdown', 'json'];
+export const PRIMITIVE_TYPES = ['text', 'number', 'bool', 'date', 'timestamp', 'image', 'file', 'markdown', 'json'];
+
+// Constraints the checker knows; any other constraint is passed on to the LLM as written
+const FLAG_CONSTRAINTS = ['unique', 'required'];
+const CONSTRAINT_ARGUMENTS = { min: 'number', max: 'number', pattern: 'string', inverse: 'string', onDelete: 'string' };
+
+// What happens to a record when the record it references is deleted
+export const ON_DELETE_ACTIONS = ['cascade', 'set null', 'restrict'];
+
+// Types whose defaults are strings (date and timestamp also accept now)
+const STRING_TYPES = ['text', 'markdown', 'image', 'file', 'date', 'timestamp'];
 
 export class TypeChecker {
     constructor(symbolTable) {
@@ -19,9 +29,10 @@ export class TypeChecker {
      * @param {ModelDeclaration} node
      */
     validateModel(node) {
-        // Check all field types exist
+        // Check all field types exist and their constraints fit them
         for (const field of node.fields) {
             this.validateFieldType(field, node.name);
+            this.validateConstraints(field, node.name);
         }
 
         // Check for duplicate field names
@@ -37,13 +48,94 @@ export class TypeChecker {
         }
     }
 
+    /**
+     * Validate a type alias: its target must exist and the alias must not
+     * resolve back to itself
+     * @param {TypeAliasDeclaration} node
+     */
+    validateTypeAlias(node) {
+        const chain = [node.name];
+        let current = node;
+
+        while (current) {
+            const next = this.lookupAlias(current.aliasedType);
+            if (!next) break;
+
+            if (next.name === node.name) {
+                this.addError(
+                    `Type alias '${node.name}' is circular (${[...chain, node.name].join(' -> ')})`,
+                    node.location || { line: 0, column: 0 }
+                );
+                return;
+            }
+            // A cycle further down the chain is reported on its own aliases
+            if (chain.includes(next.name)) return;
+
+            chain.push(next.name);
+            current = next;
+        }
+
+        const resolved = this.resolveType(node.aliasedType);
+        if (resolved.nestedList) {
+            this.addError(
+                `Type alias '${node.name}' is a list of lists, which is not supported`,
+                node.location || { line: 0, column: 0 }
+            );
+        }
+        if (!resolved.enumValues && !PRIMITIVE_TYPES.includes(resolved.baseType) && !this.symbolTable.lookupType(resolved.baseType)) {
+            this.addError(
+                `Type alias '${node.name}' references undefined type '${resolved.baseType}'`,
+                node.location || { line: 0, column: 0 }
+            );
+        }
+    }
+
+    /**
+     * Resolve a type through type aliases
+     * @param {TypeAnnotation} typeNode - Type as written
+     * @returns {object|null} - { baseType, isArray, enumValues, optional, alias, nestedList },
+     *   null for circular aliases
+     */
+    resolveType(typeNode) {
+        return resolveAliasedType(typeNode, name => {
+            const typeDef = this.symbolTable.lookupType(name);
+            return typeDef?.kind === 'alias' ? typeDef.node : null;
+        });
+    }
+
+    /**
+     * Get the alias declaration a type refers to
+     */
+    lookupAlias(typeNode) {
+        if (typeNode.enumValues && typeNode.enumValues.length > 0) return null;
+        const typeDef = this.symbolTable.lookupType(typeNode.baseType);
+        return typeDef?.kind === 'alias' ? typeDef.node : null;
+    }
+
     /**
      * Validate a field's type
+     * Aliases are resolved first; the aliases themselves are checked by validateTypeAlias.
      */
     validateFieldType(field, modelName) {
         const fieldType = field.fieldType;
         if (!fieldType) return;
 
+        if (this.lookupAlias(fieldType)) {
+            const resolved = this.resolveType(fieldType);
+            if (!resolved) {
+                this.addError(
+                    `Model '${modelName}' field '${field.name}' uses circular type alias '${fieldType.baseType}'`,
+                    field.location || { line: 0, column: 0 }
+                );
+            } else if (resolved.nestedList) {
+                this.addError(
+                    `Model '${modelName}' field '${field.name}' is a list of '${fieldType.baseType}', which is already a list`,
+                    field.location || { line: 0, column: 0 }
+                );
+            }
+            return;
+        }
+
         // Get base type (for list of X, get X)
         let baseType = fieldType.baseType;
 
@@ -67,6 +159,152 @@ export class TypeChecker {
         }
     }
 
+    /**
+     * Validate a field's constraints and default value against its type
+     * min/max bound numbers and the length of text, pattern applies to text.
+     */
+    validateConstraints(field, modelName) {
+        const constraints = field.constraints || [];
+        if (constraints.length === 0 || !field.fieldType) return;
+
+        const type = this.resolveType(field.fieldType);
+        if (!type) return;
+
+        const location = field.location || { line: 0, column: 0 };
+        const where = `Model '${modelName}' field '${field.name}'`;
+        const byName = new Map();
+
+        for (const constraint of constraints) {
+            const constraintLocation = constraint.location || location;
+
+            if (byName.has(constraint.name)) {
+                this.addError(`${where} has constraint '${constraint.name}' more than once`, constraintLocation);
+                continue;
+            }
+            byName.set(constraint.name, constraint);
+
+            if (FLAG_CONSTRAINTS.includes(constraint.name) && constraint.value !== null) {
+                this.addError(`${where}: constraint '${constraint.name}' takes no value`, constraintLocation);
+            }
+
+            const argument = CONSTRAINT_ARGUMENTS[constraint.name];
+            if (argument) {
+                if (typeof constraint.value !== argument) {
+                    this.addError(`${where}: constraint '${constraint.name}' needs a ${argument} value`, constraintLocation);
+                    continue;
+                }
+                this.validateConstraintType(constraint, type, field, where, constraintLocation);
+            }
+
+            if (constraint.name === 'default') {
+                this.validateDefault(constraint.value, type, where, constraintLocation);
+            }
+        }
+
+        const min = byName.get('min')?.value;
+        const max = byName.get('max')?.value;
+        if (typeof min === 'number' && typeof max === 'number' && min > max) {
+            this.addError(`${where}: min ${min} is greater than max ${max}`, location);
+        }
+
+        // A default has to satisfy the other constraints
+        const defaultValue = byName.get('default')?.value;
+        if (typeof defaultValue === 'number' || typeof defaultValue === 'string') {
+            this.validateDefaultBounds(defaultValue, byName, type, where, location);
+        }
+    }
+
+    /**
+     * Check that min, max, pattern and the relation constraints apply to the field's type
+     * onDelete goes on the field holding the reference; set null needs it optional.
+     */
+    validateConstraintType(constraint, type, field, where, location) {
+        const scalar = !type.isArray && !type.enumValues;
+        const modelReference = !type.enumValues && !PRIMITIVE_TYPES.includes(type.baseType);
+
+        if (constraint.name === 'inverse') {
+            if (!modelReference) {
+                this.addError(`${where}: constraint 'inverse' only applies to fields referencing a model`, location);
+            }
+        } else if (constraint.name === 'onDelete') {
+            if (!modelReference || type.isArray) {
+                this.addError(`${where}: constraint 'onDelete' only applies to fields referencing a single model`, location);
+            } else if (!ON_DELETE_ACTIONS.includes(constraint.value)) {
+                this.addError(`${where}: onDelete must be one of ${ON_DELETE_ACTIONS.map(formatValue).join(', ')}`, location);
+            } else if (constraint.value === 'set null' && !field.optional && !type.optional) {
+                this.addError(`${where}: onDelete "set null" needs an optional field`, location);
+            }
+        } else if (constraint.name === 'pattern') {
+            if (!scalar || type.baseType !== 'text') {
+                this.addError(`${where}: constraint 'pattern' only applies to text fields`, location);
+                return;
+            }
+            try {
+                new RegExp(constraint.value);
+            } catch (error) {
+                this.addError(`${where}: pattern "${constraint.value}" is not a valid regular expression`, location);
+            }
+        } else if (!scalar || !['number', 'text'].includes(type.baseType)) {
+            this.addError(`${where}: constraint '${constraint.name}' only applies to number and text fields`, location);
+        }
+    }
+
+    /**
+     * Check that a default value matches the field's type
+     */
+    validateDefault(value, type, where, location) {
+        const typeName = type.alias || (type.enumValues ? 'enum' : type.baseType);
+
+        if (type.isArray) {
+            this.addError(`${where}: list fields cannot have a default`, location);
+        } else if (type.enumValues) {
+            if (!type.enumValues.includes(value)) {
+                this.addError(`${where}: default ${formatValue(value)} is not one of ${type.enumValues.map(formatValue).join(', ')}`, location);
+            }
+        } else if (type.baseType === 'json') {
+            return;
+        } else if (!PRIMITIVE_TYPES.includes(type.baseType)) {
+            this.addError(`${where}: fields referencing model '${type.baseType}' cannot have a default`, location);
+        } else if (value === 'now' && !['date', 'timestamp'].includes(type.baseType)) {
+            this.addError(`${where}: default now only applies to date and timestamp fields`, location);
+        } else if (typeof value !== defaultTypeOf(type.baseType)) {
+            this.addError(`${where}: default ${formatValue(value)} does not match type '${typeName}'`, location);
+        } else if (['date', 'timestamp'].includes(type.baseType) && value !== 'now' && Number.isNaN(Date.parse(value))) {
+            this.addError(`${where}: default ${formatValue(value)} is not a valid ${type.baseType}`, location);
+        }
+    }
+
+    /**
+     * Check a number or text default against min, max and pattern
+     */
+    validateDefaultBounds(value, byName, type, where, location) {
+        if (type.isArray || type.enumValues || !['number', 'text'].includes(type.baseType)) return;
+
+        const size = type.baseType === 'text' ? value.length : value;
+        const min = byName.get('min')?.value;
+        const max = byName.get('max')?.value;
+        const measured = type.baseType === 'text' ? ' characters' : '';
+
+        if (typeof size !== 'number') return;
+        if (typeof min === 'number' && size < min) {
+            this.addError(`${where}: default ${formatValue(value)} is below min ${min}${measured}`, location);
+        }
+        if (typeof max === 'number' && size > max) {
+            this.addError(`${where}: default ${formatValue(value)} is above max ${max}${measured}`, location);
+        }
+
+        const pattern = byName.get('pattern')?.value;
+        if (typeof pattern === 'string' && typeof value === 'string') {
+            try {
+                if (!new RegExp(pattern).test(value)) {
+                    this.addError(`${where}: default ${formatValue(value)} does not match pattern "${pattern}"`, location);
+                }
+            } catch (error) {
+                // Reported by validateConstraintType
+            }
+        }
+    }
+
     /**
      * Add a type error
      */
@@ -99,3 +337,55 @@ export class TypeChecker {
         this.errors = [];
     }
 }
+
+/**
+ * JavaScript type of the default values of a primitive type
+ */
+function defaultTypeOf(baseType) {
+    if (baseType === 'number') return 'number';
+    if (baseType === 'bool') return 'boolean';
+    return STRING_TYPES.includes(baseType) ? 'string' : null;
+}
+
+function formatValue(value) {
+    return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * Resolve a type through a chain of type aliases
+ * List and optional markers of every alias in the chain are combined.
+ * @param {TypeAnnotation} typeNode - Type as written
+ * @param {Function} lookupAlias - name -> TypeAliasDeclaration or null
+ * @returns {object|null} - { baseType, isArray, enumValues, optional, alias, nestedList }
+ *   where alias is the name written in the field, null for circular aliases
+ */
+export function resolveAliasedType(typeNode, lookupAlias) {
+    let resolved = {
+        baseType: typeNode.baseType,
+        isArray: typeNode.isArray,
+        enumValues: typeNode.enumValues,
+        optional: false,
+        alias: null,
+        nestedList: false
+    };
+    const seen = new Set();
+
+    let alias = resolved.enumValues ? null : lookupAlias(resolved.baseType);
+    while (alias) {
+        if (seen.has(alias.name)) return null;
+        seen.add(alias.name);
+
+        const target = alias.aliasedType;
+        resolved = {
+            baseType: target.baseType,
+            isArray: resolved.isArray || target.isArray,
+            enumValues: target.enumValues,
+            optional: resolved.optional || alias.optional,
+            alias: resolved.alias || alias.name,
+            nestedList: resolved.nestedList || (resolved.isArray && target.isArray)
+        };
+        alias = target.enumValues ? null : lookupAlias(target.baseType);
+    }
+
+    return resolved;
+}
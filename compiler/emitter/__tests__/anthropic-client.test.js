@@ -0,0 +1,274 @@
+/**
+ * Tests for Anthropic Client
+ * Runs the client against a local HTTP stub of the Messages API
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AnthropicClient } from '../anthropic-client.js';
+import { CacheManager } from '../cache-manager.js';
+import { UsageTracker } from '../usage-tracker.js';
+import { createLLMClient, MockLLMClient } from '../llm-client.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Format a list of events as a server-sent events body
+ */
+function sse(events) {
+    return events.map(e => `event: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`).join('');
+}
+
+/**
+ * Build a streamed message that emits the given text chunks
+ */
+function streamedMessage(chunks, stopReason = 'end_turn') {
+    return sse([
+        { type: 'message_start', message: { id: 'msg_1', model: 'claude-test-20250101', usage: { input_tokens: 10 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        ...chunks.map(text => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } })),
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: stopReason }, usage: { output_tokens: 5 } },
+        { type: 'message_stop' }
+    ]);
+}
+
+describe('AnthropicClient', () => {
+    const testCacheDir = path.join(__dirname, '.test-anthropic-cache');
+    let server;
+    let baseUrl;
+    let requests;
+    let replies;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+                const reply = replies.shift() || { status: 500, body: '{}' };
+                res.writeHead(reply.status, {
+                    'content-type': reply.status === 200 ? 'text/event-stream' : 'application/json'
+                });
+                res.end(reply.body);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        replies = [];
+        if (fs.existsSync(testCacheDir)) {
+            fs.rmSync(testCacheDir, { recursive: true, force: true });
+        }
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testCacheDir)) {
+            fs.rmSync(testCacheDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should require an API key', () => {
+        assert.throws(
+            () => new AnthropicClient({ apiKey: '${COMPOSE_TEST_MISSING_KEY}' }),
+            /Anthropic API key is required/
+        );
+    });
+
+    it('should send system prompt, model and auth headers', async () => {
+        replies.push({ status: 200, body: streamedMessage(['### FILE: a.js\n', 'export const a = 1;']) });
+        const client = new AnthropicClient({ apiKey: 'test-key', model: 'claude-test', baseUrl });
+
+        const result = await client.generate('You are a developer.', 'Build it');
+
+        assert.strictEqual(result, '### FILE: a.js\nexport const a = 1;');
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].url, '/v1/messages');
+        assert.strictEqual(requests[0].headers['x-api-key'], 'test-key');
+        assert.ok(requests[0].headers['anthropic-version']);
+        assert.strictEqual(requests[0].body.model, 'claude-test');
+        assert.strictEqual(requests[0].body.system, 'You are a developer.');
+        assert.strictEqual(requests[0].body.stream, true);
+        assert.deepStrictEqual(requests[0].body.messages, [{ role: 'user', content: 'Build it' }]);
+    });
+
+    it('should omit an empty system prompt', async () => {
+        replies.push({ status: 200, body: streamedMessage(['ok']) });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl });
+
+        await client.generate('', 'Build it');
+
+        assert.strictEqual('system' in requests[0].body, false);
+    });
+
+    it('should yield text chunks while streaming', async () => {
+        replies.push({ status: 200, body: streamedMessage(['one ', 'two ', 'three']) });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl });
+
+        const chunks = [];
+        for await (const chunk of client.stream('', 'Build it')) {
+            chunks.push(chunk);
+        }
+
+        assert.strictEqual(chunks.length, 3);
+        assert.strictEqual(chunks.join(''), 'one two three');
+    });
+
+    it('should continue a response that stopped at max_tokens', async () => {
+        replies.push({ status: 200, body: streamedMessage(['function a() {\n  return 1;\n'], 'max_tokens') });
+        replies.push({ status: 200, body: streamedMessage(['\n}']) });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl });
+
+        const result = await client.generate('', 'Build it');
+
+        assert.strictEqual(requests.length, 2);
+        const continuation = requests[1].body.messages;
+        assert.strictEqual(continuation.length, 2);
+        assert.strictEqual(continuation[1].role, 'assistant');
+        assert.strictEqual(continuation[1].content, 'function a() {\n  return 1;');
+        assert.strictEqual(result, 'function a() {\n  return 1;\n}');
+        assert.strictEqual(client.lastGeneration.truncated, false);
+    });
+
+    it('should keep held back whitespace the continuation does not send again', async () => {
+        replies.push({ status: 200, body: streamedMessage(['# Title\n\n'], 'max_tokens') });
+        replies.push({ status: 200, body: streamedMessage(['\n', 'Body']) });
+        replies.push({ status: 200, body: streamedMessage(['line one\n'], 'max_tokens') });
+        replies.push({ status: 200, body: streamedMessage(['line two']) });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl });
+
+        assert.strictEqual(await client.generate('', 'Build it'), '# Title\n\nBody');
+        assert.strictEqual(await client.generate('', 'Build more'), 'line one\nline two');
+    });
+
+    it('should record the tokens of a response and its continuations', async () => {
+        replies.push({ status: 200, body: streamedMessage(['a'], 'max_tokens') });
+        replies.push({ status: 200, body: streamedMessage(['b']) });
+        const usage = new UsageTracker({}, { usageFile: path.join(testCacheDir, 'usage.json'), targetName: 'web' });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl }, null, usage);
+
+        await client.generate('', 'Build it');
+
+        const [entry] = usage.load().entries;
+        assert.strictEqual(entry.target, 'web');
+        assert.strictEqual(entry.model, 'claude-test-20250101');
+        assert.strictEqual(entry.inputTokens, 20);
+        assert.strictEqual(entry.outputTokens, 10);
+    });
+
+    it('should check the budget before each continuation', async () => {
+        replies.push({ status: 200, body: streamedMessage(['a'], 'max_tokens') });
+        replies.push({ status: 200, body: streamedMessage(['b']) });
+        // The prompt fits, the prompt plus the 15 tokens of the first response does not
+        const usage = new UsageTracker({ maxTokensPerBuild: 15 }, { usageFile: path.join(testCacheDir, 'usage.json'), targetName: 'web' });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl }, null, usage);
+
+        await assert.rejects(() => client.generate('', 'Build it'), /llm\.budget\.maxTokensPerBuild/);
+
+        assert.strictEqual(requests.length, 1);
+        const [entry] = usage.load().entries;
+        assert.strictEqual(entry.inputTokens, 10);
+        assert.strictEqual(entry.outputTokens, 5);
+    });
+
+    it('should stop continuing after maxContinuations', async () => {
+        replies.push({ status: 200, body: streamedMessage(['a'], 'max_tokens') });
+        replies.push({ status: 200, body: streamedMessage(['b'], 'max_tokens') });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl, maxContinuations: 1 });
+
+        const result = await client.generate('', 'Build it');
+
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(result, 'ab');
+        assert.strictEqual(client.lastGeneration.truncated, true);
+    });
+
+    it('should serve repeated prompts from the cache', async () => {
+        replies.push({ status: 200, body: streamedMessage(['cached output']) });
+        const cacheManager = new CacheManager(testCacheDir);
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl }, cacheManager);
+
+        const first = await client.generate('sys', 'Build it');
+        const second = await client.generate('sys', 'Build it');
+
+        assert.strictEqual(first, 'cached output');
+        assert.strictEqual(second, 'cached output');
+        assert.strictEqual(requests.length, 1);
+    });
+
+    it('should not cache a response that is still cut off', async () => {
+        replies.push({ status: 200, body: streamedMessage(['cut'], 'max_tokens') });
+        replies.push({ status: 200, body: streamedMessage(['complete']) });
+        const cacheManager = new CacheManager(testCacheDir);
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl, maxContinuations: 0 }, cacheManager);
+
+        const first = await client.generate('sys', 'Build it');
+        const second = await client.generate('sys', 'Build it');
+
+        assert.strictEqual(first, 'cut');
+        assert.strictEqual(second, 'complete');
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(cacheManager.get(client.lastGeneration.cacheKey), 'complete');
+    });
+
+    it('should map HTTP errors to readable messages', async () => {
+        replies.push({ status: 401, body: JSON.stringify({ error: { message: 'bad key' } }) });
+        replies.push({ status: 429, body: JSON.stringify({ error: { message: 'slow down' } }) });
+        replies.push({ status: 400, body: JSON.stringify({ error: { message: 'max_tokens too large' } }) });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl });
+
+        await assert.rejects(() => client.generate('', 'x'), /Invalid Anthropic API key/);
+        await assert.rejects(() => client.generate('', 'x'), /rate limit exceeded/);
+        await assert.rejects(() => client.generate('', 'x'), /Anthropic API error: max_tokens too large/);
+    });
+
+    it('should surface error events from the stream', async () => {
+        replies.push({
+            status: 200,
+            body: sse([{ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }])
+        });
+        const client = new AnthropicClient({ apiKey: 'test-key', baseUrl });
+
+        await assert.rejects(() => client.generate('', 'x'), /Anthropic API error: Overloaded/);
+    });
+});
+
+describe('createLLMClient with anthropic provider', () => {
+    it('should create an AnthropicClient instead of the mock', async () => {
+        const client = await createLLMClient({
+            provider: 'anthropic',
+            apiKey: 'test-key',
+            cache: path.join(__dirname, '.test-anthropic-factory-cache')
+        });
+
+        assert.ok(client instanceof AnthropicClient);
+        assert.ok(!(client instanceof MockLLMClient));
+    });
+
+    it('should fail instead of falling back to the mock when the API key is missing', async () => {
+        await assert.rejects(() => createLLMClient({
+            provider: 'anthropic',
+            apiKey: '${COMPOSE_TEST_UNSET_KEY}',
+            cache: path.join(__dirname, '.test-anthropic-factory-cache')
+        }), /Anthropic API key is required/);
+    });
+
+    it('should fail on an unknown provider', async () => {
+        await assert.rejects(() => createLLMClient({
+            provider: 'nonexistent',
+            cache: path.join(__dirname, '.test-anthropic-factory-cache')
+        }), /Unknown LLM provider "nonexistent"/);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for Build Plan
+ * Verifies that builds are planned from the caches without calling the LLM
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { planBuild } from '../build-plan.js';
+import { IRCache } from '../ir-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('planBuild', () => {
+    const testDir = path.join(__dirname, '.test-build-plan');
+    const cacheDir = path.join(testDir, 'cache');
+    const target = { language: 'typescript', output: path.join(testDir, 'generated') };
+    const llm = { provider: 'anthropic', model: 'claude-sonnet-4-5' };
+
+    const ir = {
+        models: [{ name: 'User', fields: [] }, { name: 'Order', fields: [] }],
+        features: [{ name: 'Checkout', description: ['Pay for an order'] }],
+        guides: []
+    };
+
+    /**
+     * Record a previous build of the given files
+     */
+    function previousBuild(files) {
+        new IRCache(cacheDir).saveIR(ir);
+        const provenance = {};
+        for (const [file, models] of Object.entries(files)) {
+            provenance[file] = { models, features: [], guides: [], source: 'annotation' };
+            fs.mkdirSync(path.dirname(path.join(target.output, file)), { recursive: true });
+            fs.writeFileSync(path.join(target.output, file), 'x'.repeat(400));
+        }
+        fs.writeFileSync(path.join(cacheDir, 'provenance.json'), JSON.stringify(provenance));
+    }
+
+    beforeEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(cacheDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should estimate a first build from the spec', () => {
+        const plan = planBuild(ir, target, { llm, cacheDir });
+
+        assert.strictEqual(plan.mode, 'full');
+        assert.deepStrictEqual(plan.files, []);
+        assert.strictEqual(plan.fileCount, 6);
+        assert.strictEqual(plan.calls, 1);
+        assert.strictEqual(plan.tokens.output, 6 * 800);
+        assert.ok(plan.tokens.input > 0);
+        assert.strictEqual(plan.pricing.source, 'claude-sonnet-4');
+        assert.ok(plan.cost > 0);
+    });
+
+    it('should plan selective regeneration of the affected files', () => {
+        previousBuild({ 'lib/user.ts': ['User'], 'lib/order.ts': ['Order'], 'lib/a.ts': [], 'lib/b.ts': [] });
+        const changed = {
+            ...ir,
+            models: [{ name: 'User', fields: [{ name: 'email', type: { baseType: 'text' } }] }, ir.models[1]]
+        };
+
+        const plan = planBuild(changed, target, { llm, cacheDir });
+
+        assert.strictEqual(plan.mode, 'selective');
+        assert.deepStrictEqual(plan.files, ['lib/user.ts']);
+        assert.strictEqual(plan.tokens.output, 100);
+        assert.strictEqual(plan.unchangedSpec, false);
+    });
+
+    it('should count manifest and batch calls for chunked builds', () => {
+        const plan = planBuild(ir, target, { llm: { ...llm, chunked: true, maxFilesPerBatch: 4 }, cacheDir });
+
+        assert.strictEqual(plan.calls, 3);
+    });
+
+    it('should flag an unchanged spec and write nothing', () => {
+        previousBuild({ 'lib/user.ts': ['User'] });
+        const before = fs.readdirSync(cacheDir);
+
+        const plan = planBuild(ir, target, { llm, cacheDir });
+
+        assert.strictEqual(plan.unchangedSpec, true);
+        assert.deepStrictEqual(fs.readdirSync(cacheDir), before);
+    });
+});
+
@@ -2,7 +2,7 @@ import { describe, it, beforeEach, afterEach } from 'node:test';
 import { strict as assert } from 'node:assert';
 import fs from 'fs';
 import path from 'path';
-import { CacheManager } from '../cache-manager.js';
+import { CacheManager, CacheMissError, createCacheManager } from '../cache-manager.js';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -77,8 +77,61 @@ describe('CacheManager', () => {
         assert.strictEqual(manager2.get(key), null);
     });
 
+    it('should delete one entry', () => {
+        const manager = new CacheManager(testCacheDir);
+        manager.set('kept', 'a');
+        manager.set('dropped', 'b');
+
+        manager.delete('dropped');
+
+        const manager2 = new CacheManager(testCacheDir);
+        assert.strictEqual(manager2.get('kept'), 'a');
+        assert.strictEqual(manager2.get('dropped'), null);
+    });
+
     it('should handle missing cache directory gracefully', () => {
         const manager = new CacheManager(testCacheDir);
         assert.strictEqual(manager.get('non-existent'), null);
     });
+
+    describe('replay mode', () => {
+        it('should default to readwrite mode', () => {
+            const manager = new CacheManager(testCacheDir);
+            assert.strictEqual(manager.isReplay(), false);
+            assert.doesNotThrow(() => manager.assertCanGenerate('missing-key'));
+        });
+
+        it('should throw CacheMissError with the prompt hash on a miss', () => {
+            const manager = new CacheManager(testCacheDir, { mode: 'replay' });
+            const key = manager.generateKey('new prompt', { model: 'gpt-4' });
+
+            assert.throws(() => manager.assertCanGenerate(key), (error) => {
+                assert.ok(error instanceof CacheMissError);
+                assert.strictEqual(error.key, key);
+                assert.ok(error.message.includes(key));
+                return true;
+            });
+        });
+
+        it('should still serve cached responses', () => {
+            new CacheManager(testCacheDir).set('known-key', 'cached-response');
+
+            const manager = new CacheManager(testCacheDir, { mode: 'replay' });
+            assert.strictEqual(manager.get('known-key'), 'cached-response');
+        });
+
+        it('should accept an llm.cache object in createCacheManager', () => {
+            const manager = createCacheManager({ dir: testCacheDir, mode: 'replay' });
+
+            assert.strictEqual(manager.cacheDir, testCacheDir);
+            assert.strictEqual(manager.isReplay(), true);
+        });
+
+        it('should keep accepting a directory string in createCacheManager', () => {
+            const manager = createCacheManager(testCacheDir);
+
+            assert.strictEqual(manager.cacheDir, testCacheDir);
+            assert.strictEqual(manager.isReplay(), false);
+        });
+    });
 });
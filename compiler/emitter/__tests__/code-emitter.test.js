@@ -6,6 +6,8 @@
 import { describe, it, beforeEach, afterEach, mock } from 'node:test';
 import { strict as assert } from 'node:assert';
 import { CodeEmitter, emitCode } from '../code-emitter.js';
+import { CacheManager } from '../cache-manager.js';
+import { IRCache } from '../ir-cache.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -176,8 +178,8 @@ some content`;
             try {
                 await emitter.buildExportMap(files);
 
-                // Verify export map was created
-                const exportMapPath = '.compose/cache/export-map.json';
+                // Verify export map was created in the target's cache
+                const exportMapPath = '.compose/cache/targets/default/export-map.json';
                 assert.ok(fs.existsSync(exportMapPath));
             } finally {
                 process.chdir(originalCwd);
@@ -196,7 +198,7 @@ some content`;
 
             try {
                 // Create initial export map
-                const exportMapDir = '.compose/cache';
+                const exportMapDir = emitter.cacheDir;
                 const exportMapPath = `${exportMapDir}/export-map.json`;
                 fs.mkdirSync(exportMapDir, { recursive: true });
                 fs.writeFileSync(exportMapPath, JSON.stringify({}));
@@ -222,7 +224,7 @@ some content`;
 
             try {
                 // Create existing export map
-                const exportMapDir = '.compose/cache';
+                const exportMapDir = emitter.cacheDir;
                 fs.mkdirSync(exportMapDir, { recursive: true });
                 fs.writeFileSync(`${exportMapDir}/export-map.json`, JSON.stringify({}));
 
@@ -275,6 +277,406 @@ export default function App() {
     });
 });
 
+describe('CodeEmitter streaming', () => {
+    /**
+     * Create a client whose stream() yields the given chunks, then optionally fails
+     */
+    function streamingClient(chunks, failure = null) {
+        return {
+            lastGeneration: null,
+            consumed: 0,
+            async generate() {
+                throw new Error('generate() should not be used when stream() exists');
+            },
+            async *stream() {
+                for (const chunk of chunks) {
+                    this.consumed++;
+                    yield chunk;
+                }
+                if (failure) {
+                    throw failure;
+                }
+                this.lastGeneration = { cacheKey: 'key', model: 'test', cached: false };
+            }
+        };
+    }
+
+    it('should report each file as soon as its block closes', async () => {
+        const seen = [];
+        const client = streamingClient(['### FILE: a.js\nconst a = 1;\n', '### FILE: b.js\n', 'const b = 2;']);
+        const emitter = new CodeEmitter({ type: 'react' }, {
+            onFile: file => seen.push({ path: file.path, chunksSoFar: client.consumed })
+        });
+        emitter.llmClient = client;
+
+        const files = await emitter.generateFiles('prompt');
+
+        assert.deepStrictEqual(files.map(f => f.path), ['a.js', 'b.js']);
+        assert.deepStrictEqual(seen, [
+            { path: 'a.js', chunksSoFar: 2 },
+            { path: 'b.js', chunksSoFar: 3 }
+        ]);
+        assert.deepStrictEqual(emitter.generations, [{ cacheKey: 'key', model: 'test', cached: false }]);
+    });
+
+    it('should attach completed and truncated files when the stream dies', async () => {
+        const emitter = new CodeEmitter({ type: 'react' });
+        emitter.llmClient = streamingClient(
+            ['### FILE: a.js\nconst a = 1;\n', '### FILE: b.js\nfunction b() {'],
+            new Error('socket hang up')
+        );
+
+        await assert.rejects(() => emitter.generateFiles('prompt'), (error) => {
+            assert.strictEqual(error.message, 'socket hang up');
+            assert.deepStrictEqual(error.partialFiles.map(f => f.path), ['a.js']);
+            assert.strictEqual(error.truncatedFile.path, 'b.js');
+            assert.strictEqual(error.truncatedFile.partial, true);
+            return true;
+        });
+    });
+
+    it('should fall back to generate() for clients without stream()', async () => {
+        const seen = [];
+        const emitter = new CodeEmitter({ type: 'react' }, { onFile: file => seen.push(file.path) });
+        emitter.llmClient = {
+            generate: mock.fn(() => Promise.resolve('### FILE: a.js\nconst a = 1;'))
+        };
+
+        const files = await emitter.generateFiles('prompt');
+
+        assert.strictEqual(files.length, 1);
+        assert.deepStrictEqual(seen, ['a.js']);
+    });
+});
+
+describe('CodeEmitter output repair', () => {
+    /**
+     * Create a client answering each call with the next output in turn
+     */
+    function scriptedClient(outputs) {
+        return {
+            prompts: [],
+            lastGeneration: null,
+            async *stream(system, prompt) {
+                this.prompts.push(prompt);
+                const { text, truncated = false, cacheKey = null } = outputs.shift();
+                yield text;
+                this.lastGeneration = { cacheKey, model: 'test', cached: false, truncated };
+            }
+        };
+    }
+
+    it('should regenerate only the truncated file', async () => {
+        const emitter = new CodeEmitter({ type: 'react' });
+        emitter.llmClient = scriptedClient([
+            { text: '### FILE: a.ts\nexport const a = 1;\n### FILE: b.ts\nexport function b() {\n  return', truncated: true },
+            { text: '### FILE: b.ts\nexport function b() {\n  return 2;\n}\n### FILE: a.ts\nignored' }
+        ]);
+
+        const files = await emitter.generateFiles('Build it');
+
+        assert.deepStrictEqual(files.map(f => [f.path, f.content]), [
+            ['a.ts', 'export const a = 1;'],
+            ['b.ts', 'export function b() {\n  return 2;\n}']
+        ]);
+        const repairPrompt = emitter.llmClient.prompts[1];
+        assert.ok(repairPrompt.startsWith('Build it'));
+        assert.ok(repairPrompt.includes('- b.ts: b.ts was cut off at the output token limit'));
+        assert.ok(!repairPrompt.includes('- a.ts:'));
+    });
+
+    it('should repair files with unbalanced braces', async () => {
+        const emitter = new CodeEmitter({ type: 'react' });
+        emitter.llmClient = scriptedClient([
+            { text: '### FILE: a.ts\nexport function a() {\n' },
+            { text: '### FILE: a.ts\nexport function a() {}' }
+        ]);
+
+        const files = await emitter.generateFiles('Build it');
+
+        assert.strictEqual(files[0].content, 'export function a() {}');
+        assert.strictEqual(emitter.llmClient.prompts.length, 2);
+    });
+
+    it('should send parser errors back to the LLM', async () => {
+        const emitter = new CodeEmitter({ type: 'react' });
+        emitter.llmClient = scriptedClient([
+            { text: '### FILE: a.ts\nexport const a = ;' },
+            { text: '### FILE: a.ts\nexport const a = 1;' }
+        ]);
+
+        const files = await emitter.generateFiles('Build it');
+
+        assert.strictEqual(files[0].content, 'export const a = 1;');
+        assert.match(emitter.llmClient.prompts[1], /- a\.ts: a\.ts does not parse: Unexpected token \(1:17\)/);
+    });
+
+    it('should give up after maxRepairAttempts and keep the intact files', async () => {
+        const emitter = new CodeEmitter({ type: 'react' }, { llm: { maxRepairAttempts: 1 } });
+        emitter.llmClient = scriptedClient([
+            { text: '### FILE: a.ts\nconst a = 1;\n### FILE: b.ts\nfunction b() {' },
+            { text: '### FILE: b.ts\nfunction b() {' }
+        ]);
+
+        await assert.rejects(() => emitter.generateFiles('Build it'), (error) => {
+            assert.match(error.message, /1 file\(s\) still broken after 1 repair attempt\(s\):\n  - b\.ts ends with unclosed '\{'/);
+            assert.deepStrictEqual(error.partialFiles.map(f => f.path), ['a.ts']);
+            return true;
+        });
+    });
+
+    it('should drop responses with broken files from the cache and the lock', async () => {
+        const cacheDir = path.join(__dirname, '.test-code-emitter-repair-cache');
+        const emitter = new CodeEmitter({ type: 'react' }, { llm: { maxRepairAttempts: 2 } });
+        emitter.llmClient = scriptedClient([
+            { text: '### FILE: a.ts\nfunction a() {', cacheKey: 'first' },
+            { text: '### FILE: a.ts\nfunction a() {', cacheKey: 'failed-repair' },
+            { text: '### FILE: a.ts\nfunction a() {}', cacheKey: 'repair' }
+        ]);
+        emitter.llmClient.cacheManager = new CacheManager(cacheDir);
+        for (const key of ['first', 'failed-repair', 'repair']) {
+            emitter.llmClient.cacheManager.set(key, 'cached');
+        }
+
+        try {
+            await emitter.generateFiles('Build it');
+
+            assert.deepStrictEqual(Object.keys(emitter.llmClient.cacheManager.cache), ['repair']);
+            assert.deepStrictEqual(emitter.generations.map(g => g.cacheKey), ['repair']);
+        } finally {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should strip fences and drop duplicates without calling the LLM again', async () => {
+        const emitter = new CodeEmitter({ type: 'react' });
+        emitter.llmClient = scriptedClient([
+            { text: 'Here you go:\n### FILE: a.ts\n```ts\nconst a = 1;\n ```\n### FILE: a.ts\nconst a = 2;' }
+        ]);
+
+        const files = await emitter.generateFiles('Build it');
+
+        assert.deepStrictEqual(files.map(f => f.content), ['const a = 2;']);
+        assert.strictEqual(emitter.llmClient.prompts.length, 1);
+    });
+});
+
+describe('CodeEmitter import check', () => {
+    const testDir = path.join(__dirname, '.test-code-emitter-imports');
+    const ir = { models: [], features: [], guides: [] };
+    const files = [
+        { path: 'lib/api.ts', content: 'export function getUser(id: string) { return id; }', type: 'code' },
+        { path: 'app/page.tsx', content: "import { getUsers } from '@/lib/api';\nexport default function Page() { return getUsers(); }", type: 'code' }
+    ];
+    let originalCwd;
+
+    beforeEach(() => {
+        originalCwd = process.cwd();
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(testDir, { recursive: true });
+        process.chdir(testDir);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should report imports of names that were never generated', async () => {
+        const emitter = new CodeEmitter({ language: 'typescript' });
+        emitter.llmClient = { generate: mock.fn() };
+
+        const result = await emitter.checkImports(ir, files);
+
+        assert.strictEqual(result.files, files);
+        assert.deepStrictEqual(result.importProblems.map(p => [p.path, p.kind, p.name]), [
+            ['app/page.tsx', 'missing-export', 'getUsers']
+        ]);
+        assert.strictEqual(emitter.llmClient.generate.mock.callCount(), 0);
+    });
+
+    it('should regenerate only the offending files with fixImports', async () => {
+        const emitter = new CodeEmitter({ language: 'typescript' }, { llm: { fixImports: true } });
+        const prompts = [];
+        emitter.llmClient = {
+            async generate(system, prompt) {
+                prompts.push(prompt);
+                return [
+                    '### FILE: app/page.tsx',
+                    "import { getUser } from '@/lib/api';",
+                    "export default function Page() { return getUser('1'); }",
+                    '### FILE: lib/api.ts',
+                    'export const ignored = true;'
+                ].join('\n');
+            }
+        };
+
+        const result = await emitter.checkImports(ir, files);
+
+        assert.deepStrictEqual(result.importProblems, []);
+        assert.strictEqual(result.files[0], files[0]);
+        assert.ok(result.files[1].content.includes("getUser('1')"));
+        assert.ok(prompts[0].includes('lib/api.ts:\n  - function getUser(id: string): any'));
+        assert.ok(prompts[0].includes('imports "getUsers" from @/lib/api'));
+    });
+
+    it('should check existing files that import a regenerated file', async () => {
+        const emitter = new CodeEmitter({ language: 'typescript', output: 'out' });
+        fs.mkdirSync(emitter.cacheDir, { recursive: true });
+        fs.writeFileSync(path.join(emitter.cacheDir, 'export-map.json'), JSON.stringify({
+            'lib/types.ts': { path: 'lib/types.ts', exports: { User: { kind: 'interface' }, Role: { kind: 'type' } } },
+            'lib/api.ts': { path: 'lib/api.ts', exports: { getUser: { kind: 'function' } } },
+            'lib/format.ts': { path: 'lib/format.ts', exports: { format: { kind: 'function' } } }
+        }));
+        fs.mkdirSync('out/lib', { recursive: true });
+        fs.writeFileSync('out/lib/api.ts', "import { User, Role } from './types';\nexport function getUser(): User { return null as any; }");
+        fs.writeFileSync('out/lib/format.ts', "import { missing } from './gone';\nexport function format() {}");
+
+        const regenerated = [{ path: 'lib/types.ts', content: 'export interface User { id: string }', type: 'code' }];
+        const result = await emitter.checkImports(ir, regenerated);
+
+        assert.deepStrictEqual(result.importProblems.map(p => [p.path, p.kind, p.name]), [
+            ['lib/api.ts', 'missing-export', 'Role']
+        ]);
+    });
+});
+
+describe('CodeEmitter chunked generation', () => {
+    const ir = { models: [{ name: 'User', fields: [] }], features: [], guides: [] };
+    const target = { language: 'typescript', output: './generated' };
+    const manifest = JSON.stringify([
+        { path: 'lib/types.ts', group: 'Shared', description: 'Types' },
+        { path: 'lib/users.ts', group: 'Model: User', description: 'User helpers' },
+        { path: 'app/users/page.tsx', group: 'Model: User', description: 'User list' }
+    ]);
+    const outputs = {
+        'lib/types.ts': 'export interface User { email: string }',
+        'lib/users.ts': 'export function getUser(id: string): User { return null; }',
+        'app/users/page.tsx': 'export default function Page() { return null; }'
+    };
+
+    /**
+     * Create a client that answers the manifest prompt, then each batch prompt
+     * with the files it was asked for
+     */
+    function chunkedClient() {
+        return {
+            prompts: [],
+            lastGeneration: null,
+            async generate(system, prompt) {
+                this.prompts.push(prompt);
+                return manifest;
+            },
+            async *stream(system, prompt) {
+                this.prompts.push(prompt);
+                const requested = prompt.split('Generate ONLY')[1];
+                for (const [filePath, content] of Object.entries(outputs)) {
+                    if (requested.includes(`- ${filePath}:`)) {
+                        yield `### FILE: ${filePath}\n${content}\n`;
+                    }
+                }
+            }
+        };
+    }
+
+    it('should plan a manifest and generate one batch per group', async () => {
+        const emitter = new CodeEmitter(target, { llm: { chunked: true } });
+        emitter.llmClient = chunkedClient();
+
+        const files = await emitter.generateChunked(ir);
+
+        assert.deepStrictEqual(files.map(f => f.path), ['lib/types.ts', 'lib/users.ts', 'app/users/page.tsx']);
+        assert.strictEqual(emitter.llmClient.prompts.length, 3);
+        assert.ok(emitter.llmClient.prompts[0].includes('JSON array'));
+    });
+
+    it('should pass exports of earlier batches to later ones', async () => {
+        const emitter = new CodeEmitter(target, { llm: { chunked: true } });
+        emitter.llmClient = chunkedClient();
+
+        await emitter.generateChunked(ir);
+
+        const [, first, second] = emitter.llmClient.prompts;
+        assert.ok(!first.includes('Already Generated Exports'));
+        assert.ok(second.includes('lib/types.ts:\n  - interface User { email: string }'));
+    });
+
+    it('should respect maxFilesPerBatch', async () => {
+        const emitter = new CodeEmitter(target, { llm: { chunked: true, maxFilesPerBatch: 1 } });
+        emitter.llmClient = chunkedClient();
+
+        const files = await emitter.generateChunked(ir);
+
+        assert.strictEqual(files.length, 3);
+        assert.strictEqual(emitter.llmClient.prompts.length, 4);
+    });
+
+    it('should keep files of earlier batches when a later batch fails', async () => {
+        const emitter = new CodeEmitter(target, { llm: { chunked: true } });
+        const client = chunkedClient();
+        const stream = client.stream;
+        client.stream = async function* (system, prompt) {
+            if (prompt.includes('- lib/users.ts:')) {
+                throw new Error('socket hang up');
+            }
+            yield* stream.call(this, system, prompt);
+        };
+        emitter.llmClient = client;
+
+        await assert.rejects(() => emitter.generateChunked(ir), (error) => {
+            assert.deepStrictEqual(error.partialFiles.map(f => f.path), ['lib/types.ts']);
+            return true;
+        });
+    });
+});
+
+describe('CodeEmitter review snapshot', () => {
+    const testDir = path.join(__dirname, '.test-code-emitter-review');
+    const cacheDir = path.join(testDir, 'cache');
+    const ir = { models: [{ name: 'User', fields: [] }, { name: 'Order', fields: [] }], features: [], guides: [] };
+
+    beforeEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+        fs.mkdirSync(cacheDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should leave the IR snapshot to the caller with deferSnapshot', async () => {
+        const emitter = new CodeEmitter({ type: 'react', output: path.join(testDir, 'out') }, { cacheDir, deferSnapshot: true });
+        emitter.llmClient = { generate: async () => '### FILE: lib/user.ts\nexport const user = 1;' };
+
+        const result = await emitter.emit(ir);
+
+        assert.strictEqual(result.files.length, 1);
+        assert.strictEqual(new IRCache(cacheDir).loadIR(), null);
+    });
+
+    it('should regenerate files rejected in the last review', () => {
+        new IRCache(cacheDir).saveIR(ir, { pending: ['lib/order.ts'] });
+        const provenance = {};
+        for (const [file, models] of Object.entries({ 'lib/user.ts': ['User'], 'lib/order.ts': ['Order'], 'lib/a.ts': [], 'lib/b.ts': [], 'lib/c.ts': [] })) {
+            provenance[file] = { models, features: [], guides: [], source: 'annotation' };
+        }
+        fs.writeFileSync(path.join(cacheDir, 'provenance.json'), JSON.stringify(provenance));
+        const emitter = new CodeEmitter({ type: 'react', output: path.join(testDir, 'out') }, { cacheDir });
+
+        const strategy = emitter.planRegeneration({
+            ...ir,
+            models: [{ name: 'User', fields: [{ name: 'email', type: { baseType: 'text' } }] }, ir.models[1]]
+        });
+
+        assert.strictEqual(strategy.mode, 'selective');
+        assert.deepStrictEqual(strategy.affectedFiles, ['lib/user.ts', 'lib/order.ts']);
+    });
+});
+
 describe('emitCode function', () => {
     it('should create CodeEmitter and call emit', async () => {
         const target = { type: 'react', output: path.join(__dirname, '.test-emit-code') };
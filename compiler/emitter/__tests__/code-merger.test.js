@@ -5,8 +5,8 @@
 
 import { describe, it } from 'node:test';
 import { strict as assert } from 'node:assert';
-import { mergeCode } from '../code-merger.js';
-import { existsSync, mkdirSync, rmSync, readFileSync } from 'fs';
+import { mergeCode, resolveOutputPath } from '../code-merger.js';
+import { existsSync, mkdirSync, rmSync, readFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
 
 describe('Code Merger', () => {
@@ -141,4 +141,103 @@ describe('Code Merger', () => {
 
         cleanupTestDir();
     });
+
+    describe('hand edits', () => {
+        const targetDir = join(testOutputDir, 'generated/web');
+        const cacheDir = `${testOutputDir}/.compose/cache`;
+        const filePath = join(targetDir, 'lib/util.js');
+        const frameworkInfo = { framework: 'next' };
+
+        /**
+         * Generate lib/util.js with the given lines
+         */
+        function generate(lines, options) {
+            return mergeCode(
+                [{ path: 'lib/util.js', content: lines.join('\n'), type: 'code' }],
+                frameworkInfo, targetDir, cacheDir, options
+            );
+        }
+
+        const original = ['const a = 1;', 'const b = 2;', 'const c = 3;', 'const d = 4;', 'const e = 5;'];
+
+        it('should merge hand edits with regenerated code', () => {
+            cleanupTestDir();
+            generate(original);
+            writeFileSync(filePath, original.join('\n').replace('const a = 1;', 'const a = 10; // tuned'));
+
+            const result = generate(original.map(line => line === 'const e = 5;' ? 'const e = 50;' : line));
+
+            assert.deepStrictEqual(result.merged, [filePath]);
+            assert.deepStrictEqual(result.conflicts, []);
+            assert.strictEqual(
+                readFileSync(filePath, 'utf8'),
+                'const a = 10; // tuned\nconst b = 2;\nconst c = 3;\nconst d = 4;\nconst e = 50;'
+            );
+            cleanupTestDir();
+        });
+
+        it('should keep hand edits when the generated code did not change', () => {
+            cleanupTestDir();
+            generate(original);
+            writeFileSync(filePath, 'edited');
+
+            generate(original);
+
+            assert.strictEqual(readFileSync(filePath, 'utf8'), 'edited');
+            cleanupTestDir();
+        });
+
+        it('should mark conflicting changes', () => {
+            cleanupTestDir();
+            generate(original);
+            writeFileSync(filePath, original.join('\n').replace('const c = 3;', 'const c = 30;'));
+
+            const result = generate(original.map(line => line === 'const c = 3;' ? 'const c = 300;' : line));
+
+            assert.deepStrictEqual(result.conflicts, [{ path: filePath, conflicts: 1, sideFile: null }]);
+            const content = readFileSync(filePath, 'utf8');
+            assert.ok(content.includes('<<<<<<< local (hand edits)\nconst c = 30;\n=======\nconst c = 300;\n>>>>>>> generated'));
+            cleanupTestDir();
+        });
+
+        it('should write conflicts to a side file with conflictStyle "file"', () => {
+            cleanupTestDir();
+            generate(original);
+            const edited = original.join('\n').replace('const c = 3;', 'const c = 30;');
+            writeFileSync(filePath, edited);
+
+            const regenerated = original.map(line => line === 'const c = 3;' ? 'const c = 300;' : line);
+            const result = generate(regenerated, { conflictStyle: 'file' });
+
+            assert.strictEqual(result.conflicts[0].sideFile, `${filePath}.compose-conflict`);
+            assert.strictEqual(readFileSync(filePath, 'utf8'), edited);
+            assert.strictEqual(readFileSync(`${filePath}.compose-conflict`, 'utf8'), regenerated.join('\n'));
+            cleanupTestDir();
+        });
+
+        it('should carry protected regions over verbatim', () => {
+            cleanupTestDir();
+            const region = ['// @compose-keep-start rates', 'const rate = 0.1;', '// @compose-keep-end'];
+            generate(['const a = 1;', ...region]);
+            writeFileSync(filePath, ['const a = 1;', '// @compose-keep-start rates', 'const rate = 0.15; // tuned', '// @compose-keep-end'].join('\n'));
+
+            generate(['const a = 2;', ...region, 'const b = 3;']);
+
+            assert.strictEqual(
+                readFileSync(filePath, 'utf8'),
+                'const a = 2;\n// @compose-keep-start rates\nconst rate = 0.15; // tuned\n// @compose-keep-end\nconst b = 3;'
+            );
+            cleanupTestDir();
+        });
+    });
+
+    describe('resolveOutputPath', () => {
+        it('should match where each framework merger writes files', () => {
+            const targetDir = 'generated/web';
+
+            assert.equal(resolveOutputPath('pages/Home.jsx', { framework: 'vite' }, targetDir), 'generated/web/src/pages/Home.jsx');
+            assert.equal(resolveOutputPath('generated/web/app/page.tsx', { framework: 'next' }, targetDir), 'generated/web/app/page.tsx');
+            assert.equal(resolveOutputPath('lib/db.js', { framework: 'express' }, targetDir), 'generated/web/lib/db.js');
+        });
+    });
 });
@@ -8,229 +8,161 @@ import { strict as assert } from 'node:assert';
 import { DependencyTracker } from '../dependency-tracker.js';
 
 describe('DependencyTracker', () => {
-    describe('constructor', () => {
-        it('should initialize with rules', () => {
-            const tracker = new DependencyTracker();
-            assert.ok(tracker.rules);
-            assert.ok(tracker.rules.models);
-            assert.ok(tracker.rules.features);
-            assert.ok(tracker.rules.guides);
-        });
-    });
-
-    describe('getAffectedFiles - models', () => {
-        it('should mark types file as affected when model added', () => {
+    describe('getAffectedFiles - without provenance', () => {
+        it('should regenerate every file when there is no manifest', () => {
             const tracker = new DependencyTracker();
             const diff = {
                 hasChanges: true,
                 models: {
                     hasChanges: true,
-                    added: ['User'],
-                    modified: [],
+                    added: [],
+                    modified: ['Order'],
                     removed: []
                 },
                 features: { hasChanges: false },
                 guides: { hasChanges: false },
                 target: { hasChanges: false }
             };
-            const existingFiles = ['types/index.ts', 'components/App.tsx'];
+            const existingFiles = ['types/index.ts', 'lib/pricing.ts', 'components/Header.tsx'];
 
             const affected = tracker.getAffectedFiles(diff, existingFiles);
 
-            assert.ok(affected.includes('types/index.ts'));
+            assert.deepStrictEqual(affected, existingFiles);
         });
+    });
 
-        it('should mark context files as affected when model changes', () => {
+    describe('getAffectedFiles - target changes', () => {
+        it('should regenerate all files when target changes', () => {
             const tracker = new DependencyTracker();
             const diff = {
                 hasChanges: true,
-                models: {
-                    hasChanges: true,
-                    added: [],
-                    modified: ['Cart'],
-                    removed: []
-                },
+                models: { hasChanges: false },
                 features: { hasChanges: false },
                 guides: { hasChanges: false },
-                target: { hasChanges: false }
+                target: {
+                    hasChanges: true,
+                    changes: { framework: true }
+                }
             };
-            const existingFiles = [
-                'types/index.ts',
-                'context/CartContext.tsx',
-                'components/Header.tsx'
-            ];
+            const existingFiles = ['file1.ts', 'file2.ts', 'file3.ts'];
 
             const affected = tracker.getAffectedFiles(diff, existingFiles);
 
-            assert.ok(affected.includes('context/CartContext.tsx'));
+            assert.strictEqual(affected.length, 3);
+            assert.deepStrictEqual(affected, existingFiles);
         });
+    });
 
-        it('should mark pricing lib as affected when Order model changes', () => {
+    describe('getAffectedFiles - no changes', () => {
+        it('should return empty array when no changes', () => {
             const tracker = new DependencyTracker();
             const diff = {
-                hasChanges: true,
-                models: {
-                    hasChanges: true,
-                    added: [],
-                    modified: ['Order'],
-                    removed: []
-                },
+                hasChanges: false,
+                models: { hasChanges: false },
                 features: { hasChanges: false },
                 guides: { hasChanges: false },
                 target: { hasChanges: false }
             };
-            const existingFiles = ['types/index.ts', 'lib/pricing.ts'];
+            const existingFiles = ['file1.ts', 'file2.ts'];
 
             const affected = tracker.getAffectedFiles(diff, existingFiles);
 
-            assert.ok(affected.includes('lib/pricing.ts'));
+            assert.strictEqual(affected.length, 0);
         });
     });
 
-    describe('getAffectedFiles - features', () => {
-        it('should mark feature components as affected', () => {
+    describe('getAffectedFiles - provenance', () => {
+        const modelDiff = (changes) => ({
+            hasChanges: true,
+            models: { hasChanges: true, added: [], modified: [], removed: [], ...changes },
+            features: { hasChanges: false },
+            guides: { hasChanges: false },
+            target: { hasChanges: false }
+        });
+
+        it('should use recorded provenance', () => {
             const tracker = new DependencyTracker();
-            const diff = {
-                hasChanges: true,
-                models: { hasChanges: false },
-                features: {
-                    hasChanges: true,
-                    added: ['Shopping Cart'],
-                    modified: [],
-                    removed: []
-                },
-                guides: { hasChanges: false },
-                target: { hasChanges: false }
+            const provenance = {
+                'types/index.ts': { models: ['User', 'Order'], features: [], guides: [], source: 'annotation' },
+                'lib/pricing.ts': { models: ['Order'], features: [], guides: [], source: 'annotation' },
+                'app/profile/page.tsx': { models: ['User'], features: ['Profile'], guides: [], source: 'inferred' }
             };
-            const existingFiles = [
-                'components/shopping-cart/CartItem.tsx',
-                'components/Header.tsx'
-            ];
 
-            const affected = tracker.getAffectedFiles(diff, existingFiles);
+            const affected = tracker.getAffectedFiles(modelDiff({ modified: ['User'] }), Object.keys(provenance), provenance);
 
-            assert.ok(affected.includes('components/shopping-cart/CartItem.tsx'));
-            assert.ok(!affected.includes('components/Header.tsx'));
+            assert.deepStrictEqual(affected.sort(), ['app/profile/page.tsx', 'types/index.ts']);
         });
 
-        it('should mark feature page as affected', () => {
+        it('should include files implementing removed elements', () => {
             const tracker = new DependencyTracker();
-            const diff = {
-                hasChanges: true,
-                models: { hasChanges: false },
-                features: {
-                    hasChanges: true,
-                    added: [],
-                    modified: ['Checkout'],
-                    removed: []
-                },
-                guides: { hasChanges: false },
-                target: { hasChanges: false }
+            const provenance = {
+                'components/CartView.tsx': { models: ['Cart'], features: [], guides: [], source: 'annotation' },
+                'components/Header.tsx': { models: [], features: [], guides: [], source: 'annotation' }
             };
-            const existingFiles = [
-                'app/checkout/page.tsx',
-                'app/cart/page.tsx'
-            ];
 
-            const affected = tracker.getAffectedFiles(diff, existingFiles);
+            const affected = tracker.getAffectedFiles(modelDiff({ removed: ['Cart'] }), Object.keys(provenance), provenance);
 
-            assert.ok(affected.includes('app/checkout/page.tsx'));
-            assert.ok(!affected.includes('app/cart/page.tsx'));
+            assert.deepStrictEqual(affected, ['components/CartView.tsx']);
         });
-    });
 
-    describe('getAffectedFiles - guides', () => {
-        it('should mark metadata files as affected for app name guide', () => {
+        it('should regenerate files without provenance', () => {
             const tracker = new DependencyTracker();
-            const diff = {
-                hasChanges: true,
-                models: { hasChanges: false },
-                features: { hasChanges: false },
-                guides: {
-                    hasChanges: true,
-                    added: ['App Name'],
-                    modified: [],
-                    removed: []
-                },
-                target: { hasChanges: false }
+            const provenance = {
+                'types/index.ts': { models: ['Order'], features: [], guides: [], source: 'annotation' }
             };
-            const existingFiles = [
-                'package.json',
-                'app/layout.tsx',
-                'components/Header.tsx'
-            ];
+            const existingFiles = ['types/index.ts', 'context/CartContext.tsx'];
 
-            const affected = tracker.getAffectedFiles(diff, existingFiles);
+            const affected = tracker.getAffectedFiles(modelDiff({ modified: ['Cart'] }), existingFiles, provenance);
 
-            assert.ok(affected.includes('package.json'));
-            assert.ok(affected.includes('app/layout.tsx'));
-            assert.ok(!affected.includes('components/Header.tsx'));
+            assert.deepStrictEqual(affected, ['context/CartContext.tsx']);
         });
 
-        it('should mark styling files as affected for theme guide', () => {
+        it('should regenerate every file for added elements', () => {
             const tracker = new DependencyTracker();
-            const diff = {
-                hasChanges: true,
-                models: { hasChanges: false },
-                features: { hasChanges: false },
-                guides: {
-                    hasChanges: true,
-                    added: ['Color Theme'],
-                    modified: [],
-                    removed: []
-                },
-                target: { hasChanges: false }
+            const provenance = {
+                'types/index.ts': { models: ['User'], features: [], guides: [], source: 'annotation' },
+                'components/Header.tsx': { models: [], features: ['Home'], guides: [], source: 'annotation' }
             };
-            const existingFiles = [
-                'app/globals.css',
-                'tailwind.config.ts',
-                'components/Button.tsx'
-            ];
 
-            const affected = tracker.getAffectedFiles(diff, existingFiles);
+            const affected = tracker.getAffectedFiles(modelDiff({ added: ['Order'] }), Object.keys(provenance), provenance);
 
-            assert.ok(affected.includes('app/globals.css'));
-            assert.ok(affected.includes('tailwind.config.ts'));
+            assert.deepStrictEqual(affected, ['types/index.ts', 'components/Header.tsx']);
         });
-    });
 
-    describe('getAffectedFiles - target changes', () => {
-        it('should regenerate all files when target changes', () => {
+        it('should not trust inferred entries for guides', () => {
             const tracker = new DependencyTracker();
+            const provenance = {
+                'app/layout.tsx': { models: [], features: ['Home'], guides: [], source: 'inferred' },
+                'app/globals.css': { models: [], features: [], guides: [], source: 'annotation' }
+            };
             const diff = {
                 hasChanges: true,
                 models: { hasChanges: false },
                 features: { hasChanges: false },
-                guides: { hasChanges: false },
-                target: {
-                    hasChanges: true,
-                    changes: { framework: true }
-                }
+                guides: { hasChanges: true, added: [], modified: ['Theme'], removed: [] },
+                target: { hasChanges: false }
             };
-            const existingFiles = ['file1.ts', 'file2.ts', 'file3.ts'];
 
-            const affected = tracker.getAffectedFiles(diff, existingFiles);
+            const affected = tracker.getAffectedFiles(diff, Object.keys(provenance), provenance);
 
-            assert.strictEqual(affected.length, 3);
-            assert.deepStrictEqual(affected, existingFiles);
+            assert.deepStrictEqual(affected, ['app/layout.tsx']);
         });
-    });
 
-    describe('getAffectedFiles - no changes', () => {
-        it('should return empty array when no changes', () => {
+        it('should treat the models of changed relations as modified', () => {
             const tracker = new DependencyTracker();
+            const provenance = {
+                'lib/todos.ts': { models: ['Todo'], features: [], guides: [], source: 'annotation' },
+                'lib/users.ts': { models: ['User'], features: [], guides: [], source: 'annotation' },
+                'lib/tags.ts': { models: ['Tag'], features: [], guides: [], source: 'annotation' }
+            };
             const diff = {
-                hasChanges: false,
-                models: { hasChanges: false },
-                features: { hasChanges: false },
-                guides: { hasChanges: false },
-                target: { hasChanges: false }
+                ...modelDiff({ modified: ['Todo'] }),
+                relations: { hasChanges: true, added: ['User.todos <-> Todo.assignee'], modified: [], removed: [], models: ['User', 'Todo'] }
             };
-            const existingFiles = ['file1.ts', 'file2.ts'];
 
-            const affected = tracker.getAffectedFiles(diff, existingFiles);
+            const affected = tracker.getAffectedFiles(diff, Object.keys(provenance), provenance);
 
-            assert.strictEqual(affected.length, 0);
+            assert.deepStrictEqual(affected.sort(), ['lib/todos.ts', 'lib/users.ts']);
         });
     });
 
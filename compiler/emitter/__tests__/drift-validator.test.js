@@ -0,0 +1,125 @@
+/**
+ * Tests for Drift Validator
+ * Verifies detection of removed exports, changed signatures and broken imports
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DriftValidator } from '../drift-validator.js';
+import { ExportMapBuilder } from '../export-map-builder.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const generated = {
+    'lib/types.ts': 'export interface User { id: string; email: string }',
+    'lib/api.ts': [
+        "import type { User } from './types';",
+        'export async function getUser(id: string): Promise<User> { return null; }',
+        'export function listUsers(): User[] { return []; }'
+    ].join('\n'),
+    'app/users/page.tsx': [
+        "import { listUsers } from '@/lib/api';",
+        'export default function Page() { return listUsers().length; }'
+    ].join('\n')
+};
+
+describe('DriftValidator', () => {
+    const testDir = path.join(__dirname, '.test-drift-validator');
+    const outputDir = 'generated/web';
+    let originalCwd;
+
+    /**
+     * Write files to the output directory (paths relative to it)
+     */
+    function writeOutput(files) {
+        for (const [filePath, content] of Object.entries(files)) {
+            const fullPath = path.join(outputDir, filePath);
+            fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+            fs.writeFileSync(fullPath, content);
+        }
+    }
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(testDir, { recursive: true });
+        process.chdir(testDir);
+
+        writeOutput(generated);
+        await new ExportMapBuilder().buildExportMap(
+            Object.entries(generated).map(([filePath, content]) => ({ path: filePath, content }))
+        );
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should report no drift for untouched output', async () => {
+        const report = await new DriftValidator({ outputDirs: [outputDir] }).validate();
+
+        assert.strictEqual(report.ok, true);
+        assert.strictEqual(report.filesChecked, 3);
+        assert.deepStrictEqual(report.issues, []);
+    });
+
+    it('should report removed exports and the imports they break', async () => {
+        writeOutput({ 'lib/api.ts': "import type { User } from './types';\nexport async function getUser(id: string): Promise<User> { return null; }" });
+
+        const report = await new DriftValidator({ outputDirs: [outputDir] }).validate();
+
+        assert.strictEqual(report.ok, false);
+        assert.deepStrictEqual(report.issues.map(i => [i.type, i.symbol]), [
+            ['removed-export', 'listUsers'],
+            ['broken-import', 'listUsers']
+        ]);
+        assert.strictEqual(report.issues[1].file, 'generated/web/app/users/page.tsx');
+        assert.strictEqual(report.summary.brokenImports, 1);
+    });
+
+    it('should report changed function signatures', async () => {
+        writeOutput({ 'lib/api.ts': generated['lib/api.ts'].replace('getUser(id: string)', 'getUser(id: number)') });
+
+        const report = await new DriftValidator({ outputDirs: [outputDir] }).validate();
+
+        assert.strictEqual(report.issues.length, 1);
+        assert.strictEqual(report.issues[0].type, 'changed-signature');
+        assert.strictEqual(report.issues[0].expected, 'async function getUser(id: string): Promise<User>');
+        assert.strictEqual(report.issues[0].actual, 'async function getUser(id: number): Promise<User>');
+    });
+
+    it('should ignore changes to function bodies', async () => {
+        writeOutput({ 'lib/api.ts': generated['lib/api.ts'].replace('return [];', 'return [].concat([]);') });
+
+        const report = await new DriftValidator({ outputDirs: [outputDir] }).validate();
+
+        assert.strictEqual(report.ok, true);
+    });
+
+    it('should report deleted and unparseable files', async () => {
+        fs.rmSync(path.join(outputDir, 'lib/types.ts'));
+        writeOutput({ 'app/users/page.tsx': 'export default function Page( {' });
+
+        const report = await new DriftValidator({ outputDirs: [outputDir] }).validate();
+
+        assert.deepStrictEqual(report.issues.map(i => i.type).sort(), ['missing-file', 'parse-error']);
+    });
+
+    it('should fail when no export map exists', async () => {
+        fs.rmSync('.compose', { recursive: true, force: true });
+
+        await assert.rejects(
+            () => new DriftValidator({ outputDirs: [outputDir] }).validate(),
+            /Export map not found/
+        );
+    });
+});
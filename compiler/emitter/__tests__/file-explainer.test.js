@@ -0,0 +1,161 @@
+/**
+ * Tests for File Explainer
+ * Verifies that generated files are traced back to the spec and the caches
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { FileExplainer } from '../file-explainer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('FileExplainer', () => {
+    const cacheDir = path.join(__dirname, '.test-file-explainer');
+    const target = { output: 'generated/web' };
+
+    const ir = {
+        models: [
+            { name: 'Order', fields: [{ name: 'total' }, { name: 'items' }] },
+            { name: 'User', fields: [{ name: 'email' }] }
+        ],
+        features: [{ name: 'Checkout', description: ['Users can pay for an order'] }],
+        guides: [
+            {
+                name: 'Pricing Logic',
+                hints: ['Orders over $100 ship free', 'Reference: @reference/pricing.py::calculate_discount', 'Round to cents'],
+                references: [{ path: 'pricing.py', function: 'calculate_discount', language: 'python', content: '' }]
+            },
+            { name: 'Styling', hints: ['Use Tailwind'] }
+        ]
+    };
+
+    /**
+     * Write a JSON cache file
+     */
+    function writeCache(file, data) {
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(path.join(cacheDir, file), JSON.stringify(data));
+    }
+
+    beforeEach(() => {
+        if (fs.existsSync(cacheDir)) {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+        }
+        writeCache('ir.json', { timestamp: 1700000000000, ir });
+        writeCache('export-map.json', {
+            'pricing.ts': {
+                path: 'lib/pricing.ts',
+                exports: { calculateTotal: { kind: 'function', params: [{ name: 'order', type: 'Order', required: true }], returns: 'number' } },
+                lastUpdated: 1700000000001
+            },
+            'page.tsx': {
+                path: 'app/users/page.tsx',
+                exports: { UserList: { kind: 'function', params: [], returns: 'JSX.Element' } },
+                lastUpdated: 1700000000002
+            }
+        });
+        writeCache('provenance.json', {
+            'lib/pricing.ts': { models: ['Order'], features: ['Checkout'], guides: [], source: 'annotation' },
+            'app/globals.css': { models: [], features: [], guides: ['Styling'], source: 'annotation' }
+        });
+        writeCache('file-hashes.json', {
+            'generated/web/lib/pricing.ts': { hash: 'abc', lastModified: 1700000000003 }
+        });
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(cacheDir)) {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should list the spec elements behind a file', () => {
+        const explainer = new FileExplainer({ cacheDir, target, targetName: 'web' });
+
+        const result = explainer.explain('generated/web/lib/pricing.ts');
+
+        assert.strictEqual(result.file, 'lib/pricing.ts');
+        assert.strictEqual(result.source, 'annotation');
+        assert.deepStrictEqual(result.models, [{ name: 'Order', fields: ['total', 'items'] }]);
+        assert.deepStrictEqual(result.features.map(f => f.name), ['Checkout']);
+        assert.deepStrictEqual(result.exports, ['function calculateTotal(order: Order): number']);
+    });
+
+    it('should match guide bullets and references by name', () => {
+        const explainer = new FileExplainer({ cacheDir, target, targetName: 'web' });
+
+        const result = explainer.explain('lib/pricing.ts');
+
+        assert.deepStrictEqual(result.guides.map(g => [g.name, g.hints, g.matchedBy]), [
+            ['Pricing Logic', ['Orders over $100 ship free'], 'name']
+        ]);
+        assert.deepStrictEqual(result.references, []);
+    });
+
+    it('should include all bullets and references of guides in the provenance', () => {
+        writeCache('provenance.json', {
+            'lib/pricing.ts': { models: [], features: [], guides: ['Pricing Logic'], source: 'annotation' }
+        });
+        const explainer = new FileExplainer({ cacheDir, target, targetName: 'web' });
+
+        const result = explainer.explain('lib/pricing.ts');
+
+        assert.strictEqual(result.guides[0].hints.length, 3);
+        assert.deepStrictEqual(result.references, [
+            { guide: 'Pricing Logic', path: 'pricing.py', function: 'calculate_discount' }
+        ]);
+    });
+
+    it('should infer provenance for files the manifest does not list', () => {
+        const explainer = new FileExplainer({ cacheDir, target, targetName: 'web' });
+
+        const result = explainer.explain('generated/web/app/users/page.tsx');
+
+        assert.strictEqual(result.source, 'inferred');
+        assert.deepStrictEqual(result.models.map(m => m.name), ['User']);
+    });
+
+    it('should list the spec edits that regenerate the file', () => {
+        const explainer = new FileExplainer({ cacheDir, target, targetName: 'web' });
+
+        const { triggers } = explainer.explain('lib/pricing.ts');
+
+        assert.ok(triggers.includes('Change model Order'));
+        assert.ok(triggers.includes('Change feature Checkout'));
+        assert.ok(!triggers.includes('Change model User'));
+        assert.ok(triggers.includes('Add a model, feature or guide (regenerates every file)'));
+        assert.ok(triggers.includes('Change the target framework or language (regenerates every file)'));
+    });
+
+    it('should report the last build that wrote the file', () => {
+        const lockFile = { getTarget: () => ({ provider: 'anthropic', model: 'claude', resolvedModel: 'claude-2024' }) };
+        const explainer = new FileExplainer({ cacheDir, target, targetName: 'web', lockFile });
+
+        const { lastBuild } = explainer.explain('lib/pricing.ts');
+
+        assert.deepStrictEqual(lastBuild, {
+            generatedAt: 1700000000001,
+            writtenAt: 1700000000003,
+            builtAt: 1700000000000,
+            provider: 'anthropic',
+            model: 'claude-2024'
+        });
+    });
+
+    it('should return null for files the target did not generate', () => {
+        const explainer = new FileExplainer({ cacheDir, target, targetName: 'web' });
+
+        assert.strictEqual(explainer.explain('generated/web/README.md'), null);
+    });
+
+    it('should require a build', () => {
+        fs.rmSync(path.join(cacheDir, 'ir.json'));
+        const explainer = new FileExplainer({ cacheDir, target, targetName: 'web' });
+
+        assert.throws(() => explainer.explain('lib/pricing.ts'), /Run "compose build" first/);
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * Tests for Generation Plan
+ * Verifies manifest parsing and batch planning for chunked generation
+ */
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { parseManifest, planBatches } from '../generation-plan.js';
+
+describe('parseManifest', () => {
+    it('should parse a JSON array of entries', () => {
+        const manifest = parseManifest('[{"path": "lib/types.ts", "group": "Shared", "description": "Types"}]');
+
+        assert.deepStrictEqual(manifest, [{ path: 'lib/types.ts', group: 'Shared', description: 'Types' }]);
+    });
+
+    it('should tolerate fences and prose around the array', () => {
+        const manifest = parseManifest('Here is the plan:\n```json\n[{"path": "a.ts", "group": "Model: User"}]\n```');
+
+        assert.deepStrictEqual(manifest, [{ path: 'a.ts', group: 'Model: User', description: '' }]);
+    });
+
+    it('should default the group and drop duplicates and invalid entries', () => {
+        const manifest = parseManifest('["a.ts", {"path": "a.ts"}, {"group": "Shared"}, {"path": "b.ts"}]');
+
+        assert.deepStrictEqual(manifest.map(e => [e.path, e.group]), [['a.ts', 'Shared'], ['b.ts', 'Shared']]);
+    });
+
+    it('should reject output without a manifest', () => {
+        assert.throws(() => parseManifest('Sorry, I cannot do that.'), /not a JSON array/);
+        assert.throws(() => parseManifest('[{"path": "a.ts",]'), /Failed to parse file manifest/);
+        assert.throws(() => parseManifest('[]'), /lists no files/);
+    });
+});
+
+describe('planBatches', () => {
+    const entry = (path, group) => ({ path, group, description: '' });
+
+    it('should batch by group in manifest order', () => {
+        const batches = planBatches([
+            entry('types.ts', 'Shared'),
+            entry('user.ts', 'Model: User'),
+            entry('db.ts', 'Shared'),
+            entry('login.tsx', 'Feature: Login')
+        ]);
+
+        assert.deepStrictEqual(batches.map(b => b.map(e => e.path)), [
+            ['types.ts', 'db.ts'],
+            ['user.ts'],
+            ['login.tsx']
+        ]);
+    });
+
+    it('should split groups larger than the batch size', () => {
+        const manifest = ['a', 'b', 'c', 'd', 'e'].map(p => entry(`${p}.ts`, 'Shared'));
+
+        const batches = planBatches(manifest, 2);
+
+        assert.deepStrictEqual(batches.map(b => b.length), [2, 2, 1]);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for Import Resolver
+ * Verifies import extraction, path resolution and missing-import detection
+ */
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { resolveImport, extractImports, findImportProblems } from '../import-resolver.js';
+
+describe('Import Resolver', () => {
+    const known = new Set(['web/lib/api.ts', 'web/components/index.tsx', 'web/src/utils.ts']);
+
+    it('should resolve extensions, index files and the @/ alias', () => {
+        assert.strictEqual(resolveImport('web/app/page.tsx', '../lib/api', known), 'web/lib/api.ts');
+        assert.strictEqual(resolveImport('web/app/page.tsx', '../lib/api.js', known), 'web/lib/api.ts');
+        assert.strictEqual(resolveImport('web/app/page.tsx', '../components', known), 'web/components/index.tsx');
+        assert.strictEqual(resolveImport('web/app/page.tsx', '@/lib/api', known, 'web'), 'web/lib/api.ts');
+        assert.strictEqual(resolveImport('web/app/page.tsx', '@/utils', known, 'web'), 'web/src/utils.ts');
+        assert.strictEqual(resolveImport('web/app/page.tsx', '../lib/missing', known), null);
+    });
+
+    it('should extract imported names and re-exports', () => {
+        const imports = extractImports([
+            "import React, { useState as useLocalState } from 'react';",
+            "import * as api from './api';",
+            "export { User as Account } from './types';"
+        ].join('\n'));
+
+        assert.deepStrictEqual(imports.map(i => [i.source, i.names]), [
+            ['react', ['default', 'useState']],
+            ['./api', ['*']],
+            ['./types', ['User']]
+        ]);
+    });
+
+    it('should report unresolved modules and missing named exports', () => {
+        const files = [{
+            path: 'app/page.tsx',
+            content: [
+                "import { getUser, deleteUser } from '@/lib/api';",
+                "import { Button } from '../components/Button';",
+                "import './globals.css';",
+                "import { z } from 'zod';"
+            ].join('\n')
+        }];
+        const exportsByPath = new Map([
+            ['lib/api.ts', { getUser: { kind: 'function' } }],
+            ['app/page.tsx', {}]
+        ]);
+
+        const problems = findImportProblems(files, exportsByPath);
+
+        assert.deepStrictEqual(problems.map(p => [p.kind, p.source, p.name]), [
+            ['missing-export', '@/lib/api', 'deleteUser'],
+            ['unresolved-module', '../components/Button', undefined]
+        ]);
+        assert.strictEqual(problems[0].message, 'app/page.tsx:1 imports "deleteUser" from @/lib/api, which lib/api.ts does not export');
+    });
+
+    it('should not check names imported from barrels or unknown exports', () => {
+        const files = [
+            { path: 'app/page.tsx', content: "import { A } from '../lib';\nimport { B } from '../lib/legacy';" },
+            { path: 'lib/index.ts', content: "export * from './a';" }
+        ];
+        const exportsByPath = new Map([
+            ['lib/index.ts', {}],
+            ['lib/legacy.js', null]
+        ]);
+
+        assert.deepStrictEqual(findImportProblems(files, exportsByPath), []);
+    });
+});
@@ -175,6 +175,49 @@ describe('IRCache', () => {
             assert.strictEqual(diff.models.modified[0], 'User');
         });
 
+        it('should detect modified models - constraint changed', () => {
+            const cache = new IRCache(testCacheDir);
+            const field = constraints => ({
+                name: 'age',
+                type: { baseType: 'number', isArray: false, enumValues: null, alias: null },
+                optional: false,
+                constraints
+            });
+            const oldIR = {
+                models: [{ name: 'User', fields: [field([{ name: 'min', value: 0 }])] }],
+                features: [],
+                guides: []
+            };
+            const newIR = {
+                models: [{ name: 'User', fields: [field([{ name: 'min', value: 18 }])] }],
+                features: [],
+                guides: []
+            };
+
+            const diff = cache.diff(oldIR, newIR);
+
+            assert.deepStrictEqual(diff.models.modified, ['User']);
+            assert.strictEqual(cache.diff(oldIR, structuredClone(oldIR)).hasChanges, false);
+        });
+
+        it('should detect modified models - parent changed', () => {
+            const cache = new IRCache(testCacheDir);
+            const oldIR = {
+                models: [{ name: 'Admin', fields: [], extends: 'User', mixins: [] }],
+                features: [],
+                guides: []
+            };
+            const newIR = {
+                models: [{ name: 'Admin', fields: [], extends: 'Member', mixins: [] }],
+                features: [],
+                guides: []
+            };
+
+            const diff = cache.diff(oldIR, newIR);
+
+            assert.deepStrictEqual(diff.models.modified, ['Admin']);
+        });
+
         it('should detect no changes when models are identical', () => {
             const cache = new IRCache(testCacheDir);
             const oldIR = {
@@ -299,6 +342,39 @@ describe('IRCache', () => {
         });
     });
 
+    describe('diff - relations', () => {
+        const relation = (onDelete) => ({
+            name: 'User.todos <-> Todo.assignee',
+            cardinality: 'one-to-many',
+            from: { model: 'User', field: 'todos', optional: false },
+            to: { model: 'Todo', field: 'assignee', optional: true },
+            onDelete
+        });
+
+        it('should detect modified relations and the models at their ends', () => {
+            const cache = new IRCache(testCacheDir);
+            const oldIR = { models: [], features: [], guides: [], relations: [relation(null)] };
+            const newIR = { models: [], features: [], guides: [], relations: [relation('set null')] };
+
+            const diff = cache.diff(oldIR, newIR);
+
+            assert.strictEqual(diff.hasChanges, true);
+            assert.deepStrictEqual(diff.relations.modified, ['User.todos <-> Todo.assignee']);
+            assert.deepStrictEqual(diff.relations.models, ['User', 'Todo']);
+        });
+
+        it('should detect removed relations', () => {
+            const cache = new IRCache(testCacheDir);
+            const oldIR = { models: [], features: [], guides: [], relations: [relation(null)] };
+            const newIR = { models: [], features: [], guides: [] };
+
+            const diff = cache.diff(oldIR, newIR);
+
+            assert.deepStrictEqual(diff.relations.removed, ['User.todos <-> Todo.assignee']);
+            assert.deepStrictEqual(diff.relations.models, ['User', 'Todo']);
+        });
+    });
+
     describe('diff - initial build', () => {
         it('should mark everything as added for initial build', () => {
             const cache = new IRCache(testCacheDir);
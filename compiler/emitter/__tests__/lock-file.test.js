@@ -0,0 +1,227 @@
+/**
+ * Tests for LLM Lock File
+ * Verifies compose.lock persistence, drift detection and emitter integration
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LockFile, formatLockDrift } from '../lock-file.js';
+import { CodeEmitter } from '../code-emitter.js';
+import { getPromptTemplateVersion } from '../prompt-templates.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const settings = {
+    provider: 'gemini',
+    model: 'gemini-2.5-flash',
+    temperature: 0.2,
+    maxTokens: 8192,
+    promptTemplateVersion: 'abc123'
+};
+
+describe('LockFile', () => {
+    const testDir = path.join(__dirname, '.test-lock-file');
+    const lockPath = path.join(testDir, 'compose.lock');
+
+    beforeEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(testDir, { recursive: true });
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should start empty when no lock file exists', () => {
+        const lock = new LockFile(lockPath);
+
+        assert.strictEqual(lock.exists(), false);
+        assert.strictEqual(lock.getTarget('web'), null);
+        assert.deepStrictEqual(lock.diff('web', settings), []);
+    });
+
+    it('should persist target entries', () => {
+        const lock = new LockFile(lockPath);
+        lock.setTarget('web', { ...settings, resolvedModel: 'gemini-2.5-flash-001', responses: ['key1'] });
+        lock.save();
+
+        const reloaded = new LockFile(lockPath);
+        assert.strictEqual(reloaded.exists(), true);
+        assert.strictEqual(reloaded.getTarget('web').resolvedModel, 'gemini-2.5-flash-001');
+        assert.deepStrictEqual(reloaded.getTarget('web').responses, ['key1']);
+    });
+
+    it('should report drifted settings', () => {
+        const lock = new LockFile(lockPath);
+        lock.setTarget('web', settings);
+
+        const drift = lock.diff('web', { ...settings, model: 'gemini-2.5-pro', temperature: 0.5 });
+
+        assert.deepStrictEqual(drift, [
+            { field: 'model', locked: 'gemini-2.5-flash', current: 'gemini-2.5-pro' },
+            { field: 'temperature', locked: 0.2, current: 0.5 }
+        ]);
+    });
+
+    it('should report a changed prompt template version', () => {
+        const lock = new LockFile(lockPath);
+        lock.setTarget('web', settings);
+
+        const drift = lock.diff('web', { ...settings, promptTemplateVersion: 'def456' });
+
+        assert.strictEqual(drift.length, 1);
+        assert.strictEqual(drift[0].field, 'promptTemplateVersion');
+    });
+
+    it('should only report resolved model drift when the API reported one', () => {
+        const lock = new LockFile(lockPath);
+        lock.setTarget('web', { ...settings, resolvedModel: 'gemini-2.5-flash-001' });
+
+        assert.strictEqual(lock.diffResolvedModel('web', null), null);
+        assert.strictEqual(lock.diffResolvedModel('web', 'gemini-2.5-flash-001'), null);
+        assert.deepStrictEqual(lock.diffResolvedModel('web', 'gemini-2.5-flash-002'), {
+            field: 'resolvedModel',
+            locked: 'gemini-2.5-flash-001',
+            current: 'gemini-2.5-flash-002'
+        });
+    });
+
+    it('should format drift for messages', () => {
+        const message = formatLockDrift('web', [{ field: 'model', locked: 'a', current: 'b' }]);
+
+        assert.ok(message.includes('target "web"'));
+        assert.ok(message.includes('model: locked "a", now "b"'));
+    });
+});
+
+describe('CodeEmitter with compose.lock', () => {
+    const testDir = path.join(__dirname, '.test-lock-emitter');
+    const ir = { models: [], features: [], guides: [] };
+    let originalCwd;
+
+    function createEmitter(lockFile, options = {}) {
+        const emitter = new CodeEmitter({ language: 'typescript' }, {
+            llm: { provider: 'gemini', model: 'gemini-2.5-flash', temperature: 0.2, maxTokens: 8192 },
+            targetName: 'web',
+            lockFile,
+            ...options
+        });
+        emitter.llmClient = {
+            model: 'gemini-2.5-flash',
+            temperature: 0.2,
+            maxTokens: 8192,
+            lastGeneration: null,
+            getModel() { return this.model; },
+            async generate() {
+                this.lastGeneration = { cacheKey: 'key-1', model: 'gemini-2.5-flash-001', cached: false };
+                return '### FILE: a.ts\nexport const a = 1;';
+            }
+        };
+        return emitter;
+    }
+
+    beforeEach(() => {
+        originalCwd = process.cwd();
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(testDir, { recursive: true });
+        process.chdir(testDir);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should record settings, reported model and cache keys', async () => {
+        const lockFile = new LockFile('compose.lock');
+        await createEmitter(lockFile).emit(ir);
+
+        assert.deepStrictEqual(lockFile.getTarget('web'), {
+            provider: 'gemini',
+            model: 'gemini-2.5-flash',
+            temperature: 0.2,
+            maxTokens: 8192,
+            promptTemplateVersion: getPromptTemplateVersion(),
+            resolvedModel: 'gemini-2.5-flash-001',
+            responses: ['key-1']
+        });
+    });
+
+    it('should fail with --locked when settings drifted', async () => {
+        const lockFile = new LockFile('compose.lock');
+        lockFile.setTarget('web', { ...settings, promptTemplateVersion: getPromptTemplateVersion(), temperature: 0.7 });
+
+        await assert.rejects(
+            () => createEmitter(lockFile, { locked: true }).emit(ir),
+            /compose\.lock drift for target "web"[\s\S]*temperature/
+        );
+    });
+
+    it('should only warn without --locked', async () => {
+        const lockFile = new LockFile('compose.lock');
+        lockFile.setTarget('web', { ...settings, promptTemplateVersion: getPromptTemplateVersion(), temperature: 0.7 });
+
+        const result = await createEmitter(lockFile).emit(ir);
+
+        assert.strictEqual(result.files.length, 1);
+        assert.strictEqual(lockFile.getTarget('web').temperature, 0.2);
+    });
+
+    it('should update the lock when no files are affected by the changes', async () => {
+        const lockFile = new LockFile('compose.lock');
+        lockFile.setTarget('web', {
+            ...settings,
+            promptTemplateVersion: getPromptTemplateVersion(),
+            temperature: 0.7,
+            resolvedModel: 'gemini-2.5-flash-001',
+            responses: ['key-0']
+        });
+        const emitter = createEmitter(lockFile);
+        emitter.planRegeneration = () => ({ mode: 'unaffected', diff: null, existingFiles: ['a.ts'], affectedFiles: [] });
+
+        const result = await emitter.emit(ir);
+
+        assert.deepStrictEqual(result.files, []);
+        assert.strictEqual(lockFile.getTarget('web').temperature, 0.2);
+        assert.deepStrictEqual(lockFile.getTarget('web').responses, ['key-0']);
+        assert.strictEqual(lockFile.getTarget('web').resolvedModel, 'gemini-2.5-flash-001');
+
+        // The next --locked build no longer sees drift
+        assert.doesNotThrow(() => createEmitter(lockFile, { locked: true }).checkLock());
+    });
+
+    it('should fail with --locked when the target was never locked', async () => {
+        const lockFile = new LockFile('compose.lock');
+
+        await assert.rejects(
+            () => createEmitter(lockFile, { locked: true }).emit(ir),
+            /not in compose\.lock/
+        );
+    });
+
+    it('should fail with --locked when the API reports a different model', async () => {
+        const lockFile = new LockFile('compose.lock');
+        lockFile.setTarget('web', {
+            ...settings,
+            promptTemplateVersion: getPromptTemplateVersion(),
+            resolvedModel: 'gemini-2.5-flash-000'
+        });
+
+        await assert.rejects(
+            () => createEmitter(lockFile, { locked: true }).emit(ir),
+            /resolvedModel/
+        );
+    });
+});
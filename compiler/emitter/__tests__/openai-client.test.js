@@ -0,0 +1,257 @@
+/**
+ * Tests for OpenAI Client
+ * Covers the openai-compatible provider against a local HTTP stub
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OpenAIClient } from '../openai-client.js';
+import { CacheManager, CacheMissError } from '../cache-manager.js';
+import { UsageTracker, BudgetExceededError } from '../usage-tracker.js';
+import { createLLMClient } from '../llm-client.js';
+import { validateComposeConfig } from '../compose-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Build a chat completion response body
+ */
+function completion(content) {
+    return JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        created: 0,
+        model: 'local-model',
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    });
+}
+
+/**
+ * Build a streamed chat completion (server-sent events) body
+ */
+function streamedCompletion(deltas) {
+    const events = deltas.map(content => ({
+        id: 'chatcmpl-1',
+        object: 'chat.completion.chunk',
+        created: 0,
+        model: 'local-model-q4',
+        choices: [{ index: 0, delta: { content }, finish_reason: null }]
+    }));
+    return events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n';
+}
+
+describe('OpenAIClient (openai-compatible)', () => {
+    const testCacheDir = path.join(__dirname, '.test-openai-compatible-cache');
+    let server;
+    let baseUrl;
+    let requests;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                const parsed = JSON.parse(body);
+                requests.push({ url: req.url, headers: req.headers, body: parsed });
+                if (parsed.stream) {
+                    res.writeHead(200, { 'content-type': 'text/event-stream' });
+                    res.end(streamedCompletion(['### FILE: a.js\n', 'export const ', 'a = 1;']));
+                } else {
+                    res.writeHead(200, { 'content-type': 'application/json' });
+                    res.end(completion('### FILE: a.js\nexport const a = 1;'));
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        if (fs.existsSync(testCacheDir)) {
+            fs.rmSync(testCacheDir, { recursive: true, force: true });
+        }
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testCacheDir)) {
+            fs.rmSync(testCacheDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should not require an API key', () => {
+        const client = new OpenAIClient({ provider: 'openai-compatible', model: 'llama3', baseUrl });
+        assert.strictEqual(client.getModel(), 'llama3');
+    });
+
+    it('should require a baseUrl', () => {
+        assert.throws(
+            () => new OpenAIClient({ provider: 'openai-compatible', model: 'llama3' }),
+            /baseUrl is required/
+        );
+    });
+
+    it('should still require an API key for the openai provider', () => {
+        assert.throws(
+            () => new OpenAIClient({ provider: 'openai', model: 'gpt-4', baseUrl }),
+            /OpenAI API key is required/
+        );
+    });
+
+    it('should normalize base URLs to the /v1 root', () => {
+        const client = new OpenAIClient({ provider: 'openai-compatible', baseUrl });
+
+        assert.strictEqual(client.resolveBaseUrl('http://localhost:8080'), 'http://localhost:8080/v1');
+        assert.strictEqual(client.resolveBaseUrl('http://localhost:8080/v1/'), 'http://localhost:8080/v1');
+        assert.strictEqual(client.resolveBaseUrl('http://localhost:11434/v1/chat/completions'), 'http://localhost:11434/v1');
+    });
+
+    it('should post to /v1/chat/completions on the configured server', async () => {
+        const client = new OpenAIClient({ provider: 'openai-compatible', model: 'llama3', baseUrl });
+
+        const result = await client.generate('You are a developer.', 'Build it');
+
+        assert.strictEqual(result, '### FILE: a.js\nexport const a = 1;');
+        assert.strictEqual(requests.length, 1);
+        assert.strictEqual(requests[0].url, '/v1/chat/completions');
+        assert.strictEqual(requests[0].body.model, 'llama3');
+        assert.deepStrictEqual(requests[0].body.messages, [
+            { role: 'system', content: 'You are a developer.' },
+            { role: 'user', content: 'Build it' }
+        ]);
+    });
+
+    it('should cache responses from the local server', async () => {
+        const cacheManager = new CacheManager(testCacheDir);
+        const client = new OpenAIClient({ provider: 'openai-compatible', model: 'llama3', baseUrl }, cacheManager);
+
+        await client.generate('', 'Build it');
+        const second = await client.generate('', 'Build it');
+
+        assert.strictEqual(second, '### FILE: a.js\nexport const a = 1;');
+        assert.strictEqual(requests.length, 1);
+        assert.ok(fs.existsSync(path.join(testCacheDir, 'llm-responses.json')));
+    });
+
+    it('should stream deltas and cache the full response', async () => {
+        const cacheManager = new CacheManager(testCacheDir);
+        const client = new OpenAIClient({ provider: 'openai-compatible', model: 'llama3', baseUrl }, cacheManager);
+
+        const chunks = [];
+        for await (const chunk of client.stream('', 'Build it')) {
+            chunks.push(chunk);
+        }
+
+        assert.deepStrictEqual(chunks, ['### FILE: a.js\n', 'export const ', 'a = 1;']);
+        assert.strictEqual(requests[0].body.stream, true);
+        assert.deepStrictEqual(client.lastGeneration, {
+            cacheKey: client.lastGeneration.cacheKey,
+            model: 'local-model-q4',
+            cached: false,
+            truncated: false
+        });
+
+        // Second stream is served from cache in one piece
+        const cached = [];
+        for await (const chunk of client.stream('', 'Build it')) {
+            cached.push(chunk);
+        }
+        assert.deepStrictEqual(cached, ['### FILE: a.js\nexport const a = 1;']);
+        assert.strictEqual(requests.length, 1);
+    });
+
+    it('should refuse to call the server on a cache miss in replay mode', async () => {
+        const cacheManager = new CacheManager(testCacheDir, { mode: 'replay' });
+        const client = new OpenAIClient({ provider: 'openai-compatible', model: 'llama3', baseUrl }, cacheManager);
+
+        await assert.rejects(() => client.generate('', 'Build it'), CacheMissError);
+        assert.strictEqual(requests.length, 0);
+    });
+
+    it('should record reported token usage and cache hits', async () => {
+        const cacheManager = new CacheManager(testCacheDir);
+        const usage = new UsageTracker({}, { usageFile: path.join(testCacheDir, 'usage.json'), targetName: 'api' });
+        const client = new OpenAIClient({ provider: 'openai-compatible', model: 'llama3', baseUrl }, cacheManager, usage);
+
+        await client.generate('', 'Build it');
+        await client.generate('', 'Build it');
+
+        const entries = usage.load().entries;
+        assert.deepStrictEqual(entries.map(e => [e.target, e.inputTokens, e.outputTokens, e.cached]), [
+            ['api', 10, 5, false],
+            ['api', 0, 0, true]
+        ]);
+    });
+
+    it('should refuse calls that would exceed llm.budget', async () => {
+        const usage = new UsageTracker({ maxTokensPerBuild: 1 }, { usageFile: path.join(testCacheDir, 'usage.json') });
+        const client = new OpenAIClient({ provider: 'openai-compatible', model: 'llama3', baseUrl }, null, usage);
+
+        await assert.rejects(() => client.generate('', 'Build it'), BudgetExceededError);
+        assert.strictEqual(requests.length, 0);
+    });
+
+    it('should be created by createLLMClient', async () => {
+        const client = await createLLMClient({
+            provider: 'openai-compatible',
+            model: 'llama3',
+            baseUrl,
+            cache: testCacheDir
+        });
+
+        assert.ok(client instanceof OpenAIClient);
+        assert.strictEqual(client.baseUrl, `${baseUrl}/v1`);
+    });
+});
+
+describe('validateComposeConfig (openai-compatible)', () => {
+    const targets = {
+        web: { entry: './app.compose', language: 'typescript', output: './generated/web' }
+    };
+
+    it('should accept a baseUrl without an apiKey', () => {
+        const errors = validateComposeConfig({
+            llm: { provider: 'openai-compatible', model: 'llama3', baseUrl: 'http://localhost:8080/v1' },
+            targets
+        }, process.cwd(), true);
+
+        assert.deepStrictEqual(errors, []);
+    });
+
+    it('should require a baseUrl', () => {
+        const errors = validateComposeConfig({
+            llm: { provider: 'openai-compatible', model: 'llama3' },
+            targets
+        }, process.cwd(), true);
+
+        assert.ok(errors.some(e => e.includes('llm.baseUrl is required')));
+    });
+
+    it('should reject a baseUrl that is not an http(s) URL', () => {
+        const errors = validateComposeConfig({
+            llm: { provider: 'openai-compatible', model: 'llama3', baseUrl: 'localhost:8080' },
+            targets
+        }, process.cwd(), true);
+
+        assert.ok(errors.some(e => e.includes('llm.baseUrl must be an http(s) URL')));
+    });
+
+    it('should still require an apiKey for hosted providers', () => {
+        const errors = validateComposeConfig({
+            llm: { provider: 'openai', model: 'gpt-4' },
+            targets
+        }, process.cwd(), true);
+
+        assert.ok(errors.some(e => e.includes('llm.apiKey is required')));
+    });
+});
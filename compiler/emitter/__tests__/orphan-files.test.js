@@ -0,0 +1,109 @@
+/**
+ * Tests for Orphan Files
+ * Verifies that files of removed spec elements are found and pruned
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OrphanFinder } from '../orphan-files.js';
+import { FileHashCache } from '../file-hash-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('OrphanFinder', () => {
+    const testDir = path.join(__dirname, '.test-orphan-files');
+    const cacheDir = path.join(testDir, 'cache');
+    const outputDir = path.join(testDir, 'generated/web');
+    const trashDir = path.join(testDir, 'trash');
+
+    const ir = {
+        models: [{ name: 'User', fields: [] }],
+        features: [{ name: 'Checkout', description: [] }],
+        guides: []
+    };
+
+    /**
+     * Write a generated file and record it in the file hash cache
+     */
+    function generate(filePath, content) {
+        const diskPath = path.join(outputDir, filePath);
+        fs.mkdirSync(path.dirname(diskPath), { recursive: true });
+        fs.writeFileSync(diskPath, content);
+
+        const hashCache = new FileHashCache(cacheDir);
+        hashCache.updateHash(diskPath, content);
+        hashCache.saveCache();
+    }
+
+    beforeEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        generate('app/orders/page.tsx', 'export default function Orders() {}');
+        generate('lib/users.ts', 'export function getUser() {}');
+        generate('lib/utils.ts', 'export const noop = () => {};');
+
+        fs.writeFileSync(path.join(cacheDir, 'provenance.json'), JSON.stringify({
+            'app/orders/page.tsx': { models: ['Order'], features: ['Order History'], guides: [], source: 'annotation' },
+            'lib/users.ts': { models: ['User', 'Order'], features: [], guides: [], source: 'annotation' },
+            'lib/utils.ts': { models: [], features: [], guides: [], source: 'annotation' }
+        }));
+        fs.writeFileSync(path.join(cacheDir, 'export-map.json'), JSON.stringify({
+            'orders/page.tsx': { path: 'app/orders/page.tsx', exports: {}, lastUpdated: 1 },
+            'users.ts': { path: 'lib/users.ts', exports: {}, lastUpdated: 1 }
+        }));
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should find files implementing only removed elements', () => {
+        const finder = new OrphanFinder({ cacheDir, outputDir });
+
+        assert.deepStrictEqual(finder.find(ir), [{
+            path: 'app/orders/page.tsx',
+            diskPath: path.join(outputDir, 'app/orders/page.tsx'),
+            implemented: { models: ['Order'], features: ['Order History'], guides: [] },
+            edited: false
+        }]);
+    });
+
+    it('should flag hand-edited orphans', () => {
+        fs.writeFileSync(path.join(outputDir, 'app/orders/page.tsx'), '// edited');
+        const finder = new OrphanFinder({ cacheDir, outputDir });
+
+        assert.strictEqual(finder.find(ir)[0].edited, true);
+    });
+
+    it('should skip orphans that are no longer on disk', () => {
+        fs.rmSync(path.join(outputDir, 'app/orders/page.tsx'));
+        const finder = new OrphanFinder({ cacheDir, outputDir });
+
+        assert.deepStrictEqual(finder.find(ir), []);
+    });
+
+    it('should move orphans to the trash and drop them from the caches', async () => {
+        const finder = new OrphanFinder({ cacheDir, outputDir });
+        const diskPath = path.join(outputDir, 'app/orders/page.tsx');
+
+        const moved = await finder.prune(finder.find(ir), trashDir);
+
+        assert.deepStrictEqual(moved, [path.join(trashDir, diskPath)]);
+        assert.ok(!fs.existsSync(diskPath));
+        assert.ok(fs.existsSync(moved[0]));
+        assert.ok(!new FileHashCache(cacheDir).has(diskPath));
+
+        const manifest = JSON.parse(fs.readFileSync(path.join(cacheDir, 'provenance.json'), 'utf8'));
+        assert.deepStrictEqual(Object.keys(manifest), ['lib/users.ts', 'lib/utils.ts']);
+        const exportMap = JSON.parse(fs.readFileSync(path.join(cacheDir, 'export-map.json'), 'utf8'));
+        assert.deepStrictEqual(Object.keys(exportMap), ['users.ts']);
+        assert.deepStrictEqual(finder.find(ir), []);
+    });
+});
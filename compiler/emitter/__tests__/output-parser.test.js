@@ -0,0 +1,121 @@
+/**
+ * Tests for Output Parser
+ * Verifies incremental parsing of ### FILE: blocks from streamed output
+ */
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { OutputParser, parseFileBlocks } from '../output-parser.js';
+
+const output = `### FILE: src/App.js
+export default function App() {}
+
+### FILE: src/components/Button.js
+export function Button() {}
+
+### FILE: src/utils/helpers.js
+export const helper = () => {};`;
+
+describe('OutputParser', () => {
+    it('should emit each file once the next header arrives', () => {
+        const parser = new OutputParser();
+
+        assert.deepStrictEqual(parser.push('### FILE: src/App.js\nexport default function App() {}\n'), []);
+
+        const completed = parser.push('### FILE: src/Button.js\n');
+        assert.strictEqual(completed.length, 1);
+        assert.strictEqual(completed[0].path, 'src/App.js');
+        assert.strictEqual(completed[0].content, 'export default function App() {}');
+
+        parser.push('export function Button() {}');
+        const last = parser.end();
+        assert.strictEqual(last.length, 1);
+        assert.strictEqual(last[0].path, 'src/Button.js');
+        assert.strictEqual(last[0].content, 'export function Button() {}');
+    });
+
+    it('should produce the same files regardless of chunk boundaries', () => {
+        const expected = parseFileBlocks(output);
+
+        for (const size of [1, 3, 7, 16, 64]) {
+            const parser = new OutputParser();
+            const files = [];
+            for (let i = 0; i < output.length; i += size) {
+                files.push(...parser.push(output.slice(i, i + size)));
+            }
+            files.push(...parser.end());
+
+            assert.deepStrictEqual(files, expected, `chunk size ${size}`);
+        }
+    });
+
+    it('should handle a header split across chunks', () => {
+        const parser = new OutputParser();
+        parser.push('### FI');
+        parser.push('LE: src/a.js\nconst a = 1;\n### FILE: src/');
+
+        const completed = parser.push('b.js\n');
+        assert.strictEqual(completed.length, 1);
+        assert.strictEqual(completed[0].path, 'src/a.js');
+
+        const last = parser.end();
+        assert.strictEqual(last[0].path, 'src/b.js');
+    });
+
+    it('should drop markdown fence lines', () => {
+        const files = parseFileBlocks('### FILE: a.ts\n```typescript\nexport const a = 1;\n```\n');
+
+        assert.strictEqual(files[0].content, 'export const a = 1;\n');
+    });
+
+    it('should ignore text before the first header', () => {
+        const files = parseFileBlocks('Here is your app:\n### FILE: a.js\nconst a = 1;');
+
+        assert.strictEqual(files.length, 1);
+        assert.strictEqual(files[0].content, 'const a = 1;');
+    });
+
+    it('should keep the text before the first header as preamble', () => {
+        const parser = new OutputParser();
+        parser.push('Here is your app:\n\n```\n### FILE: a.js\nconst a = 1;');
+        parser.end();
+
+        assert.strictEqual(parser.preamble, 'Here is your app:\n');
+    });
+
+    it('should take the IMPLEMENTS annotation out of the content', () => {
+        const files = parseFileBlocks('### FILE: a.js\n### IMPLEMENTS: Model: User; Feature: Login\nconst a = 1;\n### FILE: b.js\nconst b = 2;');
+
+        assert.strictEqual(files[0].implements, 'Model: User; Feature: Login');
+        assert.strictEqual(files[0].content, 'const a = 1;');
+        assert.ok(!('implements' in files[1]));
+    });
+
+    it('should keep IMPLEMENTS lines that are not the first line', () => {
+        const files = parseFileBlocks('### FILE: notes.md\nIntro\n### IMPLEMENTS: Shared');
+
+        assert.strictEqual(files[0].content, 'Intro\n### IMPLEMENTS: Shared');
+        assert.strictEqual(files[0].implements, undefined);
+    });
+
+    it('should expose the file still being received', () => {
+        const parser = new OutputParser();
+        parser.push('### FILE: a.js\nfunction a() {\n  return');
+
+        assert.deepStrictEqual(parser.getPartialFile(), {
+            path: 'a.js',
+            content: 'function a() {\n  return',
+            type: 'code',
+            partial: true
+        });
+    });
+
+    it('should report no partial file between files', () => {
+        const parser = new OutputParser();
+        assert.strictEqual(parser.getPartialFile(), null);
+
+        parser.push('### FILE: a.js\nconst a = 1;');
+        parser.end();
+        assert.strictEqual(parser.getPartialFile(), null);
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for Output Validator
+ * Verifies fence stripping, duplicate detection and truncation checks
+ */
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { validateFiles, stripFences, findUnclosedDelimiters, checkSyntax } from '../output-validator.js';
+
+const file = (path, content) => ({ path, content, type: 'code' });
+
+describe('validateFiles', () => {
+    it('should pass complete files through unchanged', () => {
+        const files = [file('a.ts', 'export function a() {\n    return [1, 2];\n}')];
+
+        const result = validateFiles(files);
+
+        assert.deepStrictEqual(result.files, files);
+        assert.deepStrictEqual(result.issues, []);
+    });
+
+    it('should keep the last version of a duplicated path', () => {
+        const result = validateFiles([
+            file('a.ts', 'const a = 1;'),
+            file('b.ts', 'const b = 1;'),
+            file('a.ts', 'const a = 2;')
+        ]);
+
+        assert.deepStrictEqual(result.files.map(f => [f.path, f.content]), [
+            ['b.ts', 'const b = 1;'],
+            ['a.ts', 'const a = 2;']
+        ]);
+        assert.deepStrictEqual(result.issues.map(i => [i.kind, i.path]), [['duplicate', 'a.ts']]);
+    });
+
+    it('should flag a file with unclosed braces as truncated', () => {
+        const result = validateFiles([file('a.ts', 'export function a() {\n    if (x) {\n        return')]);
+
+        assert.strictEqual(result.issues.length, 1);
+        assert.strictEqual(result.issues[0].kind, 'truncated');
+        assert.ok(result.issues[0].message.includes("unclosed '{', '{'"));
+    });
+
+    it('should flag the file the provider cut off', () => {
+        const result = validateFiles(
+            [file('a.md', '# Title'), file('b.md', 'Some text')],
+            { truncatedPath: 'b.md' }
+        );
+
+        assert.deepStrictEqual(result.issues.map(i => [i.kind, i.path]), [['truncated', 'b.md']]);
+    });
+
+    it('should flag JS/TS files that do not parse', () => {
+        const result = validateFiles([
+            file('a.ts', 'export const a = ;'),
+            file('b.ts', 'export const b = 1;')
+        ]);
+
+        assert.deepStrictEqual(result.issues.map(i => [i.kind, i.path]), [['syntax', 'a.ts']]);
+        assert.ok(result.issues[0].message.includes('(1:17)'));
+    });
+
+    it('should report text before the first header', () => {
+        const result = validateFiles([file('a.js', 'const a = 1;')], { preamble: 'Sure! Here you go:\n' });
+
+        assert.deepStrictEqual(result.issues.map(i => i.kind), ['preamble']);
+    });
+});
+
+describe('stripFences', () => {
+    it('should remove fences around content', () => {
+        assert.strictEqual(stripFences('```tsx\nconst a = 1;\n```'), 'const a = 1;');
+        assert.strictEqual(stripFences('\n  ```\nconst a = 1;\n```  \n'), '\nconst a = 1;\n');
+    });
+
+    it('should keep fences inside the content', () => {
+        const markdown = '# Setup\n```bash\nnpm install\n```\nDone';
+
+        assert.strictEqual(stripFences(markdown), markdown);
+    });
+});
+
+describe('findUnclosedDelimiters', () => {
+    it('should ignore delimiters in strings, comments and regexes', () => {
+        const source = [
+            'const open = "{";',
+            "const bracket = '[';",
+            '// if (x) {',
+            '/* ( */',
+            'const re = /[{(]/g;',
+            'const ratio = a / b;',
+            'const t = `${user.name} {`;'
+        ].join('\n');
+
+        assert.deepStrictEqual(findUnclosedDelimiters('a.ts', source), []);
+    });
+
+    it('should not let apostrophes in JSX text hide the rest of the file', () => {
+        const source = "export function A() {\n    return <p>Don't panic</p>;\n}";
+
+        assert.deepStrictEqual(findUnclosedDelimiters('a.tsx', source), []);
+        assert.deepStrictEqual(findUnclosedDelimiters('a.tsx', source.slice(0, -1)), ['{']);
+    });
+
+    it('should detect an unterminated template literal', () => {
+        assert.deepStrictEqual(findUnclosedDelimiters('a.js', 'const t = `hello ${name'), ['`']);
+    });
+
+    it('should check JSON and CSS but skip other files', () => {
+        assert.deepStrictEqual(findUnclosedDelimiters('package.json', '{ "name": "app",'), ['{']);
+        assert.deepStrictEqual(findUnclosedDelimiters('styles.css', 'a { color: red;'), ['{']);
+        assert.deepStrictEqual(findUnclosedDelimiters('main.py', 'def a(:'), []);
+    });
+});
+
+describe('checkSyntax', () => {
+    it('should accept valid TS, TSX and JSX', () => {
+        assert.strictEqual(checkSyntax('a.ts', 'const n = <number>value;\nexport type A = { a: string };'), null);
+        assert.strictEqual(checkSyntax('a.tsx', 'export const A = (p: { n: string }) => <div>{p.n}</div>;'), null);
+        assert.strictEqual(checkSyntax('a.jsx', 'export const A = () => <div />;'), null);
+    });
+
+    it('should return the parser error with its position', () => {
+        assert.match(checkSyntax('a.js', 'function () {}'), /\(1:9\)/);
+    });
+
+    it('should skip files it cannot parse', () => {
+        assert.strictEqual(checkSyntax('styles.css', 'a {'), null);
+        assert.strictEqual(checkSyntax('main.py', 'def a(:'), null);
+    });
+});
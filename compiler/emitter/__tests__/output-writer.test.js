@@ -313,6 +313,26 @@ describe('writeOutput function', () => {
         assert.ok(fs.existsSync(path.join(testOutputDir, 'README.md')));
     });
 
+    it('should merge hand edits against the last generated version with a cache directory', () => {
+        const cacheDir = path.join(testOutputDir, '.cache');
+        const target = { type: 'node' };
+        const filePath = path.join(testOutputDir, 'src/index.js');
+
+        writeOutput([{ path: 'src/index.js', content: 'const a = 1;\nconst b = 2;\nconst c = 3;' }], testOutputDir, target, { cacheDir });
+        fs.writeFileSync(filePath, 'const a = 1;\nconst b = 2;\nconst c = 30;');
+        const merged = writeOutput([{ path: 'src/index.js', content: 'const a = 10;\nconst b = 2;\nconst c = 3;' }], testOutputDir, target, { cacheDir });
+
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'const a = 10;\nconst b = 2;\nconst c = 30;');
+        assert.deepStrictEqual(merged.merged, [filePath]);
+        assert.deepStrictEqual(merged.conflicts, []);
+
+        fs.writeFileSync(filePath, 'const a = 11;\nconst b = 2;\nconst c = 30;');
+        const conflicting = writeOutput([{ path: 'src/index.js', content: 'const a = 12;\nconst b = 2;\nconst c = 3;' }], testOutputDir, target, { cacheDir, conflictStyle: 'file' });
+
+        assert.deepStrictEqual(conflicting.conflicts, [{ path: filePath, conflicts: 1, sideFile: `${filePath}.compose-conflict` }]);
+        assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'const a = 11;\nconst b = 2;\nconst c = 30;');
+    });
+
     it('should return write result with error handling', () => {
         const files = [
             { path: 'test.js', content: 'content', type: 'code' }
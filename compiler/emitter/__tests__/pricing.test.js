@@ -0,0 +1,49 @@
+/**
+ * Tests for Model Pricing
+ * Verifies price lookup and cost estimates
+ */
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { findPricing, estimateCost, formatCost } from '../pricing.js';
+
+describe('findPricing', () => {
+    it('should match the longest model prefix', () => {
+        assert.deepStrictEqual(findPricing({ provider: 'openai', model: 'gpt-4o-mini-2024-07-18' }), {
+            input: 0.15,
+            output: 0.6,
+            source: 'gpt-4o-mini'
+        });
+        assert.strictEqual(findPricing({ provider: 'openai', model: 'gpt-4o' }).source, 'gpt-4o');
+    });
+
+    it('should prefer llm.pricing from compose.json', () => {
+        const pricing = findPricing({ provider: 'openai', model: 'gpt-4o', pricing: { input: 1, output: 2 } });
+
+        assert.deepStrictEqual(pricing, { input: 1, output: 2, source: 'compose.json' });
+    });
+
+    it('should price the mock client at zero', () => {
+        assert.deepStrictEqual(findPricing({}), { input: 0, output: 0, source: 'mock' });
+    });
+
+    it('should return null for unknown models', () => {
+        assert.strictEqual(findPricing({ provider: 'openai-compatible', model: 'qwen2.5-coder' }), null);
+    });
+});
+
+describe('estimateCost', () => {
+    it('should price tokens per million', () => {
+        assert.strictEqual(estimateCost({ input: 1_000_000, output: 200_000 }, { input: 3, output: 15 }), 6);
+    });
+
+    it('should return null without pricing', () => {
+        assert.strictEqual(estimateCost({ input: 10, output: 10 }, null), null);
+    });
+
+    it('should format small and unknown costs', () => {
+        assert.strictEqual(formatCost(1.234), '$1.23');
+        assert.strictEqual(formatCost(0.001), '< $0.01');
+        assert.strictEqual(formatCost(null), 'unknown (set llm.pricing)');
+    });
+});
@@ -5,7 +5,14 @@
 
 import { describe, it } from 'node:test';
 import { strict as assert } from 'node:assert';
-import { createFullProjectPrompt, createSystemPrompt } from '../prompt-templates.js';
+import {
+    createFullProjectPrompt,
+    createSystemPrompt,
+    createManifestPrompt,
+    createBatchPrompt,
+    createPartialPrompt,
+    formatExportContext
+} from '../prompt-templates.js';
 
 describe('Prompt Templates', () => {
     describe('createSystemPrompt', () => {
@@ -341,5 +348,179 @@ describe('Prompt Templates', () => {
             assert.ok(prompt.includes('production-ready'));
             assert.ok(prompt.includes('package.json'));
         });
+
+        it('should name fields by their type alias and list the aliases', () => {
+            const ir = {
+                models: [{
+                    name: 'User',
+                    fields: [
+                        { name: 'email', type: { baseType: 'text', isArray: false, enumValues: null, alias: 'Email' }, optional: false },
+                        { name: 'backupEmails', type: { baseType: 'text', isArray: true, enumValues: null, alias: 'Email' }, optional: false },
+                        { name: 'role', type: { baseType: 'enum', isArray: false, enumValues: ['admin', 'member'], alias: 'Role' }, optional: false }
+                    ]
+                }],
+                features: [],
+                guides: [],
+                typeAliases: [
+                    { name: 'Email', type: { baseType: 'text', isArray: false, enumValues: null }, optional: false },
+                    { name: 'Role', type: { baseType: 'enum', isArray: false, enumValues: ['admin', 'member'] }, optional: false }
+                ]
+            };
+
+            const prompt = createFullProjectPrompt(ir, { language: 'typescript', output: './dist' });
+
+            assert.ok(prompt.includes('**Type Aliases:**\n- Email = text\n- Role = "admin" | "member"'));
+            assert.ok(prompt.includes('  email: Email\n  backupEmails: list of Email\n  role: Role'));
+        });
+
+        it('should list relations with where the reference lives', () => {
+            const ir = {
+                models: [{ name: 'User', fields: [] }, { name: 'Todo', fields: [] }, { name: 'Tag', fields: [] }],
+                features: [],
+                guides: [],
+                relations: [
+                    {
+                        name: 'User.todos <-> Todo.assignee',
+                        cardinality: 'one-to-many',
+                        from: { model: 'User', field: 'todos', optional: false },
+                        to: { model: 'Todo', field: 'assignee', optional: true },
+                        onDelete: 'set null'
+                    },
+                    {
+                        name: 'Todo.tags <-> Tag.todos',
+                        cardinality: 'many-to-many',
+                        from: { model: 'Todo', field: 'tags', optional: false },
+                        to: { model: 'Tag', field: 'todos', optional: false },
+                        onDelete: null
+                    }
+                ]
+            };
+
+            const prompt = createFullProjectPrompt(ir, { language: 'typescript', output: './dist' });
+
+            assert.ok(prompt.includes('**Relations:**\n' +
+                '- User.todos <-> Todo.assignee: one-to-many, Todo holds the reference to User (nullable), on delete of User: set null\n' +
+                '- Todo.tags <-> Tag.todos: many-to-many, join table between Todo and Tag'));
+        });
+
+        it('should render constraints and defaults of fields', () => {
+            const text = { baseType: 'text', isArray: false, enumValues: null };
+            const ir = {
+                models: [{
+                    name: 'User',
+                    fields: [
+                        { name: 'name', type: text, constraints: [
+                            { name: 'unique', value: null },
+                            { name: 'min', value: 3 },
+                            { name: 'pattern', value: '^[a-z]+$' }
+                        ] },
+                        { name: 'role', type: { baseType: 'enum', isArray: false, enumValues: ['admin', 'member'] }, constraints: [
+                            { name: 'default', value: 'member' }
+                        ] },
+                        { name: 'createdAt', type: { baseType: 'timestamp', isArray: false, enumValues: null }, constraints: [
+                            { name: 'default', value: 'now' }
+                        ] }
+                    ]
+                }],
+                features: [],
+                guides: []
+            };
+
+            const prompt = createFullProjectPrompt(ir, { language: 'typescript', output: './dist' });
+
+            assert.ok(prompt.includes('  name: text (unique, min 3, pattern "^[a-z]+$")'));
+            assert.ok(prompt.includes('  role: "admin" | "member" = "member"'));
+            assert.ok(prompt.includes('  createdAt: timestamp = now'));
+        });
+    });
+
+    describe('chunked generation prompts', () => {
+        const ir = {
+            models: [{ name: 'User', fields: [{ name: 'email', type: 'text' }] }],
+            features: [],
+            guides: []
+        };
+        const target = { framework: 'nextjs', language: 'typescript', output: './generated' };
+
+        it('should ask for a JSON file manifest without code', () => {
+            const prompt = createManifestPrompt(ir, target);
+
+            assert.ok(prompt.includes('Data Models'));
+            assert.ok(prompt.includes('User'));
+            assert.ok(prompt.includes('JSON array'));
+            assert.ok(prompt.includes('Do NOT write any code'));
+        });
+
+        it('should list the plan, earlier exports and only the batch files', () => {
+            const manifest = [
+                { path: 'lib/types.ts', group: 'Shared', description: 'Types' },
+                { path: 'app/users/page.tsx', group: 'Model: User', description: 'User list' }
+            ];
+
+            const prompt = createBatchPrompt(ir, [manifest[1]], {
+                manifest,
+                exportContext: 'lib/types.ts:\n  - interface User { email: string }'
+            }, target);
+
+            assert.ok(prompt.includes('- lib/types.ts (Shared): Types'));
+            assert.ok(prompt.includes('Already Generated Exports'));
+            assert.ok(prompt.includes('interface User { email: string }'));
+            assert.ok(prompt.includes('Generate ONLY these 1 file(s):\n- app/users/page.tsx: User list'));
+        });
+
+        it('should omit the exports section for the first batch', () => {
+            const manifest = [{ path: 'lib/types.ts', group: 'Shared', description: 'Types' }];
+
+            const prompt = createBatchPrompt(ir, manifest, { manifest, exportContext: '' }, target);
+
+            assert.ok(!prompt.includes('Already Generated Exports'));
+        });
+
+        it('should format extracted exports one line each', () => {
+            const context = formatExportContext({
+                'lib/types.ts': {
+                    User: { kind: 'interface', properties: ['email: string'] }
+                },
+                'lib/api.ts': {
+                    getUser: {
+                        kind: 'function',
+                        async: true,
+                        params: [{ name: 'id', type: 'string', required: true }],
+                        returns: 'Promise<User>'
+                    }
+                },
+                'styles.ts': {}
+            });
+
+            assert.strictEqual(context, [
+                'lib/types.ts:',
+                '  - interface User { email: string }',
+                '',
+                'lib/api.ts:',
+                '  - async function getUser(id: string): Promise<User>'
+            ].join('\n'));
+        });
+    });
+
+    describe('createPartialPrompt', () => {
+        const ir = { models: [], features: [], guides: [] };
+        const target = { language: 'typescript' };
+
+        it('should list protected regions of the regenerated files', () => {
+            const block = '// @compose-keep-start discounts\nconst rate = 0.15;\n// @compose-keep-end';
+
+            const prompt = createPartialPrompt(ir, ['lib/pricing.ts'], {
+                protectedRegions: { 'lib/pricing.ts': new Map([['discounts', block]]) }
+            }, target);
+
+            assert.ok(prompt.includes('**Protected Regions:**'));
+            assert.ok(prompt.includes(`lib/pricing.ts (region "discounts"):\n\`\`\`\n${block}\n\`\`\``));
+        });
+
+        it('should omit the section without protected regions', () => {
+            const prompt = createPartialPrompt(ir, ['lib/pricing.ts'], { protectedRegions: {} }, target);
+
+            assert.ok(!prompt.includes('Protected Regions'));
+        });
     });
 });
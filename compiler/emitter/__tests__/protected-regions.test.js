@@ -0,0 +1,117 @@
+/**
+ * Tests for Protected Regions
+ * Verifies that hand-maintained blocks survive regeneration
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractRegions, applyRegions, preserveRegions, findProtectedRegions } from '../protected-regions.js';
+import { OutputWriter } from '../output-writer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('extractRegions', () => {
+    it('should extract regions by id', () => {
+        const content = [
+            'const a = 1;',
+            '// @compose-keep-start pricing',
+            'const rate = 0.15;',
+            '// @compose-keep-end',
+            'const b = 2;'
+        ].join('\n');
+
+        assert.deepStrictEqual(extractRegions(content), new Map([
+            ['pricing', '// @compose-keep-start pricing\nconst rate = 0.15;\n// @compose-keep-end']
+        ]));
+    });
+
+    it('should accept Python and CSS comments', () => {
+        const content = [
+            '# @compose-keep-start',
+            'RATE = 0.15',
+            '# @compose-keep-end',
+            '/* @compose-keep-start brand */',
+            '.brand { color: teal; }',
+            '/* @compose-keep-end */'
+        ].join('\n');
+
+        assert.deepStrictEqual([...extractRegions(content).keys()], ['region-1', 'brand']);
+    });
+
+    it('should ignore a start marker without an end marker', () => {
+        assert.strictEqual(extractRegions('// @compose-keep-start open\nconst a = 1;').size, 0);
+    });
+});
+
+describe('applyRegions', () => {
+    const regions = new Map([['pricing', '// @compose-keep-start pricing\nconst rate = 0.15;\n// @compose-keep-end']]);
+
+    it('should replace the regenerated region with the kept one', () => {
+        const regenerated = 'const a = 2;\n// @compose-keep-start pricing\nconst rate = 0.1;\n// @compose-keep-end\n';
+
+        const result = applyRegions(regenerated, regions);
+
+        assert.strictEqual(result.content, 'const a = 2;\n// @compose-keep-start pricing\nconst rate = 0.15;\n// @compose-keep-end\n');
+        assert.deepStrictEqual(result.kept, ['pricing']);
+        assert.deepStrictEqual(result.appended, []);
+    });
+
+    it('should append regions the regenerated content lost', () => {
+        const result = applyRegions('const a = 2;\n', regions);
+
+        assert.strictEqual(result.content, 'const a = 2;\n\n// @compose-keep-start pricing\nconst rate = 0.15;\n// @compose-keep-end\n');
+        assert.deepStrictEqual(result.appended, ['pricing']);
+    });
+});
+
+describe('protected regions on disk', () => {
+    const testDir = path.join(__dirname, '.test-protected-regions');
+
+    beforeEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(path.join(testDir, 'src/lib'), { recursive: true });
+        fs.writeFileSync(
+            path.join(testDir, 'src/lib/pricing.py'),
+            'def total():\n    # @compose-keep-start rules\n    return 42\n    # @compose-keep-end\n'
+        );
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should leave new files untouched', () => {
+        const result = preserveRegions(path.join(testDir, 'missing.js'), 'const a = 1;');
+
+        assert.strictEqual(result.content, 'const a = 1;');
+    });
+
+    it('should find regions of generated files below src/', () => {
+        const found = findProtectedRegions(testDir, ['lib/pricing.py', 'lib/other.py']);
+
+        assert.deepStrictEqual(Object.keys(found), ['lib/pricing.py']);
+        assert.ok(found['lib/pricing.py'].get('rules').includes('return 42'));
+    });
+
+    it('should be carried over by the output writer', () => {
+        const writer = new OutputWriter(path.join(testDir, 'src'));
+
+        writer.writeFile({
+            path: 'lib/pricing.py',
+            content: 'def total():\n    # @compose-keep-start rules\n    return 0\n    # @compose-keep-end\n'
+        });
+
+        assert.strictEqual(
+            fs.readFileSync(path.join(testDir, 'src/lib/pricing.py'), 'utf8'),
+            'def total():\n    # @compose-keep-start rules\n    return 42\n    # @compose-keep-end\n'
+        );
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Tests for Provenance Manifest
+ * Verifies annotation parsing, inference from exports and the emitter's use of the manifest
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ProvenanceManifest, parseImplements, inferProvenance, isOrphaned } from '../provenance.js';
+import { CodeEmitter } from '../code-emitter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ir = {
+    models: [{ name: 'User', fields: [] }, { name: 'OrderItem', fields: [] }],
+    features: [{ name: 'User Management', description: [] }, { name: 'Checkout', description: [] }],
+    guides: [{ name: 'Styling', hints: [] }]
+};
+
+describe('parseImplements', () => {
+    it('should map annotated names onto the IR', () => {
+        assert.deepStrictEqual(parseImplements('Model: user; Feature: User Management; Guide: Styling', ir), {
+            models: ['User'],
+            features: ['User Management'],
+            guides: ['Styling']
+        });
+    });
+
+    it('should accept commas and drop unknown names', () => {
+        assert.deepStrictEqual(parseImplements('Model: User, Model: Invoice, Feature: Checkout', ir), {
+            models: ['User'],
+            features: ['Checkout'],
+            guides: []
+        });
+    });
+
+    it('should read Shared as implementing nothing', () => {
+        assert.deepStrictEqual(parseImplements('Shared', ir), { models: [], features: [], guides: [] });
+    });
+});
+
+describe('inferProvenance', () => {
+    it('should match model names in export names', () => {
+        const exports = { createOrderItem: { kind: 'function' }, UserBadge: { kind: 'function' } };
+
+        assert.deepStrictEqual(inferProvenance('lib/helpers.ts', exports, ir).models, ['User', 'OrderItem']);
+    });
+
+    it('should match feature names in path segments', () => {
+        const result = inferProvenance('app/user-management/page.tsx', {}, ir);
+
+        assert.deepStrictEqual(result.features, ['User Management']);
+        assert.deepStrictEqual(result.models, ['User']);
+    });
+
+    it('should not match partial words', () => {
+        const exports = { formatUsername: { kind: 'function' } };
+
+        assert.deepStrictEqual(inferProvenance('lib/format.ts', exports, ir).models, []);
+    });
+
+    it('should accept plural names', () => {
+        assert.deepStrictEqual(inferProvenance('app/users/page.tsx', null, ir).models, ['User']);
+    });
+});
+
+describe('isOrphaned', () => {
+    it('should only orphan entries whose every element is gone', () => {
+        assert.strictEqual(isOrphaned({ models: ['Invoice'], features: [], guides: [] }, ir), true);
+        assert.strictEqual(isOrphaned({ models: ['Invoice', 'User'], features: [], guides: [] }, ir), false);
+    });
+
+    it('should never orphan shared files', () => {
+        assert.strictEqual(isOrphaned({ models: [], features: [], guides: [] }, ir), false);
+    });
+});
+
+describe('ProvenanceManifest', () => {
+    const cacheDir = path.join(__dirname, '.test-provenance');
+
+    beforeEach(() => {
+        if (fs.existsSync(cacheDir)) {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+        }
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(cacheDir)) {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should record annotated and inferred files', () => {
+        const manifest = new ProvenanceManifest(cacheDir);
+
+        manifest.record(ir, [
+            { path: 'app/globals.css', content: '', implements: 'Guide: Styling' },
+            { path: 'lib/users.ts', content: '' },
+            { path: 'lib/format.ts', content: '' }
+        ], new Map([['lib/users.ts', { getUser: { kind: 'function' } }], ['lib/format.ts', {}]]));
+
+        assert.deepStrictEqual(manifest.load(), {
+            'app/globals.css': { models: [], features: [], guides: ['Styling'], source: 'annotation' },
+            'lib/users.ts': { models: ['User'], features: [], guides: [], source: 'inferred' }
+        });
+    });
+
+    it('should merge incremental records and replace on full builds', () => {
+        const manifest = new ProvenanceManifest(cacheDir);
+        manifest.record(ir, [{ path: 'a.ts', content: '', implements: 'Model: User' }]);
+
+        manifest.record(ir, [{ path: 'b.ts', content: '', implements: 'Feature: Checkout' }]);
+        assert.deepStrictEqual(Object.keys(manifest.load()), ['a.ts', 'b.ts']);
+
+        manifest.record(ir, [{ path: 'c.ts', content: '', implements: 'Shared' }], new Map(), { replace: true });
+        assert.deepStrictEqual(Object.keys(manifest.load()), ['c.ts']);
+    });
+
+    it('should keep orphaned entries on full builds until they are pruned', () => {
+        const manifest = new ProvenanceManifest(cacheDir);
+        manifest.record(ir, [
+            { path: 'a.ts', content: '', implements: 'Model: User' },
+            { path: 'b.ts', content: '', implements: 'Feature: Checkout' }
+        ]);
+
+        const withoutCheckout = { ...ir, features: [ir.features[0]] };
+        manifest.record(withoutCheckout, [{ path: 'c.ts', content: '', implements: 'Shared' }], new Map(), { replace: true });
+
+        assert.deepStrictEqual(Object.keys(manifest.load()), ['b.ts', 'c.ts']);
+    });
+});
+
+describe('CodeEmitter provenance', () => {
+    const testDir = path.join(__dirname, '.test-provenance-emitter');
+    const target = { language: 'typescript', output: './generated' };
+    let originalCwd;
+
+    /**
+     * Create a client answering every prompt with the given output
+     */
+    function clientReturning(output) {
+        return {
+            prompts: [],
+            lastGeneration: null,
+            async generate(system, prompt) {
+                this.prompts.push(prompt);
+                return output;
+            }
+        };
+    }
+
+    beforeEach(() => {
+        originalCwd = process.cwd();
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(testDir, { recursive: true });
+        process.chdir(testDir);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should regenerate only the files implementing a changed model', async () => {
+        const emitter = new CodeEmitter(target, { targetName: 'web' });
+        emitter.llmClient = clientReturning([
+            '### FILE: lib/types.ts',
+            '### IMPLEMENTS: Model: User; Model: OrderItem',
+            'export interface User { id: string }',
+            '### FILE: lib/pricing.ts',
+            '### IMPLEMENTS: Model: OrderItem',
+            'export const total = 0;',
+            '### FILE: app/checkout/page.tsx',
+            '### IMPLEMENTS: Feature: Checkout',
+            'export default function Page() { return null; }',
+            '### FILE: app/globals.css',
+            '### IMPLEMENTS: Guide: Styling',
+            'body {}'
+        ].join('\n'));
+        await emitter.emit(ir);
+
+        const recorded = JSON.parse(fs.readFileSync('.compose/cache/targets/web/provenance.json', 'utf8'));
+        assert.deepStrictEqual(recorded['lib/pricing.ts'].models, ['OrderItem']);
+        assert.deepStrictEqual(recorded['app/globals.css'].guides, ['Styling']);
+
+        const changedIR = {
+            ...ir,
+            models: [{ name: 'User', fields: [{ name: 'email', type: { baseType: 'text' } }] }, ir.models[1]]
+        };
+        const next = new CodeEmitter(target, { targetName: 'web' });
+        next.llmClient = clientReturning('### FILE: lib/types.ts\n### IMPLEMENTS: Model: User; Model: OrderItem\nexport interface User { id: string; email: string }');
+        const result = await next.emit(changedIR);
+
+        assert.deepStrictEqual(result.files.map(f => f.path), ['lib/types.ts']);
+        assert.ok(next.llmClient.prompts[0].includes('Regenerate ONLY these 1 file(s):\n- lib/types.ts'));
+    });
+});
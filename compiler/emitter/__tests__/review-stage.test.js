@@ -0,0 +1,216 @@
+/**
+ * Tests for Review Stage
+ * Verifies that staged files are accepted, rejected or edited before merging
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { ReviewStage, createReviewPrompt } from '../review-stage.js';
+import { FileHashCache } from '../file-hash-cache.js';
+import { previewWrite } from '../code-merger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('ReviewStage', () => {
+    const testDir = path.join(__dirname, '.test-review-stage');
+    const stagingDir = path.join(testDir, 'staging');
+    const outputDir = path.join(testDir, 'generated/web');
+    const resolvePath = filePath => path.join(outputDir, filePath);
+
+    const files = [
+        { path: 'lib/users.ts', content: 'export function getUser() { return null; }\n' },
+        { path: 'lib/orders.ts', content: 'export function getOrders() { return []; }\n' },
+        { path: 'lib/utils.ts', content: 'export const noop = () => {};\n' }
+    ];
+
+    /**
+     * Answer the review with a fixed sequence of replies
+     */
+    function answering(...replies) {
+        const asked = [];
+        const ask = async (change) => {
+            asked.push(change);
+            return replies.shift();
+        };
+        return { ask, asked };
+    }
+
+    beforeEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(path.join(outputDir, 'lib'), { recursive: true });
+        fs.writeFileSync(resolvePath('lib/users.ts'), 'export function getUser() {}\n');
+        fs.writeFileSync(resolvePath('lib/utils.ts'), 'export const noop = () => {};\n');
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should only ask about changed files', async () => {
+        const stage = new ReviewStage({ stagingDir });
+        const { ask, asked } = answering('accept', 'accept');
+
+        const result = await stage.review(files, { resolvePath, ask });
+
+        assert.deepStrictEqual(asked.map(change => change.path), ['lib/users.ts', 'lib/orders.ts']);
+        assert.deepStrictEqual(result.accepted.map(file => file.path), ['lib/users.ts', 'lib/orders.ts', 'lib/utils.ts']);
+        assert.deepStrictEqual(result.rejected, []);
+    });
+
+    it('should describe each change with a diff', async () => {
+        const stage = new ReviewStage({ stagingDir });
+        const { ask, asked } = answering('accept', 'accept');
+
+        await stage.review(files, { resolvePath, ask });
+
+        assert.strictEqual(asked[0].isNew, false);
+        assert.deepStrictEqual([asked[0].added, asked[0].removed], [1, 1]);
+        assert.match(asked[0].diff, /^\+export function getUser\(\) \{ return null; \}$/m);
+        assert.strictEqual(asked[1].isNew, true);
+        assert.strictEqual(asked[1].total, 3);
+    });
+
+    it('should leave rejected files out and keep their staged copy', async () => {
+        const stage = new ReviewStage({ stagingDir });
+        const { ask } = answering('reject', 'accept');
+
+        const result = await stage.review(files, { resolvePath, ask });
+
+        assert.deepStrictEqual(result.rejected, ['lib/users.ts']);
+        assert.ok(!result.accepted.some(file => file.path === 'lib/users.ts'));
+        assert.ok(fs.existsSync(stage.getStagedPath('lib/users.ts')));
+        assert.ok(!fs.existsSync(stage.getStagedPath('lib/orders.ts')));
+    });
+
+    it('should accept edits made to the staged copy', async () => {
+        const stage = new ReviewStage({ stagingDir });
+        const { ask, asked } = answering('edit', 'accept', 'accept');
+        const edit = async (stagedPath) => {
+            fs.writeFileSync(stagedPath, 'export function getUser() { return undefined; }\n');
+        };
+
+        const result = await stage.review(files, { resolvePath, ask, edit });
+
+        // The diff is shown again after editing
+        assert.match(asked[1].diff, /return undefined/);
+        assert.strictEqual(result.accepted[0].content, 'export function getUser() { return undefined; }\n');
+    });
+
+    it('should apply accept-all and reject-all to the remaining files', async () => {
+        const stage = new ReviewStage({ stagingDir });
+
+        const accepted = await stage.review(files, { resolvePath, ask: answering('accept-all').ask });
+        assert.strictEqual(accepted.accepted.length, 3);
+
+        const rejected = await stage.review(files, { resolvePath, ask: answering('reject-all').ask });
+        assert.deepStrictEqual(rejected.rejected, files.map(file => file.path));
+    });
+
+    it('should show the output as it will be merged, with protected regions kept', async () => {
+        fs.writeFileSync(resolvePath('lib/users.ts'), [
+            'export function getUser() {}',
+            '// @compose-keep-start rules',
+            'const rules = [];',
+            '// @compose-keep-end',
+            ''
+        ].join('\n'));
+        const stage = new ReviewStage({ stagingDir });
+        const { ask, asked } = answering('accept', 'accept');
+
+        await stage.review(files, { resolvePath, ask });
+
+        assert.doesNotMatch(asked[0].diff, /^-const rules/m);
+    });
+
+    it('should show hand edits merged in as they will be written', async () => {
+        const hashCache = new FileHashCache(path.join(testDir, 'cache'));
+        const generated = 'export function getUser() {}\n\nexport const version = 1;\n';
+        hashCache.updateHash(resolvePath('lib/users.ts'), generated);
+        hashCache.saveBase(resolvePath('lib/users.ts'), generated);
+        // Hand edit on the last line, regenerated change on the first
+        fs.writeFileSync(resolvePath('lib/users.ts'), 'export function getUser() {}\n\nexport const version = 2;\n');
+        const regenerated = [{ path: 'lib/users.ts', content: 'export function getUser() { return null; }\n\nexport const version = 1;\n' }];
+        const stage = new ReviewStage({ stagingDir });
+        const { ask, asked } = answering('accept');
+
+        await stage.review(regenerated, {
+            resolvePath,
+            preview: (diskPath, content) => previewWrite(diskPath, content, hashCache),
+            ask
+        });
+
+        assert.strictEqual(asked[0].writtenPath, resolvePath('lib/users.ts'));
+        assert.deepStrictEqual([asked[0].added, asked[0].removed], [1, 1]);
+        assert.doesNotMatch(asked[0].diff, /^-export const version = 2;$/m);
+    });
+
+    it('should diff against the conflict side file when the merge goes there', async () => {
+        const hashCache = new FileHashCache(path.join(testDir, 'cache'));
+        hashCache.updateHash(resolvePath('lib/users.ts'), 'export function getUser() { return 1; }\n');
+        hashCache.saveBase(resolvePath('lib/users.ts'), 'export function getUser() { return 1; }\n');
+        const stage = new ReviewStage({ stagingDir });
+        const { ask, asked } = answering('accept');
+
+        await stage.review(files.slice(0, 1), {
+            resolvePath,
+            preview: (diskPath, content) => previewWrite(diskPath, content, hashCache, 'file'),
+            ask
+        });
+
+        assert.strictEqual(asked[0].writtenPath, `${resolvePath('lib/users.ts')}.compose-conflict`);
+        assert.strictEqual(asked[0].isNew, true);
+    });
+
+    it('should end the review on a reply it does not know', async () => {
+        const stage = new ReviewStage({ stagingDir });
+        const { ask, asked } = answering(null);
+
+        const result = await stage.review(files, { resolvePath, ask });
+
+        assert.strictEqual(asked.length, 1);
+        assert.deepStrictEqual(result.rejected, files.map(file => file.path));
+    });
+
+    it('should read piped answers one per question from a single prompt', async () => {
+        const stage = new ReviewStage({ stagingDir });
+        const output = new PassThrough();
+        const prompt = createReviewPrompt({ input: Readable.from(['x\nn\n', 'y\n']), output });
+
+        const result = await stage.review(files, { resolvePath, ask: prompt.ask });
+        prompt.close();
+
+        assert.deepStrictEqual(result.rejected, ['lib/users.ts']);
+        assert.deepStrictEqual(result.accepted.map(file => file.path), ['lib/orders.ts', 'lib/utils.ts']);
+        // The unknown answer was asked again
+        assert.strictEqual(output.read().toString().match(/Accept this file\?/g).length, 3);
+    });
+
+    it('should reject the remaining files once the input ends', async () => {
+        const stage = new ReviewStage({ stagingDir });
+        const prompt = createReviewPrompt({ input: Readable.from(['y\n']), output: new PassThrough() });
+
+        const result = await stage.review(files, { resolvePath, ask: prompt.ask });
+        prompt.close();
+
+        assert.deepStrictEqual(result.accepted.map(file => file.path), ['lib/users.ts']);
+        assert.deepStrictEqual(result.rejected, ['lib/orders.ts', 'lib/utils.ts']);
+    });
+
+    it('should clear files staged by an earlier review', async () => {
+        const stage = new ReviewStage({ stagingDir });
+        await stage.review(files, { resolvePath, ask: answering('reject-all').ask });
+
+        await stage.review([files[1]], { resolvePath, ask: answering('accept').ask });
+
+        assert.ok(!fs.existsSync(stage.getStagedPath('lib/users.ts')));
+    });
+});
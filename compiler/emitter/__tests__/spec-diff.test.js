@@ -0,0 +1,174 @@
+/**
+ * Tests for Spec Diff
+ * Verifies the field-level diff shown by compose diff
+ */
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { diffSpecs, formatSpecDiff, formatFieldType } from '../spec-diff.js';
+
+const field = (name, baseType, extra = {}) => ({
+    name,
+    type: { baseType, isArray: extra.isArray || false, enumValues: extra.enumValues || null },
+    optional: extra.optional || false,
+    constraints: extra.constraints || []
+});
+
+describe('diffSpecs', () => {
+    const previous = {
+        models: [
+            { name: 'User', fields: [field('name', 'text'), field('age', 'text'), field('nickname', 'text')] },
+            { name: 'Invoice', fields: [field('total', 'number')] }
+        ],
+        features: [{ name: 'Sign Up', description: ['Users can register'] }],
+        guides: [{ name: 'Auth', hints: ['Use bcrypt'] }]
+    };
+
+    const current = {
+        models: [
+            { name: 'User', fields: [field('name', 'text'), field('age', 'number'), field('email', 'text', { constraints: [{ name: 'unique', value: null }] })] },
+            { name: 'Order', fields: [field('items', 'text', { isArray: true })] }
+        ],
+        features: [{ name: 'Sign Up', description: ['Users can register', 'Users verify their email'] }],
+        guides: [{ name: 'Auth', hints: ['Use bcrypt'] }]
+    };
+
+    it('should report added, removed and modified models field by field', () => {
+        const diff = diffSpecs(previous, current);
+
+        assert.strictEqual(diff.hasChanges, true);
+        assert.deepStrictEqual(diff.models.added.map(model => model.name), ['Order']);
+        assert.deepStrictEqual(diff.models.removed.map(model => model.name), ['Invoice']);
+        assert.deepStrictEqual(diff.models.modified, [{
+            name: 'User',
+            fields: {
+                added: [{ name: 'email', type: 'text', constraints: ['unique'] }],
+                removed: [{ name: 'nickname', type: 'text', constraints: [] }],
+                changed: [{
+                    name: 'age',
+                    from: { name: 'age', type: 'text', constraints: [] },
+                    to: { name: 'age', type: 'number', constraints: [] }
+                }]
+            }
+        }]);
+    });
+
+    it('should report added and removed feature bullets and guide hints', () => {
+        const diff = diffSpecs(previous, current);
+
+        assert.deepStrictEqual(diff.features.modified, [{ name: 'Sign Up', added: ['Users verify their email'], removed: [] }]);
+        assert.deepStrictEqual(diff.guides, { added: [], removed: [], modified: [] });
+    });
+
+    it('should treat everything as added before the first build', () => {
+        const diff = diffSpecs(null, current);
+
+        assert.strictEqual(diff.isInitialBuild, true);
+        assert.deepStrictEqual(diff.models.added.map(model => model.name), ['User', 'Order']);
+        assert.deepStrictEqual(diff.guides.added, [{ name: 'Auth', items: ['Use bcrypt'] }]);
+    });
+
+    it('should report changed constraint arguments and defaults', () => {
+        const before = { models: [{ name: 'User', fields: [field('name', 'text', { constraints: [{ name: 'min', value: 2 }] })] }] };
+        const after = { models: [{ name: 'User', fields: [field('name', 'text', {
+            constraints: [{ name: 'min', value: 3 }, { name: 'default', value: 'guest' }]
+        })] }] };
+
+        const diff = diffSpecs(before, after);
+
+        assert.deepStrictEqual(diff.models.modified[0].fields.changed, [{
+            name: 'name',
+            from: { name: 'name', type: 'text', constraints: ['min 2'] },
+            to: { name: 'name', type: 'text', constraints: ['min 3', 'default "guest"'] }
+        }]);
+        assert.match(formatSpecDiff(diff), /~ name: text \(min 2\) → text \(min 3, default "guest"\)/);
+    });
+
+    it('should report changed parents, mixins, type aliases and relations', () => {
+        const relation = (name, cardinality, onDelete = null) => ({ name, cardinality, onDelete });
+        const before = {
+            models: [{ name: 'Admin', fields: [], extends: 'User', mixins: ['Timestamps'] }],
+            typeAliases: [{ name: 'Email', type: { baseType: 'text', isArray: false }, optional: false }],
+            relations: [relation('User.todos <-> Todo.owner', 'one-to-many'), relation('User.team <-> Team', 'one-to-many')]
+        };
+        const after = {
+            models: [{ name: 'Admin', fields: [], extends: null, mixins: ['Audited'] }],
+            typeAliases: [{ name: 'Email', type: { baseType: 'text', isArray: false }, optional: true }],
+            relations: [relation('User.todos <-> Todo.owner', 'one-to-many', 'cascade')]
+        };
+
+        const diff = diffSpecs(before, after);
+
+        assert.strictEqual(diff.hasChanges, true);
+        assert.deepStrictEqual(diff.models.modified, [{
+            name: 'Admin',
+            fields: { added: [], removed: [], changed: [] },
+            extends: { from: 'User', to: null },
+            mixins: { added: ['Audited'], removed: ['Timestamps'] }
+        }]);
+        assert.deepStrictEqual(diff.typeAliases.modified, [{ name: 'Email', from: 'text', to: 'text?' }]);
+        assert.deepStrictEqual(diff.relations.removed, [{ name: 'User.team <-> Team', summary: 'one-to-many' }]);
+        assert.strictEqual(formatSpecDiff(diff, 'text'), [
+            'Models',
+            '  ~ Admin',
+            '      ~ extends: User → nothing',
+            '      + with Audited',
+            '      - with Timestamps',
+            'Type Aliases',
+            '  ~ Email',
+            '      ~ text → text?',
+            'Relations',
+            '  - User.team <-> Team',
+            '  ~ User.todos <-> Todo.owner',
+            '      ~ one-to-many → one-to-many, on delete cascade'
+        ].join('\n'));
+        assert.match(formatSpecDiff(diff, 'markdown'), /- \*\*Modified\*\* `Admin`\n  - changed extends: `User` → nothing\n  - added `with Audited`/);
+    });
+
+    it('should find no changes in an identical spec', () => {
+        const diff = diffSpecs(current, structuredClone(current));
+
+        assert.strictEqual(diff.hasChanges, false);
+        assert.strictEqual(formatSpecDiff(diff), 'No spec changes');
+    });
+});
+
+describe('formatFieldType', () => {
+    it('should write types the way .compose files do', () => {
+        assert.strictEqual(formatFieldType(field('tags', 'text', { isArray: true })), 'list of text');
+        assert.strictEqual(formatFieldType(field('manager', 'User', { optional: true })), 'User?');
+        assert.strictEqual(formatFieldType(field('role', 'enum', { enumValues: ['admin', 'member'] })), '"admin" | "member"');
+    });
+});
+
+describe('formatSpecDiff', () => {
+    const diff = diffSpecs(
+        { models: [{ name: 'User', fields: [field('age', 'text')] }], features: [], guides: [] },
+        { models: [{ name: 'User', fields: [field('age', 'number')] }], features: [{ name: 'Checkout', description: ['Pay by card'] }], guides: [] }
+    );
+
+    it('should format text', () => {
+        assert.strictEqual(formatSpecDiff(diff, 'text'), [
+            'Models',
+            '  ~ User',
+            '      ~ age: text → number',
+            'Features',
+            '  + Checkout',
+            '      Pay by card'
+        ].join('\n'));
+    });
+
+    it('should format Markdown', () => {
+        assert.strictEqual(formatSpecDiff(diff, 'markdown'), [
+            '#### Models',
+            '',
+            '- **Modified** `User`',
+            '  - changed `age`: `text` → `number`',
+            '',
+            '#### Features',
+            '',
+            '- **Added** `Checkout`',
+            '  - Pay by card'
+        ].join('\n'));
+    });
+});
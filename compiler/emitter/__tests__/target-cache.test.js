@@ -0,0 +1,138 @@
+/**
+ * Tests for Target Cache
+ * Verifies per-target cache directories and migration of shared caches
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getTargetCacheDir, migrateLegacyCache } from '../target-cache.js';
+import { CodeEmitter } from '../code-emitter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Target Cache', () => {
+    const cacheRoot = path.join(__dirname, '.test-target-cache');
+
+    /**
+     * Write a JSON file into the cache root
+     */
+    function writeCache(file, data) {
+        fs.mkdirSync(cacheRoot, { recursive: true });
+        fs.writeFileSync(path.join(cacheRoot, file), JSON.stringify(data));
+    }
+
+    const readJSON = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    beforeEach(() => {
+        if (fs.existsSync(cacheRoot)) {
+            fs.rmSync(cacheRoot, { recursive: true, force: true });
+        }
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(cacheRoot)) {
+            fs.rmSync(cacheRoot, { recursive: true, force: true });
+        }
+    });
+
+    it('should place each target in its own directory', () => {
+        assert.strictEqual(getTargetCacheDir('web'), '.compose/cache/targets/web');
+        assert.strictEqual(getTargetCacheDir('api/v1', 'cache'), 'cache/targets/api_v1');
+    });
+
+    it('should do nothing without legacy caches', () => {
+        assert.strictEqual(migrateLegacyCache({ web: { output: './generated/web' } }, cacheRoot), null);
+    });
+
+    it('should move a single target cache into the target directory', () => {
+        writeCache('ir.json', { ir: { models: [] } });
+        writeCache('export-map.json', { 'App.js': {} });
+        writeCache('llm-responses.json', {});
+
+        const result = migrateLegacyCache({ web: { output: './generated/web' } }, cacheRoot);
+
+        assert.deepStrictEqual(result, { migrated: ['ir.json', 'export-map.json'], discarded: [] });
+        const targetDir = getTargetCacheDir('web', cacheRoot);
+        assert.deepStrictEqual(readJSON(path.join(targetDir, 'ir.json')), { ir: { models: [] } });
+        assert.ok(fs.existsSync(path.join(targetDir, 'export-map.json')));
+        assert.ok(!fs.existsSync(path.join(cacheRoot, 'ir.json')));
+        // The LLM response cache stays shared
+        assert.ok(fs.existsSync(path.join(cacheRoot, 'llm-responses.json')));
+    });
+
+    it('should split file hashes by output directory for several targets', () => {
+        writeCache('file-hashes.json', {
+            'generated/web/app/page.tsx': { hash: 'a' },
+            'generated/api/server.js': { hash: 'b' }
+        });
+        writeCache('ir.json', { ir: {} });
+
+        const result = migrateLegacyCache({
+            web: { output: './generated/web' },
+            api: { output: './generated/api/' }
+        }, cacheRoot);
+
+        assert.deepStrictEqual(result, { migrated: ['file-hashes.json'], discarded: ['ir.json'] });
+        assert.deepStrictEqual(
+            readJSON(path.join(getTargetCacheDir('web', cacheRoot), 'file-hashes.json')),
+            { 'generated/web/app/page.tsx': { hash: 'a' } }
+        );
+        assert.deepStrictEqual(
+            readJSON(path.join(getTargetCacheDir('api', cacheRoot), 'file-hashes.json')),
+            { 'generated/api/server.js': { hash: 'b' } }
+        );
+        // The mixed IR snapshot is set aside, not deleted
+        assert.ok(fs.existsSync(path.join(cacheRoot, 'legacy', 'ir.json')));
+        assert.ok(!fs.existsSync(path.join(getTargetCacheDir('web', cacheRoot), 'ir.json')));
+    });
+
+    it('should not overwrite a cache the target already has', () => {
+        writeCache('ir.json', { ir: 'legacy' });
+        const targetDir = getTargetCacheDir('web', cacheRoot);
+        fs.mkdirSync(targetDir, { recursive: true });
+        fs.writeFileSync(path.join(targetDir, 'ir.json'), JSON.stringify({ ir: 'current' }));
+
+        migrateLegacyCache({ web: { output: './generated/web' } }, cacheRoot);
+
+        assert.deepStrictEqual(readJSON(path.join(targetDir, 'ir.json')), { ir: 'current' });
+        assert.ok(!fs.existsSync(path.join(cacheRoot, 'ir.json')));
+    });
+});
+
+describe('CodeEmitter per-target caches', () => {
+    const testDir = path.join(__dirname, '.test-target-cache-emitter');
+    let originalCwd;
+
+    beforeEach(() => {
+        originalCwd = process.cwd();
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+        fs.mkdirSync(testDir, { recursive: true });
+        process.chdir(testDir);
+    });
+
+    afterEach(() => {
+        process.chdir(originalCwd);
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should keep one IR snapshot per target', async () => {
+        const frontendIR = { models: [{ name: 'User', fields: [] }], features: [], guides: [] };
+        const backendIR = { models: [{ name: 'Order', fields: [] }], features: [], guides: [] };
+
+        await new CodeEmitter({ language: 'typescript' }, { targetName: 'frontend' }).emit(frontendIR);
+        await new CodeEmitter({ language: 'javascript' }, { targetName: 'backend' }).emit(backendIR);
+
+        const snapshot = name => JSON.parse(fs.readFileSync(`.compose/cache/targets/${name}/ir.json`, 'utf8')).ir;
+        assert.deepStrictEqual(snapshot('frontend'), frontendIR);
+        assert.deepStrictEqual(snapshot('backend'), backendIR);
+        assert.ok(!fs.existsSync('.compose/cache/ir.json'));
+    });
+});
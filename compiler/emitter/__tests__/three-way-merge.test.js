@@ -0,0 +1,86 @@
+/**
+ * Tests for Three-Way Merge
+ * Verifies line-based merging of hand edits and regenerated code
+ */
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { mergeThreeWay, hasConflictMarkers, matchLines } from '../three-way-merge.js';
+
+const lines = (...items) => items.join('\n');
+
+describe('mergeThreeWay', () => {
+    const base = lines('import a from "a";', '', 'function one() {}', '', 'function two() {}', '');
+
+    it('should take changes made on one side only', () => {
+        const local = base.replace('function one() {}', 'function one() { return 1; }');
+        const generated = base.replace('function two() {}', 'function two() { return 2; }');
+
+        const result = mergeThreeWay(base, local, generated);
+
+        assert.strictEqual(result.conflicts, 0);
+        assert.strictEqual(result.content, lines(
+            'import a from "a";', '', 'function one() { return 1; }', '', 'function two() { return 2; }', ''
+        ));
+    });
+
+    it('should keep lines added locally and by the generator', () => {
+        const local = base.replace('import a from "a";', 'import a from "a";\nimport b from "b";');
+        const generated = `${base}function three() {}\n`;
+
+        const result = mergeThreeWay(base, local, generated);
+
+        assert.strictEqual(result.conflicts, 0);
+        assert.ok(result.content.includes('import b from "b";'));
+        assert.ok(result.content.endsWith('function three() {}\n'));
+    });
+
+    it('should accept identical changes on both sides', () => {
+        const changed = base.replace('function two() {}', 'function two(x) {}');
+
+        assert.deepStrictEqual(mergeThreeWay(base, changed, changed), { content: changed, conflicts: 0 });
+    });
+
+    it('should mark conflicting changes', () => {
+        const local = base.replace('function two() {}', 'function two(local) {}');
+        const generated = base.replace('function two() {}', 'function two(generated) {}');
+
+        const result = mergeThreeWay(base, local, generated);
+
+        assert.strictEqual(result.conflicts, 1);
+        assert.ok(result.content.includes(lines(
+            '<<<<<<< local (hand edits)', 'function two(local) {}', '=======', 'function two(generated) {}', '>>>>>>> generated'
+        )));
+        assert.ok(hasConflictMarkers(result.content));
+    });
+
+    it('should handle files deleted down to nothing on one side', () => {
+        const result = mergeThreeWay(base, base, '');
+
+        assert.deepStrictEqual(result, { content: '', conflicts: 0 });
+    });
+
+    it('should merge large files with scattered edits', () => {
+        const generated = Array.from({ length: 40000 }, (_, i) => `const line${i} = ${i};`);
+        const local = generated.map((line, i) => i % 1000 === 0 ? `${line} // reviewed` : line);
+        const regenerated = generated.filter((_, i) => i % 1000 !== 500);
+
+        const result = mergeThreeWay(generated.join('\n'), local.join('\n'), regenerated.join('\n'));
+
+        assert.strictEqual(result.conflicts, 0);
+        assert.strictEqual(result.content, local.filter((_, i) => i % 1000 !== 500).join('\n'));
+    });
+});
+
+describe('matchLines', () => {
+    it('should match the lines of a longest common subsequence in order', () => {
+        const match = matchLines(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+
+        assert.strictEqual([...match].filter(index => index !== -1).length, 4);
+        const matched = [...match].map((index, i) => [i, index]).filter(([, index]) => index !== -1);
+        matched.forEach(([i, index], n) => {
+            assert.strictEqual(['a', 'b', 'c', 'a', 'b', 'b', 'a'][i], ['c', 'b', 'a', 'b', 'a', 'c'][index]);
+            if (n > 0) assert.ok(index > matched[n - 1][1]);
+        });
+    });
+});
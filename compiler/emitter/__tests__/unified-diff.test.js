@@ -0,0 +1,56 @@
+/**
+ * Tests for Unified Diff
+ * Verifies the diffs shown when reviewing generated files
+ */
+
+import { describe, it } from 'node:test';
+import { strict as assert } from 'node:assert';
+import { createUnifiedDiff, countChanges } from '../unified-diff.js';
+
+const lines = (...items) => items.join('\n');
+
+describe('createUnifiedDiff', () => {
+    it('should return an empty diff for equal contents', () => {
+        assert.strictEqual(createUnifiedDiff('a\nb\n', 'a\nb\n'), '');
+    });
+
+    it('should show changed lines with their context', () => {
+        const before = lines('1', '2', '3', '4', '5', '6', '7', '8', '');
+        const after = lines('1', '2', '3', '4', 'five', '6', '7', '8', '');
+
+        const diff = createUnifiedDiff(before, after, { oldLabel: 'page.tsx', newLabel: 'page.tsx (generated)' });
+
+        assert.strictEqual(diff, lines(
+            '--- page.tsx',
+            '+++ page.tsx (generated)',
+            '@@ -2,7 +2,7 @@',
+            ' 2', ' 3', ' 4', '-5', '+five', ' 6', ' 7', ' 8'
+        ));
+    });
+
+    it('should split distant changes into separate hunks', () => {
+        const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+        const after = before.replace('line 2\n', 'line two\n').replace('line 19', 'line nineteen');
+
+        const diff = createUnifiedDiff(before, after, { context: 1 });
+
+        assert.deepStrictEqual(diff.split('\n').filter(line => line.startsWith('@@')), [
+            '@@ -1,3 +1,3 @@',
+            '@@ -18,3 +18,3 @@'
+        ]);
+    });
+
+    it('should diff a new file against /dev/null', () => {
+        const diff = createUnifiedDiff(null, 'export {};\n', { newLabel: 'index.ts' });
+
+        assert.strictEqual(diff, lines('--- /dev/null', '+++ index.ts', '@@ -0,0 +1,1 @@', '+export {};'));
+    });
+});
+
+describe('countChanges', () => {
+    it('should count added and removed lines without the header', () => {
+        const diff = createUnifiedDiff(lines('a', 'b', 'c'), lines('a', 'B', 'c', 'd'));
+
+        assert.deepStrictEqual(countChanges(diff), { added: 2, removed: 1 });
+    });
+});
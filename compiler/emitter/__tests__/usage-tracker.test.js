@@ -0,0 +1,117 @@
+/**
+ * Tests for Usage Tracker
+ * Verifies usage recording, budget enforcement and the usage summary
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { strict as assert } from 'node:assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { UsageTracker, BudgetExceededError, summarizeUsage, estimateTokens, createUsageTracker } from '../usage-tracker.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('UsageTracker', () => {
+    const testDir = path.join(__dirname, '.test-usage-tracker');
+    const usageFile = path.join(testDir, 'usage.json');
+    const pricing = { input: 3, output: 15 };
+
+    beforeEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    afterEach(() => {
+        if (fs.existsSync(testDir)) {
+            fs.rmSync(testDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should record calls with their cost', () => {
+        const tracker = new UsageTracker({}, { usageFile, targetName: 'web', pricing, provider: 'anthropic' });
+
+        tracker.record({ model: 'claude-x', inputTokens: 1000, outputTokens: 2000 });
+        tracker.record({ model: 'claude-x', cached: true });
+
+        const entries = JSON.parse(fs.readFileSync(usageFile, 'utf8')).entries;
+        assert.strictEqual(entries.length, 2);
+        assert.strictEqual(entries[0].target, 'web');
+        assert.strictEqual(entries[0].provider, 'anthropic');
+        assert.strictEqual(entries[0].cost, 0.033);
+        assert.strictEqual(entries[1].cached, true);
+        assert.strictEqual(entries[1].cost, 0);
+    });
+
+    it('should share build totals across targets', () => {
+        const tracker = new UsageTracker({ maxTokensPerBuild: 1000 }, { usageFile, pricing });
+        tracker.forTarget('web').record({ inputTokens: 600, outputTokens: 0 });
+
+        const api = tracker.forTarget('api');
+        assert.throws(() => api.checkBudget('x'.repeat(2000)), error => {
+            assert.ok(error instanceof BudgetExceededError);
+            assert.strictEqual(error.limit, 'maxTokensPerBuild');
+            return true;
+        });
+    });
+
+    it('should limit each target separately', () => {
+        const tracker = new UsageTracker({ maxTokensPerTarget: 1000 }, { usageFile });
+        tracker.forTarget('web').record({ inputTokens: 990, outputTokens: 0 });
+
+        assert.throws(() => tracker.forTarget('web').checkBudget('x'.repeat(400)), BudgetExceededError);
+        assert.doesNotThrow(() => tracker.forTarget('api').checkBudget('x'.repeat(400)));
+    });
+
+    it('should enforce the monthly cost across builds', () => {
+        new UsageTracker({}, { usageFile, pricing }).record({ inputTokens: 1_000_000, outputTokens: 0 });
+
+        const nextBuild = new UsageTracker({ monthlyCost: 3 }, { usageFile, pricing });
+        assert.throws(() => nextBuild.checkBudget('x'.repeat(40)), /monthlyCost is 3 USD this month/);
+    });
+
+    it('should ignore usage of earlier months', () => {
+        fs.mkdirSync(testDir, { recursive: true });
+        fs.writeFileSync(usageFile, JSON.stringify({
+            entries: [{ date: '2020-01-01T00:00:00.000Z', target: 'web', inputTokens: 5000, outputTokens: 0, cached: false, cost: 1 }]
+        }));
+
+        const tracker = new UsageTracker({ monthlyTokens: 1000 }, { usageFile });
+        assert.deepStrictEqual(tracker.getMonthTotals(), { tokens: 0, cost: 0 });
+        assert.doesNotThrow(() => tracker.checkBudget('prompt'));
+    });
+
+    it('should price usage from the llm config', () => {
+        const tracker = createUsageTracker({ provider: 'openai', model: 'gpt-4o', budget: { monthlyCost: 5 } }, { usageFile });
+
+        assert.strictEqual(tracker.pricing.source, 'gpt-4o');
+        assert.deepStrictEqual(tracker.budget, { monthlyCost: 5 });
+    });
+});
+
+describe('summarizeUsage', () => {
+    it('should group calls by target and date with cache hit ratios', () => {
+        const entries = [
+            { date: '2026-10-18T10:00:00.000Z', target: 'web', inputTokens: 100, outputTokens: 50, cached: false, cost: 0.5 },
+            { date: '2026-10-18T11:00:00.000Z', target: 'web', inputTokens: 0, outputTokens: 0, cached: true, cost: 0 },
+            { date: '2026-10-19T09:00:00.000Z', target: 'api', inputTokens: 10, outputTokens: 5, cached: false, cost: null }
+        ];
+
+        const summary = summarizeUsage(entries);
+
+        assert.deepStrictEqual(summary.byTarget.web, {
+            calls: 2, cached: 1, cacheHitRatio: 0.5, inputTokens: 100, outputTokens: 50, cost: 0.5, unpriced: 0
+        });
+        assert.deepStrictEqual(Object.keys(summary.byDate), ['2026-10-18', '2026-10-19']);
+        assert.strictEqual(summary.total.calls, 3);
+        assert.strictEqual(summary.total.unpriced, 1);
+    });
+});
+
+describe('estimateTokens', () => {
+    it('should estimate four characters per token', () => {
+        assert.strictEqual(estimateTokens('x'.repeat(10)), 3);
+    });
+});
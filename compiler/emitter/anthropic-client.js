@@ -0,0 +1,292 @@
+/**
+ * Anthropic LLM Client
+ * Real implementation using the Anthropic Messages API
+ */
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+
+export class AnthropicClient {
+    constructor(config, cacheManager = null, usage = null) {
+        this.config = config;
+        this.apiKey = this.resolveApiKey(config.apiKey);
+        this.model = config.model || 'claude-sonnet-4-5';
+        this.temperature = config.temperature ?? 0.7;
+        this.maxTokens = config.maxTokens || 8192;
+        this.maxContinuations = config.maxContinuations ?? 3;
+        this.baseUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.cacheManager = cacheManager;
+        this.usage = usage; // UsageTracker: records tokens and enforces llm.budget
+        this.lastGeneration = null; // { cacheKey, model, cached, truncated } of the latest call
+
+        if (!this.apiKey) {
+            throw new Error('Anthropic API key is required. Set ANTHROPIC_API_KEY environment variable.');
+        }
+    }
+
+    /**
+     * Resolve API key from environment variables
+     */
+    resolveApiKey(keyTemplate) {
+        if (!keyTemplate) return null;
+
+        if (keyTemplate.startsWith('${') && keyTemplate.endsWith('}')) {
+            const envVar = keyTemplate.slice(2, -1);
+            return process.env[envVar];
+        }
+        return keyTemplate;
+    }
+
+    /**
+     * Generate code from prompt
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - User prompt
+     * @param {object} options - Generation options
+     * @returns {Promise<string>} - Generated code
+     */
+    async generate(systemPrompt, userPrompt, options = {}) {
+        let text = '';
+        for await (const chunk of this.stream(systemPrompt, userPrompt, options)) {
+            text += chunk;
+        }
+        return this.stripMarkdown(text);
+    }
+
+    /**
+     * Stream generated text as it arrives
+     * Responses cut off at max_tokens are continued automatically, up to
+     * maxContinuations extra requests, so long outputs arrive in one piece.
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - User prompt
+     * @param {object} options - Generation options
+     * @returns {AsyncGenerator<string>} - Text chunks
+     */
+    async *stream(systemPrompt, userPrompt, options = {}) {
+        const cacheKey = this.cacheManager
+            ? this.cacheManager.generateKey({ systemPrompt, userPrompt }, {
+                model: this.model,
+                temperature: this.temperature,
+                ...options
+            })
+            : null;
+
+        if (cacheKey) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                this.lastGeneration = { cacheKey, model: null, cached: true, truncated: false };
+                this.usage?.record({ model: this.model, cached: true });
+                yield cached;
+                return;
+            }
+            this.cacheManager.assertCanGenerate(cacheKey);
+        }
+        this.usage?.checkBudget(systemPrompt + userPrompt);
+
+        let text = '';
+        let reportedModel = this.model;
+        // Trailing whitespace is held back until more text arrives, as a
+        // continuation prefill cannot end in whitespace. The model may or may not
+        // send it again; what it repeats is dropped, the rest is kept
+        let pending = '';
+        let repeatable = '';
+        let continuations = 0;
+        let stopReason = null;
+        // Summed over the original request and its continuations
+        let inputTokens = 0;
+        let outputTokens = 0;
+
+        while (true) {
+            const messages = [{ role: 'user', content: userPrompt }];
+            if (text) {
+                // Prefill the assistant turn so the model picks up where it stopped
+                messages.push({ role: 'assistant', content: text });
+            }
+
+            stopReason = null;
+            let messageOutputTokens = 0;
+            for await (const event of this.request(systemPrompt, messages, options)) {
+                if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                    let delta = event.delta.text;
+                    if (repeatable) {
+                        let same = 0;
+                        while (same < delta.length && same < repeatable.length && delta[same] === repeatable[same]) {
+                            same++;
+                        }
+                        delta = delta.slice(same);
+                        repeatable = delta ? '' : repeatable.slice(same);
+                    }
+                    const chunk = pending + delta;
+                    const visible = chunk.trimEnd();
+                    pending = chunk.slice(visible.length);
+                    if (visible) {
+                        text += visible;
+                        yield visible;
+                    }
+                } else if (event.type === 'message_start') {
+                    reportedModel = event.message?.model || reportedModel;
+                    inputTokens += event.message?.usage?.input_tokens || 0;
+                } else if (event.type === 'message_delta') {
+                    stopReason = event.delta?.stop_reason ?? stopReason;
+                    // Cumulative for the message
+                    messageOutputTokens = event.usage?.output_tokens ?? messageOutputTokens;
+                } else if (event.type === 'error') {
+                    throw new Error(`Anthropic API error: ${event.error?.message || 'stream error'}`);
+                }
+            }
+            outputTokens += messageOutputTokens;
+
+            if (stopReason !== 'max_tokens' || continuations >= this.maxContinuations) {
+                break;
+            }
+            repeatable = pending;
+            continuations++;
+
+            // A continuation resends the prompt and the text so far; this call's
+            // tokens are only recorded once it ends, so they are passed along
+            try {
+                this.usage?.checkBudget(systemPrompt + userPrompt + text, { inputTokens, outputTokens });
+            } catch (error) {
+                this.usage?.record({ model: reportedModel, inputTokens, outputTokens });
+                throw error;
+            }
+        }
+
+        if (pending) {
+            text += pending;
+            yield pending;
+        }
+
+        // Still at max_tokens after the last continuation: the output is cut off
+        this.lastGeneration = { cacheKey, model: reportedModel, cached: false, truncated: stopReason === 'max_tokens' };
+        this.usage?.record({ model: reportedModel, inputTokens, outputTokens });
+
+        // A cut-off response would be replayed as complete
+        if (cacheKey && !this.lastGeneration.truncated) {
+            this.cacheManager.set(cacheKey, this.stripMarkdown(text));
+        }
+    }
+
+    /**
+     * Send a streaming Messages API request and yield the parsed SSE events
+     * @param {string} systemPrompt - System prompt (omitted when empty)
+     * @param {Array} messages - Conversation messages
+     * @param {object} options - Extra request body fields
+     * @returns {AsyncGenerator<object>} - Server-sent events
+     */
+    async *request(systemPrompt, messages, options = {}) {
+        const body = {
+            model: this.model,
+            max_tokens: this.maxTokens,
+            temperature: this.temperature,
+            messages,
+            stream: true,
+            ...options
+        };
+        if (systemPrompt) {
+            body.system = systemPrompt;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/v1/messages`, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': API_VERSION
+                },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new Error(`Anthropic API error: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            let message = response.statusText;
+            try {
+                const data = await response.json();
+                message = data.error?.message || message;
+            } catch {
+                // Body was not JSON, keep the status text
+            }
+
+            if (response.status === 429) {
+                throw new Error('Anthropic API rate limit exceeded. Please try again later.');
+            } else if (response.status === 401) {
+                throw new Error('Invalid Anthropic API key. Please check your configuration.');
+            } else if (response.status === 529) {
+                throw new Error('Anthropic API is overloaded. Please try again later.');
+            } else {
+                throw new Error(`Anthropic API error: ${message}`);
+            }
+        }
+
+        yield* this.parseEvents(response.body);
+    }
+
+    /**
+     * Parse a server-sent events body into JSON event objects
+     * @param {ReadableStream} body - Response body stream
+     * @returns {AsyncGenerator<object>} - Parsed events
+     */
+    async *parseEvents(body) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (const chunk of body) {
+            buffer += decoder.decode(chunk, { stream: true });
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                const event = this.parseEvent(rawEvent);
+                if (event) yield event;
+            }
+        }
+
+        const event = this.parseEvent(buffer + decoder.decode());
+        if (event) yield event;
+    }
+
+    /**
+     * Parse a single SSE block, returning the JSON payload of its data lines
+     */
+    parseEvent(rawEvent) {
+        const data = rawEvent
+            .replace(/\r/g, '')
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+
+        if (!data) return null;
+
+        try {
+            return JSON.parse(data);
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Strip markdown code fences from LLM output
+     */
+    stripMarkdown(text) {
+        // Remove ```language and ``` fences
+        return text
+            .replace(/^```[\w]*\n/gm, '')
+            .replace(/\n```$/gm, '')
+            .replace(/^```\n/gm, '')
+            .replace(/\n```\n/gm, '\n')
+            .trim();
+    }
+
+    /**
+     * Get model name
+     */
+    getModel() {
+        return this.model;
+    }
+}
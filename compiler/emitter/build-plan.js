@@ -0,0 +1,90 @@
+/**
+ * Build Plan
+ * Estimates what a build would regenerate and what it would cost, without
+ * calling the LLM or writing anything
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { CodeEmitter } from './code-emitter.js';
+import { createManifestPrompt } from './prompt-templates.js';
+import { DEFAULT_MAX_FILES_PER_BATCH } from './generation-plan.js';
+import { findPricing, estimateCost } from './pricing.js';
+import { estimateTokens } from './usage-tracker.js';
+
+// Output estimate for a file that is not on disk yet
+const DEFAULT_FILE_TOKENS = 800;
+
+// Files a fresh project generates per model and feature, for estimating first builds
+const FILES_PER_ELEMENT = 2;
+
+// Manifest entries (path, group, description) are short
+const MANIFEST_TOKENS_PER_FILE = 30;
+
+/**
+ * Plan the regeneration of one target
+ * Repair and import-fix calls depend on the output and are not estimated.
+ * @param {object} ir - ComposeIR of the target
+ * @param {object} target - Target configuration
+ * @param {object} options - Same options as emitCode ({ llm, targetName, cacheDir })
+ * @returns {object} - { mode, unchangedSpec, files, fileCount, calls, tokens: { input, output }, cost, pricing }
+ */
+export function planBuild(ir, target, options = {}) {
+    const emitter = new CodeEmitter(target, options);
+    const llmConfig = emitter.llmConfig;
+    const strategy = emitter.planRegeneration(ir);
+    const pricing = findPricing(llmConfig);
+
+    const plan = {
+        mode: strategy.mode,
+        // An unchanged spec rebuilds from the same prompt, which the response cache answers
+        unchangedSpec: Boolean(strategy.diff && !strategy.diff.hasChanges),
+        files: [],
+        fileCount: 0,
+        calls: 0,
+        tokens: { input: 0, output: 0 },
+        cost: 0,
+        pricing
+    };
+
+    if (strategy.mode === 'unaffected') {
+        return plan;
+    }
+
+    plan.files = strategy.mode === 'selective' ? strategy.affectedFiles : strategy.existingFiles;
+    plan.fileCount = plan.files.length > 0
+        ? plan.files.length
+        : FILES_PER_ELEMENT * ((ir.models?.length || 0) + (ir.features?.length || 0)) || 1;
+
+    plan.tokens.output = plan.files.length > 0
+        ? plan.files.reduce((sum, file) => sum + estimateFileTokens(target.output, file), 0)
+        : plan.fileCount * DEFAULT_FILE_TOKENS;
+
+    const prompt = estimateTokens(emitter.createPrompt(ir, strategy));
+
+    if (strategy.mode === 'full' && llmConfig.chunked) {
+        // One manifest call, then batches that each repeat the spec
+        const batches = Math.ceil(plan.fileCount / (llmConfig.maxFilesPerBatch || DEFAULT_MAX_FILES_PER_BATCH));
+        plan.calls = 1 + batches;
+        plan.tokens.input = estimateTokens(createManifestPrompt(ir, target)) + batches * prompt;
+        plan.tokens.output += plan.fileCount * MANIFEST_TOKENS_PER_FILE;
+    } else {
+        plan.calls = 1;
+        plan.tokens.input = prompt;
+    }
+
+    plan.cost = estimateCost(plan.tokens, pricing);
+    return plan;
+}
+
+/**
+ * Estimate the output tokens of a file from its current size on disk
+ * @param {string} outputDir - Target output directory
+ * @param {string} filePath - Generated file path
+ * @returns {number} - Estimated tokens
+ */
+function estimateFileTokens(outputDir, filePath) {
+    const onDisk = outputDir && [join(outputDir, filePath), join(outputDir, 'src', filePath)].find(existsSync);
+
+    return onDisk ? estimateTokens(readFileSync(onDisk, 'utf8')) : DEFAULT_FILE_TOKENS;
+}
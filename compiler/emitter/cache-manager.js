@@ -7,16 +7,55 @@ import { createHash } from 'crypto';
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
 
+export const CACHE_MODES = ['readwrite', 'replay'];
+
+/**
+ * Thrown in replay mode when a prompt has no cached response
+ */
+export class CacheMissError extends Error {
+    /**
+     * @param {string} key - Cache key (prompt hash) that missed
+     */
+    constructor(key) {
+        super(`No cached LLM response for prompt hash ${key} (replay mode forbids LLM calls)`);
+        this.name = 'CacheMissError';
+        this.code = 'COMPOSE_CACHE_MISS';
+        this.key = key;
+    }
+}
+
 export class CacheManager {
     /**
      * @param {string} cacheDir - Directory to store cache files
+     * @param {object} options - Cache options
+     * @param {string} options.mode - "readwrite" (default) or "replay" (cache misses are errors)
      */
-    constructor(cacheDir = '.compose/cache') {
+    constructor(cacheDir = '.compose/cache', options = {}) {
         this.cacheDir = cacheDir;
         this.cacheFile = `${cacheDir}/llm-responses.json`;
+        this.mode = options.mode || 'readwrite';
         this.cache = this.loadCache();
     }
 
+    /**
+     * Whether every response must come from the cache
+     * @returns {boolean}
+     */
+    isReplay() {
+        return this.mode === 'replay';
+    }
+
+    /**
+     * Called by clients before they contact the LLM after a cache miss
+     * @param {string} key - Cache key that missed
+     * @throws {CacheMissError} - In replay mode
+     */
+    assertCanGenerate(key) {
+        if (this.isReplay()) {
+            throw new CacheMissError(key);
+        }
+    }
+
     /**
      * Load cache from disk
      */
@@ -89,6 +128,17 @@ export class CacheManager {
         this.saveCache();
     }
 
+    /**
+     * Remove a cached response
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+        if (key in this.cache) {
+            delete this.cache[key];
+            this.saveCache();
+        }
+    }
+
     /**
      * Clear entire cache
      */
@@ -111,7 +161,11 @@ export class CacheManager {
 
 /**
  * Create a cache manager instance
+ * @param {string|object} cacheConfig - Cache directory, or llm.cache config ({ dir, mode })
  */
-export function createCacheManager(cacheDir) {
-    return new CacheManager(cacheDir);
+export function createCacheManager(cacheConfig) {
+    if (cacheConfig && typeof cacheConfig === 'object') {
+        return new CacheManager(cacheConfig.dir, { mode: cacheConfig.mode });
+    }
+    return new CacheManager(cacheConfig);
 }
@@ -4,18 +4,43 @@
  */
 
 import { createLLMClient } from './llm-client.js';
-import { createFullProjectPrompt, createPartialPrompt } from './prompt-templates.js';
+import {
+    createFullProjectPrompt,
+    createPartialPrompt,
+    createManifestPrompt,
+    createBatchPrompt,
+    formatExportContext,
+    createRepairPrompt,
+    createImportFixPrompt,
+    getPromptTemplateVersion
+} from './prompt-templates.js';
 import { ExportMapBuilder } from './export-map-builder.js';
 import { IRCache } from './ir-cache.js';
 import { DependencyTracker } from './dependency-tracker.js';
+import { formatLockDrift } from './lock-file.js';
+import { OutputParser, parseFileBlocks } from './output-parser.js';
+import { validateFiles } from './output-validator.js';
+import { findImportProblems, extractImports, isProjectImport, resolveImport } from './import-resolver.js';
+import { getTargetCacheDir } from './target-cache.js';
+import { ProvenanceManifest } from './provenance.js';
+import { findProtectedRegions } from './protected-regions.js';
+import { parseManifest, planBatches, DEFAULT_MAX_FILES_PER_BATCH } from './generation-plan.js';
 import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
 
 export class CodeEmitter {
     constructor(target, options = {}) {
         this.target = target;
         this.llmConfig = options.llm || {};
         this.options = options; // Store all options
+        this.targetName = options.targetName || target.name || 'default';
+        this.lockFile = options.lockFile || null; // LockFile shared across targets
+        // IR snapshot, export map and file hashes are kept per target
+        this.cacheDir = options.cacheDir || getTargetCacheDir(this.targetName);
         this.llmClient = null; // Will be initialized in emit()
+        this.generations = []; // lastGeneration of every LLM call in this build
     }
 
     /**
@@ -26,75 +51,607 @@ export class CodeEmitter {
     async emit(ir) {
         // Initialize LLM client if not already done
         if (!this.llmClient) {
-            this.llmClient = await createLLMClient(this.llmConfig);
+            this.llmClient = await createLLMClient(this.llmConfig, {
+                usage: this.options.usage?.forTarget(this.targetName),
+                targetName: this.targetName
+            });
         }
 
+        // Compare provider/model/template settings against compose.lock
+        this.checkLock();
+
         // Initialize IR cache
-        const irCache = new IRCache();
-        const previousIR = irCache.loadIR();
-        const diff = previousIR ? irCache.diff(previousIR, ir) : null;
+        const irCache = new IRCache(this.cacheDir);
+        const provenance = new ProvenanceManifest(this.cacheDir);
+        const strategy = this.planRegeneration(ir);
+
+        if (strategy.mode === 'unaffected') {
+            console.log('🎯 No files affected by changes');
+            this.saveSnapshot(irCache, ir);
+            this.recordLock();
+            return { files: [], target: this.target };
+        }
+
+        if (strategy.mode === 'selective') {
+            console.log(`🎯 Selective regeneration: ${strategy.affectedFiles.length}/${strategy.existingFiles.length} files`);
+
+            const generated = await this.generateFiles(this.createPrompt(ir, strategy));
+
+            // Only advance the IR snapshot once generation succeeded, so a
+            // failed build is diffed against the same baseline next time
+            this.saveSnapshot(irCache, ir);
+            await this.buildExportMap(generated);
+            const { files, importProblems } = await this.checkImports(ir, generated);
+            await this.recordProvenance(ir, files, provenance);
+            this.recordLock();
+            return { files, importProblems, target: this.target };
+        }
+
+        // Fall back to full regeneration
+        console.log('🏗️  Full regeneration');
+
+        // Generate and parse the output into files
+        const generated = this.llmConfig.chunked
+            ? await this.generateChunked(ir)
+            : await this.generateFiles(this.createPrompt(ir, strategy));
 
         // Save current IR for next build
-        irCache.saveIR(ir);
+        this.saveSnapshot(irCache, ir);
+
+        // Build or update export map
+        await this.buildExportMap(generated);
+
+        // Every project import must resolve against the export map
+        const { files, importProblems } = await this.checkImports(ir, generated);
 
-        // Check if we can do selective regeneration
-        const canDoSelective = diff && diff.hasChanges && !this.options.forceFullBuild;
+        // Record what every file implements for the next selective build
+        await this.recordProvenance(ir, files, provenance, { replace: true });
+        this.recordLock();
+
+        return {
+            files,
+            importProblems,
+            target: this.target
+        };
+    }
 
-        if (canDoSelective) {
-            // Get existing files from export map
-            const existingFiles = this.getExistingFiles();
+    /**
+     * Save the IR snapshot the next build is diffed against
+     * With options.deferSnapshot (compose build --review) the caller saves it
+     * once the files are reviewed, listing the rejected ones as pending.
+     * @param {IRCache} irCache - IR cache of the target
+     * @param {object} ir - ComposeIR object
+     */
+    saveSnapshot(irCache, ir) {
+        if (!this.options.deferSnapshot) {
+            irCache.saveIR(ir);
+        }
+    }
 
-            // Determine affected files
+    /**
+     * Decide how the IR would be regenerated, without calling the LLM
+     * Selective regeneration needs a previous IR snapshot and has to touch
+     * fewer than half of the existing files; everything else is a full build.
+     * Files the last build generated but did not write (rejected in review)
+     * are always among the affected files.
+     * @param {object} ir - ComposeIR object
+     * @returns {object} - { mode: 'unaffected' | 'selective' | 'full', diff, existingFiles, affectedFiles }
+     */
+    planRegeneration(ir) {
+        const irCache = new IRCache(this.cacheDir);
+        const previousIR = irCache.loadIR();
+        const diff = previousIR ? irCache.diff(previousIR, ir) : null;
+
+        // Get existing files from export map and provenance manifest
+        const manifest = new ProvenanceManifest(this.cacheDir).load();
+        const existingFiles = this.getExistingFiles(manifest);
+
+        if (diff && diff.hasChanges && !this.options.forceFullBuild) {
+            // Determine affected files from what each file implements
             const tracker = new DependencyTracker();
-            const affectedFiles = tracker.getAffectedFiles(diff, existingFiles);
+            const affectedFiles = [...new Set([
+                ...tracker.getAffectedFiles(diff, existingFiles, manifest),
+                ...irCache.loadPending()
+            ])];
 
             if (affectedFiles.length === 0) {
-                console.log('🎯 No files affected by changes');
-                return { files: [], target: this.target };
+                return { mode: 'unaffected', diff, existingFiles, affectedFiles };
             }
-
-            // Check if selective regeneration is worthwhile
             if (tracker.shouldUseSelectiveRegeneration(affectedFiles, existingFiles)) {
-                console.log(`🎯 Selective regeneration: ${affectedFiles.length}/${existingFiles.length} files`);
+                return { mode: 'selective', diff, existingFiles, affectedFiles };
+            }
+        }
 
-                const prompt = createPartialPrompt(ir, affectedFiles, {
-                    diff,
-                    existingFiles
-                }, this.target);
+        return { mode: 'full', diff, existingFiles, affectedFiles: null };
+    }
 
-                const generatedCode = await this.llmClient.generate('', prompt);
-                const files = this.parseOutput(generatedCode);
+    /**
+     * Create the generation prompt for a regeneration strategy
+     * Chunked full builds use several prompts and are not covered here.
+     * @param {object} ir - ComposeIR object
+     * @param {object} strategy - Result of planRegeneration
+     * @returns {string} - User prompt
+     */
+    createPrompt(ir, strategy) {
+        if (strategy.mode !== 'selective') {
+            return createFullProjectPrompt(ir, this.target);
+        }
 
-                await this.buildExportMap(files);
-                return { files, target: this.target };
+        return createPartialPrompt(ir, strategy.affectedFiles, {
+            diff: strategy.diff,
+            existingFiles: strategy.existingFiles,
+            protectedRegions: this.target.output ? findProtectedRegions(this.target.output, strategy.affectedFiles) : {}
+        }, this.target);
+    }
+
+    /**
+     * Call the LLM and remember which response (cache key, model) was used
+     * @param {string} prompt - User prompt
+     * @returns {Promise<string>} - Generated output
+     */
+    async generate(prompt) {
+        const output = await this.llmClient.generate('', prompt);
+        if (this.llmClient.lastGeneration) {
+            this.generations.push(this.llmClient.lastGeneration);
+        }
+        return output;
+    }
+
+    /**
+     * Generate files from a prompt and repair the ones that came back broken
+     * Truncated files and JS/TS files that do not parse are sent back to the
+     * LLM with the problem (up to llm.maxRepairAttempts times) before anything
+     * is returned for writing. If they stay broken, the intact files are
+     * attached to the error as error.partialFiles.
+     * @param {string} prompt - User prompt
+     * @returns {Promise<Array>} - Validated files
+     */
+    async generateFiles(prompt) {
+        const maxAttempts = this.llmConfig.maxRepairAttempts ?? DEFAULT_MAX_REPAIR_ATTEMPTS;
+
+        const received = await this.receiveFiles(prompt);
+        const { files, issues } = validateFiles(received.files, received);
+        const broken = this.reportIssues(issues);
+        if (broken.size > 0) {
+            this.forgetResponse(received.cacheKey);
+        }
+
+        for (let attempt = 1; broken.size > 0; attempt++) {
+            if (attempt > maxAttempts) {
+                const report = [...broken.values()].map(reason => `  - ${reason}`).join('\n');
+                const error = new Error(
+                    `${broken.size} file(s) still broken after ${maxAttempts} repair attempt(s):\n${report}`
+                );
+                error.partialFiles = files.filter(file => !broken.has(file.path));
+                throw error;
+            }
+
+            console.log(`🔧 Repairing ${broken.size} broken file(s) (attempt ${attempt}/${maxAttempts})`);
+            const brokenFiles = files
+                .filter(file => broken.has(file.path))
+                .map(file => ({ ...file, reason: broken.get(file.path) }));
+
+            const repair = await this.receiveFiles(createRepairPrompt(prompt, brokenFiles));
+            // Only accept the files that were asked for
+            const result = validateFiles(repair.files.filter(file => broken.has(file.path)), repair);
+            const stillBroken = this.reportIssues(result.issues);
+            if (stillBroken.size > 0) {
+                this.forgetResponse(repair.cacheKey);
+            }
+
+            for (const fixed of result.files) {
+                const index = files.findIndex(file => file.path === fixed.path);
+                files[index] = keepAnnotation(fixed, files[index]);
+                if (stillBroken.has(fixed.path)) {
+                    broken.set(fixed.path, stillBroken.get(fixed.path));
+                } else {
+                    broken.delete(fixed.path);
+                }
             }
         }
 
-        // Fall back to full regeneration
-        console.log('🏗️  Full regeneration');
-        const prompt = createFullProjectPrompt(ir, this.target);
-        const generatedCode = await this.llmClient.generate('', prompt);
+        return files;
+    }
 
-        // Parse the output into files
-        const files = this.parseOutput(generatedCode);
+    /**
+     * Warn about output problems and collect the files needing repair
+     * @param {Array} issues - Issues from validateFiles
+     * @returns {Map<string, string>} - Broken file path -> reason
+     */
+    reportIssues(issues) {
+        const broken = new Map();
 
-        // Build or update export map
-        await this.buildExportMap(files);
+        for (const issue of issues) {
+            console.warn(`⚠️  ${issue.message}`);
+            if (issue.kind === 'truncated' || issue.kind === 'syntax') {
+                broken.set(issue.path, issue.message);
+            }
+        }
+
+        return broken;
+    }
+
+    /**
+     * Drop a response with broken files from the LLM cache and the lock
+     * Otherwise the next build would replay it (and --frozen accept it) as is.
+     * @param {string|null} cacheKey - Cache key of the response
+     */
+    forgetResponse(cacheKey) {
+        if (!cacheKey) return;
+
+        this.generations = this.generations.filter(generation => generation.cacheKey !== cacheKey);
+        const cache = this.llmClient.cacheManager;
+        // Replay mode never writes the cache; the repair fails on its cache miss
+        if (cache && !cache.isReplay()) {
+            cache.delete(cacheKey);
+        }
+    }
+
+    /**
+     * Receive files for a prompt, streaming when the client supports it
+     * Each finished file is passed to options.onFile as soon as its block closes.
+     * If the stream fails, the files completed so far are attached to the
+     * error as error.partialFiles (and the cut-off one as error.truncatedFile).
+     * @param {string} prompt - User prompt
+     * @returns {Promise<object>} - { files, truncatedPath, preamble, cacheKey }
+     */
+    async receiveFiles(prompt) {
+        const onFile = this.options.onFile || (() => {});
+
+        if (typeof this.llmClient.stream !== 'function') {
+            const parser = new OutputParser();
+            const output = await this.generate(prompt);
+            const files = [...parser.push(output), ...parser.end()];
+            files.forEach(onFile);
+            return this.describeReceived(files, parser);
+        }
+
+        const parser = new OutputParser();
+        const files = [];
+        const collect = (completed) => {
+            for (const file of completed) {
+                files.push(file);
+                onFile(file);
+            }
+        };
+
+        try {
+            for await (const chunk of this.llmClient.stream('', prompt)) {
+                collect(parser.push(chunk));
+            }
+        } catch (error) {
+            error.partialFiles = files;
+            error.truncatedFile = parser.getPartialFile();
+            throw error;
+        }
+
+        collect(parser.end());
+        if (this.llmClient.lastGeneration) {
+            this.generations.push(this.llmClient.lastGeneration);
+        }
+
+        return this.describeReceived(files, parser);
+    }
+
+    /**
+     * Attach what the provider and parser know about a response to its files
+     * @param {Array} files - Parsed files
+     * @param {OutputParser} parser - Parser that produced them
+     * @returns {object} - { files, truncatedPath, preamble, cacheKey }
+     */
+    describeReceived(files, parser) {
+        // A response stopped at the token limit cuts off its last file
+        const truncated = this.llmClient.lastGeneration?.truncated && files.length > 0;
 
         return {
             files,
-            target: this.target
+            truncatedPath: truncated ? files[files.length - 1].path : null,
+            preamble: parser.preamble,
+            cacheKey: this.llmClient.lastGeneration?.cacheKey || null
         };
     }
 
+    /**
+     * Generate the project in stages: a file manifest first, then one LLM call
+     * per batch of files, each seeing the exports of the batches before it
+     * @param {object} ir - ComposeIR object
+     * @returns {Promise<Array>} - Generated files, stitched in manifest order
+     */
+    async generateChunked(ir) {
+        console.log('📋 Planning files');
+        const manifest = parseManifest(await this.generate(createManifestPrompt(ir, this.target)));
+        const batches = planBatches(manifest, this.llmConfig.maxFilesPerBatch || DEFAULT_MAX_FILES_PER_BATCH);
+
+        const exportMapBuilder = new ExportMapBuilder(this.cacheDir);
+        const exportsByFile = {};
+        const filesByPath = new Map();
+
+        for (const [index, batch] of batches.entries()) {
+            console.log(`📦 Batch ${index + 1}/${batches.length}: ${batch[0].group} (${batch.length} files)`);
+
+            const prompt = createBatchPrompt(ir, batch, {
+                manifest,
+                exportContext: formatExportContext(exportsByFile)
+            }, this.target);
+
+            let files;
+            try {
+                files = await this.generateFiles(prompt);
+            } catch (error) {
+                // Keep what earlier batches produced so it can still be written
+                error.partialFiles = [...filesByPath.values(), ...(error.partialFiles || [])];
+                throw error;
+            }
+
+            for (const file of files) {
+                filesByPath.set(file.path, file);
+
+                if (exportMapBuilder.isJavaScriptFile(file.path)) {
+                    try {
+                        exportsByFile[file.path] = await exportMapBuilder.extractExportsFromFile(file);
+                    } catch {
+                        // Unparseable files simply contribute no export context
+                    }
+                }
+            }
+        }
+
+        const missing = manifest.filter(entry => !filesByPath.has(entry.path));
+        if (missing.length > 0) {
+            console.warn(`⚠️  ${missing.length} planned file(s) were not generated: ${missing.map(e => e.path).join(', ')}`);
+        }
+
+        return [...filesByPath.values()];
+    }
+
+    /**
+     * Resolve the imports of generated files against the export map
+     * Existing output files that import a generated file are checked too, for
+     * the names they import from it: a selective build leaves them alone even
+     * when the file they depend on dropped an export.
+     * Problems are reported; with llm.fixImports the offending files are
+     * regenerated once with the project's exports as context.
+     * @param {object} ir - ComposeIR object
+     * @param {Array} files - Generated files
+     * @returns {Promise<object>} - { files, importProblems } after any fixes
+     */
+    async checkImports(ir, files) {
+        const exportMapBuilder = new ExportMapBuilder(this.cacheDir);
+        const exportsByPath = await this.collectExports(files, exportMapBuilder);
+        const dependents = this.readDependentFiles(files, exportsByPath, exportMapBuilder);
+        let problems = this.collectImportProblems(files, dependents, exportsByPath, exportMapBuilder);
+        if (problems.length === 0 || !this.llmConfig.fixImports) {
+            this.reportImportProblems(problems);
+            return { files, importProblems: problems };
+        }
+
+        const brokenFiles = [...files, ...dependents]
+            .filter(file => problems.some(problem => problem.path === file.path))
+            .map(file => ({
+                ...file,
+                problems: problems.filter(problem => problem.path === file.path).map(problem => problem.message)
+            }));
+        console.log(`🔧 Regenerating ${brokenFiles.length} file(s) with broken imports`);
+
+        const exportsByFile = Object.fromEntries(
+            [...exportsByPath].filter(([, exports]) => exports)
+        );
+        const prompt = createImportFixPrompt(ir, brokenFiles, {
+            exportContext: formatExportContext(exportsByFile)
+        }, this.target);
+
+        // Only accept the files that were asked for
+        const brokenPaths = new Set(brokenFiles.map(file => file.path));
+        const fixes = (await this.generateFiles(prompt)).filter(file => brokenPaths.has(file.path));
+        const fixed = files.map(file => {
+            const fix = fixes.find(candidate => candidate.path === file.path);
+            return fix ? keepAnnotation(fix, file) : file;
+        });
+        // Fixed dependents are written along with the generated files
+        fixed.push(...fixes.filter(fix => dependents.some(file => file.path === fix.path)));
+
+        await exportMapBuilder.updateExportMap(fixes);
+        problems = this.collectImportProblems(
+            fixed,
+            dependents.filter(file => !fixed.some(candidate => candidate.path === file.path)),
+            await this.collectExports(fixed, exportMapBuilder),
+            exportMapBuilder
+        );
+        this.reportImportProblems(problems);
+
+        return { files: fixed, importProblems: problems };
+    }
+
+    /**
+     * Find the import problems of generated files and of their dependents
+     * Dependents only count for what they import from the generated files.
+     * @param {Array} files - Generated files
+     * @param {Array} dependents - Existing files importing them, from readDependentFiles
+     * @param {Map} exportsByPath - Known files and their exports
+     * @param {ExportMapBuilder} exportMapBuilder - Export map access
+     * @returns {Array} - Problems from findImportProblems
+     */
+    collectImportProblems(files, dependents, exportsByPath, exportMapBuilder) {
+        const generatedPaths = new Set(files.map(file => file.path));
+        const dependentPaths = new Set(dependents.map(file => file.path));
+
+        return findImportProblems([...this.scriptFiles(files, exportMapBuilder), ...dependents], exportsByPath)
+            .filter(problem => !dependentPaths.has(problem.path) || generatedPaths.has(problem.resolved));
+    }
+
+    /**
+     * Read the existing output files that import one of the generated files
+     * Candidates are the files recorded in the export map and provenance manifest.
+     * @param {Array} files - Generated files
+     * @param {Map} exportsByPath - Known files and their exports
+     * @param {ExportMapBuilder} exportMapBuilder - Export map access
+     * @returns {Array} - [{ path, content }]
+     */
+    readDependentFiles(files, exportsByPath, exportMapBuilder) {
+        if (!this.target.output) return [];
+
+        const generatedPaths = new Set(files.map(file => file.path));
+        const knownPaths = new Set(exportsByPath.keys());
+        const existingFiles = this.getExistingFiles(new ProvenanceManifest(this.cacheDir).load());
+        const dependents = [];
+
+        for (const filePath of existingFiles) {
+            if (generatedPaths.has(filePath) || !exportMapBuilder.isJavaScriptFile(filePath)) continue;
+
+            const onDisk = [join(this.target.output, filePath), join(this.target.output, 'src', filePath)].find(existsSync);
+            if (!onDisk) continue;
+
+            const content = readFileSync(onDisk, 'utf8');
+            let imports;
+            try {
+                imports = extractImports(content);
+            } catch {
+                continue; // Files that don't parse are left to compose validate
+            }
+
+            const importsGenerated = imports.some(imported =>
+                isProjectImport(imported.source) && generatedPaths.has(resolveImport(filePath, imported.source, knownPaths))
+            );
+            if (importsGenerated) {
+                dependents.push({ path: filePath, content });
+            }
+        }
+
+        return dependents;
+    }
+
+    /**
+     * Collect the exports imports can resolve against: the export map,
+     * overridden by the files generated now
+     * @param {Array} files - Generated files
+     * @param {ExportMapBuilder} exportMapBuilder - Export map access
+     * @returns {Promise<Map>} - File path -> exports (null when unparseable)
+     */
+    async collectExports(files, exportMapBuilder) {
+        const exportsByPath = new Map(
+            Object.values(exportMapBuilder.loadExportMap()).map(entry => [entry.path, entry.exports])
+        );
+
+        for (const file of this.scriptFiles(files, exportMapBuilder)) {
+            try {
+                exportsByPath.set(file.path, await exportMapBuilder.extractExportsFromFile(file));
+            } catch {
+                exportsByPath.set(file.path, null);
+            }
+        }
+
+        return exportsByPath;
+    }
+
+    /**
+     * Keep the JS/TS files
+     */
+    scriptFiles(files, exportMapBuilder) {
+        return files.filter(file => exportMapBuilder.isJavaScriptFile(file.path));
+    }
+
+    /**
+     * Warn about unresolved imports
+     * @param {Array} problems - Problems from findImportProblems
+     */
+    reportImportProblems(problems) {
+        if (problems.length === 0) return;
+
+        console.warn(`⚠️  ${problems.length} import(s) do not resolve:`);
+        for (const problem of problems) {
+            console.warn(`   - ${problem.message}`);
+        }
+    }
+
+    /**
+     * Record which models, features and guides the generated files implement
+     * Files without an IMPLEMENTS annotation are inferred from their exports.
+     * @param {object} ir - ComposeIR object
+     * @param {Array} files - Generated files
+     * @param {ProvenanceManifest} provenance - Manifest of this target
+     * @param {object} options - { replace } for full builds
+     */
+    async recordProvenance(ir, files, provenance, options = {}) {
+        const exportMapBuilder = new ExportMapBuilder(this.cacheDir);
+        const unannotated = files.filter(file => file.implements === undefined);
+        const exportsByPath = await this.collectExports(unannotated, exportMapBuilder);
+
+        provenance.record(ir, files, exportsByPath, options);
+    }
+
+    /**
+     * Get the generation settings that compose.lock pins
+     * @returns {object} - { provider, model, temperature, maxTokens, promptTemplateVersion }
+     */
+    getLockSettings() {
+        const isMock = !this.llmConfig.provider || this.llmConfig.mock;
+
+        return {
+            provider: isMock ? 'mock' : this.llmConfig.provider,
+            model: this.llmClient?.getModel?.() || this.llmConfig.model || 'mock',
+            temperature: this.llmClient?.temperature ?? this.llmConfig.temperature ?? null,
+            maxTokens: this.llmClient?.maxTokens ?? this.llmConfig.maxTokens ?? null,
+            promptTemplateVersion: getPromptTemplateVersion()
+        };
+    }
+
+    /**
+     * Warn about (or with options.locked, fail on) settings that drifted from compose.lock
+     */
+    checkLock() {
+        if (!this.lockFile) return;
+
+        if (this.options.locked && !this.lockFile.getTarget(this.targetName)) {
+            throw new Error(`Target "${this.targetName}" is not in compose.lock. Run "compose build" without --locked to record it.`);
+        }
+
+        const drift = this.lockFile.diff(this.targetName, this.getLockSettings());
+        if (drift.length === 0) return;
+
+        const message = formatLockDrift(this.targetName, drift);
+        if (this.options.locked) {
+            throw new Error(`${message}\nRun "compose build" without --locked to update compose.lock.`);
+        }
+        console.warn(`⚠️  ${message}\n   compose.lock will be updated.`);
+    }
+
+    /**
+     * Record this build's settings and response cache keys in compose.lock
+     */
+    recordLock() {
+        if (!this.lockFile) return;
+
+        const previous = this.lockFile.getTarget(this.targetName);
+        const reportedModel = this.generations.map(g => g.model).filter(Boolean).pop() || null;
+
+        const modelDrift = this.lockFile.diffResolvedModel(this.targetName, reportedModel);
+        if (modelDrift) {
+            const message = formatLockDrift(this.targetName, [modelDrift]);
+            if (this.options.locked) {
+                throw new Error(`${message}\nThe provider now serves a different model version.`);
+            }
+            console.warn(`⚠️  ${message}`);
+        }
+
+        this.lockFile.setTarget(this.targetName, {
+            ...this.getLockSettings(),
+            // Responses served from cache don't report a model, keep the pinned one
+            resolvedModel: reportedModel || previous?.resolvedModel || null,
+            // A build that generated nothing still relies on the previous responses
+            responses: this.generations.length > 0
+                ? this.generations.map(g => g.cacheKey).filter(Boolean)
+                : previous?.responses || []
+        });
+    }
+
     /**
      * Build or update export map based on context
      * Auto-detects incremental vs full build
      * @param {Array} files - Generated files
      */
     async buildExportMap(files) {
-        const exportMapBuilder = new ExportMapBuilder();
-        const exportMapPath = '.compose/cache/export-map.json';
+        const exportMapBuilder = new ExportMapBuilder(this.cacheDir);
+        const exportMapPath = exportMapBuilder.exportMapFile;
 
         // Auto-detect: if export map exists and not forcing full build, update incrementally
         const exportMapExists = existsSync(exportMapPath);
@@ -113,64 +670,33 @@ export class CodeEmitter {
     /**
      * Parse LLM output into files
      * Format: ### FILE: path/to/file.ext
+     * Leftover code fences are stripped and duplicate paths keep their last version.
      */
     parseOutput(output) {
-        const files = [];
-        const lines = output.split('\n');
-        let currentFile = null;
-        let currentContent = [];
-
-        for (const line of lines) {
-            if (line.startsWith('### FILE: ')) {
-                // Save previous file
-                if (currentFile) {
-                    files.push({
-                        path: currentFile.trim(),
-                        content: currentContent.join('\n'),
-                        type: 'code'
-                    });
-                }
-
-                // Start new file
-                currentFile = line.substring(10).trim();
-                currentContent = [];
-            } else {
-                if (currentFile) {
-                    currentContent.push(line);
-                }
-            }
-        }
-
-        // Save last file
-        if (currentFile) {
-            files.push({
-                path: currentFile.trim(),
-                content: currentContent.join('\n'),
-                type: 'code'
-            });
-        }
-
-        return files;
+        return validateFiles(parseFileBlocks(output)).files;
     }
 
     /**
-     * Get existing files from export map
+     * Get existing files from export map and provenance manifest
+     * @param {object} provenance - Provenance manifest (also lists non-script files)
      * @returns {Array} - List of existing file paths
      */
-    getExistingFiles() {
-        const exportMapPath = '.compose/cache/export-map.json';
-        if (!existsSync(exportMapPath)) {
-            return [];
-        }
+    getExistingFiles(provenance = {}) {
+        const files = new Set();
+        const exportMapPath = `${this.cacheDir}/export-map.json`;
 
-        try {
-            const exportMapContent = readFileSync(exportMapPath, 'utf8');
-            const exportMap = JSON.parse(exportMapContent);
-            return Object.keys(exportMap);
-        } catch (error) {
-            console.warn(`⚠️  Failed to load existing files: ${error.message}`);
-            return [];
+        if (existsSync(exportMapPath)) {
+            try {
+                const exportMapContent = readFileSync(exportMapPath, 'utf8');
+                const exportMap = JSON.parse(exportMapContent);
+                Object.entries(exportMap).forEach(([key, entry]) => files.add(entry.path || key));
+            } catch (error) {
+                console.warn(`⚠️  Failed to load existing files: ${error.message}`);
+            }
         }
+
+        Object.keys(provenance).forEach(file => files.add(file));
+        return [...files];
     }
 
     /**
@@ -189,6 +715,19 @@ export class CodeEmitter {
     }
 }
 
+/**
+ * Keep the IMPLEMENTS annotation of a file when its regenerated version has none
+ * @param {object} file - Regenerated file
+ * @param {object} previous - Version it replaces
+ * @returns {object} - File
+ */
+function keepAnnotation(file, previous) {
+    if (file.implements !== undefined || previous.implements === undefined) {
+        return file;
+    }
+    return { ...file, implements: previous.implements };
+}
+
 /**
  * Emit code from IR (convenience function)
  * @param {object} ir - ComposeIR object
@@ -6,6 +6,14 @@
 import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { FileHashCache } from './file-hash-cache.js';
+import { mergeThreeWay } from './three-way-merge.js';
+import { preserveRegions } from './protected-regions.js';
+
+// How conflicts with hand edits are surfaced: markers in the file, or a side file
+export const CONFLICT_STYLES = ['markers', 'file'];
+
+// Written next to a hand-edited file when its regenerated version cannot be merged in
+export const CONFLICT_FILE_SUFFIX = '.compose-conflict';
 
 /**
  * Normalize file path by removing common output directory prefixes
@@ -34,18 +42,55 @@ function normalizePath(filePath, targetDir) {
     return normalized;
 }
 
+/**
+ * Get where the merger writes a generated file
+ * @param {string} filePath - Generated file path
+ * @param {object} frameworkInfo - Framework detection result
+ * @param {string} targetDir - Target directory
+ * @returns {string} - Path on disk
+ */
+export function resolveOutputPath(filePath, frameworkInfo, targetDir) {
+    const normalizedPath = normalizePath(filePath, targetDir);
+
+    switch (frameworkInfo.framework) {
+        case 'vite':
+            return join(targetDir, 'src', normalizedPath);
+
+        case 'express':
+        case 'fastify':
+            return normalizedPath.includes('routes/')
+                ? join(targetDir, 'routes', normalizedPath)
+                : join(targetDir, normalizedPath);
+
+        default:
+            return join(targetDir, normalizedPath);
+    }
+}
+
 /**
  * Merge generated code into framework structure
+ * Files edited by hand since the last build get a three-way merge of the
+ * last generated version, the edited version and the new one.
  * @param {object} generatedFiles - Files from code generator
  * @param {object} frameworkInfo - Framework detection result
  * @param {string} targetDir - Target directory
+ * @param {string} cacheDir - Target cache directory (file hashes and merge bases)
+ * @param {object} options - { conflictStyle: 'markers' | 'file' }
+ * @returns {object} - { success, files, merged, conflicts } with conflicts as
+ *   [{ path, conflicts, sideFile }] (sideFile set when written to a .compose-conflict file)
  */
-export function mergeCode(generatedFiles, frameworkInfo, targetDir, cacheDir = '.compose/cache') {
+export function mergeCode(generatedFiles, frameworkInfo, targetDir, cacheDir = '.compose/cache', options = {}) {
     const { framework } = frameworkInfo;
 
     // Initialize file hash cache
     const fileHashCache = new FileHashCache(cacheDir);
-    const stats = { written: 0, skipped: 0 };
+    const stats = {
+        written: 0,
+        skipped: 0,
+        merged: [],
+        conflicts: [],
+        conflictStyle: options.conflictStyle || 'markers'
+    };
 
     let result;
     switch (framework) {
@@ -75,8 +120,14 @@ export function mergeCode(generatedFiles, frameworkInfo, targetDir, cacheDir = '
     if (stats.skipped > 0) {
         console.log(`   ⏭️  Skipped ${stats.skipped} unchanged file(s)`);
     }
+    if (stats.merged.length > 0) {
+        console.log(`   🔀 Kept hand edits in ${stats.merged.length} file(s)`);
+    }
+    if (stats.conflicts.length > 0) {
+        console.warn(`   ⚠️  ${stats.conflicts.length} file(s) have conflicts between hand edits and regenerated code`);
+    }
 
-    return result;
+    return { ...result, merged: stats.merged, conflicts: stats.conflicts };
 }
 
 /**
@@ -94,16 +145,12 @@ function mergeViteCode(generatedFiles, frameworkInfo, targetDir, hashCache, stat
 
         if (normalizedPath.includes('/pages/') || normalizedPath.includes('pages/')) {
             pages.push({ ...file, path: normalizedPath });
-            // Write page file
-            writeFile(join(targetDir, 'src', normalizedPath), file.content, hashCache, stats);
         } else if (normalizedPath.includes('/components/') || normalizedPath.includes('components/')) {
             components.push({ ...file, path: normalizedPath });
-            // Write component file
-            writeFile(join(targetDir, 'src', normalizedPath), file.content, hashCache, stats);
-        } else {
-            // Write other files (utils, types, etc.)
-            writeFile(join(targetDir, 'src', normalizedPath), file.content, hashCache, stats);
         }
+
+        // Pages, components and other files (utils, types, etc.) all go below src/
+        writeGeneratedFile(resolveOutputPath(file.path, frameworkInfo, targetDir), file.content, hashCache, stats);
     }
 
     // Update App.jsx with routes
@@ -158,12 +205,10 @@ export default App;
  */
 function mergeNextCode(generatedFiles, frameworkInfo, targetDir, hashCache, stats) {
     for (const file of generatedFiles) {
-        const normalizedPath = normalizePath(file.path, targetDir);
-
         // For Next.js, just write files directly to targetDir
         // Don't add additional 'pages' or 'components' subdirectories
         // because the normalized path already includes them
-        writeFile(join(targetDir, normalizedPath), file.content, hashCache, stats);
+        writeGeneratedFile(resolveOutputPath(file.path, frameworkInfo, targetDir), file.content, hashCache, stats);
     }
 
     return { success: true, files: generatedFiles.length };
@@ -181,10 +226,8 @@ function mergeExpressCode(generatedFiles, frameworkInfo, targetDir, hashCache, s
 
         if (normalizedPath.includes('/routes/') || normalizedPath.includes('routes/')) {
             routes.push({ ...file, path: normalizedPath });
-            writeFile(join(targetDir, 'routes', normalizedPath), file.content, hashCache, stats);
-        } else {
-            writeFile(join(targetDir, normalizedPath), file.content, hashCache, stats);
         }
+        writeGeneratedFile(resolveOutputPath(file.path, frameworkInfo, targetDir), file.content, hashCache, stats);
     }
 
     // Inject route imports and registrations into server file
@@ -237,23 +280,41 @@ function injectExpressRoutes(serverFilePath, routes) {
 function writeDirectly(generatedFiles, targetDir, hashCache, stats) {
     for (const file of generatedFiles) {
         const normalizedPath = normalizePath(file.path, targetDir);
-        writeFile(join(targetDir, normalizedPath), file.content, hashCache, stats);
+        writeGeneratedFile(join(targetDir, normalizedPath), file.content, hashCache, stats);
     }
     return { success: true, files: generatedFiles.length };
 }
 
 /**
- * Write file and create directories if needed
+ * Write a generated file and create directories if needed
+ * Unchanged files are skipped, files edited by hand are merged.
  * @param {string} filePath - Absolute file path
  * @param {string} content - File content
  * @param {FileHashCache} hashCache - File hash cache instance
  * @param {Object} stats - Stats object to track written/skipped files
  */
-function writeFile(filePath, content, hashCache, stats) {
+export function writeGeneratedFile(filePath, content, hashCache, stats) {
+    // Protected regions of the file on disk replace their regenerated counterparts
+    const preserved = preserveRegions(filePath, content);
+    if (preserved.appended.length > 0) {
+        console.warn(`   ⚠️  ${filePath}: regenerated code dropped protected region(s) ${preserved.appended.join(', ')}, appended at the end`);
+    }
+    content = preserved.content;
+
     // Check if file content has changed
     if (hashCache && !hashCache.hasChanged(filePath, content)) {
+        // Caches from before merge bases were kept gain one here
+        if (hashCache.loadBase(filePath) === null) {
+            hashCache.saveBase(filePath, content);
+        }
         if (stats) stats.skipped++;
-        return; // Skip writing unchanged file
+        return; // Skip writing unchanged file (hand edits stay as they are)
+    }
+
+    // Edited on disk since the last build: merge instead of overwriting
+    if (hashCache && hashCache.hasLocalEdits(filePath)) {
+        mergeHandEdits(filePath, content, hashCache, stats);
+        return;
     }
 
     // Create directory if needed
@@ -268,7 +329,86 @@ function writeFile(filePath, content, hashCache, stats) {
     // Update hash cache
     if (hashCache) {
         hashCache.updateHash(filePath, content);
+        hashCache.saveBase(filePath, content);
+    }
+
+    if (stats) stats.written++;
+}
+
+/**
+ * Merge a regenerated file into a version edited by hand
+ * Clean merges are written in place. Conflicts are written in place with
+ * conflict markers, or with conflictStyle 'file' the regenerated version goes
+ * to a .compose-conflict file next to the untouched edited one. Without a
+ * base (caches from older versions) there is nothing to merge against, so
+ * the side file is always used.
+ * @param {string} filePath - File path
+ * @param {string} content - Regenerated content
+ * @param {FileHashCache} hashCache - File hash cache instance
+ * @param {Object} stats - Stats object collecting merged files and conflicts
+ */
+function mergeHandEdits(filePath, content, hashCache, stats) {
+    const { merge, sideFile } = mergeWithBase(filePath, content, hashCache, stats?.conflictStyle);
+
+    if (!sideFile) {
+        writeFileSync(filePath, merge.content);
+        if (merge.conflicts === 0) {
+            stats?.merged.push(filePath);
+        } else {
+            stats?.conflicts.push({ path: filePath, conflicts: merge.conflicts, sideFile: null });
+        }
+    } else {
+        writeFileSync(sideFile, content);
+        stats?.conflicts.push({ path: filePath, conflicts: merge?.conflicts ?? null, sideFile });
     }
 
+    // The regenerated version is the base of the next merge
+    hashCache.updateHash(filePath, content);
+    hashCache.saveBase(filePath, content);
     if (stats) stats.written++;
 }
+
+/**
+ * Three-way merge a regenerated file with the hand-edited one on disk
+ * @param {string} filePath - File path
+ * @param {string} content - Regenerated content
+ * @param {FileHashCache} hashCache - File hash cache instance
+ * @param {string} conflictStyle - 'markers' | 'file'
+ * @returns {object} - { merge, sideFile }: the merge result (null without a
+ *   base) and the .compose-conflict file to write instead, if any
+ */
+function mergeWithBase(filePath, content, hashCache, conflictStyle) {
+    const local = readFileSync(filePath, 'utf8');
+    const base = hashCache.loadBase(filePath);
+    const merge = base === null ? null : mergeThreeWay(base, local, content);
+    const inPlace = merge && (merge.conflicts === 0 || conflictStyle !== 'file');
+
+    return { merge, sideFile: inPlace ? null : `${filePath}${CONFLICT_FILE_SUFFIX}` };
+}
+
+/**
+ * Work out what writing a generated file would change, without writing it
+ * Follows writeGeneratedFile: protected regions are carried over, unchanged
+ * files are skipped and hand-edited ones merged.
+ * @param {string} filePath - File path
+ * @param {string} content - Generated content
+ * @param {FileHashCache} hashCache - File hash cache of the target (optional)
+ * @param {string} conflictStyle - 'markers' | 'file'
+ * @returns {object|null} - { path, content }: the file that would be written
+ *   (the .compose-conflict side file if the merge goes there) and its new
+ *   content, or null when nothing would be written
+ */
+export function previewWrite(filePath, content, hashCache = null, conflictStyle = 'markers') {
+    content = preserveRegions(filePath, content).content;
+
+    if (hashCache && !hashCache.hasChanged(filePath, content)) {
+        return null;
+    }
+
+    if (hashCache && hashCache.hasLocalEdits(filePath)) {
+        const { merge, sideFile } = mergeWithBase(filePath, content, hashCache, conflictStyle);
+        return sideFile ? { path: sideFile, content } : { path: filePath, content: merge.content };
+    }
+
+    return { path: filePath, content };
+}
@@ -5,6 +5,9 @@
 
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
+import { CACHE_MODES } from './cache-manager.js';
+import { CONFLICT_STYLES } from './code-merger.js';
+import { BUDGET_LIMITS } from './usage-tracker.js';
 
 /**
  * Load and validate configuration from file
@@ -84,7 +87,7 @@ export function validateComposeConfig(config, baseDir = process.cwd(), skipFileC
  */
 function validateLLMConfig(llm) {
     const errors = [];
-    const validProviders = ['gemini', 'openai', 'anthropic'];
+    const validProviders = ['gemini', 'openai', 'anthropic', 'openai-compatible'];
 
     // Required fields
     if (!llm.provider) {
@@ -97,10 +100,21 @@ function validateLLMConfig(llm) {
         errors.push('llm.model is required');
     }
 
-    if (!llm.apiKey) {
+    // Local OpenAI-style servers need an endpoint instead of a key
+    if (llm.provider === 'openai-compatible') {
+        if (!llm.baseUrl) {
+            errors.push('llm.baseUrl is required for the openai-compatible provider (e.g. "http://localhost:8080/v1")');
+        }
+    } else if (!llm.apiKey) {
         errors.push('llm.apiKey is required (use environment variable syntax like "${GEMINI_API_KEY}")');
     }
 
+    if (llm.baseUrl !== undefined) {
+        if (typeof llm.baseUrl !== 'string' || !/^https?:\/\//.test(llm.baseUrl)) {
+            errors.push('llm.baseUrl must be an http(s) URL');
+        }
+    }
+
     // Optional fields validation
     if (llm.temperature !== undefined) {
         if (typeof llm.temperature !== 'number' || llm.temperature < 0 || llm.temperature > 1) {
@@ -114,6 +128,55 @@ function validateLLMConfig(llm) {
         }
     }
 
+    if (llm.chunked !== undefined && typeof llm.chunked !== 'boolean') {
+        errors.push('llm.chunked must be a boolean');
+    }
+
+    if (llm.maxFilesPerBatch !== undefined) {
+        if (!Number.isInteger(llm.maxFilesPerBatch) || llm.maxFilesPerBatch < 1) {
+            errors.push('llm.maxFilesPerBatch must be a positive integer');
+        }
+    }
+
+    if (llm.fixImports !== undefined && typeof llm.fixImports !== 'boolean') {
+        errors.push('llm.fixImports must be a boolean');
+    }
+
+    if (llm.maxRepairAttempts !== undefined) {
+        if (!Number.isInteger(llm.maxRepairAttempts) || llm.maxRepairAttempts < 0) {
+            errors.push('llm.maxRepairAttempts must be a non-negative integer');
+        }
+    }
+
+    if (llm.budget !== undefined) {
+        if (typeof llm.budget !== 'object' || llm.budget === null || Array.isArray(llm.budget)) {
+            errors.push('llm.budget must be an object');
+        } else {
+            for (const [limit, value] of Object.entries(llm.budget)) {
+                if (!BUDGET_LIMITS.includes(limit)) {
+                    errors.push(`llm.budget.${limit} is not a budget limit (use one of: ${BUDGET_LIMITS.join(', ')})`);
+                } else if (typeof value !== 'number' || value <= 0) {
+                    errors.push(`llm.budget.${limit} must be a positive number`);
+                }
+            }
+        }
+    }
+
+    if (llm.pricing !== undefined) {
+        const { input, output } = llm.pricing || {};
+        if (![input, output].every(price => typeof price === 'number' && price >= 0)) {
+            errors.push('llm.pricing must be { "input": number, "output": number } in USD per million tokens');
+        }
+    }
+
+    if (llm.cache !== undefined && typeof llm.cache !== 'string') {
+        if (typeof llm.cache !== 'object' || llm.cache === null || Array.isArray(llm.cache)) {
+            errors.push('llm.cache must be a directory path or an object');
+        } else if (llm.cache.mode !== undefined && !CACHE_MODES.includes(llm.cache.mode)) {
+            errors.push(`llm.cache.mode must be one of: ${CACHE_MODES.join(', ')} (got "${llm.cache.mode}")`);
+        }
+    }
+
     return errors;
 }
 
@@ -219,6 +282,10 @@ function validateTarget(name, target, baseDir, skipFileChecks = false) {
         }
     }
 
+    if (target.conflictStyle !== undefined && !CONFLICT_STYLES.includes(target.conflictStyle)) {
+        errors.push(`Target "${name}": "conflictStyle" must be one of: ${CONFLICT_STYLES.join(', ')}`);
+    }
+
     if (target.extraRules) {
         if (!Array.isArray(target.extraRules)) {
             errors.push(`Target "${name}": "extraRules" must be an array`);
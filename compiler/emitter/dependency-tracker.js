@@ -1,129 +1,24 @@
 /**
  * Dependency Tracker
- * Maps IR changes to affected files using heuristics
+ * Maps IR changes to affected files using the provenance manifest. Whatever
+ * the manifest cannot answer for is regenerated rather than guessed at.
  */
 
 export class DependencyTracker {
-    constructor() {
-        // Define rules for mapping IR changes to files
-        this.rules = this.initializeRules();
-    }
-
-    /**
-     * Initialize dependency rules
-     * @returns {object} - Dependency rules
-     */
-    initializeRules() {
-        return {
-            // Model changes affect:
-            models: {
-                // Always regenerate types file
-                'types/index.ts': () => true,
-                'types/index.js': () => true,
-
-                // Context files for specific models
-                contextFiles: (modelName) => [
-                    `context/${modelName}Context.tsx`,
-                    `context/${modelName.toLowerCase()}-context.tsx`,
-                    `lib/${modelName.toLowerCase()}-context.tsx`
-                ],
-
-                // Lib files that might use models
-                'lib/pricing.ts': (changedModels) =>
-                    changedModels.some(m => ['Order', 'Item', 'User'].includes(m)),
-                'lib/pricing.js': (changedModels) =>
-                    changedModels.some(m => ['Order', 'Item', 'User'].includes(m))
-            },
-
-            // Feature changes affect:
-            features: {
-                // Component directories matching feature names
-                componentDirs: (featureName) => {
-                    const normalized = featureName.toLowerCase()
-                        .replace(/\s+/g, '-')
-                        .replace(/[^a-z0-9-]/g, '');
-                    return [
-                        `components/${normalized}/**`,
-                        `components/${featureName}/**`,
-                        `app/${normalized}/**`,
-                        `pages/${normalized}/**`
-                    ];
-                },
-
-                // Page files
-                pageFiles: (featureName) => {
-                    const normalized = featureName.toLowerCase()
-                        .replace(/\s+/g, '-');
-                    return [
-                        `app/${normalized}/page.tsx`,
-                        `app/${normalized}/page.jsx`,
-                        `pages/${normalized}.tsx`,
-                        `pages/${normalized}.jsx`
-                    ];
-                }
-            },
-
-            // Guide changes - pattern matching on guide names
-            guides: {
-                // Metadata-related guides
-                metadata: {
-                    patterns: ['name', 'title', 'app', 'description', 'metadata'],
-                    files: [
-                        'package.json',
-                        'app/layout.tsx',
-                        'app/layout.jsx',
-                        'pages/_app.tsx',
-                        'pages/_app.jsx',
-                        '_app.tsx',
-                        '_app.jsx'
-                    ]
-                },
-
-                // Styling-related guides
-                styling: {
-                    patterns: ['style', 'theme', 'color', 'css', 'design'],
-                    files: [
-                        'app/globals.css',
-                        'styles/globals.css',
-                        'tailwind.config.ts',
-                        'tailwind.config.js',
-                        'app/layout.tsx',
-                        'app/layout.jsx'
-                    ]
-                },
-
-                // Configuration guides
-                config: {
-                    patterns: ['config', 'setup', 'environment', 'env'],
-                    files: [
-                        'next.config.js',
-                        'vite.config.js',
-                        'package.json'
-                    ]
-                }
-            },
-
-            // Target changes - regenerate everything
-            target: {
-                framework: () => 'all', // Framework change = full regeneration
-                type: () => 'all',
-                language: () => 'all'
-            },
-
-            // Dependencies changes
-            dependencies: {
-                'package.json': () => true
-            }
-        };
-    }
-
     /**
      * Get files affected by IR changes
+     * Modified and removed elements affect the files recorded as implementing
+     * them, plus every file the manifest has no record of. Added elements have
+     * no files yet, so they regenerate everything, as does a build without a
+     * manifest. Inferred entries never list guides, so guide changes also
+     * regenerate every file not annotated by the LLM. Changed relations count
+     * as changes to the models at both of their ends.
      * @param {object} diff - IR diff from IRCache
      * @param {Array} existingFiles - List of existing file paths
+     * @param {object} provenance - Provenance manifest (file path -> { models, features, guides, source })
      * @returns {Array} - List of affected file paths
      */
-    getAffectedFiles(diff, existingFiles = []) {
+    getAffectedFiles(diff, existingFiles = [], provenance = null) {
         if (!diff.hasChanges) {
             return [];
         }
@@ -134,20 +29,22 @@ export class DependencyTracker {
         }
 
         const affected = new Set();
+        const hasProvenance = provenance && Object.keys(provenance).length > 0;
+        const diffs = { ...diff, models: this.withRelatedModels(diff.models, diff.relations) };
 
-        // Handle model changes
-        if (diff.models?.hasChanges) {
-            this.addModelAffectedFiles(diff.models, existingFiles, affected);
-        }
+        for (const kind of ['models', 'features', 'guides']) {
+            const kindDiff = diffs[kind];
+            if (!kindDiff?.hasChanges) continue;
 
-        // Handle feature changes
-        if (diff.features?.hasChanges) {
-            this.addFeatureAffectedFiles(diff.features, existingFiles, affected);
-        }
+            if (!hasProvenance || kindDiff.added.length > 0) {
+                return existingFiles;
+            }
 
-        // Handle guide changes
-        if (diff.guides?.hasChanges) {
-            this.addGuideAffectedFiles(diff.guides, existingFiles, affected);
+            const changed = [...kindDiff.modified, ...(kindDiff.removed || [])];
+            this.addProvenanceFiles(kind, changed, existingFiles, provenance, affected);
+            existingFiles
+                .filter(file => !this.isRecorded(provenance[file], kind))
+                .forEach(file => affected.add(file));
         }
 
         // Handle dependency changes
@@ -159,157 +56,72 @@ export class DependencyTracker {
     }
 
     /**
-     * Add files affected by model changes
+     * Add the models at the ends of changed relations to a models diff
+     * Adding an inverse to one model changes the relation the other model
+     * implements, even though the fields of the other model did not change.
      * @param {object} modelsDiff - Models diff
-     * @param {Array} existingFiles - Existing files
-     * @param {Set} affected - Set of affected files
+     * @param {object} relationsDiff - Relations diff (optional)
+     * @returns {object} - Models diff with the related models as modified
      */
-    addModelAffectedFiles(modelsDiff, existingFiles, affected) {
-        const changedModels = [
-            ...modelsDiff.added,
-            ...modelsDiff.modified
-        ];
-
-        // Always regenerate types files
-        existingFiles.forEach(file => {
-            if (file.includes('types/index')) {
-                affected.add(file);
-            }
-        });
-
-        // Add context files for changed models
-        changedModels.forEach(modelName => {
-            const contextPatterns = this.rules.models.contextFiles(modelName);
-            existingFiles.forEach(file => {
-                if (contextPatterns.some(pattern => file.includes(pattern))) {
-                    affected.add(file);
-                }
-            });
-        });
-
-        // Check pricing lib if relevant models changed
-        if (this.rules.models['lib/pricing.ts'](changedModels)) {
-            existingFiles.forEach(file => {
-                if (file.includes('lib/pricing')) {
-                    affected.add(file);
-                }
-            });
+    withRelatedModels(modelsDiff, relationsDiff) {
+        if (!relationsDiff?.hasChanges) {
+            return modelsDiff;
         }
-    }
 
-    /**
-     * Add files affected by feature changes
-     * @param {object} featuresDiff - Features diff
-     * @param {Array} existingFiles - Existing files
-     * @param {Set} affected - Set of affected files
-     */
-    addFeatureAffectedFiles(featuresDiff, existingFiles, affected) {
-        const changedFeatures = [
-            ...featuresDiff.added,
-            ...featuresDiff.modified
-        ];
-
-        changedFeatures.forEach(featureName => {
-            // Get component directories
-            const componentDirs = this.rules.features.componentDirs(featureName);
-            const pageFiles = this.rules.features.pageFiles(featureName);
-
-            const patterns = [...componentDirs, ...pageFiles];
-
-            existingFiles.forEach(file => {
-                if (patterns.some(pattern => this.matchPattern(file, pattern))) {
-                    affected.add(file);
-                }
-            });
-        });
-    }
-
-    /**
-     * Add files affected by guide changes
-     * @param {object} guidesDiff - Guides diff
-     * @param {Array} existingFiles - Existing files
-     * @param {Set} affected - Set of affected files
-     */
-    addGuideAffectedFiles(guidesDiff, existingFiles, affected) {
-        const changedGuides = [
-            ...guidesDiff.added,
-            ...guidesDiff.modified
-        ];
-
-        changedGuides.forEach(guideName => {
-            const lowerName = guideName.toLowerCase();
-
-            // Check metadata patterns
-            if (this.matchesAnyPattern(lowerName, this.rules.guides.metadata.patterns)) {
-                this.addMatchingFiles(existingFiles, this.rules.guides.metadata.files, affected);
-            }
-
-            // Check styling patterns
-            if (this.matchesAnyPattern(lowerName, this.rules.guides.styling.patterns)) {
-                this.addMatchingFiles(existingFiles, this.rules.guides.styling.files, affected);
-            }
+        const added = modelsDiff?.added || [];
+        const modified = modelsDiff?.modified || [];
+        const removed = modelsDiff?.removed || [];
+        const listed = new Set([...added, ...modified, ...removed]);
+        const related = relationsDiff.models.filter(name => !listed.has(name));
 
-            // Check config patterns
-            if (this.matchesAnyPattern(lowerName, this.rules.guides.config.patterns)) {
-                this.addMatchingFiles(existingFiles, this.rules.guides.config.files, affected);
-            }
-        });
+        return {
+            hasChanges: Boolean(modelsDiff?.hasChanges) || related.length > 0,
+            added,
+            modified: [...modified, ...related],
+            removed
+        };
     }
 
     /**
-     * Add files affected by dependency changes
+     * Add the files the provenance manifest records as implementing changed elements
+     * @param {string} kind - 'models' | 'features' | 'guides'
+     * @param {Array} names - Changed element names
      * @param {Array} existingFiles - Existing files
+     * @param {object} provenance - Provenance manifest
      * @param {Set} affected - Set of affected files
      */
-    addDependencyAffectedFiles(existingFiles, affected) {
+    addProvenanceFiles(kind, names, existingFiles, provenance, affected) {
         existingFiles.forEach(file => {
-            if (file.includes('package.json')) {
+            if (provenance[file]?.[kind]?.some(name => names.includes(name))) {
                 affected.add(file);
             }
         });
     }
 
     /**
-     * Check if string matches any pattern
-     * @param {string} str - String to check
-     * @param {Array} patterns - Patterns to match
-     * @returns {boolean} - True if matches
+     * Check whether a manifest entry can answer for a kind of element
+     * @param {object} entry - Provenance entry (or undefined)
+     * @param {string} kind - 'models' | 'features' | 'guides'
+     * @returns {boolean}
      */
-    matchesAnyPattern(str, patterns) {
-        return patterns.some(pattern => str.includes(pattern));
+    isRecorded(entry, kind) {
+        if (!entry) return false;
+        return entry.source === 'annotation' || kind !== 'guides';
     }
 
     /**
-     * Add files matching any of the given paths
+     * Add files affected by dependency changes
      * @param {Array} existingFiles - Existing files
-     * @param {Array} paths - Paths to match
      * @param {Set} affected - Set of affected files
      */
-    addMatchingFiles(existingFiles, paths, affected) {
+    addDependencyAffectedFiles(existingFiles, affected) {
         existingFiles.forEach(file => {
-            if (paths.some(path => file.includes(path))) {
+            if (file.includes('package.json')) {
                 affected.add(file);
             }
         });
     }
 
-    /**
-     * Match file path against pattern (supports ** glob)
-     * @param {string} filePath - File path
-     * @param {string} pattern - Pattern (supports **)
-     * @returns {boolean} - True if matches
-     */
-    matchPattern(filePath, pattern) {
-        // Simple pattern matching
-        // components/cart/** matches components/cart/anything
-        if (pattern.includes('**')) {
-            const prefix = pattern.split('**')[0];
-            return filePath.includes(prefix);
-        }
-
-        return filePath.includes(pattern);
-    }
-
     /**
      * Estimate selectivity - what % of files are affected
      * @param {Array} affectedFiles - Affected files
@@ -0,0 +1,209 @@
+/**
+ * Drift Validator
+ * Re-parses generated output and compares it with the cached export map to
+ * find removed exports, changed signatures and imports of missing symbols
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'fs';
+import { join, relative } from 'path';
+import { ExportMapBuilder, describeExport } from './export-map-builder.js';
+import { findImportProblems } from './import-resolver.js';
+
+export class DriftValidator {
+    /**
+     * @param {object} options - { cacheDir, outputDirs }
+     */
+    constructor(options = {}) {
+        this.exportMapBuilder = new ExportMapBuilder(options.cacheDir || '.compose/cache');
+        this.outputDirs = options.outputDirs || [];
+    }
+
+    /**
+     * Validate the output directories against the export map
+     * @returns {Promise<object>} - { ok, filesChecked, issues, summary }
+     *   issues as [{ type, file, symbol, message, expected, actual, line }] with
+     *   type 'missing-file' | 'removed-export' | 'changed-signature' | 'broken-import' | 'parse-error'
+     */
+    async validate() {
+        if (!existsSync(this.exportMapBuilder.exportMapFile)) {
+            throw new Error(`Export map not found: ${this.exportMapBuilder.exportMapFile}. Run "compose build" first.`);
+        }
+
+        const exportMap = this.exportMapBuilder.loadExportMap();
+        const files = this.scanOutput();
+        const issues = [];
+
+        // Parse every file once; parse failures are drift too
+        const currentExports = new Map();
+        for (const file of files) {
+            try {
+                currentExports.set(file.path, await this.exportMapBuilder.extractExportsFromFile(file));
+            } catch (error) {
+                issues.push({
+                    type: 'parse-error',
+                    file: file.path,
+                    message: `${file.path} does not parse: ${error.message}`
+                });
+            }
+        }
+
+        for (const entry of Object.values(exportMap)) {
+            const file = this.locate(entry.path, files);
+            if (!file) {
+                issues.push({
+                    type: 'missing-file',
+                    file: entry.path,
+                    message: `${entry.path} is in the export map but no longer exists`
+                });
+                continue;
+            }
+
+            const exports = currentExports.get(file.path);
+            if (exports) {
+                issues.push(...this.compareExports(file.path, entry.exports || {}, exports));
+            }
+        }
+
+        issues.push(...this.checkImports(files, currentExports));
+
+        const count = type => issues.filter(issue => issue.type === type).length;
+        return {
+            ok: issues.length === 0,
+            filesChecked: files.length,
+            issues,
+            summary: {
+                missingFiles: count('missing-file'),
+                removedExports: count('removed-export'),
+                changedSignatures: count('changed-signature'),
+                brokenImports: count('broken-import'),
+                parseErrors: count('parse-error')
+            }
+        };
+    }
+
+    /**
+     * Compare the exports recorded at build time with the current ones
+     * @param {string} filePath - File on disk
+     * @param {object} recorded - Exports from the export map
+     * @param {object} current - Exports parsed now
+     * @returns {Array} - Issues
+     */
+    compareExports(filePath, recorded, current) {
+        const issues = [];
+
+        for (const [name, meta] of Object.entries(recorded)) {
+            if (!current[name]) {
+                issues.push({
+                    type: 'removed-export',
+                    file: filePath,
+                    symbol: name,
+                    message: `${filePath}: export "${name}" was removed`,
+                    expected: describeExport(name, meta)
+                });
+                continue;
+            }
+
+            const expected = describeExport(name, meta);
+            const actual = describeExport(name, current[name]);
+            if (expected !== actual) {
+                issues.push({
+                    type: 'changed-signature',
+                    file: filePath,
+                    symbol: name,
+                    message: `${filePath}: signature of "${name}" changed`,
+                    expected,
+                    actual
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Find imports of symbols the imported file no longer exports
+     * @param {Array} files - Scanned files
+     * @param {Map} currentExports - Parsed exports per file path
+     * @returns {Array} - Issues
+     */
+    checkImports(files, currentExports) {
+        // Files that failed to parse are already reported
+        const parsed = files.filter(file => currentExports.has(file.path));
+
+        // Unresolvable modules are left to the build; only names that vanished count as drift
+        return findImportProblems(parsed, currentExports)
+            .filter(problem => problem.kind === 'missing-export')
+            .map(problem => ({
+                type: 'broken-import',
+                file: problem.path,
+                symbol: problem.name,
+                line: problem.line,
+                message: `${problem.path}:${problem.line} imports "${problem.name}" from ${problem.source}, which ${problem.resolved} no longer exports`
+            }));
+    }
+
+    /**
+     * Find the file on disk for an export map path
+     * Writers may add or strip directory prefixes (e.g. src/), so suffixes match too.
+     * @param {string} entryPath - Path recorded in the export map
+     * @param {Array} files - Scanned files
+     * @returns {object|null} - File or null
+     */
+    locate(entryPath, files) {
+        const wanted = entryPath.replace(/^\.?\//, '');
+        return files.find(file => file.relativePath === wanted)
+            || files.find(file => file.relativePath.endsWith(`/${wanted}`) || wanted.endsWith(`/${file.relativePath}`))
+            || null;
+    }
+
+    /**
+     * Read all JS/TS files from the output directories
+     * @returns {Array} - [{ path, relativePath, rootDir, content }] where path includes the output dir
+     */
+    scanOutput() {
+        const files = [];
+
+        for (const outputDir of this.outputDirs) {
+            if (!existsSync(outputDir)) continue;
+
+            for (const absolutePath of walk(outputDir)) {
+                if (!this.exportMapBuilder.isJavaScriptFile(absolutePath)) continue;
+
+                files.push({
+                    path: relative(process.cwd(), absolutePath).split('\\').join('/'),
+                    relativePath: relative(outputDir, absolutePath).split('\\').join('/'),
+                    rootDir: relative(process.cwd(), outputDir).split('\\').join('/'),
+                    content: readFileSync(absolutePath, 'utf8')
+                });
+            }
+        }
+
+        return files;
+    }
+}
+
+/**
+ * List files below a directory, skipping node_modules and hidden directories
+ */
+function walk(dir, files = []) {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+                walk(fullPath, files);
+            }
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Create a drift validator instance
+ * @param {object} options - { cacheDir, outputDirs }
+ * @returns {DriftValidator}
+ */
+export function createDriftValidator(options) {
+    return new DriftValidator(options);
+}
@@ -529,6 +529,35 @@ export class ExportMapBuilder {
     }
 }
 
+/**
+ * Describe a single export in one line, e.g. "function getUser(id: string): User"
+ * @param {string} name - Export name
+ * @param {object} meta - Export metadata from extractExportsFromFile
+ * @returns {string} - Signature summary
+ */
+export function describeExport(name, meta) {
+    switch (meta.kind) {
+        case 'function': {
+            const params = (meta.params || [])
+                .map(p => `${p.name}${p.required ? '' : '?'}: ${p.type}`)
+                .join(', ');
+            return `${meta.async ? 'async ' : ''}function ${name}(${params}): ${meta.returns}`;
+        }
+        case 'interface':
+            return `interface ${name} { ${(meta.properties || []).join('; ')} }`;
+        case 'type':
+            return `type ${name} = ${meta.typeDefinition}`;
+        case 'enum':
+            return `enum ${name} { ${(meta.values || []).join(', ')} }`;
+        case 'class':
+            return `class ${name} { ${(meta.methods || []).map(m => `${m.name}()`).join('; ')} }`;
+        case 'variable':
+            return `${meta.const ? 'const' : 'let'} ${name}: ${meta.type}`;
+        default:
+            return `${meta.kind || 'export'} ${name}`;
+    }
+}
+
 /**
  * Create an export map builder instance
  */
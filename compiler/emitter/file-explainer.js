@@ -0,0 +1,250 @@
+/**
+ * File Explainer
+ * Explains why a generated file exists: the models, features, guide bullets
+ * and @reference files behind it, the spec edits that would regenerate it and
+ * the last build that wrote it
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, normalize, relative } from 'path';
+import { ExportMapBuilder, describeExport } from './export-map-builder.js';
+import { IRCache } from './ir-cache.js';
+import { ProvenanceManifest, inferProvenance } from './provenance.js';
+import { DependencyTracker } from './dependency-tracker.js';
+import { FileHashCache } from './file-hash-cache.js';
+
+// Labels of IR element kinds in trigger descriptions
+const KIND_LABELS = { models: 'model', features: 'feature', guides: 'guide' };
+
+export class FileExplainer {
+    /**
+     * @param {object} options - { cacheDir, target, targetName, lockFile }
+     *   target: target from compose.json ({ output }), lockFile: LockFile (optional)
+     */
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || '.compose/cache';
+        this.target = options.target || {};
+        this.targetName = options.targetName || 'default';
+        this.lockFile = options.lockFile || null;
+
+        this.irCache = new IRCache(this.cacheDir);
+        this.exportMapBuilder = new ExportMapBuilder(this.cacheDir);
+        this.provenance = new ProvenanceManifest(this.cacheDir);
+    }
+
+    /**
+     * Explain a file
+     * @param {string} filePath - Path on disk or as generated (relative to the target output)
+     * @returns {object|null} - Explanation, or null if this target did not generate the file:
+     *   { target, file, diskPath, source, models, features, guides, references, exports, triggers, lastBuild }
+     */
+    explain(filePath) {
+        const ir = this.irCache.loadIR();
+        if (!ir) {
+            throw new Error(`No IR snapshot in ${this.cacheDir}. Run "compose build" first.`);
+        }
+
+        const exportMap = this.exportMapBuilder.loadExportMap();
+        const manifest = this.provenance.load();
+        const knownFiles = [...new Set([
+            ...Object.keys(manifest),
+            ...Object.values(exportMap).map(entry => entry.path)
+        ])];
+
+        const file = this.locate(filePath, knownFiles);
+        if (!file) {
+            return null;
+        }
+
+        const exportEntry = Object.values(exportMap).find(entry => entry.path === file);
+        const recorded = manifest[file];
+        const implemented = recorded || inferProvenance(file, exportEntry?.exports, ir);
+        const source = recorded ? recorded.source : 'inferred';
+
+        const models = (ir.models || []).filter(model => implemented.models.includes(model.name));
+        const features = (ir.features || []).filter(feature => implemented.features.includes(feature.name));
+        const guides = this.findGuides(ir, implemented, [...models, ...features].map(element => element.name));
+
+        return {
+            target: this.targetName,
+            file,
+            diskPath: this.toDiskPath(file),
+            source,
+            models: models.map(model => ({
+                name: model.name,
+                fields: (model.fields || []).map(field => field.name)
+            })),
+            features: features.map(feature => ({
+                name: feature.name,
+                description: feature.description || []
+            })),
+            guides,
+            references: guides.flatMap(guide => guide.references),
+            exports: Object.entries(exportEntry?.exports || {}).map(([name, meta]) => describeExport(name, meta)),
+            triggers: this.findTriggers(ir, file, knownFiles, manifest),
+            lastBuild: this.describeLastBuild(file, exportEntry)
+        };
+    }
+
+    /**
+     * Find the generated path for a path given on the command line
+     * Paths may include the target output directory or not, and writers may
+     * add prefixes such as src/, so suffixes match too.
+     * @param {string} filePath - Path as given
+     * @param {Array} knownFiles - Generated paths of this target
+     * @returns {string|null} - Generated path or null
+     */
+    locate(filePath, knownFiles) {
+        let wanted = normalize(filePath).split('\\').join('/');
+        if (this.target.output) {
+            const insideOutput = relative(this.target.output, filePath).split('\\').join('/');
+            if (!insideOutput.startsWith('..')) {
+                wanted = insideOutput;
+            }
+        }
+
+        return knownFiles.find(file => file === wanted)
+            || knownFiles.find(file => wanted.endsWith(`/${file}`) || file.endsWith(`/${wanted}`))
+            || null;
+    }
+
+    /**
+     * Collect the guides behind a file
+     * Guides recorded in the provenance contribute all their bullets; other
+     * guides contribute the bullets that name one of the file's models or features.
+     * @param {object} ir - ComposeIR
+     * @param {object} implemented - { models, features, guides } of the file
+     * @param {Array<string>} names - Names of the file's models and features
+     * @returns {Array} - [{ name, hints, matchedBy: 'provenance' | 'name', references }]
+     */
+    findGuides(ir, implemented, names) {
+        const guides = [];
+
+        for (const guide of ir.guides || []) {
+            const references = (guide.references || []).map(ref => ({
+                guide: guide.name,
+                path: ref.path,
+                function: ref.function || null
+            }));
+
+            if (implemented.guides.includes(guide.name)) {
+                guides.push({ name: guide.name, hints: guide.hints || [], matchedBy: 'provenance', references });
+                continue;
+            }
+
+            const hints = (guide.hints || []).filter(hint => names.some(name => mentions(hint, name)));
+            if (hints.length > 0) {
+                // Only references cited in the matching bullets drove this file
+                const cited = references.filter(ref => hints.some(hint => hint.includes(ref.path)));
+                guides.push({ name: guide.name, hints, matchedBy: 'name', references: cited });
+            }
+        }
+
+        return guides;
+    }
+
+    /**
+     * List the spec edits that would regenerate the file on the next build
+     * Each IR element is run through the DependencyTracker as if it changed.
+     * @param {object} ir - ComposeIR
+     * @param {string} file - Generated path
+     * @param {Array} knownFiles - Generated paths of this target
+     * @param {object} manifest - Provenance manifest
+     * @returns {Array<string>} - Edits
+     */
+    findTriggers(ir, file, knownFiles, manifest) {
+        const tracker = new DependencyTracker();
+        const affects = changes => tracker.getAffectedFiles(simulateDiff(changes), knownFiles, manifest).includes(file);
+        const triggers = [];
+
+        for (const kind of Object.keys(KIND_LABELS)) {
+            for (const element of ir[kind] || []) {
+                if (affects({ [kind]: { modified: [element.name] } })) {
+                    triggers.push(`Change ${KIND_LABELS[kind]} ${element.name}`);
+                }
+            }
+        }
+
+        if (affects({ dependencies: true })) {
+            triggers.push('Change the target dependencies');
+        }
+        triggers.push('Add a model, feature or guide (regenerates every file)');
+        triggers.push('Change the target framework or language (regenerates every file)');
+
+        return triggers;
+    }
+
+    /**
+     * Describe the last build of the file from the caches and compose.lock
+     * @param {string} file - Generated path
+     * @param {object} exportEntry - Export map entry (JS/TS files only)
+     * @returns {object} - { generatedAt, writtenAt, builtAt, provider, model }
+     */
+    describeLastBuild(file, exportEntry) {
+        let builtAt = null;
+        try {
+            builtAt = JSON.parse(readFileSync(this.irCache.cachePath, 'utf8')).timestamp || null;
+        } catch {
+            // No snapshot timestamp
+        }
+
+        const hashes = existsSync(join(this.cacheDir, 'file-hashes.json'))
+            ? new FileHashCache(this.cacheDir).hashes
+            : {};
+        const locked = this.lockFile?.getTarget(this.targetName);
+
+        return {
+            generatedAt: exportEntry?.lastUpdated || null,
+            writtenAt: hashes[this.toDiskPath(file)]?.lastModified || null,
+            builtAt,
+            provider: locked?.provider || null,
+            model: locked?.resolvedModel || locked?.model || null
+        };
+    }
+
+    /**
+     * Path of a generated file on disk, as the file hash cache records it
+     */
+    toDiskPath(file) {
+        return this.target.output ? join(this.target.output, file).split('\\').join('/') : file;
+    }
+}
+
+/**
+ * Build an IRCache-shaped diff in which only the given elements changed
+ * @param {object} changes - { models|features|guides: { added, modified }, dependencies: true }
+ * @returns {object} - Diff for DependencyTracker
+ */
+function simulateDiff(changes) {
+    const diff = { hasChanges: true, target: { hasChanges: false } };
+
+    for (const kind of Object.keys(KIND_LABELS)) {
+        const change = changes[kind] || {};
+        diff[kind] = {
+            hasChanges: Boolean(changes[kind]),
+            added: change.added || [],
+            modified: change.modified || [],
+            removed: []
+        };
+    }
+    diff.dependencies = { hasChanges: Boolean(changes.dependencies), added: [], removed: [] };
+
+    return diff;
+}
+
+/**
+ * Check whether text mentions a name as a whole word (plural allowed)
+ */
+function mentions(text, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}(e?s)?\\b`, 'i').test(text);
+}
+
+/**
+ * Create a file explainer instance
+ * @param {object} options - { cacheDir, target, targetName, lockFile }
+ * @returns {FileExplainer}
+ */
+export function createFileExplainer(options) {
+    return new FileExplainer(options);
+}
@@ -1,10 +1,12 @@
 /**
  * File Hash Cache
- * Tracks file content hashes to skip writing unchanged files
+ * Tracks file content hashes to skip writing unchanged files and keeps a copy
+ * of the last generated version of each file as the base for merging hand edits
  */
 
 import { createHash } from 'crypto';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { dirname, join } from 'path';
 
 export class FileHashCache {
     /**
@@ -13,6 +15,7 @@ export class FileHashCache {
     constructor(cacheDir = '.compose/cache') {
         this.cacheDir = cacheDir;
         this.cacheFile = `${cacheDir}/file-hashes.json`;
+        this.baseDir = `${cacheDir}/base`;
         this.hashes = this.loadCache();
     }
 
@@ -65,6 +68,51 @@ export class FileHashCache {
      */
     removeHash(filePath) {
         delete this.hashes[filePath];
+        rmSync(this.getBasePath(filePath), { force: true });
+    }
+
+    /**
+     * Check if the file on disk was edited since it was last generated
+     * @param {string} filePath - Relative file path
+     * @returns {boolean} - True if the file exists and differs from the cached hash
+     */
+    hasLocalEdits(filePath) {
+        const cached = this.hashes[filePath];
+        if (!cached || !existsSync(filePath)) {
+            return false;
+        }
+
+        return this.calculateHash(readFileSync(filePath, 'utf8')) !== cached.hash;
+    }
+
+    /**
+     * Keep the generated content of a file as the base of future merges
+     * @param {string} filePath - Relative file path
+     * @param {string} content - Generated content
+     */
+    saveBase(filePath, content) {
+        const basePath = this.getBasePath(filePath);
+        mkdirSync(dirname(basePath), { recursive: true });
+        writeFileSync(basePath, content, 'utf8');
+    }
+
+    /**
+     * Load the content a file had when it was last generated
+     * @param {string} filePath - Relative file path
+     * @returns {string|null} - Base content or null if none was kept
+     */
+    loadBase(filePath) {
+        const basePath = this.getBasePath(filePath);
+        return existsSync(basePath) ? readFileSync(basePath, 'utf8') : null;
+    }
+
+    /**
+     * Get where the base copy of a file is kept
+     * @param {string} filePath - Relative file path
+     * @returns {string} - Path below the base directory
+     */
+    getBasePath(filePath) {
+        return join(this.baseDir, filePath.replace(/^(\/|\.\.\/)+/, '').replace(/\/\.\.\//g, '/'));
     }
 
     /**
@@ -106,10 +154,11 @@ export class FileHashCache {
     }
 
     /**
-     * Clear all hashes and save
+     * Clear all hashes and base copies and save
      */
     clear() {
         this.hashes = {};
+        rmSync(this.baseDir, { recursive: true, force: true });
         this.saveCache();
     }
 
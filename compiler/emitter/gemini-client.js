@@ -6,13 +6,15 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 
 export class GeminiClient {
-    constructor(config, cacheManager = null) {
+    constructor(config, cacheManager = null, usage = null) {
         this.config = config;
         this.apiKey = this.resolveApiKey(config.apiKey);
         this.model = config.model || 'gemini-pro';
         this.temperature = config.temperature ?? 0.7;
         this.maxTokens = config.maxTokens || 2048;
         this.cacheManager = cacheManager;
+        this.usage = usage; // UsageTracker: records tokens and enforces llm.budget
+        this.lastGeneration = null; // { cacheKey, model, cached, truncated } of the latest call
 
         if (!this.apiKey) {
             throw new Error('Gemini API key is required. Set GEMINI_API_KEY environment variable.');
@@ -52,45 +54,134 @@ export class GeminiClient {
         // Gemini uses a combined prompt
         const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
 
-        // Check cache first
-        if (this.cacheManager) {
-            const cacheKey = this.cacheManager.generateKey(fullPrompt, {
+        const cacheKey = this.cacheManager
+            ? this.cacheManager.generateKey(fullPrompt, {
                 model: this.model,
                 temperature: this.temperature,
-            });
+            })
+            : null;
 
+        // Check cache first
+        if (cacheKey) {
             const cached = this.cacheManager.get(cacheKey);
             if (cached) {
+                this.lastGeneration = { cacheKey, model: null, cached: true, truncated: false };
+                this.usage?.record({ model: this.model, cached: true });
                 return cached;
             }
+            this.cacheManager.assertCanGenerate(cacheKey);
         }
+        this.usage?.checkBudget(fullPrompt);
 
         try {
             const result = await this.generativeModel.generateContent(fullPrompt);
             const response = await result.response;
             const text = response.text();
+            // modelVersion is returned by the API but not declared by the SDK types
+            this.lastGeneration = {
+                cacheKey,
+                model: response.modelVersion || this.model,
+                cached: false,
+                truncated: response.candidates?.[0]?.finishReason === 'MAX_TOKENS'
+            };
+            this.usage?.record({
+                model: this.lastGeneration.model,
+                inputTokens: response.usageMetadata?.promptTokenCount,
+                outputTokens: response.usageMetadata?.candidatesTokenCount
+            });
 
             // Clean up the response
             const cleanedCode = this.stripMarkdown(text);
 
-            // Store in cache
-            if (this.cacheManager) {
-                const cacheKey = this.cacheManager.generateKey(fullPrompt, {
-                    model: this.model,
-                    temperature: this.temperature,
-                });
+            // Store in cache, unless the response was cut off
+            if (cacheKey && !this.lastGeneration.truncated) {
                 this.cacheManager.set(cacheKey, cleanedCode);
             }
 
             return cleanedCode;
         } catch (error) {
-            if (error.message?.includes('API_KEY')) {
-                throw new Error('Invalid Gemini API key. Please check your configuration.');
-            } else if (error.message?.includes('quota')) {
-                throw new Error('Gemini API quota exceeded. Please try again later.');
-            } else {
-                throw new Error(`Gemini API error: ${error.message}`);
+            throw this.toApiError(error);
+        }
+    }
+
+    /**
+     * Stream generated text as it arrives
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - User prompt
+     * @param {object} options - Generation options
+     * @returns {AsyncGenerator<string>} - Text chunks
+     */
+    async *stream(systemPrompt, userPrompt, options = {}) {
+        // Gemini uses a combined prompt
+        const fullPrompt = `${systemPrompt}\n\n${userPrompt}`;
+
+        const cacheKey = this.cacheManager
+            ? this.cacheManager.generateKey(fullPrompt, {
+                model: this.model,
+                temperature: this.temperature,
+            })
+            : null;
+
+        if (cacheKey) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                this.lastGeneration = { cacheKey, model: null, cached: true, truncated: false };
+                this.usage?.record({ model: this.model, cached: true });
+                yield cached;
+                return;
             }
+            this.cacheManager.assertCanGenerate(cacheKey);
+        }
+        this.usage?.checkBudget(fullPrompt);
+
+        let text = '';
+        let reportedModel = this.model;
+        let finishReason = null;
+        // Every chunk reports the usage so far
+        let usageMetadata = null;
+
+        try {
+            const result = await this.generativeModel.generateContentStream(fullPrompt);
+
+            for await (const chunk of result.stream) {
+                reportedModel = chunk.modelVersion || reportedModel;
+                finishReason = chunk.candidates?.[0]?.finishReason || finishReason;
+                usageMetadata = chunk.usageMetadata || usageMetadata;
+                const delta = chunk.text();
+                if (delta) {
+                    text += delta;
+                    yield delta;
+                }
+            }
+        } catch (error) {
+            throw this.toApiError(error);
+        }
+
+        this.lastGeneration = { cacheKey, model: reportedModel, cached: false, truncated: finishReason === 'MAX_TOKENS' };
+        this.usage?.record({
+            model: reportedModel,
+            inputTokens: usageMetadata?.promptTokenCount,
+            outputTokens: usageMetadata?.candidatesTokenCount
+        });
+
+        // A cut-off response would be replayed as complete
+        if (cacheKey && !this.lastGeneration.truncated) {
+            this.cacheManager.set(cacheKey, this.stripMarkdown(text));
+        }
+    }
+
+    /**
+     * Map SDK errors to readable messages
+     * @param {Error} error - Error thrown by the Gemini SDK
+     * @returns {Error} - Error to rethrow
+     */
+    toApiError(error) {
+        if (error.message?.includes('API_KEY')) {
+            return new Error('Invalid Gemini API key. Please check your configuration.');
+        } else if (error.message?.includes('quota')) {
+            return new Error('Gemini API quota exceeded. Please try again later.');
+        } else {
+            return new Error(`Gemini API error: ${error.message}`);
         }
     }
 
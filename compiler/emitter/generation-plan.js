@@ -0,0 +1,72 @@
+/**
+ * Generation Plan
+ * Parses the file manifest of chunked generation and splits it into batches
+ */
+
+export const DEFAULT_MAX_FILES_PER_BATCH = 8;
+
+/**
+ * Parse the manifest the LLM returned for createManifestPrompt
+ * @param {string} output - LLM output (a JSON array, possibly wrapped in prose or fences)
+ * @returns {Array} - Manifest entries ({path, group, description})
+ */
+export function parseManifest(output) {
+    const start = output.indexOf('[');
+    const end = output.lastIndexOf(']');
+    if (start === -1 || end < start) {
+        throw new Error('File manifest is not a JSON array');
+    }
+
+    let entries;
+    try {
+        entries = JSON.parse(output.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`Failed to parse file manifest: ${error.message}`);
+    }
+
+    const manifest = [];
+    const seen = new Set();
+    for (const entry of entries) {
+        const path = typeof entry === 'string' ? entry : entry?.path;
+        if (typeof path !== 'string' || !path.trim() || seen.has(path.trim())) {
+            continue;
+        }
+        seen.add(path.trim());
+        manifest.push({
+            path: path.trim(),
+            group: entry.group || 'Shared',
+            description: entry.description || ''
+        });
+    }
+
+    if (manifest.length === 0) {
+        throw new Error('File manifest lists no files');
+    }
+
+    return manifest;
+}
+
+/**
+ * Split manifest entries into batches, one group (model/feature) at a time
+ * Groups keep the manifest's dependency order; large groups are split.
+ * @param {Array} manifest - Manifest entries
+ * @param {number} maxFilesPerBatch - Maximum files per LLM call
+ * @returns {Array<Array>} - Batches of manifest entries
+ */
+export function planBatches(manifest, maxFilesPerBatch = DEFAULT_MAX_FILES_PER_BATCH) {
+    const groups = new Map();
+    for (const entry of manifest) {
+        if (!groups.has(entry.group)) {
+            groups.set(entry.group, []);
+        }
+        groups.get(entry.group).push(entry);
+    }
+
+    const batches = [];
+    for (const entries of groups.values()) {
+        for (let i = 0; i < entries.length; i += maxFilesPerBatch) {
+            batches.push(entries.slice(i, i + maxFilesPerBatch));
+        }
+    }
+    return batches;
+}
@@ -0,0 +1,160 @@
+/**
+ * Import Resolver
+ * Extracts imports from JS/TS files, resolves project-relative ones
+ * (./, ../ and the @/ alias) against a set of known file paths and checks
+ * that the imported names are exported
+ */
+
+import { parse } from '@babel/parser';
+import { posix } from 'path';
+
+// Tried in order when an import omits the extension
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+
+// Where "@/..." points, relative to the project root (Next.js and Vite conventions)
+const ALIAS_ROOTS = ['', 'src/'];
+
+// Imports of styles and other assets are not modules with exports
+const ASSET_IMPORT = /\.(css|scss|sass|less|svg|png|jpe?g|gif|webp|ico|json|md|txt|html|woff2?)$/;
+
+// Files that re-export everything from another module
+const EXPORT_ALL = /^\s*export\s+\*\s+from\s/m;
+
+/**
+ * Extract the import and re-export declarations of a file
+ * @param {string} content - File content
+ * @returns {Array} - [{ source, names, line }] where names are the imported
+ *   export names ('default' for default imports, '*' for namespace imports)
+ */
+export function extractImports(content) {
+    const ast = parse(content, {
+        sourceType: 'module',
+        plugins: ['typescript', 'jsx']
+    });
+
+    const imports = [];
+    for (const node of ast.program.body) {
+        if (node.type === 'ImportDeclaration') {
+            imports.push({
+                source: node.source.value,
+                names: node.specifiers.map(specifier => {
+                    if (specifier.type === 'ImportDefaultSpecifier') return 'default';
+                    if (specifier.type === 'ImportNamespaceSpecifier') return '*';
+                    return specifier.imported.name ?? specifier.imported.value;
+                }),
+                line: node.loc.start.line
+            });
+        } else if (node.type === 'ExportNamedDeclaration' && node.source) {
+            imports.push({
+                source: node.source.value,
+                names: node.specifiers.map(specifier => specifier.local.name ?? specifier.local.value),
+                line: node.loc.start.line
+            });
+        }
+    }
+
+    return imports;
+}
+
+/**
+ * Check whether an import specifier points into the project
+ * @param {string} specifier - Import source
+ * @returns {boolean}
+ */
+export function isProjectImport(specifier) {
+    return specifier.startsWith('./') || specifier.startsWith('../') || specifier.startsWith('@/');
+}
+
+/**
+ * Resolve a project import to one of the known files
+ * @param {string} fromPath - Importing file (relative to the project root)
+ * @param {string} specifier - Import source
+ * @param {Set<string>} knownPaths - Project files (relative, forward slashes)
+ * @param {string} rootDir - Directory "@/" is relative to (prefix of knownPaths)
+ * @returns {string|null} - Resolved path or null
+ */
+export function resolveImport(fromPath, specifier, knownPaths, rootDir = '') {
+    const bases = specifier.startsWith('@/')
+        ? ALIAS_ROOTS.map(root => posix.join(rootDir, root, specifier.slice(2)))
+        : [posix.join(posix.dirname(fromPath), specifier)];
+
+    for (const base of bases) {
+        const candidates = [
+            base,
+            ...RESOLVE_EXTENSIONS.map(ext => base + ext),
+            ...RESOLVE_EXTENSIONS.map(ext => `${base}/index${ext}`)
+        ];
+
+        // "./user.js" may refer to user.ts in TypeScript projects
+        if (/\.(js|jsx)$/.test(base)) {
+            const stem = base.replace(/\.(js|jsx)$/, '');
+            candidates.push(`${stem}.ts`, `${stem}.tsx`);
+        }
+
+        const match = candidates.find(candidate => knownPaths.has(candidate));
+        if (match) {
+            return match;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check that every project import resolves to a file that exports the imported names
+ * @param {Array} files - Files to check ({ path, content, rootDir })
+ * @param {Map<string, object|null>} exportsByPath - Known files and their exports
+ *   (null when a file's exports are unknown; its names are then not checked)
+ * @returns {Array} - [{ path, line, source, kind, name, resolved, message }] with
+ *   kind 'unresolved-module' | 'missing-export'
+ */
+export function findImportProblems(files, exportsByPath) {
+    const problems = [];
+    const knownPaths = new Set(exportsByPath.keys());
+    const contents = new Map(files.map(file => [file.path, file.content]));
+
+    for (const file of files) {
+        let imports;
+        try {
+            imports = extractImports(file.content);
+        } catch {
+            continue; // Syntax errors are reported elsewhere
+        }
+
+        for (const imported of imports) {
+            if (!isProjectImport(imported.source) || ASSET_IMPORT.test(imported.source)) continue;
+
+            const resolved = resolveImport(file.path, imported.source, knownPaths, file.rootDir);
+            if (!resolved) {
+                problems.push({
+                    path: file.path,
+                    line: imported.line,
+                    source: imported.source,
+                    kind: 'unresolved-module',
+                    message: `${file.path}:${imported.line} imports ${imported.source}, which does not exist`
+                });
+                continue;
+            }
+
+            const exports = exportsByPath.get(resolved);
+            // "export *" barrels hide their real exports, so names can't be checked
+            if (!exports || EXPORT_ALL.test(contents.get(resolved) || '')) continue;
+
+            for (const name of imported.names) {
+                if (name === '*' || exports[name]) continue;
+
+                problems.push({
+                    path: file.path,
+                    line: imported.line,
+                    source: imported.source,
+                    kind: 'missing-export',
+                    name,
+                    resolved,
+                    message: `${file.path}:${imported.line} imports "${name}" from ${imported.source}, which ${resolved} does not export`
+                });
+            }
+        }
+    }
+
+    return problems;
+}
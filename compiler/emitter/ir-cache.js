@@ -16,8 +16,10 @@ export class IRCache {
     /**
      * Save IR to cache
      * @param {object} ir - ComposeIR object
+     * @param {object} options - { pending }: generated paths that were not
+     *   written (rejected in review) and must be regenerated by the next build
      */
-    saveIR(ir) {
+    saveIR(ir, options = {}) {
         try {
             const dir = dirname(this.cachePath);
             if (!existsSync(dir)) {
@@ -27,7 +29,8 @@ export class IRCache {
             const data = {
                 timestamp: Date.now(),
                 ir: ir,
-                hash: this.calculateIRHash(ir)
+                hash: this.calculateIRHash(ir),
+                pending: options.pending || []
             };
 
             writeFileSync(this.cachePath, JSON.stringify(data, null, 2), 'utf8');
@@ -54,6 +57,22 @@ export class IRCache {
         }
     }
 
+    /**
+     * Load the paths the last build generated but did not write
+     * @returns {Array<string>} - Generated paths
+     */
+    loadPending() {
+        try {
+            if (!existsSync(this.cachePath)) {
+                return [];
+            }
+
+            return JSON.parse(readFileSync(this.cachePath, 'utf8')).pending || [];
+        } catch {
+            return [];
+        }
+    }
+
     /**
      * Calculate hash of IR for quick comparison
      * @param {object} ir - ComposeIR object
@@ -80,6 +99,7 @@ export class IRCache {
             models: this.diffModels(oldIR.models || [], newIR.models || []),
             features: this.diffFeatures(oldIR.features || [], newIR.features || []),
             guides: this.diffGuides(oldIR.guides || [], newIR.guides || []),
+            relations: this.diffRelations(oldIR.relations || [], newIR.relations || []),
             target: this.diffTarget(oldIR.target, newIR.target),
             dependencies: this.diffDependencies(oldIR.dependencies || [], newIR.dependencies || [])
         };
@@ -88,6 +108,7 @@ export class IRCache {
             diff.models.hasChanges ||
             diff.features.hasChanges ||
             diff.guides.hasChanges ||
+            diff.relations.hasChanges ||
             diff.target.hasChanges ||
             diff.dependencies.hasChanges;
 
@@ -121,6 +142,13 @@ export class IRCache {
                 modified: [],
                 removed: []
             },
+            relations: {
+                hasChanges: (ir.relations || []).length > 0,
+                added: (ir.relations || []).map(r => r.name),
+                modified: [],
+                removed: [],
+                models: getRelationModels(ir.relations || [])
+            },
             target: {
                 hasChanges: false
             },
@@ -183,6 +211,12 @@ export class IRCache {
             return true;
         }
 
+        // Compare parent and mixins
+        if ((oldModel.extends || null) !== (newModel.extends || null) ||
+            JSON.stringify(oldModel.mixins || []) !== JSON.stringify(newModel.mixins || [])) {
+            return true;
+        }
+
         // Compare each field
         const oldFields = new Map((oldModel.fields || []).map(f => [f.name, f]));
         const newFields = new Map((newModel.fields || []).map(f => [f.name, f]));
@@ -190,8 +224,9 @@ export class IRCache {
         for (const [name, newField] of newFields) {
             const oldField = oldFields.get(name);
             if (!oldField ||
-                oldField.type !== newField.type ||
-                oldField.required !== newField.required) {
+                JSON.stringify(oldField.type) !== JSON.stringify(newField.type) ||
+                oldField.optional !== newField.optional ||
+                JSON.stringify(oldField.constraints || []) !== JSON.stringify(newField.constraints || [])) {
                 return true;
             }
         }
@@ -321,6 +356,51 @@ export class IRCache {
         return false;
     }
 
+    /**
+     * Diff relations between two IRs
+     * Relations are matched by name; models lists the models at either end of
+     * a changed relation, whose code may have to follow the change.
+     * @param {Array} oldRelations - Previous relations
+     * @param {Array} newRelations - Current relations
+     * @returns {object} - Relation diff
+     */
+    diffRelations(oldRelations, newRelations) {
+        const oldMap = new Map(oldRelations.map(r => [r.name, r]));
+        const newMap = new Map(newRelations.map(r => [r.name, r]));
+
+        const added = [];
+        const modified = [];
+        const removed = [];
+
+        for (const [name, newRelation] of newMap) {
+            const oldRelation = oldMap.get(name);
+            if (!oldRelation) {
+                added.push(name);
+            } else if (JSON.stringify(oldRelation) !== JSON.stringify(newRelation)) {
+                modified.push(name);
+            }
+        }
+
+        for (const name of oldMap.keys()) {
+            if (!newMap.has(name)) {
+                removed.push(name);
+            }
+        }
+
+        const changed = [
+            ...[...added, ...modified].map(name => newMap.get(name)),
+            ...removed.map(name => oldMap.get(name))
+        ];
+
+        return {
+            hasChanges: added.length > 0 || modified.length > 0 || removed.length > 0,
+            added,
+            modified,
+            removed,
+            models: getRelationModels(changed)
+        };
+    }
+
     /**
      * Diff target configuration
      * @param {object} oldTarget - Previous target
@@ -389,3 +469,12 @@ export class IRCache {
 export function createIRCache(cacheDir) {
     return new IRCache(cacheDir);
 }
+
+/**
+ * Get the models at either end of relations
+ * @param {Array} relations - RelationIR objects
+ * @returns {Array<string>} - Model names
+ */
+function getRelationModels(relations) {
+    return [...new Set(relations.flatMap(r => [r.from.model, r.to.model]))];
+}
@@ -8,6 +8,7 @@ export class MockLLMClient {
   constructor(cacheManager = null) {
     this.cacheManager = cacheManager;
     this.responses = new Map();
+    this.lastGeneration = null;
   }
 
   /**
@@ -20,6 +21,7 @@ export class MockLLMClient {
   async generate(systemPrompt, userPrompt, options = {}) {
     // In a real implementation, this would call an LLM API
     // For now, return mock code based on prompt patterns
+    this.lastGeneration = { cacheKey: null, model: 'mock', cached: false, truncated: false };
 
     if (userPrompt.includes('component')) {
       return this.generateMockComponent(userPrompt);
@@ -154,14 +156,17 @@ export function ${name}(...args) {
  */
 
 import { createCacheManager } from './cache-manager.js';
+import { createUsageTracker } from './usage-tracker.js';
 
 /**
  * Create LLM client
  * Create an LLM client based on configuration
  * @param {object} config - LLM configuration from compose.json
- * @returns {MockLLMClient|OpenAIClient|GeminiClient} - LLM client instance
+ * @param {object} options - { usage, targetName }: a UsageTracker shared by the
+ *   build (one is created from llm.budget otherwise) and the target it records for
+ * @returns {MockLLMClient|OpenAIClient|GeminiClient|AnthropicClient} - LLM client instance
  */
-export async function createLLMClient(config = {}) {
+export async function createLLMClient(config = {}, options = {}) {
   // Create cache manager (shared across all clients)
   const cacheManager = createCacheManager(config.cache);
 
@@ -170,31 +175,28 @@ export async function createLLMClient(config = {}) {
     return new MockLLMClient(cacheManager);
   }
 
-  // Create real client based on provider
-  try {
-    const provider = config.provider.toLowerCase();
-
-    switch (provider) {
-      case 'openai': {
-        const { OpenAIClient } = await import('./openai-client.js');
-        return new OpenAIClient(config, cacheManager);
-      }
-      case 'gemini': {
-        const { GeminiClient } = await import('./gemini-client.js');
-        return new GeminiClient(config, cacheManager);
-      }
-      case 'anthropic': {
-        // TODO: Implement Anthropic client
-        console.warn('Anthropic not yet implemented, using mock');
-        return new MockLLMClient(cacheManager);
-      }
-      default:
-        console.warn(`Unknown provider "${config.provider}", using mock`);
-        return new MockLLMClient(cacheManager);
+  // Real clients record their token usage and enforce llm.budget
+  const usage = options.usage || createUsageTracker(config, { targetName: options.targetName });
+
+  // Create real client based on provider. A client that cannot be created
+  // fails the build rather than falling back to placeholder code
+  const provider = config.provider.toLowerCase();
+
+  switch (provider) {
+    case 'openai':
+    case 'openai-compatible': {
+      const { OpenAIClient } = await import('./openai-client.js');
+      return new OpenAIClient(config, cacheManager, usage);
     }
-  } catch (error) {
-    console.error(`Failed to create ${config.provider} client: ${error.message}`);
-    console.warn('Falling back to mock LLM client');
-    return new MockLLMClient(cacheManager);
+    case 'gemini': {
+      const { GeminiClient } = await import('./gemini-client.js');
+      return new GeminiClient(config, cacheManager, usage);
+    }
+    case 'anthropic': {
+      const { AnthropicClient } = await import('./anthropic-client.js');
+      return new AnthropicClient(config, cacheManager, usage);
+    }
+    default:
+      throw new Error(`Unknown LLM provider "${config.provider}". Use openai, openai-compatible, gemini or anthropic`);
   }
 }
@@ -0,0 +1,130 @@
+/**
+ * LLM Lock File
+ * Pins provider, model and prompt-template versions per target in compose.lock
+ * so later builds can detect when generation settings drift
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+
+export const LOCKFILE_VERSION = 1;
+
+// Settings known before the LLM is called, compared on every build
+const PINNED_FIELDS = ['provider', 'model', 'temperature', 'maxTokens', 'promptTemplateVersion'];
+
+export class LockFile {
+    /**
+     * @param {string} lockPath - Path to compose.lock
+     */
+    constructor(lockPath = 'compose.lock') {
+        this.lockPath = lockPath;
+        this.data = this.load();
+    }
+
+    /**
+     * Load lock file from disk
+     * @returns {object} - Lock data ({ lockfileVersion, targets })
+     */
+    load() {
+        if (!existsSync(this.lockPath)) {
+            return { lockfileVersion: LOCKFILE_VERSION, targets: {} };
+        }
+
+        try {
+            const data = JSON.parse(readFileSync(this.lockPath, 'utf8'));
+            return { lockfileVersion: LOCKFILE_VERSION, ...data, targets: data.targets || {} };
+        } catch (error) {
+            console.warn(`⚠️  Failed to load ${this.lockPath}: ${error.message}`);
+            return { lockfileVersion: LOCKFILE_VERSION, targets: {} };
+        }
+    }
+
+    /**
+     * Save lock file to disk
+     */
+    save() {
+        try {
+            writeFileSync(this.lockPath, JSON.stringify(this.data, null, 2) + '\n', 'utf8');
+        } catch (error) {
+            console.warn(`⚠️  Failed to save ${this.lockPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check whether the lock file exists on disk
+     * @returns {boolean}
+     */
+    exists() {
+        return existsSync(this.lockPath);
+    }
+
+    /**
+     * Get locked entry for a target
+     * @param {string} targetName - Target name
+     * @returns {object|null} - Locked entry or null
+     */
+    getTarget(targetName) {
+        return this.data.targets[targetName] || null;
+    }
+
+    /**
+     * Record the settings and responses used for a target
+     * @param {string} targetName - Target name
+     * @param {object} entry - { provider, model, resolvedModel, temperature, maxTokens, promptTemplateVersion, responses }
+     */
+    setTarget(targetName, entry) {
+        this.data.targets[targetName] = entry;
+    }
+
+    /**
+     * Compare the settings about to be used against the locked ones
+     * @param {string} targetName - Target name
+     * @param {object} current - Current settings (same shape as a lock entry)
+     * @returns {Array} - Drifted fields: [{ field, locked, current }]
+     */
+    diff(targetName, current) {
+        const locked = this.getTarget(targetName);
+        if (!locked) {
+            return [];
+        }
+
+        return PINNED_FIELDS
+            .filter(field => locked[field] !== undefined && locked[field] !== current[field])
+            .map(field => ({ field, locked: locked[field], current: current[field] }));
+    }
+
+    /**
+     * Compare the model id reported by the API against the locked one
+     * @param {string} targetName - Target name
+     * @param {string|null} resolvedModel - Model id the API reported (null when served from cache)
+     * @returns {object|null} - Drift entry or null
+     */
+    diffResolvedModel(targetName, resolvedModel) {
+        const locked = this.getTarget(targetName);
+        if (!locked?.resolvedModel || !resolvedModel || locked.resolvedModel === resolvedModel) {
+            return null;
+        }
+        return { field: 'resolvedModel', locked: locked.resolvedModel, current: resolvedModel };
+    }
+}
+
+/**
+ * Format drift entries for error and warning messages
+ * @param {string} targetName - Target name
+ * @param {Array} drift - Drift entries from LockFile.diff
+ * @returns {string} - Human-readable description
+ */
+export function formatLockDrift(targetName, drift) {
+    const lines = drift.map(d =>
+        `  - ${d.field}: locked ${JSON.stringify(d.locked)}, now ${JSON.stringify(d.current)}`
+    );
+    return `compose.lock drift for target "${targetName}":\n${lines.join('\n')}`;
+}
+
+/**
+ * Create a lock file instance
+ * @param {string} lockPath - Path to compose.lock
+ * @returns {LockFile} - LockFile instance
+ */
+export function createLockFile(lockPath) {
+    return new LockFile(lockPath);
+}
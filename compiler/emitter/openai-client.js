@@ -1,25 +1,36 @@
 /**
  * OpenAI LLM Client
  * Real implementation using OpenAI API
+ * Also serves "openai-compatible" local endpoints (llama.cpp, vLLM, Ollama)
  */
 
 import OpenAI from 'openai';
 
 export class OpenAIClient {
-    constructor(config, cacheManager = null) {
+    constructor(config, cacheManager = null, usage = null) {
         this.config = config;
+        this.compatible = config.provider === 'openai-compatible';
         this.apiKey = this.resolveApiKey(config.apiKey);
+        this.baseUrl = config.baseUrl ? this.resolveBaseUrl(config.baseUrl) : undefined;
         this.model = config.model || 'gpt-4';
         this.temperature = config.temperature ?? 0.7;
         this.maxTokens = config.maxTokens || 2048;
         this.cacheManager = cacheManager;
+        this.usage = usage; // UsageTracker: records tokens and enforces llm.budget
+        this.lastGeneration = null; // { cacheKey, model, cached, truncated } of the latest call
 
-        if (!this.apiKey) {
+        if (this.compatible && !this.baseUrl) {
+            throw new Error('llm.baseUrl is required for the openai-compatible provider.');
+        }
+
+        // Local servers usually don't check keys, but the SDK insists on one
+        if (!this.apiKey && !this.compatible) {
             throw new Error('OpenAI API key is required. Set OPENAI_API_KEY environment variable.');
         }
 
         this.client = new OpenAI({
-            apiKey: this.apiKey
+            apiKey: this.apiKey || 'not-needed',
+            baseURL: this.baseUrl
         });
     }
 
@@ -36,6 +47,18 @@ export class OpenAIClient {
         return keyTemplate;
     }
 
+    /**
+     * Normalize an OpenAI-style server URL to its /v1 API root
+     * Accepts "http://localhost:8080", ".../v1" and ".../v1/chat/completions"
+     */
+    resolveBaseUrl(baseUrl) {
+        const url = baseUrl
+            .replace(/\/+$/, '')
+            .replace(/\/chat\/completions$/, '');
+
+        return url.endsWith('/v1') ? url : `${url}/v1`;
+    }
+
     /**
      * Generate code from prompt
      * @param {string} systemPrompt - System prompt
@@ -44,19 +67,25 @@ export class OpenAIClient {
      * @returns {Promise<string>} - Generated code
      */
     async generate(systemPrompt, userPrompt, options = {}) {
-        // Check cache first
-        if (this.cacheManager) {
-            const cacheKey = this.cacheManager.generateKey({ systemPrompt, userPrompt }, {
+        const cacheKey = this.cacheManager
+            ? this.cacheManager.generateKey({ systemPrompt, userPrompt }, {
                 model: this.model,
                 temperature: this.temperature,
                 ...options
-            });
+            })
+            : null;
 
+        // Check cache first
+        if (cacheKey) {
             const cached = this.cacheManager.get(cacheKey);
             if (cached) {
+                this.lastGeneration = { cacheKey, model: null, cached: true, truncated: false };
+                this.usage?.record({ model: this.model, cached: true });
                 return cached;
             }
+            this.cacheManager.assertCanGenerate(cacheKey);
         }
+        this.usage?.checkBudget(systemPrompt + userPrompt);
 
         try {
             const response = await this.client.chat.completions.create({
@@ -71,29 +100,121 @@ export class OpenAIClient {
             });
 
             const text = response.choices[0].message.content;
+            this.lastGeneration = {
+                cacheKey,
+                model: response.model || this.model,
+                cached: false,
+                truncated: response.choices[0].finish_reason === 'length'
+            };
+            this.usage?.record({
+                model: this.lastGeneration.model,
+                inputTokens: response.usage?.prompt_tokens,
+                outputTokens: response.usage?.completion_tokens
+            });
 
             // Clean up the response
             const cleanedCode = this.stripMarkdown(text);
 
-            // Store in cache
-            if (this.cacheManager) {
-                const cacheKey = this.cacheManager.generateKey({ systemPrompt, userPrompt }, {
-                    model: this.model,
-                    temperature: this.temperature,
-                    ...options
-                });
+            // Store in cache, unless the response was cut off
+            if (cacheKey && !this.lastGeneration.truncated) {
                 this.cacheManager.set(cacheKey, cleanedCode);
             }
 
             return cleanedCode;
         } catch (error) {
-            if (error.status === 429) {
-                throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-            } else if (error.status === 401) {
-                throw new Error('Invalid OpenAI API key. Please check your configuration.');
-            } else {
-                throw new Error(`OpenAI API error: ${error.message}`);
+            throw this.toApiError(error);
+        }
+    }
+
+    /**
+     * Stream generated text as it arrives
+     * @param {string} systemPrompt - System prompt
+     * @param {string} userPrompt - User prompt
+     * @param {object} options - Generation options
+     * @returns {AsyncGenerator<string>} - Text chunks
+     */
+    async *stream(systemPrompt, userPrompt, options = {}) {
+        const cacheKey = this.cacheManager
+            ? this.cacheManager.generateKey({ systemPrompt, userPrompt }, {
+                model: this.model,
+                temperature: this.temperature,
+                ...options
+            })
+            : null;
+
+        if (cacheKey) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                this.lastGeneration = { cacheKey, model: null, cached: true, truncated: false };
+                this.usage?.record({ model: this.model, cached: true });
+                yield cached;
+                return;
             }
+            this.cacheManager.assertCanGenerate(cacheKey);
+        }
+        this.usage?.checkBudget(systemPrompt + userPrompt);
+
+        let text = '';
+        let reportedModel = this.model;
+        let finishReason = null;
+        let usage = null;
+
+        try {
+            const stream = await this.client.chat.completions.create({
+                model: this.model,
+                messages: [
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: userPrompt }
+                ],
+                temperature: this.temperature,
+                max_tokens: this.maxTokens,
+                ...options,
+                stream: true,
+                // Local servers may reject stream_options; many send usage anyway
+                ...(this.compatible ? {} : { stream_options: { include_usage: true } })
+            });
+
+            for await (const chunk of stream) {
+                reportedModel = chunk.model || reportedModel;
+                usage = chunk.usage || usage;
+                finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) {
+                    text += delta;
+                    yield delta;
+                }
+            }
+        } catch (error) {
+            throw this.toApiError(error);
+        }
+
+        this.lastGeneration = { cacheKey, model: reportedModel, cached: false, truncated: finishReason === 'length' };
+        this.usage?.record({
+            model: reportedModel,
+            inputTokens: usage?.prompt_tokens,
+            outputTokens: usage?.completion_tokens
+        });
+
+        // A cut-off response would be replayed as complete
+        if (cacheKey && !this.lastGeneration.truncated) {
+            this.cacheManager.set(cacheKey, this.stripMarkdown(text));
+        }
+    }
+
+    /**
+     * Map SDK errors to readable messages
+     * @param {Error} error - Error thrown by the OpenAI SDK
+     * @returns {Error} - Error to rethrow
+     */
+    toApiError(error) {
+        if (this.compatible && error instanceof OpenAI.APIConnectionError) {
+            return new Error(`Could not reach OpenAI-compatible endpoint at ${this.baseUrl}. Is the server running?`);
+        } else if (error.status === 429) {
+            return new Error('OpenAI API rate limit exceeded. Please try again later.');
+        } else if (error.status === 401) {
+            return new Error('Invalid OpenAI API key. Please check your configuration.');
+        } else {
+            return new Error(`OpenAI API error: ${error.message}`);
         }
     }
 
@@ -0,0 +1,118 @@
+/**
+ * Orphan Files
+ * Finds generated files that only implemented models, features or guides the
+ * spec no longer has, and prunes them by moving them to a trash directory
+ */
+
+import { existsSync, mkdirSync, renameSync } from 'fs';
+import { dirname, join } from 'path';
+import { ProvenanceManifest, PROVENANCE_KINDS, isOrphaned } from './provenance.js';
+import { FileHashCache } from './file-hash-cache.js';
+import { ExportMapBuilder } from './export-map-builder.js';
+
+export const TRASH_ROOT = '.compose/trash';
+
+export class OrphanFinder {
+    /**
+     * @param {object} options - { cacheDir, outputDir }
+     * @param {string} options.cacheDir - Target cache directory
+     * @param {string} options.outputDir - Target output directory
+     */
+    constructor({ cacheDir, outputDir }) {
+        this.outputDir = outputDir;
+        this.provenance = new ProvenanceManifest(cacheDir);
+        this.hashCache = new FileHashCache(cacheDir);
+        this.exportMapBuilder = new ExportMapBuilder(cacheDir);
+    }
+
+    /**
+     * Find generated files no current IR element owns
+     * @param {object} ir - Current ComposeIR
+     * @returns {Array} - [{ path, diskPath, implemented, edited }] for files still on disk
+     */
+    find(ir) {
+        const orphans = [];
+
+        for (const [path, entry] of Object.entries(this.provenance.load())) {
+            if (!isOrphaned(entry, ir)) continue;
+
+            const diskPath = this.locate(path);
+            if (!diskPath) continue;
+
+            orphans.push({
+                path,
+                diskPath,
+                implemented: Object.fromEntries(PROVENANCE_KINDS.map(kind => [kind, entry[kind] || []])),
+                edited: this.hashCache.hasLocalEdits(diskPath)
+            });
+        }
+
+        return orphans;
+    }
+
+    /**
+     * Move orphaned files to a trash directory and forget them in the caches
+     * @param {Array} orphans - Result of find
+     * @param {string} trashDir - Directory the files are moved to (keeping their disk paths)
+     * @returns {Promise<Array<string>>} - Paths the files were moved to
+     */
+    async prune(orphans, trashDir) {
+        const moved = [];
+
+        for (const orphan of orphans) {
+            const destination = join(trashDir, orphan.diskPath.replace(/^(\/|\.\.\/)+/, ''));
+            mkdirSync(dirname(destination), { recursive: true });
+            renameSync(orphan.diskPath, destination);
+            this.hashCache.removeHash(orphan.diskPath);
+            moved.push(destination);
+        }
+        this.hashCache.saveCache();
+
+        const pruned = new Set(orphans.map(orphan => orphan.path));
+        const manifest = this.provenance.load();
+        pruned.forEach(path => delete manifest[path]);
+        this.provenance.save(manifest);
+
+        // Export map keys are shortened paths, so match on the full path of each entry
+        const exportMap = this.exportMapBuilder.loadExportMap();
+        const exportKeys = Object.keys(exportMap).filter(key => pruned.has(exportMap[key].path || key));
+        await this.exportMapBuilder.removeFromExportMap(exportKeys);
+
+        return moved;
+    }
+
+    /**
+     * Find a generated file on disk
+     * Files written by compose are in the file hash cache; framework mergers
+     * may have placed them below src/.
+     * @param {string} path - Generated file path
+     * @returns {string|null} - Path on disk
+     */
+    locate(path) {
+        const candidates = [join(this.outputDir, path), join(this.outputDir, 'src', path)];
+
+        return candidates.find(candidate => this.hashCache.has(candidate) && existsSync(candidate)) ||
+            candidates.find(candidate => existsSync(candidate)) ||
+            null;
+    }
+}
+
+/**
+ * Get a fresh trash directory for a target's pruned files
+ * @param {string} targetName - Target name from compose.json
+ * @param {string} trashRoot - Root trash directory
+ * @returns {string} - Timestamped directory below the target's trash
+ */
+export function getTrashDir(targetName, trashRoot = TRASH_ROOT) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${trashRoot}/${targetName.replace(/[^\w.-]/g, '_')}/${stamp}`;
+}
+
+/**
+ * Create an orphan finder instance
+ * @param {object} options - { cacheDir, outputDir }
+ * @returns {OrphanFinder}
+ */
+export function createOrphanFinder(options) {
+    return new OrphanFinder(options);
+}
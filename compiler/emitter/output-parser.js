@@ -0,0 +1,129 @@
+/**
+ * Output Parser
+ * Incrementally splits LLM output into files as it streams in
+ * Format: ### FILE: path/to/file.ext
+ * optionally followed by ### IMPLEMENTS: Model: X; Feature: Y
+ */
+
+export const FILE_HEADER = '### FILE: ';
+
+// Provenance annotation allowed as the first line of a file block
+export const IMPLEMENTS_HEADER = '### IMPLEMENTS:';
+
+// Lines that only open or close a markdown fence (mirrors the clients' stripMarkdown)
+const FENCE_LINE = /^```[\w]*$/;
+
+export class OutputParser {
+    constructor() {
+        this.buffer = ''; // Incomplete last line
+        this.currentFile = null;
+        this.currentContent = [];
+        this.currentImplements = null; // Raw IMPLEMENTS annotation of the current file
+        this.preamble = ''; // Text before the first header
+    }
+
+    /**
+     * Feed a chunk of output
+     * @param {string} chunk - Next piece of LLM output
+     * @returns {Array} - Files completed by this chunk ({path, content, type})
+     */
+    push(chunk) {
+        this.buffer += chunk;
+        const lines = this.buffer.split('\n');
+        this.buffer = lines.pop();
+        return this.processLines(lines);
+    }
+
+    /**
+     * Signal the end of output
+     * @returns {Array} - Remaining completed files (the last file block)
+     */
+    end() {
+        const files = this.processLines([this.buffer]);
+        this.buffer = '';
+
+        if (this.currentFile) {
+            files.push(this.finishFile());
+        }
+
+        return files;
+    }
+
+    /**
+     * Get the file block still being received, if any
+     * @returns {object|null} - {path, content, type, partial: true} or null
+     */
+    getPartialFile() {
+        if (!this.currentFile) {
+            return null;
+        }
+
+        return {
+            path: this.currentFile,
+            content: [...this.currentContent, this.buffer].join('\n'),
+            type: 'code',
+            partial: true
+        };
+    }
+
+    /**
+     * Process complete lines, closing a file whenever a new header starts
+     * @param {Array<string>} lines - Complete lines
+     * @returns {Array} - Completed files
+     */
+    processLines(lines) {
+        const files = [];
+
+        for (const line of lines) {
+            if (line.startsWith(FILE_HEADER)) {
+                // Save previous file
+                if (this.currentFile) {
+                    files.push(this.finishFile());
+                }
+
+                // Start new file
+                this.currentFile = line.substring(FILE_HEADER.length).trim();
+                this.currentContent = [];
+                this.currentImplements = null;
+            } else if (this.currentFile && !this.currentContent.some(l => l.trim()) && line.startsWith(IMPLEMENTS_HEADER)) {
+                this.currentImplements = line.substring(IMPLEMENTS_HEADER.length).trim();
+            } else if (this.currentFile && !FENCE_LINE.test(line)) {
+                this.currentContent.push(line);
+            } else if (!this.currentFile && !FENCE_LINE.test(line) && line.trim()) {
+                this.preamble += `${line}\n`;
+            }
+        }
+
+        return files;
+    }
+
+    /**
+     * Close the current file block
+     * @returns {object} - {path, content, type} plus implements when annotated
+     */
+    finishFile() {
+        const file = {
+            path: this.currentFile,
+            content: this.currentContent.join('\n'),
+            type: 'code'
+        };
+        if (this.currentImplements !== null) {
+            file.implements = this.currentImplements;
+        }
+
+        this.currentFile = null;
+        this.currentContent = [];
+        this.currentImplements = null;
+        return file;
+    }
+}
+
+/**
+ * Parse complete LLM output into files
+ * @param {string} output - Full LLM output
+ * @returns {Array} - Parsed files ({path, content, type})
+ */
+export function parseFileBlocks(output) {
+    const parser = new OutputParser();
+    return [...parser.push(output), ...parser.end()];
+}
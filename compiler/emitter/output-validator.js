@@ -0,0 +1,262 @@
+/**
+ * Output Validator
+ * Checks parsed LLM output before it is written: strips leftover markdown
+ * fences, flags duplicate paths, detects files that were cut off and
+ * syntax-checks JS/TS files with Babel
+ */
+
+import { parse } from '@babel/parser';
+
+// Files whose blocks must balance {} [] ()
+const DELIMITED_FILE = /\.(js|jsx|ts|tsx|mjs|cjs|json|css|scss|go|rs|java|kt|swift|c|cpp|h|cs)$/;
+
+// Files where '/' can start a regex literal or a comment
+const SCRIPT_FILE = /\.(js|jsx|ts|tsx|mjs|cjs)$/;
+
+// Babel plugins per script extension (.ts cannot enable jsx: <T>x casts)
+const PARSER_PLUGINS = {
+    ts: ['typescript'],
+    mts: ['typescript'],
+    cts: ['typescript'],
+    tsx: ['typescript', 'jsx'],
+    js: ['jsx'],
+    jsx: ['jsx'],
+    mjs: ['jsx'],
+    cjs: ['jsx']
+};
+
+const FENCE = /^\s*```[\w-]*\s*$/;
+
+const CLOSERS = { '{': '}', '[': ']', '(': ')' };
+
+// Characters after which a '/' in script files starts a regex literal
+const REGEX_PREFIX = /[(,=:[!&|?{;+\-*%~^]$/;
+
+/**
+ * Validate parsed files
+ * @param {Array} files - Parsed files ({path, content, type})
+ * @param {object} options - { truncatedPath, preamble }
+ *   truncatedPath: file the provider cut off (finish reason "length")
+ *   preamble: text the LLM wrote before the first ### FILE: header
+ * @returns {object} - { files, issues } with files deduplicated and cleaned,
+ *   issues as [{ path, kind: 'truncated' | 'syntax' | 'duplicate' | 'preamble', message }]
+ */
+export function validateFiles(files, options = {}) {
+    const issues = [];
+    const byPath = new Map();
+
+    if (options.preamble && options.preamble.trim()) {
+        issues.push({
+            path: null,
+            kind: 'preamble',
+            message: 'Ignored text before the first ### FILE: header'
+        });
+    }
+
+    for (const file of files) {
+        if (byPath.has(file.path)) {
+            issues.push({
+                path: file.path,
+                kind: 'duplicate',
+                message: `${file.path} was generated more than once, keeping the last version`
+            });
+            // Re-insert so the file keeps the position of its last occurrence
+            byPath.delete(file.path);
+        }
+        byPath.set(file.path, { ...file, content: stripFences(file.content) });
+    }
+
+    for (const file of byPath.values()) {
+        if (file.path === options.truncatedPath) {
+            issues.push({
+                path: file.path,
+                kind: 'truncated',
+                message: `${file.path} was cut off at the output token limit`
+            });
+            continue;
+        }
+
+        const unclosed = findUnclosedDelimiters(file.path, file.content);
+        if (unclosed.length > 0) {
+            issues.push({
+                path: file.path,
+                kind: 'truncated',
+                message: `${file.path} ends with unclosed ${unclosed.map(c => `'${c}'`).join(', ')}`
+            });
+            continue;
+        }
+
+        const syntaxError = checkSyntax(file.path, file.content);
+        if (syntaxError) {
+            issues.push({
+                path: file.path,
+                kind: 'syntax',
+                message: `${file.path} does not parse: ${syntaxError}`
+            });
+        }
+    }
+
+    return { files: [...byPath.values()], issues };
+}
+
+/**
+ * Parse a JS/TS file with Babel
+ * @param {string} filePath - File path (decides parser plugins)
+ * @param {string} content - File content
+ * @returns {string|null} - Parser error message (with line:column) or null
+ */
+export function checkSyntax(filePath, content) {
+    const plugins = PARSER_PLUGINS[filePath.split('.').pop()];
+    if (!plugins) {
+        return null;
+    }
+
+    try {
+        parse(content, { sourceType: 'module', plugins });
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Remove markdown fence lines wrapping a file's content
+ * @param {string} content - File content
+ * @returns {string} - Content without leading/trailing fences
+ */
+export function stripFences(content) {
+    const lines = content.split('\n');
+
+    let start = 0;
+    while (start < lines.length && (FENCE.test(lines[start]) || !lines[start].trim())) {
+        if (FENCE.test(lines[start])) {
+            lines.splice(start, 1);
+            continue;
+        }
+        start++;
+    }
+
+    let end = lines.length - 1;
+    while (end >= 0 && (FENCE.test(lines[end]) || !lines[end].trim())) {
+        if (FENCE.test(lines[end])) {
+            lines.splice(end, 1);
+        }
+        end--;
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Find delimiters still open at the end of a file
+ * Strings, comments and (in scripts) regex literals are skipped. Quotes end at
+ * a line break so JSX text such as "Don't" cannot swallow the rest of a file.
+ * @param {string} filePath - File path (decides whether the check applies)
+ * @param {string} content - File content
+ * @returns {Array<string>} - Unclosed opening delimiters, outermost first
+ */
+export function findUnclosedDelimiters(filePath, content) {
+    if (!DELIMITED_FILE.test(filePath)) {
+        return [];
+    }
+
+    const isScript = SCRIPT_FILE.test(filePath);
+    const stack = [];
+    let state = 'code';
+    let quote = null;
+    let lastSignificant = '';
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        const next = content[i + 1];
+
+        if (state === 'line-comment') {
+            if (char === '\n') state = 'code';
+            continue;
+        }
+
+        if (state === 'block-comment') {
+            if (char === '*' && next === '/') {
+                state = 'code';
+                i++;
+            }
+            continue;
+        }
+
+        if (state === 'string') {
+            if (char === '\\') {
+                i++;
+            } else if (char === quote || (char === '\n' && quote !== '`')) {
+                state = 'code';
+            } else if (quote === '`' && char === '$' && next === '{') {
+                // Template expression: back to code until the matching }
+                stack.push('${');
+                state = 'code';
+                i++;
+            }
+            continue;
+        }
+
+        if (state === 'regex') {
+            if (char === '\\') {
+                i++;
+            } else if (char === '[') {
+                state = 'regex-class';
+            } else if (char === '/' || char === '\n') {
+                state = 'code';
+            }
+            continue;
+        }
+
+        if (state === 'regex-class') {
+            if (char === '\\') {
+                i++;
+            } else if (char === ']' || char === '\n') {
+                state = 'regex';
+            }
+            continue;
+        }
+
+        // Code
+        if (char === '/' && next === '/' && !filePath.endsWith('.json')) {
+            state = 'line-comment';
+            i++;
+            continue;
+        }
+        if (char === '/' && next === '*') {
+            state = 'block-comment';
+            i++;
+            continue;
+        }
+        if (char === '/' && isScript && (lastSignificant === '' || REGEX_PREFIX.test(lastSignificant))) {
+            state = 'regex';
+            continue;
+        }
+
+        if (char === '"' || char === '\'' || char === '`') {
+            state = 'string';
+            quote = char;
+        } else if (CLOSERS[char]) {
+            stack.push(char);
+        } else if (char === '}' && stack[stack.length - 1] === '${') {
+            stack.pop();
+            state = 'string';
+            quote = '`';
+        } else if (char === '}' || char === ']' || char === ')') {
+            const index = stack.lastIndexOf(Object.keys(CLOSERS).find(open => CLOSERS[open] === char));
+            if (index !== -1) {
+                stack.length = index;
+            }
+        }
+
+        if (!/\s/.test(char)) {
+            lastSignificant = char;
+        }
+    }
+
+    if (state === 'string' && quote === '`') {
+        stack.push('`');
+    }
+
+    return stack.map(open => open === '${' ? '`' : open);
+}
@@ -5,6 +5,9 @@
 
 import { mkdirSync, writeFileSync, existsSync } from 'fs';
 import { dirname, join } from 'path';
+import { preserveRegions } from './protected-regions.js';
+import { FileHashCache } from './file-hash-cache.js';
+import { writeGeneratedFile } from './code-merger.js';
 
 /**
  * Normalize file path by removing common output directory prefixes
@@ -32,8 +35,21 @@ function normalizePath(filePath, baseOutputDir) {
 }
 
 export class OutputWriter {
-    constructor(baseOutputDir) {
+    /**
+     * @param {string} baseOutputDir - Output directory
+     * @param {object} options - { cacheDir, conflictStyle }: with a target cache
+     *   directory, hand-edited files are merged like mergeCode does
+     */
+    constructor(baseOutputDir, options = {}) {
         this.baseOutputDir = baseOutputDir;
+        this.hashCache = options.cacheDir ? new FileHashCache(options.cacheDir) : null;
+        this.mergeStats = {
+            written: 0,
+            skipped: 0,
+            merged: [],
+            conflicts: [],
+            conflictStyle: options.conflictStyle || 'markers'
+        };
     }
 
     /**
@@ -68,10 +84,16 @@ export class OutputWriter {
 
     /**
      * Write a single file
+     * Protected regions (@compose-keep-start/end) of an existing file are carried over.
      * @param {object} file - File object {path, content, type}
      */
     writeFile(file) {
         const fullPath = join(this.baseOutputDir, file.path);
+        if (this.hashCache) {
+            writeGeneratedFile(fullPath, file.content, this.hashCache, this.mergeStats);
+            return;
+        }
+
         const dir = dirname(fullPath);
 
         // Create directory if it doesn't exist
@@ -79,8 +101,13 @@ export class OutputWriter {
             mkdirSync(dir, { recursive: true });
         }
 
+        const preserved = preserveRegions(fullPath, file.content);
+        if (preserved.appended.length > 0) {
+            console.warn(`⚠️  ${fullPath}: regenerated code dropped protected region(s) ${preserved.appended.join(', ')}, appended at the end`);
+        }
+
         // Write file
-        writeFileSync(fullPath, file.content, 'utf8');
+        writeFileSync(fullPath, preserved.content, 'utf8');
     }
 
     /**
@@ -215,15 +242,19 @@ Generated from Compose source files.
  * @param {Array} files - Generated files
  * @param {string} outputDir - Output directory
  * @param {object} target - Target configuration
- * @returns {object} - Write result
+ * @param {object} options - { cacheDir, conflictStyle }, see OutputWriter
+ * @returns {object} - Write result, with the merged files and the conflicts
+ *   ([{ path, conflicts, sideFile }]) when hand edits were merged
  */
-export function writeOutput(files, outputDir, target) {
-    const writer = new OutputWriter(outputDir);
+export function writeOutput(files, outputDir, target, options = {}) {
+    const writer = new OutputWriter(outputDir, options);
     const result = writer.write(files);
 
     // Write package.json and README
     writer.writePackageJson(target);
     writer.writeReadme('Compose Generated App', target);
 
-    return result;
+    writer.hashCache?.saveCache();
+
+    return { ...result, merged: writer.mergeStats.merged, conflicts: writer.mergeStats.conflicts };
 }
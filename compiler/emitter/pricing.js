@@ -0,0 +1,84 @@
+/**
+ * Model Pricing
+ * Approximate list prices (USD per million tokens) used to estimate build cost.
+ * Prices change; set llm.pricing in compose.json to override them.
+ */
+
+// Matched by the longest model name prefix, so dated and suffixed ids resolve too
+export const MODEL_PRICING = {
+    // Anthropic
+    'claude-opus-4': { input: 15, output: 75 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-haiku-4': { input: 1, output: 5 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+
+    // OpenAI
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+
+    // Google
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-pro': { input: 0.5, output: 1.5 }
+};
+
+/**
+ * Find the pricing of the configured model
+ * @param {object} llmConfig - llm block of compose.json
+ * @returns {object|null} - { input, output, source } per million tokens, or null if unknown
+ */
+export function findPricing(llmConfig = {}) {
+    if (llmConfig.pricing) {
+        return { input: llmConfig.pricing.input, output: llmConfig.pricing.output, source: 'compose.json' };
+    }
+
+    // The mock client costs nothing
+    if (!llmConfig.provider || llmConfig.mock) {
+        return { input: 0, output: 0, source: 'mock' };
+    }
+
+    const model = (llmConfig.model || '').toLowerCase();
+    const prefix = Object.keys(MODEL_PRICING)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? { ...MODEL_PRICING[prefix], source: prefix } : null;
+}
+
+/**
+ * Estimate the cost of a number of tokens
+ * @param {object} tokens - { input, output } token counts
+ * @param {object|null} pricing - Result of findPricing
+ * @returns {number|null} - Cost in USD, or null without pricing
+ */
+export function estimateCost(tokens, pricing) {
+    if (!pricing) {
+        return null;
+    }
+
+    return (tokens.input * pricing.input + tokens.output * pricing.output) / 1_000_000;
+}
+
+/**
+ * Format a cost for display
+ * @param {number|null} cost - Cost in USD
+ * @returns {string}
+ */
+export function formatCost(cost) {
+    if (cost === null) return 'unknown (set llm.pricing)';
+    if (cost > 0 && cost < 0.01) return '< $0.01';
+    return `$${cost.toFixed(2)}`;
+}
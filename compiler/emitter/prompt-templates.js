@@ -3,6 +3,34 @@
  * Formats IR (models, features, guides) into LLM prompts
  */
 
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { describeExport } from './export-map-builder.js';
+
+let templateVersion = null;
+
+// File block format of every prompt that generates code. The IMPLEMENTS line
+// is stripped by OutputParser and recorded in the provenance manifest.
+const FILE_FORMAT = `### FILE: path/to/file.ext
+### IMPLEMENTS: Model: <name>; Feature: <name>
+... content ...
+
+The IMPLEMENTS line lists the models, features and guides (Guide: <name>) the file implements, separated by ";".
+Write "### IMPLEMENTS: Shared" for files that do not implement a particular one.`;
+
+/**
+ * Get a version hash of the prompt templates
+ * Derived from this module's source, so any template edit changes it
+ * @returns {string} - Short SHA256 hash
+ */
+export function getPromptTemplateVersion() {
+    if (!templateVersion) {
+        const source = readFileSync(new URL(import.meta.url), 'utf8');
+        templateVersion = createHash('sha256').update(source).digest('hex').slice(0, 16);
+    }
+    return templateVersion;
+}
+
 /**
  * Create comprehensive prompt for full project generation
  * @param {object} ir - ComposeIR (v0.2.0 format)
@@ -23,6 +51,40 @@ Generate a complete, production-ready application based on the following specifi
 - Output: ${target.output}
 `);
 
+    sections.push(...formatSpecification(ir, target));
+
+    // Footer instructions
+    sections.push(`
+**Generation Requirements:**
+
+1. **Generate complete, working code** - All files needed for a functional application
+2. **Follow best practices** - Use modern ${target.language} patterns and ${target.framework || 'framework'} conventions
+3. **Production-ready** - Include error handling, validation, proper typing
+4. **Well-organized** - Clear folder structure, modular components
+5. **Documented** - Add helpful comments for complex logic
+6. **Complete dependencies** - Generate package.json (or equivalent) with all required packages
+
+**Output Format:**
+Provide the complete project structure with all files and their contents.
+Use the following format for each file:
+
+${FILE_FORMAT}
+
+Do NOT include markdown code fences, explanations, or commentary - output ONLY the file blocks.`);
+
+    return sections.join('\n');
+}
+
+/**
+ * Format the specification sections shared by full and chunked prompts
+ * (dependencies, models, features, guides, extra rules)
+ * @param {object} ir - ComposeIR
+ * @param {object} target - Target configuration
+ * @returns {Array<string>} - Prompt sections
+ */
+function formatSpecification(ir, target) {
+    const sections = [];
+
     // Optional dependencies
     if (target.dependencies && target.dependencies.length > 0) {
         sections.push(`**Required Dependencies:**
@@ -30,10 +92,31 @@ ${target.dependencies.map(dep => `- ${dep}`).join('\n')}
 `);
     }
 
+    // Type aliases used by model fields
+    if (ir.typeAliases && ir.typeAliases.length > 0) {
+        sections.push(`**Type Aliases:**
+${formatTypeAliases(ir.typeAliases)}
+`);
+    }
+
     // Models (Data)
     if (ir.models && ir.models.length > 0) {
         sections.push(`**Data Models:**
-${formatModels(ir.models)}
+${formatModels(ir.models, ir.typeAliases)}
+`);
+    }
+
+    // Mixins named in the model headers, already flattened into the models
+    if (ir.mixins && ir.mixins.length > 0) {
+        sections.push(`**Mixins (shared fields, not models of their own):**
+${formatMixins(ir.mixins, ir.typeAliases)}
+`);
+    }
+
+    // Relations between models (cardinality, foreign keys, on delete)
+    if (ir.relations && ir.relations.length > 0) {
+        sections.push(`**Relations:**
+${formatRelations(ir.relations)}
 `);
     }
 
@@ -58,29 +141,125 @@ ${target.extraRules.map(rule => `- ${rule}`).join('\n')}
 `);
     }
 
-    // Footer instructions
+    return sections;
+}
+
+/**
+ * Create prompt asking for a file manifest (first stage of chunked generation)
+ * @param {object} ir - ComposeIR (v0.2.0 format)
+ * @param {object} target - Target configuration
+ * @returns {string} - Manifest prompt for LLM
+ */
+export function createManifestPrompt(ir, target) {
+    const sections = [];
+
+    sections.push(`You are an expert ${target.framework || target.language} developer.
+
+You are planning a complete, production-ready application based on the following specification.
+The code will be generated afterwards, a few files at a time.
+
+**Target Stack:**
+- Framework: ${target.framework || 'none'}
+- Language: ${target.language}
+- Output: ${target.output}
+`);
+
+    sections.push(...formatSpecification(ir, target));
+
     sections.push(`
+**Your Task:**
+Do NOT write any code yet. List every file the application needs (source, styles, configuration and package.json or equivalent).
+
+Order the files by dependency: shared types, utilities and configuration first, then the files that use them.
+
+For each file provide:
+- "path": path relative to the project root
+- "group": "Model: <name>" or "Feature: <name>" for the model or feature it implements, or "Shared" for everything else
+- "description": one sentence describing what the file contains
+
+**Output Format:**
+Output ONLY a JSON array, for example:
+[
+  { "path": "lib/types.ts", "group": "Shared", "description": "Type definitions for all data models" }
+]
+
+No markdown code fences, explanations, or commentary.`);
+
+    return sections.join('\n');
+}
+
+/**
+ * Create prompt for one batch of files (later stages of chunked generation)
+ * @param {object} ir - ComposeIR (complete IR for context)
+ * @param {Array} batch - Manifest entries to generate now ({path, group, description})
+ * @param {object} context - { manifest, exportContext } from earlier stages
+ * @param {object} target - Target configuration
+ * @returns {string} - Batch prompt for LLM
+ */
+export function createBatchPrompt(ir, batch, context, target) {
+    const sections = [];
+
+    sections.push(`You are an expert ${target.framework || target.language} developer.
+
+You are generating ONE PART of a larger application. The other files are generated in separate steps.
+
+**Target Stack:**
+- Framework: ${target.framework || 'none'}
+- Language: ${target.language}
+- Output: ${target.output}
+`);
+
+    sections.push(...formatSpecification(ir, target));
+
+    sections.push(`**Complete File Plan:**
+${context.manifest.map(entry => `- ${entry.path} (${entry.group}): ${entry.description}`).join('\n')}
+`);
+
+    if (context.exportContext) {
+        sections.push(`**Already Generated Exports:**
+These files exist already. Import from them using exactly these names and signatures, and do not redefine them.
+
+${context.exportContext}
+`);
+    }
+
+    sections.push(`
+**Your Task:**
+Generate ONLY these ${batch.length} file(s):
+${batch.map(entry => `- ${entry.path}: ${entry.description}`).join('\n')}
+
 **Generation Requirements:**
 
-1. **Generate complete, working code** - All files needed for a functional application
-2. **Follow best practices** - Use modern ${target.language} patterns and ${target.framework || 'framework'} conventions
+1. **Generate ONLY the listed files** - Other files from the plan are generated separately
+2. **Stay consistent with the plan** - Import other planned files by their planned paths
 3. **Production-ready** - Include error handling, validation, proper typing
-4. **Well-organized** - Clear folder structure, modular components
-5. **Documented** - Add helpful comments for complex logic
-6. **Complete dependencies** - Generate package.json (or equivalent) with all required packages
+4. **Complete files** - Never leave a file unfinished
 
 **Output Format:**
-Provide the complete project structure with all files and their contents.
 Use the following format for each file:
 
-### FILE: path/to/file.ext
-... content ...
+${FILE_FORMAT}
 
-Do NOT include markdown code fences, explanations, or commentary - output ONLY the file blocks.`);
+Output ONLY the ${batch.length} file(s) listed above. No explanations, no commentary.`);
 
     return sections.join('\n');
 }
 
+/**
+ * Format extracted exports as compact context for later prompts
+ * @param {object} exportsByFile - Map of file path to exports (ExportMapBuilder format)
+ * @returns {string} - One block per file listing its exports
+ */
+export function formatExportContext(exportsByFile) {
+    return Object.entries(exportsByFile)
+        .filter(([, exports]) => Object.keys(exports).length > 0)
+        .map(([path, exports]) => {
+            const lines = Object.entries(exports).map(([name, meta]) => `  - ${describeExport(name, meta)}`);
+            return `${path}:\n${lines.join('\n')}`;
+        })
+        .join('\n\n');
+}
+
 /**
  * Create partial prompt for selective regeneration
  * @param {object} ir - ComposeIR (complete IR for context)
@@ -107,6 +286,16 @@ ${affectedFiles.map(f => `- ${f}`).join('\n')}
 **CRITICAL:** Output ONLY the files listed above. Do not regenerate other files.
 `);
 
+    // Hand-maintained regions are carried over after generation
+    if (context.protectedRegions && Object.keys(context.protectedRegions).length > 0) {
+        sections.push(`**Protected Regions:**
+These files contain hand-maintained regions between @compose-keep-start and @compose-keep-end comments.
+After generation each region is replaced with the version below, so write the region markers (with the same id) where the code belongs and make the surrounding code work with it:
+
+${formatProtectedRegions(context.protectedRegions)}
+`);
+    }
+
     // Explain what changed
     if (context.diff) {
         const changes = describeChanges(context.diff);
@@ -124,10 +313,28 @@ ${changes}
 - Output: ${target.output}
 `);
 
-    // Full IR for reference (models, features, guides)
+    // Full IR for reference (type aliases, models, features, guides)
+    if (ir.typeAliases && ir.typeAliases.length > 0) {
+        sections.push(`**Type Aliases (for reference):**
+${formatTypeAliases(ir.typeAliases)}
+`);
+    }
+
     if (ir.models && ir.models.length > 0) {
         sections.push(`**Data Models (for reference):**
-${formatModels(ir.models)}
+${formatModels(ir.models, ir.typeAliases)}
+`);
+    }
+
+    if (ir.mixins && ir.mixins.length > 0) {
+        sections.push(`**Mixins (for reference, not models of their own):**
+${formatMixins(ir.mixins, ir.typeAliases)}
+`);
+    }
+
+    if (ir.relations && ir.relations.length > 0) {
+        sections.push(`**Relations (for reference):**
+${formatRelations(ir.relations)}
 `);
     }
 
@@ -155,14 +362,112 @@ ${formatGuides(ir.guides)}
 **Output Format:**
 Use the following format for each file:
 
-### FILE: path/to/file.ext
-... content ...
+${FILE_FORMAT}
 
 Output ONLY the ${affectedFiles.length} file(s) listed above. No explanations, no commentary.`);
 
     return sections.join('\n');
 }
 
+/**
+ * Create prompt regenerating files whose imports do not resolve
+ * @param {object} ir - ComposeIR (complete IR for context)
+ * @param {Array} brokenFiles - Files to regenerate ({path, content, problems})
+ * @param {object} context - { exportContext } describing the project's exports
+ * @param {object} target - Target configuration
+ * @returns {string} - Import fix prompt for LLM
+ */
+export function createImportFixPrompt(ir, brokenFiles, context, target) {
+    const sections = [];
+
+    sections.push(`You are an expert ${target.framework || target.language} developer.
+
+You are fixing files in an existing application whose imports refer to modules or exports that do not exist.
+
+**Target Stack:**
+- Framework: ${target.framework || 'none'}
+- Language: ${target.language}
+- Output: ${target.output}
+`);
+
+    sections.push(...formatSpecification(ir, target));
+
+    sections.push(`**Existing Exports:**
+Only these files and exports exist. Import from them using exactly these names and signatures.
+
+${context.exportContext}
+`);
+
+    for (const file of brokenFiles) {
+        sections.push(`**${file.path}** has broken imports:
+${file.problems.map(problem => `- ${problem}`).join('\n')}
+
+Current content:
+\`\`\`
+${file.content}
+\`\`\`
+`);
+    }
+
+    sections.push(`
+**Your Task:**
+Regenerate ONLY these ${brokenFiles.length} file(s) so that every import resolves to an existing file and export.
+If something is missing, implement it inside the file instead of importing it.
+
+**Output Format:**
+Use the following format for each file:
+
+${FILE_FORMAT}
+
+Output ONLY the ${brokenFiles.length} file(s) listed above. No explanations, no commentary.`);
+
+    return sections.join('\n');
+}
+
+/**
+ * Create prompt asking the LLM to finish files its previous answer broke off
+ * @param {string} originalPrompt - Prompt that produced the broken files
+ * @param {Array} brokenFiles - Files to repair ({path, content, reason})
+ * @returns {string} - Repair prompt for LLM
+ */
+export function createRepairPrompt(originalPrompt, brokenFiles) {
+    const received = brokenFiles.map(file => `Received for ${file.path} (${file.reason}):
+\`\`\`
+${file.content}
+\`\`\``);
+
+    return `${originalPrompt}
+
+---
+
+**Repair Request:**
+Your previous answer for the request above had problems. These files were cut off or do not parse:
+${brokenFiles.map(file => `- ${file.path}: ${file.reason}`).join('\n')}
+
+${received.join('\n\n')}
+
+Output the COMPLETE content of ONLY these ${brokenFiles.length} file(s), keeping what was already written where it is correct.
+Use the same format:
+
+${FILE_FORMAT}
+
+No explanations, no commentary.`;
+}
+
+/**
+ * Format protected regions for the partial prompt
+ * @param {object} protectedRegions - File path -> Map of region id -> block
+ * @returns {string} - One block per region
+ */
+function formatProtectedRegions(protectedRegions) {
+    return Object.entries(protectedRegions)
+        .flatMap(([path, regions]) => [...regions].map(([id, block]) => `${path} (region "${id}"):
+\`\`\`
+${block}
+\`\`\``))
+        .join('\n\n');
+}
+
 /**
  * Describe changes from diff object
  * @param {object} diff - Diff object from IRCache
@@ -183,6 +488,18 @@ function describeChanges(diff) {
         }
     }
 
+    if (diff.relations?.hasChanges) {
+        if (diff.relations.added.length > 0) {
+            changes.push(`- Added relations: ${diff.relations.added.join(', ')}`);
+        }
+        if (diff.relations.modified.length > 0) {
+            changes.push(`- Modified relations: ${diff.relations.modified.join(', ')}`);
+        }
+        if (diff.relations.removed.length > 0) {
+            changes.push(`- Removed relations: ${diff.relations.removed.join(', ')}`);
+        }
+    }
+
     if (diff.features?.hasChanges) {
         if (diff.features.added.length > 0) {
             changes.push(`- Added features: ${diff.features.added.join(', ')}`);
@@ -210,24 +527,126 @@ function describeChanges(diff) {
 /**
  * Format models for prompt
  */
-function formatModels(models) {
-    return models.map(model => {
-        const fields = model.fields.map(field => {
-            let typeStr = field.type.baseType;
-            if (field.type.isArray) {
-                typeStr = `list of ${typeStr}`;
-            }
-            if (field.type.optional) {
-                typeStr += '?';
-            }
-            if (field.type.enumValues && field.type.enumValues.length > 0) {
-                typeStr = field.type.enumValues.map(v => `"${v}"`).join(' | ');
-            }
-            return `  ${field.name}: ${typeStr}`;
-        }).join('\n');
+function formatModels(models, typeAliases = []) {
+    return models.map(model => `${formatModelHeader(model)}:\n${formatFields(model.fields, typeAliases)}`).join('\n\n');
+}
 
-        return `${model.name}:\n${fields}`;
-    }).join('\n\n');
+/**
+ * Format mixins for prompt
+ * Their fields are listed in every model mixing them in; they get no type,
+ * table or file of their own.
+ */
+function formatMixins(mixins, typeAliases = []) {
+    return mixins.map(mixin => `${mixin.name}:\n${formatFields(mixin.fields, typeAliases)}`).join('\n\n');
+}
+
+function formatFields(fields, typeAliases) {
+    const aliases = new Map(typeAliases.map(alias => [alias.name, alias]));
+
+    return fields.map(field => {
+        // Aliased fields are named by their alias, listed under Type Aliases
+        const typeStr = field.type.alias
+            ? formatAliasedType(field.type, aliases.get(field.type.alias))
+            : formatType(field.type);
+        return `  ${field.name}: ${typeStr}${formatConstraints(field.constraints)}`;
+    }).join('\n');
+}
+
+/**
+ * Format a model name with its parent and mixins: Admin extends User with Timestamps
+ * The fields listed below it include the inherited ones.
+ */
+function formatModelHeader(model) {
+    let header = model.name;
+    if (model.extends) {
+        header += ` extends ${model.extends}`;
+    }
+    if (model.mixins && model.mixins.length > 0) {
+        header += ` with ${model.mixins.join(', ')}`;
+    }
+    return header;
+}
+
+/**
+ * Format field constraints as written in .compose files: = "member" (unique, min 3)
+ */
+function formatConstraints(constraints = []) {
+    const defaultValue = constraints.find(c => c.name === 'default');
+    const others = constraints.filter(c => c.name !== 'default').map(formatConstraint);
+
+    let constraintStr = defaultValue ? ` = ${formatConstraintValue(defaultValue.value)}` : '';
+    if (others.length > 0) {
+        constraintStr += ` (${others.join(', ')})`;
+    }
+    return constraintStr;
+}
+
+function formatConstraint(constraint) {
+    if (typeof constraint === 'string') return constraint;
+    return constraint.value === null || constraint.value === undefined
+        ? constraint.name
+        : `${constraint.name} ${formatConstraintValue(constraint.value)}`;
+}
+
+function formatConstraintValue(value) {
+    return typeof value === 'string' && value !== 'now' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Format relations for prompt
+ * Spells out where the reference lives so foreign keys and join tables are
+ * not left to guesswork.
+ */
+function formatRelations(relations) {
+    return relations.map(relation => {
+        const { from, to } = relation;
+        const details = [relation.cardinality];
+
+        if (relation.cardinality === 'many-to-many') {
+            details.push(`join table between ${from.model} and ${to.model}`);
+        } else {
+            details.push(`${to.model} holds the reference to ${from.model}${to.optional ? ' (nullable)' : ''}`);
+        }
+        if (relation.onDelete) {
+            details.push(`on delete of ${from.model}: ${relation.onDelete}`);
+        }
+
+        return `- ${relation.name}: ${details.join(', ')}`;
+    }).join('\n');
+}
+
+/**
+ * Format type aliases for prompt
+ */
+function formatTypeAliases(typeAliases) {
+    return typeAliases.map(alias => {
+        const optional = alias.optional ? '?' : '';
+        return `- ${alias.name} = ${formatType(alias.type)}${optional}`;
+    }).join('\n');
+}
+
+/**
+ * Format an aliased field type by its alias name (list of Email, Tags)
+ */
+function formatAliasedType(type, alias) {
+    return type.isArray && !alias?.type.isArray ? `list of ${type.alias}` : type.alias;
+}
+
+/**
+ * Format a TypeIR as written in .compose files
+ */
+function formatType(type) {
+    let typeStr = type.baseType;
+    if (type.isArray) {
+        typeStr = `list of ${typeStr}`;
+    }
+    if (type.optional) {
+        typeStr += '?';
+    }
+    if (type.enumValues && type.enumValues.length > 0) {
+        typeStr = type.enumValues.map(v => `"${v}"`).join(' | ');
+    }
+    return typeStr;
 }
 
 /**
@@ -0,0 +1,134 @@
+/**
+ * Protected Regions
+ * Blocks of generated files marked with @compose-keep-start / @compose-keep-end
+ * comments are hand-maintained: every write carries them over verbatim into
+ * the regenerated file, matched by region id
+ *
+ *   // @compose-keep-start discount-rules
+ *   ...
+ *   // @compose-keep-end
+ *
+ * Any line comment style works (//, #, /* *\/, <!-- -->, {/* *\/}).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+const COMMENT_OPENER = String.raw`(?:\/\/|#|\/\*|<!--|\{\/\*|--)`;
+const KEEP_START = new RegExp(String.raw`^\s*${COMMENT_OPENER}\s*@compose-keep-start(?:\s+([\w.-]+))?`);
+const KEEP_END = new RegExp(String.raw`^\s*${COMMENT_OPENER}\s*@compose-keep-end\b`);
+
+/**
+ * Extract the protected regions of a file
+ * Regions without an id are numbered by their position among all regions
+ * (region-1, region-2, ...).
+ * A start marker without an end marker protects nothing.
+ * @param {string} content - File content
+ * @returns {Map<string, string>} - Region id -> block (marker lines included)
+ */
+export function extractRegions(content) {
+    const regions = new Map();
+    const lines = content.split('\n');
+    let start = -1;
+    let id = null;
+    let position = 0;
+
+    lines.forEach((line, index) => {
+        const startMatch = line.match(KEEP_START);
+        if (startMatch && start === -1) {
+            start = index;
+            position++;
+            id = startMatch[1] || `region-${position}`;
+        } else if (KEEP_END.test(line) && start !== -1) {
+            regions.set(id, lines.slice(start, index + 1).join('\n'));
+            start = -1;
+        }
+    });
+
+    return regions;
+}
+
+/**
+ * Carry protected regions over into regenerated content
+ * Each region replaces the region with the same id in the new content.
+ * Regions the new content lost are appended at the end so no hand-written
+ * code disappears.
+ * @param {string} content - Regenerated content
+ * @param {Map<string, string>} regions - Regions from extractRegions
+ * @returns {object} - { content, kept, appended } with kept and appended as region ids
+ */
+export function applyRegions(content, regions) {
+    if (regions.size === 0) {
+        return { content, kept: [], appended: [] };
+    }
+
+    const lines = content.split('\n');
+    const output = [];
+    const kept = [];
+    let skipping = false;
+    let position = 0;
+
+    for (const line of lines) {
+        if (skipping) {
+            if (KEEP_END.test(line)) skipping = false;
+            continue;
+        }
+
+        const startMatch = line.match(KEEP_START);
+        if (startMatch) position++;
+        const id = startMatch && (startMatch[1] || `region-${position}`);
+        if (id && regions.has(id) && !kept.includes(id)) {
+            output.push(regions.get(id));
+            kept.push(id);
+            skipping = true;
+        } else {
+            output.push(line);
+        }
+    }
+
+    const appended = [...regions.keys()].filter(id => !kept.includes(id));
+    let result = output.join('\n');
+    if (appended.length > 0) {
+        const blocks = appended.map(id => regions.get(id)).join('\n\n');
+        result = result.endsWith('\n') ? `${result}\n${blocks}\n` : `${result}\n\n${blocks}`;
+    }
+
+    return { content: result, kept, appended };
+}
+
+/**
+ * Carry the protected regions of a file on disk over into its regenerated content
+ * @param {string} filePath - File on disk (may not exist yet)
+ * @param {string} content - Regenerated content
+ * @returns {object} - { content, kept, appended }
+ */
+export function preserveRegions(filePath, content) {
+    if (!existsSync(filePath)) {
+        return { content, kept: [], appended: [] };
+    }
+
+    return applyRegions(content, extractRegions(readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Find the protected regions of generated files in an output directory
+ * Framework writers may place files below src/, so that location is tried too.
+ * @param {string} outputDir - Target output directory
+ * @param {Array<string>} paths - Generated file paths
+ * @returns {object} - File path -> Map of region id -> block (only files with regions)
+ */
+export function findProtectedRegions(outputDir, paths) {
+    const found = {};
+
+    for (const filePath of paths) {
+        const onDisk = [join(outputDir, filePath), join(outputDir, 'src', filePath)].find(existsSync);
+        if (!onDisk) continue;
+
+        const regions = extractRegions(readFileSync(onDisk, 'utf8'));
+        if (regions.size > 0) {
+            found[filePath] = regions;
+        }
+    }
+
+    return found;
+}
@@ -0,0 +1,185 @@
+/**
+ * Provenance Manifest
+ * Records which models, features and guides every generated file implements,
+ * taken from the ### IMPLEMENTS: annotation the LLM writes or, when that is
+ * missing, inferred from the file's path and exported names
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+
+export const PROVENANCE_KINDS = ['models', 'features', 'guides'];
+
+// Annotation prefixes (singular, as the LLM writes them) per manifest kind
+const ANNOTATION_KINDS = { model: 'models', feature: 'features', guide: 'guides' };
+
+const ANNOTATION_ITEM = /\b(Model|Feature|Guide)\s*:\s*(.+?)\s*(?=[;,]\s*(?:Model|Feature|Guide)\s*:|[;,]?\s*$)/gi;
+
+export class ProvenanceManifest {
+    /**
+     * @param {string} cacheDir - Directory to store the manifest (the target's cache dir)
+     */
+    constructor(cacheDir = '.compose/cache') {
+        this.cacheDir = cacheDir;
+        this.manifestFile = `${cacheDir}/provenance.json`;
+    }
+
+    /**
+     * Load the manifest
+     * @returns {object} - File path -> { models, features, guides, source }
+     */
+    load() {
+        if (!existsSync(this.manifestFile)) {
+            return {};
+        }
+
+        try {
+            return JSON.parse(readFileSync(this.manifestFile, 'utf8'));
+        } catch (error) {
+            console.warn(`⚠️  Failed to load provenance manifest: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Save the manifest
+     * @param {object} manifest - File path -> entry
+     */
+    save(manifest) {
+        mkdirSync(this.cacheDir, { recursive: true });
+        writeFileSync(this.manifestFile, JSON.stringify(manifest, null, 2), 'utf8');
+    }
+
+    /**
+     * Record the provenance of generated files
+     * @param {object} ir - ComposeIR the files were generated from
+     * @param {Array} files - Generated files ({ path, implements })
+     * @param {Map<string, object|null>} exportsByPath - Exports of the JS/TS files, used for inference
+     * @param {object} options - { replace } to drop entries of files not generated now (full builds);
+     *   orphaned entries are kept so the files can still be pruned
+     * @returns {object} - Updated manifest
+     */
+    record(ir, files, exportsByPath = new Map(), options = {}) {
+        const manifest = options.replace
+            ? Object.fromEntries(Object.entries(this.load()).filter(([, entry]) => isOrphaned(entry, ir)))
+            : this.load();
+
+        for (const file of files) {
+            const entry = file.implements !== undefined
+                ? { ...parseImplements(file.implements, ir), source: 'annotation' }
+                : { ...inferProvenance(file.path, exportsByPath.get(file.path), ir), source: 'inferred' };
+
+            // An inference that found nothing is no provenance at all
+            if (entry.source === 'inferred' && PROVENANCE_KINDS.every(kind => entry[kind].length === 0)) {
+                delete manifest[file.path];
+            } else {
+                manifest[file.path] = entry;
+            }
+        }
+
+        this.save(manifest);
+        return manifest;
+    }
+}
+
+/**
+ * Check whether a manifest entry implements only elements the IR no longer has
+ * Entries that implement nothing (shared files) are never orphaned.
+ * @param {object} entry - Manifest entry
+ * @param {object} ir - ComposeIR
+ * @returns {boolean}
+ */
+export function isOrphaned(entry, ir) {
+    const recorded = PROVENANCE_KINDS.flatMap(kind => (entry[kind] || []).map(name => [kind, name]));
+
+    return recorded.length > 0 &&
+        recorded.every(([kind, name]) => !(ir[kind] || []).some(element => element.name === name));
+}
+
+/**
+ * Parse an IMPLEMENTS annotation against the IR
+ * Names are matched case-insensitively and stored as the IR spells them;
+ * names the IR does not know are dropped.
+ * @param {string} text - Annotation, e.g. "Model: User; Feature: Login"
+ * @param {object} ir - ComposeIR
+ * @returns {object} - { models, features, guides }
+ */
+export function parseImplements(text, ir) {
+    const result = { models: [], features: [], guides: [] };
+
+    for (const [, kind, name] of text.matchAll(ANNOTATION_ITEM)) {
+        const key = ANNOTATION_KINDS[kind.toLowerCase()];
+        const known = (ir[key] || []).find(element => element.name.toLowerCase() === name.toLowerCase());
+        if (known && !result[key].includes(known.name)) {
+            result[key].push(known.name);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Infer what a file implements from its path and exported names
+ * A model or feature counts when its name's words appear in order in a path
+ * segment or an export name (UserCard, user-profile/, createOrderItem).
+ * Guides have no names in code, so they are never inferred.
+ * @param {string} filePath - Generated file path
+ * @param {object|null} exports - Exports from ExportMapBuilder, if known
+ * @param {object} ir - ComposeIR
+ * @returns {object} - { models, features, guides }
+ */
+export function inferProvenance(filePath, exports, ir) {
+    const identifiers = [
+        ...filePath.replace(/\.[^/.]+$/, '').split('/'),
+        ...Object.keys(exports || {})
+    ].map(splitWords);
+
+    const implemented = elements => (elements || [])
+        .filter(element => {
+            const name = splitWords(element.name);
+            return name.length > 0 && identifiers.some(words => containsWords(words, name));
+        })
+        .map(element => element.name);
+
+    return {
+        models: implemented(ir.models),
+        features: implemented(ir.features),
+        guides: []
+    };
+}
+
+/**
+ * Split an identifier or name into lowercase words
+ * "OrderItem", "order-item", "order_items" and "Order Item" all split on word boundaries
+ */
+function splitWords(identifier) {
+    return identifier
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Check whether words contain needle as a contiguous run (last word may be plural)
+ */
+function containsWords(words, needle) {
+    for (let start = 0; start + needle.length <= words.length; start++) {
+        const matches = needle.every((word, i) => {
+            const candidate = words[start + i];
+            if (i < needle.length - 1) return candidate === word;
+            return candidate === word || candidate === `${word}s` || candidate === `${word}es`;
+        });
+        if (matches) return true;
+    }
+    return false;
+}
+
+/**
+ * Create a provenance manifest instance
+ * @param {string} cacheDir - Directory to store the manifest
+ * @returns {ProvenanceManifest}
+ */
+export function createProvenanceManifest(cacheDir) {
+    return new ProvenanceManifest(cacheDir);
+}
@@ -0,0 +1,202 @@
+/**
+ * Review Stage
+ * Stages generated files instead of writing them, so each one can be
+ * accepted, rejected or edited against the current output before it is merged
+ */
+
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import readline from 'readline';
+import { previewWrite } from './code-merger.js';
+import { createUnifiedDiff, countChanges } from './unified-diff.js';
+
+export const STAGING_ROOT = '.compose/staging';
+
+// Answers of the ask callback
+export const REVIEW_ANSWERS = ['accept', 'reject', 'edit', 'accept-all', 'reject-all'];
+
+// Keys typed at the review prompt
+const REVIEW_KEYS = { y: 'accept', n: 'reject', e: 'edit', a: 'accept-all', d: 'reject-all' };
+
+export class ReviewStage {
+    /**
+     * @param {object} options - { stagingDir }
+     * @param {string} options.stagingDir - Directory the generated files are staged in
+     */
+    constructor({ stagingDir }) {
+        this.stagingDir = stagingDir;
+    }
+
+    /**
+     * Remove the files staged by an earlier review
+     */
+    clear() {
+        if (existsSync(this.stagingDir)) {
+            rmSync(this.stagingDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Write generated files to the staging directory
+     * @param {Array} files - Generated files
+     * @returns {Array<string>} - Staged paths, in the order of files
+     */
+    stage(files) {
+        return files.map(file => {
+            const stagedPath = this.getStagedPath(file.path);
+            mkdirSync(dirname(stagedPath), { recursive: true });
+            writeFileSync(stagedPath, file.content, 'utf8');
+            return stagedPath;
+        });
+    }
+
+    /**
+     * Get where a generated file is staged
+     * @param {string} filePath - Generated file path
+     * @returns {string}
+     */
+    getStagedPath(filePath) {
+        return join(this.stagingDir, filePath);
+    }
+
+    /**
+     * Diff the current output against what writing the staged file would leave
+     * The staged content is read from disk so edits made during the review count.
+     * It goes through the same steps as the write: protected regions are
+     * carried over and hand edits merged in (see previewWrite), so the diff
+     * may be against the .compose-conflict side file instead.
+     * @param {string} filePath - Generated file path
+     * @param {string} diskPath - Where the file is written in the output
+     * @param {Function} preview - (diskPath, content) -> { path, content } | null, as previewWrite
+     * @returns {object} - { diff, added, removed, isNew, writtenPath }
+     */
+    diff(filePath, diskPath, preview = previewWrite) {
+        const staged = readFileSync(this.getStagedPath(filePath), 'utf8');
+        const written = preview(diskPath, staged);
+        if (!written) {
+            return { diff: '', added: 0, removed: 0, isNew: false, writtenPath: diskPath };
+        }
+
+        const current = existsSync(written.path) ? readFileSync(written.path, 'utf8') : null;
+        const diff = createUnifiedDiff(current, written.content, {
+            oldLabel: written.path,
+            newLabel: `${written.path} (generated)`
+        });
+
+        return { diff, ...countChanges(diff), isNew: current === null, writtenPath: written.path };
+    }
+
+    /**
+     * Review generated files one by one
+     * Unchanged files are accepted without asking. Accepted files carry the
+     * staged content, including edits; their staged copies are removed.
+     * Rejected files stay staged for inspection until the next review.
+     * A reply that is not one of REVIEW_ANSWERS (null once the input is gone)
+     * ends the review: it and the remaining files are rejected.
+     * @param {Array} files - Generated files
+     * @param {object} options - { resolvePath, preview, ask, edit }
+     * @param {Function} options.resolvePath - Generated path -> path in the output
+     * @param {Function} options.preview - What writing a file would change, see diff()
+     * @param {Function} options.ask - async ({ path, diskPath, writtenPath, stagedPath, diff, added, removed, isNew, index, total }) -> one of REVIEW_ANSWERS
+     * @param {Function} options.edit - async (stagedPath) -> void, opens the staged copy for editing
+     * @returns {Promise<object>} - { accepted: files to merge, rejected: paths }
+     */
+    async review(files, { resolvePath, preview, ask, edit }) {
+        this.clear();
+        const stagedPaths = this.stage(files);
+        const accepted = [];
+        const rejected = [];
+        let all = null;
+
+        for (const [index, file] of files.entries()) {
+            const stagedPath = stagedPaths[index];
+            const diskPath = resolvePath(file.path);
+            let answer = all;
+
+            while (!answer) {
+                const changes = this.diff(file.path, diskPath, preview);
+                if (!changes.diff) {
+                    answer = 'accept';
+                    break;
+                }
+
+                const reply = await ask({ path: file.path, diskPath, stagedPath, ...changes, index, total: files.length });
+                if (reply === 'edit') {
+                    await edit(stagedPath);
+                } else if (reply === 'accept-all' || reply === 'reject-all') {
+                    all = reply.slice(0, -'-all'.length);
+                    answer = all;
+                } else if (reply === 'accept' || reply === 'reject') {
+                    answer = reply;
+                } else {
+                    all = 'reject';
+                    answer = all;
+                }
+            }
+
+            if (answer === 'accept') {
+                accepted.push({ ...file, content: readFileSync(stagedPath, 'utf8') });
+                rmSync(stagedPath, { force: true });
+            } else {
+                rejected.push(file.path);
+            }
+        }
+
+        return { accepted, rejected };
+    }
+}
+
+/**
+ * Create the prompt of an interactive review
+ * One readline interface serves the whole review, so answers piped in are
+ * read one line per question. Once the input ends (EOF or Ctrl-D) the
+ * remaining files are rejected. Unrecognized answers are asked again.
+ * @param {object} options - { input, output }
+ * @param {object} options.input - Readable stream the answers come from (stdin)
+ * @param {object} options.output - Writable stream for diffs and questions (stdout)
+ * @returns {object} - { ask, close }: ask is the ask callback of review(),
+ *   close releases the input once every review is over
+ */
+export function createReviewPrompt({ input = process.stdin, output = process.stdout } = {}) {
+    // Not in terminal mode: stdin stays cooked, so Ctrl-C still stops the build
+    // while the prompt is open between targets
+    const rl = readline.createInterface({ input, terminal: false });
+    const lines = rl[Symbol.asyncIterator]();
+
+    const ask = async (change) => {
+        const summary = change.isNew ? 'new file' : `+${change.added} -${change.removed}`;
+        output.write(`\n   [${change.index + 1}/${change.total}] ${change.writtenPath || change.diskPath} (${summary})\n\n${change.diff}\n`);
+
+        while (true) {
+            output.write('\n   Accept this file? [y]es, [n]o, [e]dit, [a]ccept all, [d]iscard all: ');
+            const { value, done } = await lines.next();
+            if (done) {
+                output.write('\n   Input closed, rejecting the remaining files\n');
+                return 'reject-all';
+            }
+
+            const answer = REVIEW_KEYS[value.trim().toLowerCase()[0]];
+            if (answer) return answer;
+        }
+    };
+
+    return { ask, close: () => rl.close() };
+}
+
+/**
+ * Get the staging directory of a target
+ * @param {string} targetName - Target name
+ * @returns {string}
+ */
+export function getStagingDir(targetName) {
+    return join(STAGING_ROOT, targetName);
+}
+
+/**
+ * Create a review stage
+ * @param {string} targetName - Target name
+ * @returns {ReviewStage}
+ */
+export function createReviewStage(targetName) {
+    return new ReviewStage({ stagingDir: getStagingDir(targetName) });
+}
@@ -0,0 +1,338 @@
+/**
+ * Spec Diff
+ * Field-level diff between the IR of the last build and the current IR,
+ * formatted as text or Markdown for reviews and PR descriptions
+ */
+
+const KINDS = ['models', 'typeAliases', 'relations', 'features', 'guides'];
+
+/**
+ * Diff two IRs down to fields, feature bullets and guide hints
+ * @param {object|null} oldIR - IR of the last build (null before the first build)
+ * @param {object} newIR - Current IR
+ * @returns {object} - { hasChanges, isInitialBuild, models, typeAliases, relations, features, guides }
+ *   where each kind is { added, removed, modified }: models with per-field,
+ *   extends and mixin changes, type aliases and relations with the type or
+ *   cardinality before and after, features/guides with added/removed items
+ */
+export function diffSpecs(oldIR, newIR) {
+    const diff = {
+        hasChanges: false,
+        isInitialBuild: !oldIR,
+        models: diffElements(oldIR?.models || [], newIR.models || [], diffModel, model => ({
+            name: model.name,
+            fields: (model.fields || []).map(describeField)
+        })),
+        typeAliases: diffElements(oldIR?.typeAliases || [], newIR.typeAliases || [], diffSummaries(formatFieldType), alias => ({
+            name: alias.name,
+            summary: formatFieldType(alias)
+        })),
+        relations: diffElements(oldIR?.relations || [], newIR.relations || [], diffSummaries(formatRelation), relation => ({
+            name: relation.name,
+            summary: formatRelation(relation)
+        })),
+        features: diffElements(oldIR?.features || [], newIR.features || [], (a, b) => diffItems(toItems(a.description), toItems(b.description)), feature => ({
+            name: feature.name,
+            items: toItems(feature.description)
+        })),
+        guides: diffElements(oldIR?.guides || [], newIR.guides || [], (a, b) => diffItems(a.hints || [], b.hints || []), guide => ({
+            name: guide.name,
+            items: guide.hints || []
+        }))
+    };
+
+    diff.hasChanges = KINDS.some(kind =>
+        diff[kind].added.length > 0 || diff[kind].removed.length > 0 || diff[kind].modified.length > 0
+    );
+
+    return diff;
+}
+
+/**
+ * Format the type of a field the way it is written in .compose files
+ * @param {object} field - FieldIR
+ * @returns {string} - e.g. 'list of text', 'User?', '"admin" | "member"'
+ */
+export function formatFieldType(field) {
+    const type = field.type || {};
+    let typeStr = type.enumValues && type.enumValues.length > 0
+        ? type.enumValues.map(value => `"${value}"`).join(' | ')
+        : type.baseType;
+
+    if (type.isArray) {
+        typeStr = `list of ${typeStr}`;
+    }
+    if (field.optional) {
+        typeStr += '?';
+    }
+    return typeStr;
+}
+
+/**
+ * Format a spec diff
+ * @param {object} diff - Result of diffSpecs
+ * @param {string} format - 'text' or 'markdown'
+ * @returns {string}
+ */
+export function formatSpecDiff(diff, format = 'text') {
+    return format === 'markdown' ? formatMarkdown(diff) : formatText(diff);
+}
+
+/**
+ * Match elements by name and diff the ones both IRs have
+ * @param {Array} oldElements - Elements of the last build
+ * @param {Array} newElements - Current elements
+ * @param {Function} compare - (old, new) -> changes, or null when unchanged
+ * @param {Function} describe - element -> summary for added/removed elements
+ * @returns {object} - { added, removed, modified }
+ */
+function diffElements(oldElements, newElements, compare, describe) {
+    const oldMap = new Map(oldElements.map(element => [element.name, element]));
+    const newMap = new Map(newElements.map(element => [element.name, element]));
+
+    const added = newElements.filter(element => !oldMap.has(element.name)).map(describe);
+    const removed = oldElements.filter(element => !newMap.has(element.name)).map(describe);
+    const modified = [];
+
+    for (const element of newElements) {
+        const previous = oldMap.get(element.name);
+        const changes = previous && compare(previous, element);
+        if (changes) {
+            modified.push({ name: element.name, ...changes });
+        }
+    }
+
+    return { added, removed, modified };
+}
+
+/**
+ * Diff the fields, parent and mixins of a model
+ * @returns {object|null} - { fields: { added, removed, changed } } plus
+ *   extends: { from, to } and mixins: { added, removed } when those changed,
+ *   or null when unchanged
+ */
+function diffModel(oldModel, newModel) {
+    const oldFields = new Map((oldModel.fields || []).map(field => [field.name, describeField(field)]));
+    const newFields = new Map((newModel.fields || []).map(field => [field.name, describeField(field)]));
+
+    const added = [...newFields.values()].filter(field => !oldFields.has(field.name));
+    const removed = [...oldFields.values()].filter(field => !newFields.has(field.name));
+    const changed = [];
+
+    for (const [name, field] of newFields) {
+        const previous = oldFields.get(name);
+        if (previous && formatField(previous) !== formatField(field)) {
+            changed.push({ name, from: previous, to: field });
+        }
+    }
+
+    const parent = (oldModel.extends || null) !== (newModel.extends || null)
+        ? { from: oldModel.extends || null, to: newModel.extends || null }
+        : null;
+    const mixins = diffItems(oldModel.mixins || [], newModel.mixins || []);
+
+    if (added.length === 0 && removed.length === 0 && changed.length === 0 && !parent && !mixins) {
+        return null;
+    }
+    return {
+        fields: { added, removed, changed },
+        ...(parent && { extends: parent }),
+        ...(mixins && { mixins })
+    };
+}
+
+/**
+ * Diff type aliases or relations by their one-line summary
+ * @param {Function} summarize - element -> summary
+ * @returns {Function} - (old, new) -> { from, to }, or null when unchanged
+ */
+function diffSummaries(summarize) {
+    return (oldElement, newElement) => {
+        const from = summarize(oldElement);
+        const to = summarize(newElement);
+        return from !== to ? { from, to } : null;
+    };
+}
+
+/**
+ * Diff bullet lists (feature bullets, guide hints); reordering is not a change
+ * @returns {object|null} - { added, removed } or null when unchanged
+ */
+function diffItems(oldItems, newItems) {
+    const added = newItems.filter(item => !oldItems.includes(item));
+    const removed = oldItems.filter(item => !newItems.includes(item));
+
+    return added.length > 0 || removed.length > 0 ? { added, removed } : null;
+}
+
+/**
+ * Summarize a field for the diff
+ * @returns {object} - { name, type, constraints }
+ */
+function describeField(field) {
+    return {
+        name: field.name,
+        type: formatFieldType(field),
+        constraints: (field.constraints || []).map(formatConstraint)
+    };
+}
+
+/**
+ * Format a ConstraintIR as written in .compose files: unique, min 3, default "member"
+ */
+function formatConstraint(constraint) {
+    if (typeof constraint === 'string') return constraint;
+    if (constraint.value === null || constraint.value === undefined) return constraint.name;
+
+    const value = typeof constraint.value === 'string' && constraint.value !== 'now'
+        ? JSON.stringify(constraint.value)
+        : String(constraint.value);
+    return `${constraint.name} ${value}`;
+}
+
+/**
+ * Summarize a RelationIR: one-to-many, on delete cascade
+ */
+function formatRelation(relation) {
+    return relation.onDelete ? `${relation.cardinality}, on delete ${relation.onDelete}` : relation.cardinality;
+}
+
+function formatField(field) {
+    const constraints = field.constraints.length > 0 ? ` (${field.constraints.join(', ')})` : '';
+    return `${field.type}${constraints}`;
+}
+
+/**
+ * Feature descriptions are a list of bullets or a single string
+ */
+function toItems(description) {
+    if (!description) return [];
+    return Array.isArray(description) ? description : [description];
+}
+
+function formatText(diff) {
+    if (!diff.hasChanges) {
+        return 'No spec changes';
+    }
+
+    const lines = [];
+    const section = (title, kind, formatModified) => {
+        const { added, removed, modified } = diff[kind];
+        if (added.length + removed.length + modified.length === 0) return;
+
+        lines.push(title);
+        for (const element of added) {
+            lines.push(`  + ${element.name}`);
+            lines.push(...describeElement(kind, element).map(line => `      ${line}`));
+        }
+        for (const element of removed) {
+            lines.push(`  - ${element.name}`);
+        }
+        for (const element of modified) {
+            lines.push(`  ~ ${element.name}`);
+            lines.push(...formatModified(element).map(line => `      ${line}`));
+        }
+    };
+
+    section('Models', 'models', model => [
+        ...formatHeaderChanges(model, {
+            extends: (from, to) => `~ extends: ${from || 'nothing'} → ${to || 'nothing'}`,
+            mixin: (sign, name) => `${sign} with ${name}`
+        }),
+        ...model.fields.added.map(field => `+ ${field.name}: ${formatField(field)}`),
+        ...model.fields.removed.map(field => `- ${field.name}: ${formatField(field)}`),
+        ...model.fields.changed.map(change => `~ ${change.name}: ${formatField(change.from)} → ${formatField(change.to)}`)
+    ]);
+    section('Type Aliases', 'typeAliases', formatSummaryChange);
+    section('Relations', 'relations', formatSummaryChange);
+    section('Features', 'features', formatItemChanges);
+    section('Guides', 'guides', formatItemChanges);
+
+    return lines.join('\n');
+}
+
+function formatMarkdown(diff) {
+    if (!diff.hasChanges) {
+        return '_No spec changes_';
+    }
+
+    const lines = [];
+    const section = (title, kind, formatModified) => {
+        const { added, removed, modified } = diff[kind];
+        if (added.length + removed.length + modified.length === 0) return;
+
+        lines.push(`#### ${title}`, '');
+        for (const element of added) {
+            lines.push(`- **Added** \`${element.name}\``);
+            const details = describeElement(kind, element);
+            lines.push(...(kind === 'models' || kind === 'typeAliases' ? details.map(line => `\`${line}\``) : details).map(line => `  - ${line}`));
+        }
+        for (const element of removed) {
+            lines.push(`- **Removed** \`${element.name}\``);
+        }
+        for (const element of modified) {
+            lines.push(`- **Modified** \`${element.name}\``);
+            lines.push(...formatModified(element).map(line => `  - ${line}`));
+        }
+        lines.push('');
+    };
+
+    section('Models', 'models', model => [
+        ...formatHeaderChanges(model, {
+            extends: (from, to) => `changed extends: ${from ? `\`${from}\`` : 'nothing'} → ${to ? `\`${to}\`` : 'nothing'}`,
+            mixin: (sign, name) => `${sign === '+' ? 'added' : 'removed'} \`with ${name}\``
+        }),
+        ...model.fields.added.map(field => `added \`${field.name}: ${formatField(field)}\``),
+        ...model.fields.removed.map(field => `removed \`${field.name}: ${formatField(field)}\``),
+        ...model.fields.changed.map(change => `changed \`${change.name}\`: \`${formatField(change.from)}\` → \`${formatField(change.to)}\``)
+    ]);
+    const formatItems = element => [
+        ...element.added.map(item => `added: ${item}`),
+        ...element.removed.map(item => `removed: ${item}`)
+    ];
+    const formatSummary = element => [`changed: \`${element.from}\` → \`${element.to}\``];
+    section('Type Aliases', 'typeAliases', formatSummary);
+    section('Relations', 'relations', formatSummary);
+    section('Features', 'features', formatItems);
+    section('Guides', 'guides', formatItems);
+
+    return lines.join('\n').trimEnd();
+}
+
+/**
+ * Lines listing the fields, summary or bullets of an added element
+ */
+function describeElement(kind, element) {
+    if (kind === 'models') {
+        return element.fields.map(field => `${field.name}: ${formatField(field)}`);
+    }
+    return 'summary' in element ? [element.summary] : element.items;
+}
+
+/**
+ * Lines for a changed parent model and added/removed mixins
+ * @param {object} model - Modified model of the diff
+ * @param {object} format - { extends: (from, to) -> line, mixin: (sign, name) -> line }
+ */
+function formatHeaderChanges(model, format) {
+    const lines = [];
+    if (model.extends) {
+        lines.push(format.extends(model.extends.from, model.extends.to));
+    }
+    if (model.mixins) {
+        lines.push(...model.mixins.added.map(name => format.mixin('+', name)));
+        lines.push(...model.mixins.removed.map(name => format.mixin('-', name)));
+    }
+    return lines;
+}
+
+function formatSummaryChange(element) {
+    return [`~ ${element.from} → ${element.to}`];
+}
+
+function formatItemChanges(element) {
+    return [
+        ...element.added.map(item => `+ ${item}`),
+        ...element.removed.map(item => `- ${item}`)
+    ];
+}
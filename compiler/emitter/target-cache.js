@@ -0,0 +1,105 @@
+/**
+ * Target Cache
+ * Gives every target its own IR snapshot, export map and file hashes under
+ * .compose/cache/targets/<name>/ and migrates caches from before the split
+ */
+
+import { existsSync, mkdirSync, readFileSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { join, normalize } from 'path';
+
+export const CACHE_ROOT = '.compose/cache';
+
+// Cache files that describe a single target's output (llm-responses.json stays shared)
+export const TARGET_CACHE_FILES = ['ir.json', 'export-map.json', 'file-hashes.json'];
+
+/**
+ * Get the cache directory of a target
+ * @param {string} targetName - Target name from compose.json
+ * @param {string} cacheRoot - Root cache directory
+ * @returns {string} - Cache directory for the target
+ */
+export function getTargetCacheDir(targetName, cacheRoot = CACHE_ROOT) {
+    return `${cacheRoot}/targets/${targetName.replace(/[^\w.-]/g, '_')}`;
+}
+
+/**
+ * Move caches written before they were per target into the target directories
+ * A single-target project keeps everything. With several targets the shared
+ * file hashes are split by output directory; the IR snapshot and export map
+ * mixed all targets together, so they are set aside and each target's next
+ * build is a full one.
+ * @param {object} targets - Targets from compose.json ({ name: { output } })
+ * @param {string} cacheRoot - Root cache directory
+ * @returns {object|null} - { migrated: [file], discarded: [file] } or null if nothing to migrate
+ */
+export function migrateLegacyCache(targets, cacheRoot = CACHE_ROOT) {
+    const legacyFiles = TARGET_CACHE_FILES.filter(file => existsSync(join(cacheRoot, file)));
+    if (legacyFiles.length === 0) {
+        return null;
+    }
+
+    const targetNames = Object.keys(targets);
+    const result = { migrated: [], discarded: [] };
+
+    if (targetNames.length === 1) {
+        const targetDir = getTargetCacheDir(targetNames[0], cacheRoot);
+        mkdirSync(targetDir, { recursive: true });
+
+        for (const file of legacyFiles) {
+            // Never overwrite a cache the target already has
+            if (existsSync(join(targetDir, file))) {
+                rmSync(join(cacheRoot, file));
+                result.discarded.push(file);
+            } else {
+                renameSync(join(cacheRoot, file), join(targetDir, file));
+                result.migrated.push(file);
+            }
+        }
+        return result;
+    }
+
+    for (const file of legacyFiles) {
+        if (file === 'file-hashes.json') {
+            splitFileHashes(targets, cacheRoot);
+            result.migrated.push(file);
+        } else {
+            const legacyDir = join(cacheRoot, 'legacy');
+            mkdirSync(legacyDir, { recursive: true });
+            renameSync(join(cacheRoot, file), join(legacyDir, file));
+            result.discarded.push(file);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Split the shared file-hashes.json by the output directory its paths start with
+ */
+function splitFileHashes(targets, cacheRoot) {
+    const legacyPath = join(cacheRoot, 'file-hashes.json');
+    let hashes = {};
+    try {
+        hashes = JSON.parse(readFileSync(legacyPath, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️  Failed to read ${legacyPath}: ${error.message}`);
+    }
+
+    for (const [targetName, target] of Object.entries(targets)) {
+        if (!target.output) continue;
+
+        const prefix = normalize(target.output).replace(/\/$/, '') + '/';
+        const targetHashes = Object.fromEntries(
+            Object.entries(hashes).filter(([filePath]) => normalize(filePath).startsWith(prefix))
+        );
+
+        const targetDir = getTargetCacheDir(targetName, cacheRoot);
+        const targetPath = join(targetDir, 'file-hashes.json');
+        if (Object.keys(targetHashes).length === 0 || existsSync(targetPath)) continue;
+
+        mkdirSync(targetDir, { recursive: true });
+        writeFileSync(targetPath, JSON.stringify(targetHashes, null, 2), 'utf8');
+    }
+
+    rmSync(legacyPath);
+}
@@ -0,0 +1,199 @@
+/**
+ * Three-Way Merge
+ * Line-based merge of the last generated version of a file (base), the
+ * version on disk (local edits) and the newly generated version
+ */
+
+export const CONFLICT_START = '<<<<<<< local (hand edits)';
+export const CONFLICT_SEPARATOR = '=======';
+export const CONFLICT_END = '>>>>>>> generated';
+
+/**
+ * Merge local edits and newly generated content against their common base
+ * Hunks changed on only one side are taken from that side. Hunks changed on
+ * both sides in different ways become conflicts wrapped in markers.
+ * @param {string} base - Content generated by the previous build
+ * @param {string} local - Content on disk
+ * @param {string} generated - Content generated now
+ * @returns {object} - { content, conflicts } where conflicts is the number of conflicting hunks
+ */
+export function mergeThreeWay(base, local, generated) {
+    const baseLines = base.split('\n');
+    const localLines = local.split('\n');
+    const generatedLines = generated.split('\n');
+
+    const localMatch = matchLines(baseLines, localLines);
+    const generatedMatch = matchLines(baseLines, generatedLines);
+
+    const output = [];
+    let conflicts = 0;
+    let b = 0;
+    let l = 0;
+    let g = 0;
+
+    while (b <= baseLines.length) {
+        // Next base line kept by both sides (or the end of all three)
+        let sync = b;
+        while (sync < baseLines.length && (localMatch[sync] === -1 || generatedMatch[sync] === -1)) {
+            sync++;
+        }
+        const atEnd = sync === baseLines.length;
+        const localEnd = atEnd ? localLines.length : localMatch[sync];
+        const generatedEnd = atEnd ? generatedLines.length : generatedMatch[sync];
+
+        const baseHunk = baseLines.slice(b, sync);
+        const localHunk = localLines.slice(l, localEnd);
+        const generatedHunk = generatedLines.slice(g, generatedEnd);
+
+        if (sameLines(localHunk, baseHunk)) {
+            output.push(...generatedHunk);
+        } else if (sameLines(generatedHunk, baseHunk) || sameLines(generatedHunk, localHunk)) {
+            output.push(...localHunk);
+        } else {
+            conflicts++;
+            output.push(CONFLICT_START, ...localHunk, CONFLICT_SEPARATOR, ...generatedHunk, CONFLICT_END);
+        }
+
+        if (atEnd) break;
+
+        output.push(baseLines[sync]);
+        b = sync + 1;
+        l = localEnd + 1;
+        g = generatedEnd + 1;
+    }
+
+    return { content: output.join('\n'), conflicts };
+}
+
+/**
+ * Check whether content still contains conflict markers
+ * @param {string} content - File content
+ * @returns {boolean}
+ */
+export function hasConflictMarkers(content) {
+    return content.split('\n').some(line => line === CONFLICT_START || line === CONFLICT_END);
+}
+
+/**
+ * Match the lines of two versions along a shortest edit script
+ * Uses Myers' linear-space diff: memory grows with the number of lines, not
+ * with their product, so large generated files stay cheap to merge.
+ * @param {Array<string>} a - Lines of the first version
+ * @param {Array<string>} b - Lines of the second version
+ * @returns {Int32Array} - For every line of a, the index of its match in b or -1
+ */
+export function matchLines(a, b) {
+    const match = new Int32Array(a.length).fill(-1);
+    matchRange(a, 0, a.length, b, 0, b.length, match);
+    return match;
+}
+
+/**
+ * Match a[aStart..aEnd) against b[bStart..bEnd), splitting at the middle snake
+ */
+function matchRange(a, aStart, aEnd, b, bStart, bEnd, match) {
+    // Common prefix and suffix match trivially
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        match[aStart++] = bStart++;
+    }
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+        match[--aEnd] = --bEnd;
+    }
+    if (aStart === aEnd || bStart === bEnd) {
+        return;
+    }
+
+    const split = findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd);
+    if (!split) {
+        return; // Nothing in common
+    }
+    matchRange(a, aStart, aStart + split.x, b, bStart, bStart + split.y, match);
+    matchRange(a, aStart + split.x, aEnd, b, bStart + split.y, bEnd, match);
+}
+
+/**
+ * Find where the forward and reverse searches of Myers' algorithm meet
+ * Both ranges are non-empty and differ in their first and last lines.
+ * @returns {object|null} - { x, y } offsets of a point on a shortest edit path,
+ *   or null when the ranges have no line in common
+ */
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const maxD = Math.ceil((n + m) / 2);
+    const offset = maxD;
+    const length = 2 * maxD;
+    // Furthest x reached on every diagonal k = x - y, from the start and from the end
+    const forward = new Int32Array(length).fill(-1);
+    const reverse = new Int32Array(length).fill(-1);
+    forward[offset + 1] = 0;
+    reverse[offset + 1] = 0;
+
+    const delta = n - m;
+    // With an odd delta the paths meet during a forward step, otherwise a reverse one
+    const meetForward = delta % 2 !== 0;
+    // Diagonals that ran off the edit graph are skipped from then on
+    let forwardStart = 0;
+    let forwardEnd = 0;
+    let reverseStart = 0;
+    let reverseEnd = 0;
+
+    for (let d = 0; d < maxD; d++) {
+        for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+            const index = offset + k;
+            let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+                ? forward[index + 1]
+                : forward[index - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[index] = x;
+
+            if (x > n) {
+                forwardEnd += 2;
+            } else if (y > m) {
+                forwardStart += 2;
+            } else if (meetForward) {
+                const reverseIndex = offset + delta - k;
+                if (reverseIndex >= 0 && reverseIndex < length && reverse[reverseIndex] !== -1 &&
+                    x >= n - reverse[reverseIndex]) {
+                    return { x, y };
+                }
+            }
+        }
+
+        for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+            const index = offset + k;
+            let x = k === -d || (k !== d && reverse[index - 1] < reverse[index + 1])
+                ? reverse[index + 1]
+                : reverse[index - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            reverse[index] = x;
+
+            if (x > n) {
+                reverseEnd += 2;
+            } else if (y > m) {
+                reverseStart += 2;
+            } else if (!meetForward) {
+                const forwardIndex = offset + delta - k;
+                if (forwardIndex >= 0 && forwardIndex < length && forward[forwardIndex] !== -1 &&
+                    forward[forwardIndex] >= n - x) {
+                    const forwardX = forward[forwardIndex];
+                    return { x: forwardX, y: forwardX - (forwardIndex - offset) };
+                }
+            }
+        }
+    }
+
+    return null;
+}
+
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, i) => line === b[i]);
+}
@@ -0,0 +1,126 @@
+/**
+ * Unified Diff
+ * Line-based diff of two versions of a file in unified format
+ */
+
+import { matchLines } from './three-way-merge.js';
+
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Create a unified diff
+ * @param {string|null} oldContent - Current content (null for a new file)
+ * @param {string} newContent - Proposed content
+ * @param {object} options - { oldLabel, newLabel, context }
+ * @returns {string} - Diff text, empty when the contents are equal
+ */
+export function createUnifiedDiff(oldContent, newContent, options = {}) {
+    const context = options.context ?? DEFAULT_CONTEXT;
+    const oldLines = oldContent === null ? [] : splitLines(oldContent);
+    const newLines = splitLines(newContent);
+    const ops = diffLines(oldLines, newLines);
+
+    if (ops.every(op => op.type === ' ')) {
+        return '';
+    }
+
+    const output = [
+        `--- ${oldContent === null ? '/dev/null' : options.oldLabel || 'a'}`,
+        `+++ ${options.newLabel || 'b'}`
+    ];
+    for (const hunk of groupHunks(ops, context)) {
+        output.push(formatHunk(hunk));
+    }
+
+    return output.join('\n');
+}
+
+/**
+ * Count added and removed lines of a unified diff
+ * @param {string} diff - Result of createUnifiedDiff
+ * @returns {object} - { added, removed }
+ */
+export function countChanges(diff) {
+    // Skip the ---/+++ header
+    const lines = diff.split('\n').slice(2);
+    return {
+        added: lines.filter(line => line.startsWith('+')).length,
+        removed: lines.filter(line => line.startsWith('-')).length
+    };
+}
+
+/**
+ * Turn two versions into a list of kept (' '), removed ('-') and added ('+') lines
+ */
+function diffLines(oldLines, newLines) {
+    const match = matchLines(oldLines, newLines);
+    const ops = [];
+    let i = 0;
+    let j = 0;
+
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && match[i] === -1) {
+            ops.push({ type: '-', line: oldLines[i], oldIndex: i, newIndex: j });
+            i++;
+        } else if (j < (i < oldLines.length ? match[i] : newLines.length)) {
+            ops.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j });
+            j++;
+        } else {
+            ops.push({ type: ' ', line: oldLines[i], oldIndex: i, newIndex: j });
+            i++;
+            j++;
+        }
+    }
+
+    return ops;
+}
+
+/**
+ * Group changed lines with their surrounding context into hunks
+ */
+function groupHunks(ops, context) {
+    const hunks = [];
+    let current = null;
+
+    ops.forEach((op, index) => {
+        if (op.type === ' ') return;
+
+        const start = Math.max(0, index - context);
+        const end = Math.min(ops.length, index + context + 1);
+        if (current && start <= current.end) {
+            current.end = end;
+        } else {
+            current = { start, end };
+            hunks.push(current);
+        }
+    });
+
+    return hunks.map(({ start, end }) => ops.slice(start, end));
+}
+
+/**
+ * Format a hunk with its @@ header
+ */
+function formatHunk(ops) {
+    const oldCount = ops.filter(op => op.type !== '+').length;
+    const newCount = ops.filter(op => op.type !== '-').length;
+    // Empty ranges start at the line before them, as in diff -u
+    const oldStart = oldCount === 0 ? ops[0].oldIndex : ops[0].oldIndex + 1;
+    const newStart = newCount === 0 ? ops[0].newIndex : ops[0].newIndex + 1;
+
+    return [
+        `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+        ...ops.map(op => `${op.type}${op.line}`)
+    ].join('\n');
+}
+
+/**
+ * Split content into lines without a phantom empty line after a final newline
+ */
+function splitLines(content) {
+    const lines = content.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
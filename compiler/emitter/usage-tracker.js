@@ -0,0 +1,258 @@
+/**
+ * Usage Tracker
+ * Records the tokens every LLM call used into .compose/usage.json and
+ * enforces the llm.budget limits before calls are made
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { findPricing, estimateCost, formatCost } from './pricing.js';
+
+export const USAGE_FILE = '.compose/usage.json';
+
+// Limits of llm.budget; the monthly ones count every build of the calendar month
+export const BUDGET_LIMITS = ['maxTokensPerBuild', 'maxTokensPerTarget', 'monthlyTokens', 'monthlyCost'];
+
+// Share of a limit after which a build warns
+const WARN_RATIO = 0.8;
+
+// Rough tokenizer-independent ratio for code and English prose
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Thrown before an LLM call that would go over llm.budget
+ */
+export class BudgetExceededError extends Error {
+    /**
+     * @param {string} limit - Name of the exceeded limit (one of BUDGET_LIMITS)
+     * @param {string} message - What was exceeded
+     */
+    constructor(limit, message) {
+        super(message);
+        this.name = 'BudgetExceededError';
+        this.code = 'COMPOSE_BUDGET_EXCEEDED';
+        this.limit = limit;
+    }
+}
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Prompt or file content
+ * @returns {number} - Estimated tokens
+ */
+export function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+export class UsageTracker {
+    /**
+     * @param {object} budget - llm.budget from compose.json
+     * @param {object} options - { usageFile, targetName, pricing, provider, session }
+     */
+    constructor(budget = {}, options = {}) {
+        this.budget = budget || {};
+        this.usageFile = options.usageFile || USAGE_FILE;
+        this.targetName = options.targetName || 'default';
+        this.pricing = options.pricing ?? null;
+        this.provider = options.provider || null;
+        // Totals of the current build, shared by the trackers of all targets
+        this.session = options.session || {
+            build: new Date().toISOString(),
+            tokens: 0,
+            byTarget: {},
+            warned: new Set()
+        };
+    }
+
+    /**
+     * Get a tracker recording calls for a target within the same build
+     * @param {string} targetName - Target name
+     * @returns {UsageTracker}
+     */
+    forTarget(targetName) {
+        return new UsageTracker(this.budget, {
+            usageFile: this.usageFile,
+            targetName,
+            pricing: this.pricing,
+            provider: this.provider,
+            session: this.session
+        });
+    }
+
+    /**
+     * Check that a call with this prompt stays within the budget
+     * Output tokens are not known in advance, so a call is refused once the
+     * tokens used so far plus the prompt would cross a limit.
+     * @param {string} prompt - Full prompt text
+     * @param {object} spent - { inputTokens, outputTokens } the same call already
+     *   used and has not recorded yet (continuations of a cut-off response)
+     * @throws {BudgetExceededError}
+     */
+    checkBudget(prompt, spent = {}) {
+        const input = estimateTokens(prompt) + (spent.inputTokens || 0);
+        const output = spent.outputTokens || 0;
+        const estimate = input + output;
+        const month = this.getMonthTotals();
+
+        const checks = [
+            ['maxTokensPerBuild', this.session.tokens, estimate, 'tokens in this build'],
+            ['maxTokensPerTarget', this.session.byTarget[this.targetName] || 0, estimate, `tokens for target "${this.targetName}" in this build`],
+            ['monthlyTokens', month.tokens, estimate, 'tokens this month'],
+            ['monthlyCost', month.cost, estimateCost({ input, output }, this.pricing) ?? 0, 'USD this month']
+        ];
+
+        for (const [limit, used, next, label] of checks) {
+            const max = this.budget[limit];
+            if (max === undefined) continue;
+
+            if (used + next > max) {
+                throw new BudgetExceededError(limit, `LLM budget exceeded: llm.budget.${limit} is ${max} ${label}, ${formatAmount(limit, used)} used and the next call needs about ${formatAmount(limit, next)} more`);
+            }
+            if (used + next > max * WARN_RATIO && !this.session.warned.has(limit)) {
+                this.session.warned.add(limit);
+                console.warn(`⚠️  ${Math.round((used + next) / max * 100)}% of llm.budget.${limit} (${max} ${label}) used`);
+            }
+        }
+    }
+
+    /**
+     * Record an LLM call
+     * @param {object} call - { model, inputTokens, outputTokens, cached }
+     */
+    record(call) {
+        const inputTokens = call.inputTokens || 0;
+        const outputTokens = call.outputTokens || 0;
+        const tokens = inputTokens + outputTokens;
+
+        this.session.tokens += tokens;
+        this.session.byTarget[this.targetName] = (this.session.byTarget[this.targetName] || 0) + tokens;
+
+        const usage = this.load();
+        usage.entries.push({
+            date: new Date().toISOString(),
+            build: this.session.build,
+            target: this.targetName,
+            provider: this.provider,
+            model: call.model || null,
+            inputTokens,
+            outputTokens,
+            cached: Boolean(call.cached),
+            cost: call.cached ? 0 : estimateCost({ input: inputTokens, output: outputTokens }, this.pricing)
+        });
+        this.save(usage);
+    }
+
+    /**
+     * Sum the tokens and cost of the current calendar month
+     * @returns {object} - { tokens, cost }
+     */
+    getMonthTotals() {
+        const month = new Date().toISOString().slice(0, 7);
+        return this.load().entries
+            .filter(entry => entry.date.startsWith(month))
+            .reduce((totals, entry) => ({
+                tokens: totals.tokens + entry.inputTokens + entry.outputTokens,
+                cost: totals.cost + (entry.cost || 0)
+            }), { tokens: 0, cost: 0 });
+    }
+
+    /**
+     * Load recorded usage
+     * @returns {object} - { entries }
+     */
+    load() {
+        return loadUsage(this.usageFile);
+    }
+
+    /**
+     * Save recorded usage
+     * @param {object} usage - { entries }
+     */
+    save(usage) {
+        try {
+            mkdirSync(dirname(this.usageFile), { recursive: true });
+            writeFileSync(this.usageFile, JSON.stringify(usage, null, 2), 'utf8');
+        } catch (error) {
+            console.warn(`⚠️  Failed to save LLM usage: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Load recorded usage from disk
+ * @param {string} usageFile - Path of usage.json
+ * @returns {object} - { entries }
+ */
+export function loadUsage(usageFile = USAGE_FILE) {
+    if (!existsSync(usageFile)) {
+        return { entries: [] };
+    }
+
+    try {
+        const usage = JSON.parse(readFileSync(usageFile, 'utf8'));
+        return { ...usage, entries: usage.entries || [] };
+    } catch (error) {
+        console.warn(`⚠️  Failed to load LLM usage: ${error.message}`);
+        return { entries: [] };
+    }
+}
+
+/**
+ * Summarize recorded calls by target and by date
+ * @param {Array} entries - Usage entries
+ * @returns {object} - { total, byTarget, byDate } where each group is
+ *   { calls, cached, cacheHitRatio, inputTokens, outputTokens, cost, unpriced }
+ */
+export function summarizeUsage(entries) {
+    const group = (keyOf) => {
+        const groups = {};
+        for (const entry of entries) {
+            const key = keyOf(entry);
+            groups[key] = addEntry(groups[key], entry);
+        }
+        return groups;
+    };
+
+    return {
+        total: entries.reduce((summary, entry) => addEntry(summary, entry), emptySummary()),
+        byTarget: group(entry => entry.target),
+        byDate: group(entry => entry.date.slice(0, 10))
+    };
+}
+
+/**
+ * Create a usage tracker for an LLM configuration
+ * @param {object} llmConfig - llm block of compose.json
+ * @param {object} options - { usageFile, targetName }
+ * @returns {UsageTracker}
+ */
+export function createUsageTracker(llmConfig = {}, options = {}) {
+    return new UsageTracker(llmConfig.budget, {
+        ...options,
+        pricing: findPricing(llmConfig),
+        provider: llmConfig.provider || 'mock'
+    });
+}
+
+function emptySummary() {
+    return { calls: 0, cached: 0, cacheHitRatio: 0, inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+}
+
+function addEntry(summary = emptySummary(), entry) {
+    const calls = summary.calls + 1;
+    const cached = summary.cached + (entry.cached ? 1 : 0);
+
+    return {
+        calls,
+        cached,
+        cacheHitRatio: cached / calls,
+        inputTokens: summary.inputTokens + entry.inputTokens,
+        outputTokens: summary.outputTokens + entry.outputTokens,
+        cost: summary.cost + (entry.cost || 0),
+        unpriced: summary.unpriced + (entry.cost === null ? 1 : 0)
+    };
+}
+
+function formatAmount(limit, amount) {
+    return limit === 'monthlyCost' ? formatCost(amount) : Math.round(amount).toLocaleString('en-US');
+}
@@ -29,6 +29,18 @@ export function compile(source, file = '<input>', options = {}) {
         const parser = new Parser(tokens);
         const ast = parser.parse();
 
+        // Syntax errors stop here: analyzing the declarations that did parse
+        // would mostly report follow-up errors of the dropped ones
+        if (parser.errors.length > 0) {
+            return {
+                success: false,
+                ast,
+                ir: null,
+                errors: parser.errors,
+                symbolTable: null
+            };
+        }
+
         // Phase 3: Semantic analysis (optional)
         let symbolTable = null;
         if (!skipAnalysis) {
@@ -50,7 +62,7 @@ export function compile(source, file = '<input>', options = {}) {
         let ir = null;
         if (!skipIR && !skipAnalysis) {
             // Use baseDir from options for reference file resolution
-            ir = buildIR(ast, baseDir);
+            ir = buildIR(ast, baseDir, symbolTable);
         }
 
         return {
@@ -61,19 +73,32 @@ export function compile(source, file = '<input>', options = {}) {
             symbolTable
         };
     } catch (error) {
+        // Lexer errors carry their location and stop at the first one
         return {
             success: false,
             ast: null,
             ir: null,
             errors: [{
                 message: error.message,
-                location: { file, line: 0, column: 0 },
-                type: 'CompilationError'
+                location: error.location || { file, line: 0, column: 0 },
+                type: error.location ? 'SyntaxError' : 'CompilationError'
             }]
         };
     }
 }
 
+/**
+ * Format a compilation error for the terminal
+ * Not every error has a location: some semantic errors only know their file.
+ * @param {object} error - { message, location, type } from compile()
+ * @returns {string} - e.g. 'SyntaxError: Expected ':', got 'text' (app.compose:5:9)'
+ */
+export function formatCompileError(error) {
+    const { file, line, column } = error.location || {};
+    const position = line ? `${file}:${line}:${column}` : file;
+    return `${error.type || 'Error'}: ${error.message}${position ? ` (${position})` : ''}`;
+}
+
 /**
  * Compile and return tokens (for debugging/testing)
  */
@@ -7,7 +7,11 @@ export {
     createIR,
     ModelIR,
     FieldIR,
+    ConstraintIR,
     TypeIR,
+    TypeAliasIR,
+    RelationIR,
+    RelationEndIR,
     FeatureIR,
     GuideIR
 } from './ir-schema.js';
@@ -3,23 +3,49 @@
  * Builds simplified IR from AST
  */
 
-import { createIR, ModelIR, FieldIR, TypeIR, FeatureIR, GuideIR } from './ir-schema.js';
+import { createIR, ModelIR, MixinIR, FieldIR, ConstraintIR, TypeIR, TypeAliasIR, RelationIR, RelationEndIR, FeatureIR, GuideIR } from './ir-schema.js';
 import { ReferenceLoader } from '../loader/reference-loader.js';
+import { resolveAliasedType, PRIMITIVE_TYPES } from '../analyzer/type-checker.js';
+import { collectModelFields } from '../analyzer/model-inheritance.js';
 
 /**
  * Build IR from AST
  * @param {object} ast - Abstract Syntax Tree
  * @param {string} baseDir - Base directory for loading references
+ * @param {SymbolTable} symbolTable - Analyzer symbol table, for the models and
+ *   type aliases of imported modules (optional)
  */
-export function buildIR(ast, baseDir = process.cwd()) {
+export function buildIR(ast, baseDir = process.cwd(), symbolTable = null) {
     const ir = createIR();
     const referenceLoader = new ReferenceLoader(baseDir);
 
-    // Convert models
-    for (const modelNode of ast.models) {
-        ir.models.push(buildModelIR(modelNode));
+    // Type aliases are resolved into the fields that use them, models into
+    // the models extending them
+    const aliases = new Map((ast.typeAliases || []).map(alias => [alias.name, alias]));
+    const models = new Map(ast.models.map(model => [model.name, model]));
+    const lookupImported = (name, kind) => {
+        const typeDef = symbolTable?.lookupType(name);
+        return typeDef?.kind === kind ? typeDef.node : null;
+    };
+    const lookupAlias = name => aliases.get(name) || lookupImported(name, 'alias');
+    const lookupModel = name => models.get(name) || lookupImported(name, 'model');
+
+    for (const aliasNode of ast.typeAliases || []) {
+        ir.typeAliases.push(buildTypeAliasIR(aliasNode, lookupAlias));
     }
 
+    // Convert models; models only ever mixed in are kept as mixins
+    const modelIRs = ast.models.map(modelNode => buildModelIR(modelNode, lookupAlias, lookupModel));
+    const mixinOnly = findMixinOnlyModels(modelIRs);
+    ir.models = modelIRs.filter(model => !mixinOnly.has(model.name));
+    ir.mixins = buildMixins(modelIRs, lookupAlias, lookupModel);
+
+    // Imported aliases the fields use are defined alongside the local ones
+    addImportedAliases(ir, name => lookupImported(name, 'alias'), lookupAlias);
+
+    // Relations between the models, from their reference fields
+    ir.relations = buildRelations(ir.models, mixinOnly);
+
     // Convert features
     for (const featureNode of ast.features) {
         ir.features.push(buildFeatureIR(featureNode));
@@ -38,34 +64,233 @@ export function buildIR(ast, baseDir = process.cwd()) {
 
 /**
  * Build Model IR from Model AST node
+ * Inherited fields are flattened into the model, parent and mixins first.
  */
-function buildModelIR(modelNode) {
-    const fields = modelNode.fields.map(buildFieldIR);
-    return new ModelIR(modelNode.name, fields);
+function buildModelIR(modelNode, lookupAlias, lookupModel) {
+    const fields = collectModelFields(modelNode, lookupModel).fields.map(({ field, from }) =>
+        buildFieldIR(field, lookupAlias, from === modelNode.name ? null : from)
+    );
+    return new ModelIR(modelNode.name, fields, modelNode.extends || null, modelNode.mixins || []);
+}
+
+/**
+ * Find the models that are only ever mixed in: named after with, but never
+ * extended and never the type of a field
+ * @param {Array<ModelIR>} models - All models of the source
+ * @returns {Set<string>}
+ */
+function findMixinOnlyModels(models) {
+    const used = new Set();
+    for (const model of models) {
+        if (model.extends) {
+            used.add(model.extends);
+        }
+        for (const field of model.fields) {
+            used.add(field.type.baseType);
+        }
+    }
+
+    const mixins = models.flatMap(model => model.mixins);
+    return new Set(models
+        .filter(model => mixins.includes(model.name) && !used.has(model.name))
+        .map(model => model.name));
+}
+
+/**
+ * Build the Mixin IR of every mixin named in a model header, local or imported
+ */
+function buildMixins(models, lookupAlias, lookupModel) {
+    const names = [...new Set(models.flatMap(model => model.mixins))];
+
+    return names.map(name => lookupModel(name)).filter(Boolean).map(mixinNode => {
+        const { name, fields } = buildModelIR(mixinNode, lookupAlias, lookupModel);
+        return new MixinIR(name, fields);
+    });
 }
 
 /**
  * Build Field IR from Field AST node
+ * A field is optional when it or its type alias is marked with ?
  */
-function buildFieldIR(fieldNode) {
-    const type = buildTypeIR(fieldNode.fieldType);
+function buildFieldIR(fieldNode, lookupAlias, inheritedFrom = null) {
+    const resolved = resolveType(fieldNode.fieldType, lookupAlias);
     return new FieldIR(
         fieldNode.name,
-        type,
-        fieldNode.optional,
-        fieldNode.constraints
+        buildTypeIR(resolved),
+        fieldNode.optional || resolved.optional,
+        fieldNode.constraints.map(constraint => new ConstraintIR(constraint.name, constraint.value)),
+        inheritedFrom
     );
 }
 
 /**
- * Build Type IR from Type AST node
+ * Resolve a type through its aliases
+ * The analyzer rejects circular aliases; should one get here, the type is
+ * kept as written.
+ */
+function resolveType(typeNode, lookupAlias) {
+    return resolveAliasedType(typeNode, lookupAlias) || {
+        baseType: typeNode.baseType,
+        isArray: typeNode.isArray,
+        enumValues: typeNode.enumValues,
+        optional: false,
+        alias: null
+    };
+}
+
+/**
+ * Build Type IR from a type resolved through its aliases
  */
-function buildTypeIR(typeNode) {
+function buildTypeIR(resolved) {
     return new TypeIR(
-        typeNode.baseType,
-        typeNode.isArray,
-        typeNode.enumValues
+        resolved.baseType,
+        resolved.isArray,
+        resolved.enumValues,
+        resolved.alias
+    );
+}
+
+/**
+ * Build Type Alias IR from Type Alias AST node
+ */
+function buildTypeAliasIR(aliasNode, lookupAlias) {
+    const resolved = resolveType(aliasNode.aliasedType, lookupAlias);
+    return new TypeAliasIR(
+        aliasNode.name,
+        buildTypeIR(resolved),
+        aliasNode.optional || resolved.optional
+    );
+}
+
+/**
+ * Add the imported type aliases named by fields of models and mixins, and by
+ * the aliases added for them, to the IR
+ * @param {ComposeIR} ir - IR with its models, mixins and local aliases built
+ * @param {Function} lookupImportedAlias - name -> alias node of an imported module
+ * @param {Function} lookupAlias - name -> alias node, local or imported
+ */
+function addImportedAliases(ir, lookupImportedAlias, lookupAlias) {
+    const defined = new Set(ir.typeAliases.map(alias => alias.name));
+    const named = [
+        ...[...ir.models, ...ir.mixins].flatMap(model => model.fields.map(field => field.type.alias)),
+        ...ir.typeAliases.map(alias => alias.type.alias)
+    ];
+
+    while (named.length > 0) {
+        const name = named.shift();
+        if (!name || defined.has(name)) continue;
+
+        const aliasNode = lookupImportedAlias(name);
+        if (!aliasNode) continue;
+        const aliasIR = buildTypeAliasIR(aliasNode, lookupAlias);
+        ir.typeAliases.push(aliasIR);
+        defined.add(name);
+        named.push(aliasIR.type.alias);
+    }
+}
+
+/**
+ * Build the relations between models
+ * A reference field and its inverse (the field it names with inverse, or the
+ * field naming it) form one relation. Reference fields without an inverse
+ * form a one-to-many relation of their own. Inherited fields belong to the
+ * relations of the model declaring them, except that fields of a mixin-only
+ * model belong to each model mixing it in.
+ * @param {Array<ModelIR>} models - Models of the IR
+ * @param {Set<string>} mixinOnly - Names of the models only ever mixed in
+ * @returns {Array<RelationIR>}
+ */
+function buildRelations(models, mixinOnly = new Set()) {
+    const modelMap = new Map(models.map(model => [model.name, model]));
+    const isOwnField = field => !field.inheritedFrom || mixinOnly.has(field.inheritedFrom);
+    const paired = new Set();
+    const relations = [];
+
+    for (const model of models) {
+        for (const field of model.fields) {
+            if (paired.has(field) || !isOwnField(field) || !isModelReference(field.type)) continue;
+
+            const target = modelMap.get(field.type.baseType);
+            const inverse = target ? findInverse(model, field, target, isOwnField) : null;
+            paired.add(field);
+            if (inverse) {
+                paired.add(inverse);
+            }
+            relations.push(buildRelationIR(model, field, inverse));
+        }
+    }
+
+    return relations;
+}
+
+/**
+ * Find the inverse of a reference field on the referenced model
+ */
+function findInverse(model, field, target, isOwnField) {
+    const inverseName = getConstraintValue(field, 'inverse');
+    if (inverseName !== null) {
+        return target.fields.find(candidate => candidate.name === inverseName) || null;
+    }
+    return target.fields.find(candidate =>
+        candidate !== field &&
+        isOwnField(candidate) &&
+        candidate.type.baseType === model.name &&
+        getConstraintValue(candidate, 'inverse') === field.name
+    ) || null;
+}
+
+/**
+ * Build Relation IR from a reference field and its inverse
+ * Without the inverse (none declared, or its model was imported) the other
+ * side is taken to be the opposite of the field: a list for a single
+ * reference, a single reference for a list.
+ */
+function buildRelationIR(model, field, inverse) {
+    const fieldEnd = new RelationEndIR(model.name, field.name, field.optional);
+    const inverseEnd = new RelationEndIR(
+        field.type.baseType,
+        inverse ? inverse.name : getConstraintValue(field, 'inverse'),
+        inverse ? inverse.optional : false
     );
+
+    const fieldIsList = field.type.isArray;
+    const inverseIsList = inverse ? inverse.type.isArray : !fieldIsList;
+    const fieldOnDelete = getConstraintValue(field, 'onDelete');
+    const inverseOnDelete = inverse ? getConstraintValue(inverse, 'onDelete') : null;
+    const onDelete = fieldOnDelete || inverseOnDelete;
+
+    let cardinality;
+    let from = inverseEnd;
+    let to = fieldEnd;
+    if (fieldIsList && inverseIsList) {
+        cardinality = 'many-to-many';
+        [from, to] = [fieldEnd, inverseEnd];
+    } else if (fieldIsList || inverseIsList) {
+        cardinality = 'one-to-many';
+        if (fieldIsList) {
+            [from, to] = [fieldEnd, inverseEnd];
+        }
+    } else {
+        cardinality = 'one-to-one';
+        if (inverseOnDelete && !fieldOnDelete) {
+            [from, to] = [fieldEnd, inverseEnd];
+        }
+    }
+
+    return new RelationIR(`${formatRelationEnd(from)} <-> ${formatRelationEnd(to)}`, cardinality, from, to, onDelete);
+}
+
+function formatRelationEnd(end) {
+    return end.field ? `${end.model}.${end.field}` : end.model;
+}
+
+function isModelReference(type) {
+    return !(type.enumValues && type.enumValues.length > 0) && !PRIMITIVE_TYPES.includes(type.baseType);
+}
+
+function getConstraintValue(field, name) {
+    const constraint = field.constraints.find(c => c.name === name);
+    return constraint ? constraint.value : null;
 }
 
 /**
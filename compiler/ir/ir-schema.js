@@ -10,16 +10,35 @@ export const IRSchema = {
     models: [],      // Array of ModelIR
     features: [],    // Array of FeatureIR
     guides: [],      // Array of GuideIR
-    imports: []      // Array of import paths
+    imports: [],     // Array of import paths
+    typeAliases: [], // Array of TypeAliasIR
+    relations: [],   // Array of RelationIR
+    mixins: []       // Array of MixinIR
 };
 
 /**
  * Model IR
+ * fields holds inherited fields too; extends and mixins are kept for
+ * generators that support inheritance.
  */
 export class ModelIR {
-    constructor(name, fields) {
+    constructor(name, fields, extendsModel = null, mixins = []) {
         this.name = name;
         this.fields = fields; // Array of FieldIR
+        this.extends = extendsModel; // Parent model name or null
+        this.mixins = mixins; // Model names mixed in
+    }
+}
+
+/**
+ * Mixin IR
+ * A model named after with in a model header. Models that are only ever
+ * mixed in are listed here and not among the models.
+ */
+export class MixinIR {
+    constructor(name, fields) {
+        this.name = name;
+        this.fields = fields; // Array of FieldIR, its own inherited fields included
     }
 }
 
@@ -27,22 +46,77 @@ export class ModelIR {
  * Field IR
  */
 export class FieldIR {
-    constructor(name, type, optional, constraints) {
+    constructor(name, type, optional, constraints, inheritedFrom = null) {
         this.name = name;
         this.type = type;         // TypeIR
         this.optional = optional;
-        this.constraints = constraints; // ['unique', 'required']
+        this.constraints = constraints; // Array of ConstraintIR
+        this.inheritedFrom = inheritedFrom; // Model declaring an inherited field, null for own fields
+    }
+}
+
+/**
+ * Constraint IR
+ * Flags (unique), constraints with an argument (min 3) and the default value
+ * (name 'default')
+ */
+export class ConstraintIR {
+    constructor(name, value = null) {
+        this.name = name;
+        this.value = value;       // string, number or boolean; null for flags
     }
 }
 
 /**
  * Type IR
+ * Aliased types are stored resolved; alias keeps the name the field used.
  */
 export class TypeIR {
-    constructor(baseType, isArray, enumValues) {
+    constructor(baseType, isArray, enumValues, alias = null) {
         this.baseType = baseType;
         this.isArray = isArray;
         this.enumValues = enumValues;
+        this.alias = alias;       // 'Email' for email: Email
+    }
+}
+
+/**
+ * Type Alias IR
+ * Represents: type Email = text
+ */
+export class TypeAliasIR {
+    constructor(name, type, optional) {
+        this.name = name;
+        this.type = type;         // TypeIR, resolved through other aliases
+        this.optional = optional;
+    }
+}
+
+/**
+ * Relation IR
+ * A relation between two models, built from a model field and its inverse.
+ * The to end holds the reference: the single side of a one-to-many, and for
+ * a one-to-one the side declaring onDelete (else the field declared first).
+ */
+export class RelationIR {
+    constructor(name, cardinality, from, to, onDelete = null) {
+        this.name = name;               // 'User.todos <-> Todo.assignee'
+        this.cardinality = cardinality; // 'one-to-one' | 'one-to-many' | 'many-to-many'
+        this.from = from;               // RelationEndIR
+        this.to = to;                   // RelationEndIR
+        this.onDelete = onDelete;       // 'cascade' | 'set null' | 'restrict' | null
+    }
+}
+
+/**
+ * Relation End IR
+ * field is null when the model has no field for the relation
+ */
+export class RelationEndIR {
+    constructor(model, field = null, optional = false) {
+        this.model = model;
+        this.field = field;
+        this.optional = optional;
     }
 }
 
@@ -81,6 +155,9 @@ export function createIR() {
         models: [],
         features: [],
         guides: [],
-        imports: []
+        imports: [],
+        typeAliases: [],
+        relations: [],
+        mixins: []
     };
 }
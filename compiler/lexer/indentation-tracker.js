@@ -13,6 +13,7 @@ export class IndentationTracker {
 
     /**
      * Process a line's indentation and generate appropriate tokens
+     * Invalid indentation throws; the lexer adds the location.
      * @param {number} spaces - Number of spaces at start of line
      * @param {number} line - Current line number
      * @param {number} column - Current column number
@@ -25,19 +26,13 @@ export class IndentationTracker {
 
         // Indentation must be in multiples of 2
         if (spaces % 2 !== 0) {
-            throw new Error(
-                `Invalid indentation at ${file}:${line}:${column}. ` +
-                `Expected multiple of 2 spaces, got ${spaces}`
-            );
+            throw new Error(`Invalid indentation. Expected multiple of 2 spaces, got ${spaces}`);
         }
 
         if (spaces > currentLevel) {
             // Indent - can only increase by one level (2 spaces) at a time
             if (spaces - currentLevel !== 2) {
-                throw new Error(
-                    `Invalid indentation at ${file}:${line}:${column}. ` +
-                    `Expected ${currentLevel + 2} spaces, got ${spaces}`
-                );
+                throw new Error(`Invalid indentation. Expected ${currentLevel + 2} spaces, got ${spaces}`);
             }
             this.stack.push(spaces);
             tokens.push(new Token(TokenType.INDENT, '', line, column, file));
@@ -50,10 +45,7 @@ export class IndentationTracker {
 
             // Verify we landed on a valid indentation level
             if (this.stack[this.stack.length - 1] !== spaces) {
-                throw new Error(
-                    `Invalid dedentation at ${file}:${line}:${column}. ` +
-                    `Indentation ${spaces} does not match any outer level`
-                );
+                throw new Error(`Invalid dedentation. Indentation ${spaces} does not match any outer level`);
             }
         }
         // If spaces === currentLevel, no indent/dedent needed
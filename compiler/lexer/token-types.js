@@ -24,6 +24,7 @@ export const TokenType = {
 
     // Symbols
     COLON: 'COLON',
+    COMMA: 'COMMA',
     DASH: 'DASH',
     PIPE: 'PIPE',
     SLASH: 'SLASH',
@@ -41,6 +42,7 @@ export const TokenType = {
 
     // Literals
     STRING: 'STRING',
+    NUMBER_LITERAL: 'NUMBER_LITERAL',
     IDENTIFIER: 'IDENTIFIER',
 
     // Special
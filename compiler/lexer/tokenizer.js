@@ -167,7 +167,7 @@ export class Lexer {
                 } else if (this.isAlpha(char)) {
                     this.scanIdentifierOrKeyword();
                 } else {
-                    this.error(`Unexpected character: ${char}`);
+                    this.error(`Unexpected character: ${char}`, this.line, this.column - 1);
                 }
                 break;
         }
@@ -193,8 +193,11 @@ export class Lexer {
         }
 
         // Process indentation change
-        const indentTokens = this.indentTracker.process(spaces, this.line, this.column, this.file);
-        this.tokens.push(...indentTokens);
+        try {
+            this.tokens.push(...this.indentTracker.process(spaces, this.line, this.column, this.file));
+        } catch (error) {
+            this.error(error.message);
+        }
     }
 
     /**
@@ -207,13 +210,13 @@ export class Lexer {
 
         while (!this.isAtEnd() && this.peek() !== '"') {
             if (this.peek() === '\n') {
-                this.error('Unterminated string literal');
+                this.error('Unterminated string literal', startLine, startColumn);
             }
             value += this.advance();
         }
 
         if (this.isAtEnd()) {
-            this.error('Unterminated string literal');
+            this.error('Unterminated string literal', startLine, startColumn);
         }
 
         // Consume closing "
@@ -242,7 +245,7 @@ export class Lexer {
             }
         }
 
-        this.addToken(TokenType.NUMBER, value, this.line, startColumn);
+        this.addToken(TokenType.NUMBER_LITERAL, value, this.line, startColumn);
     }
 
     /**
@@ -323,13 +326,13 @@ export class Lexer {
                 break;
             }
             if (this.peek() === '\n') {
-                this.error('Unterminated context comment');
+                this.error('Unterminated context comment', this.line, startColumn);
             }
             value += this.advance();
         }
 
         if (this.isAtEnd()) {
-            this.error('Unterminated context comment');
+            this.error('Unterminated context comment', this.line, startColumn);
         }
 
         // Consume closing ##
@@ -405,10 +408,12 @@ export class Lexer {
 
     /**
      * Throw a lexer error
+     * The error carries its location like the syntax errors of the parser:
+     * { file, line, column }
      */
-    error(message) {
-        throw new Error(
-            `Lexer error at ${this.file}:${this.line}:${this.column}: ${message}`
-        );
+    error(message, line = this.line, column = this.column) {
+        const error = new Error(message);
+        error.location = { file: this.file, line, column };
+        throw error;
     }
 }
@@ -222,6 +222,15 @@ model C:
                 loader.loadModule('a.compose');
             }, /Circular import detected/);
         });
+
+        it('should detect imports leading back to an already parsed module', () => {
+            writeFileSync(join(testDir, 'b.compose'), 'import "a.compose"\n\nmodel B:\n  id: number');
+            const ast = { imports: [{ type: 'ImportDeclaration', path: 'b.compose' }] };
+
+            assert.throws(() => {
+                loader.loadImports(ast, 'a.compose');
+            }, /Circular import detected/);
+        });
     });
 
     describe('Topological Ordering', () => {
@@ -24,16 +24,17 @@ export class ModuleLoader {
         // Resolve path
         const resolvedPath = this.resolvePath(modulePath, fromFile);
 
+        // Check for circular imports (before the cache, which already holds
+        // modules whose dependencies are still loading)
+        if (this.loading.has(resolvedPath)) {
+            throw new Error(`Circular import detected: ${resolvedPath}`);
+        }
+
         // Check cache
         if (this.cache.has(resolvedPath)) {
             return this.cache.get(resolvedPath);
         }
 
-        // Check for circular imports
-        if (this.loading.has(resolvedPath)) {
-            throw new Error(`Circular import detected: ${resolvedPath}`);
-        }
-
         // Mark as loading
         this.loading.add(resolvedPath);
 
@@ -45,7 +46,7 @@ export class ModuleLoader {
             const result = compile(source, resolvedPath, { loadImports: false, skipAnalysis: true });
 
             if (!result.success) {
-                const errors = result.errors.map(e => `${e.type}: ${e.message}`).join('\n');
+                const errors = result.errors.map(e => `${e.type}: ${e.message}${e.location?.line ? ` (line ${e.location.line}:${e.location.column})` : ''}`).join('\n');
                 throw new Error(`Failed to compile ${resolvedPath}:\n${errors}`);
             }
 
@@ -75,6 +76,28 @@ export class ModuleLoader {
         }
     }
 
+    /**
+     * Load the imports of a module that is already parsed
+     * The module counts as loading, so imports leading back to it are circular.
+     * @param {object} ast - AST of the importing module
+     * @param {string} modulePath - Path of the importing module
+     * @returns {string} - Resolved path of the importing module
+     */
+    loadImports(ast, modulePath) {
+        const resolvedPath = this.resolvePath(modulePath, null);
+        this.loading.add(resolvedPath);
+
+        try {
+            for (const dep of this.extractDependencies(ast)) {
+                this.loadModule(dep, resolvedPath);
+            }
+        } finally {
+            this.loading.delete(resolvedPath);
+        }
+
+        return resolvedPath;
+    }
+
     /**
    * Resolve module path relative to importing file
    */
@@ -120,8 +143,8 @@ export class ModuleLoader {
     extractDependencies(ast) {
         const dependencies = [];
 
-        for (const statement of ast.statements) {
-            if (statement.type === 'ImportStatement') {
+        for (const statement of ast.imports || []) {
+            if (statement.type === 'ImportDeclaration') {
                 dependencies.push(statement.path);
             }
         }
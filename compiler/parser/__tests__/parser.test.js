@@ -18,6 +18,15 @@ function parse(input) {
     return parser.parse();
 }
 
+/**
+ * Helper function to get the syntax errors of Compose code
+ */
+function parseErrors(input) {
+    const parser = new Parser(new Lexer(input).tokenize());
+    parser.parse();
+    return parser.errors;
+}
+
 describe('Parser - Model Declarations', () => {
     it('should parse a simple model', () => {
         const input = `model User:
@@ -329,6 +338,112 @@ model Test:
 });
 
 
+describe('Parser - Type Aliases', () => {
+    it('should parse type aliases', () => {
+        const input = `type Email = text
+type Role = "admin" | "member"
+type Tags = list of text
+type MaybeUser = User?
+
+model User:
+  email: Email`;
+
+        const ast = parse(input);
+
+        assert.deepEqual(ast.typeAliases.map(alias => alias.name), ['Email', 'Role', 'Tags', 'MaybeUser']);
+        assert.equal(ast.typeAliases[0].type, 'TypeAliasDeclaration');
+        assert.equal(ast.typeAliases[0].aliasedType.baseType, 'text');
+        assert.deepEqual(ast.typeAliases[1].aliasedType.enumValues, ['admin', 'member']);
+        assert.equal(ast.typeAliases[2].aliasedType.isArray, true);
+        assert.equal(ast.typeAliases[3].optional, true);
+        assert.equal(ast.models[0].fields[0].fieldType.baseType, 'Email');
+    });
+
+    it('should report a type alias without =', () => {
+        assert.match(parseErrors('type Email text')[0].message, /Expected '='/);
+    });
+});
+
+describe('Parser - Constraints and Defaults', () => {
+    const constraintsOf = field => field.constraints.map(({ name, value }) => ({ name, value }));
+
+    it('should parse constraints with arguments', () => {
+        const input = `model User:
+  name: text (unique, min 3, pattern "^[a-z]+$")
+  age: number (min 0 max 120)
+  balance: number (min -100)`;
+
+        const [name, age, balance] = parse(input).models[0].fields;
+
+        assert.equal(name.constraints[0].type, 'Constraint');
+        assert.deepEqual(constraintsOf(name), [
+            { name: 'unique', value: null },
+            { name: 'min', value: 3 },
+            { name: 'pattern', value: '^[a-z]+$' }
+        ]);
+        assert.deepEqual(constraintsOf(age), [{ name: 'min', value: 0 }, { name: 'max', value: 120 }]);
+        assert.deepEqual(constraintsOf(balance), [{ name: 'min', value: -100 }]);
+    });
+
+    it('should parse defaults before or after the constraints', () => {
+        const input = `model User:
+  role: "admin" | "member" = "member"
+  score: number = 0.5 (max 1)
+  active: bool (required) = true
+  createdAt: timestamp = now
+  nickname: text? = "anon"`;
+
+        const [role, score, active, createdAt, nickname] = parse(input).models[0].fields;
+
+        assert.deepEqual(constraintsOf(role), [{ name: 'default', value: 'member' }]);
+        assert.deepEqual(constraintsOf(score), [{ name: 'default', value: 0.5 }, { name: 'max', value: 1 }]);
+        assert.deepEqual(constraintsOf(active), [{ name: 'required', value: null }, { name: 'default', value: true }]);
+        assert.deepEqual(constraintsOf(createdAt), [{ name: 'default', value: 'now' }]);
+        assert.equal(nickname.optional, true);
+        assert.deepEqual(constraintsOf(nickname), [{ name: 'default', value: 'anon' }]);
+    });
+
+    it('should report a default without a value', () => {
+        assert.match(parseErrors(`model User:
+  name: text =
+  age: number`)[0].message, /Expected a value/);
+    });
+});
+
+describe('Parser - Model Composition', () => {
+    it('should parse extends and mixins', () => {
+        const input = `model Admin extends User with Timestamps, SoftDelete:
+  level: number
+
+model Post with Timestamps:
+  title: text`;
+
+        const [admin, post] = parse(input).models;
+
+        assert.equal(admin.extends, 'User');
+        assert.deepEqual(admin.mixins, ['Timestamps', 'SoftDelete']);
+        assert.equal(admin.fields.length, 1);
+        assert.equal(post.extends, null);
+        assert.deepEqual(post.mixins, ['Timestamps']);
+    });
+
+    it('should allow a model without fields of its own', () => {
+        const input = `model Guest extends User:
+
+model Tag:
+  name: text`;
+
+        const ast = parse(input);
+
+        assert.deepEqual(ast.models.map(model => [model.name, model.fields.length]), [['Guest', 0], ['Tag', 1]]);
+    });
+
+    it('should report extends without a model name', () => {
+        assert.match(parseErrors(`model Admin extends:
+  level: number`)[0].message, /Expected a model name after 'extends'/);
+    });
+});
+
 describe('Parser - Comments', () => {
     it('should ignore comments', () => {
         const input = `# This is a comment
@@ -431,28 +546,89 @@ describe('Parser - Edge Cases', () => {
 });
 
 describe('Parser - Error Cases', () => {
-    it('should throw on invalid model syntax', () => {
-        const input = `model  # Missing name`;
+    it('should report invalid model syntax', () => {
+        const errors = parseErrors(`model  # Missing name`);
+
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].type, 'SyntaxError');
+    });
+
+    it('should report invalid field syntax', () => {
+        const errors = parseErrors(`model User:
+  name  # Missing type`);
+
+        assert.equal(errors.length, 1);
+        assert.match(errors[0].message, /Expected ':'/);
+    });
+
+    it('should report invalid feature syntax', () => {
+        const errors = parseErrors(`feature  # Missing name`);
+
+        assert.equal(errors.length, 1);
+        assert.match(errors[0].message, /Expected a string/);
+    });
+});
+
+describe('Parser - Error Recovery', () => {
+    it('should collect every syntax error with its location', () => {
+        const input = `model User
+  name: text
+
+model Post:
+  title text
+
+type Email text`;
+
+        const errors = parseErrors(input);
 
-        assert.throws(() => {
-            parse(input);
-        });
+        assert.deepEqual(errors.map(error => error.message), [
+            "Expected ':', got end of line",
+            "Expected ':', got 'text'",
+            "Expected '=', got 'text'"
+        ]);
+        assert.deepEqual(errors.map(({ location }) => [location.line, location.column, location.endColumn]), [
+            [1, 11, 12],
+            [5, 9, 13],
+            [7, 12, 16]
+        ]);
     });
 
-    it('should throw on invalid field syntax', () => {
+    it('should keep the declarations around a syntax error', () => {
         const input = `model User:
-  name  # Missing type`;
+  name: text
+
+model Post:
+  title: text (min
+  body: text
+
+feature "Auth":
+  - Login
 
-        assert.throws(() => {
-            parse(input);
-        });
+guide "Security":
+  - Hash passwords`;
+
+        const parser = new Parser(new Lexer(input).tokenize());
+        const ast = parser.parse();
+
+        assert.equal(parser.errors.length, 1);
+        assert.deepEqual(ast.models.map(model => model.name), ['User']);
+        assert.equal(ast.features.length, 1);
+        assert.equal(ast.guides.length, 1);
     });
 
-    it('should throw on invalid feature syntax', () => {
-        const input = `feature  # Missing name`;
+    it('should not resynchronize at fields named like keywords', () => {
+        const input = `model Post:
+  title: (
+  type: text
+
+model Tag:
+  name: text`;
+
+        const parser = new Parser(new Lexer(input).tokenize());
+        const ast = parser.parse();
 
-        assert.throws(() => {
-            parse(input);
-        });
+        assert.equal(parser.errors.length, 1);
+        assert.deepEqual(ast.models.map(model => model.name), ['Tag']);
+        assert.deepEqual(ast.typeAliases, []);
     });
 });
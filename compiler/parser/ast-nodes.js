@@ -8,10 +8,13 @@
  * Represents: model User: ...
  */
 export class ModelDeclaration {
-    constructor(name, fields) {
+    constructor(name, fields, extendsModel = null, mixins = []) {
         this.type = 'ModelDeclaration';
         this.name = name;
         this.fields = fields; // Array of FieldDeclaration
+        this.extends = extendsModel; // Parent model name (model Admin extends User)
+        this.mixins = mixins; // Model names mixed in (with Timestamps, SoftDelete)
+        this.baseLocations = {}; // Location of each parent and mixin name, by name
         this.location = null;
     }
 }
@@ -26,7 +29,20 @@ export class FieldDeclaration {
         this.name = name;
         this.fieldType = fieldType; // TypeAnnotation
         this.optional = optional;
-        this.constraints = constraints; // ['unique', 'required']
+        this.constraints = constraints; // Array of Constraint
+        this.location = null;
+    }
+}
+
+/**
+ * Constraint Node
+ * Represents: unique, min 3, pattern "^[a-z]+$" and the default in = "member"
+ */
+export class Constraint {
+    constructor(name, value = null) {
+        this.type = 'Constraint';
+        this.name = name;   // 'unique', 'min', 'default', ...
+        this.value = value; // string, number or boolean; null for flags
         this.location = null;
     }
 }
@@ -43,6 +59,20 @@ export class TypeAnnotation {
     }
 }
 
+/**
+ * Type Alias Declaration Node
+ * Represents: type Email = text
+ */
+export class TypeAliasDeclaration {
+    constructor(name, aliasedType, optional = false) {
+        this.type = 'TypeAliasDeclaration';
+        this.name = name;
+        this.aliasedType = aliasedType; // TypeAnnotation
+        this.optional = optional; // type MaybeUser = User?
+        this.location = null;
+    }
+}
+
 /**
  * Feature Declaration Node
  * Represents: feature "Authentication": ...
@@ -71,12 +101,13 @@ export class GuideDeclaration {
  * Program Node (Root)
  */
 export class Program {
-    constructor(models = [], features = [], guides = [], imports = []) {
+    constructor(models = [], features = [], guides = [], imports = [], typeAliases = []) {
         this.type = 'Program';
         this.models = models;
         this.features = features;
         this.guides = guides;
         this.imports = imports;
+        this.typeAliases = typeAliases;
     }
 }
 
@@ -8,23 +8,47 @@ import {
     Program,
     ModelDeclaration,
     FieldDeclaration,
+    Constraint,
     TypeAnnotation,
+    TypeAliasDeclaration,
     FeatureDeclaration,
     GuideDeclaration,
     ImportDeclaration
 } from './ast-nodes.js';
 
+// How expected symbols are named in error messages
+const SYMBOLS = {
+    [TokenType.COLON]: ':',
+    [TokenType.COMMA]: ',',
+    [TokenType.EQUALS]: '=',
+    [TokenType.PIPE]: '|',
+    [TokenType.LPAREN]: '(',
+    [TokenType.RPAREN]: ')',
+    [TokenType.LBRACKET]: '[',
+    [TokenType.RBRACKET]: ']'
+};
+
 export class Parser {
     constructor(tokens) {
         this.tokens = tokens;
         this.current = 0;
+        // Syntax errors: { message, location: { file, line, column, endColumn }, type }
+        this.errors = [];
     }
 
+    /**
+     * Parse the whole file
+     * A syntax error drops the declaration it occurs in: the error is recorded
+     * in this.errors and parsing resumes at the next top-level declaration, so
+     * the returned Program holds every declaration that parsed.
+     * @returns {Program}
+     */
     parse() {
         const models = [];
         const features = [];
         const guides = [];
         const imports = [];
+        const typeAliases = [];
 
         while (!this.isAtEnd()) {
             // Skip comments and newlines
@@ -34,29 +58,40 @@ export class Parser {
 
             if (this.isAtEnd()) break;
 
-            // Parse import
-            if (this.check('import')) {
-                imports.push(this.parseImport());
-            }
-            // Parse model
-            else if (this.match(TokenType.MODEL)) {
-                models.push(this.parseModel());
-            }
-            // Parse feature
-            else if (this.match(TokenType.FEATURE)) {
-                features.push(this.parseFeature());
-            }
-            // Parse guide
-            else if (this.match(TokenType.GUIDE)) {
-                guides.push(this.parseGuide());
-            }
-            // Skip unknown lines (comments, etc.)
-            else {
-                this.advance();
+            const errorCount = this.errors.length;
+            try {
+                // Parse import
+                if (this.check('import')) {
+                    imports.push(this.parseImport());
+                }
+                // Parse type alias
+                else if (this.check('type')) {
+                    typeAliases.push(this.parseTypeAlias());
+                }
+                // Parse model
+                else if (this.match(TokenType.MODEL)) {
+                    models.push(this.parseModel());
+                }
+                // Parse feature
+                else if (this.match(TokenType.FEATURE)) {
+                    features.push(this.parseFeature());
+                }
+                // Parse guide
+                else if (this.match(TokenType.GUIDE)) {
+                    guides.push(this.parseGuide());
+                }
+                // Skip unknown lines (comments, etc.)
+                else {
+                    this.advance();
+                }
+            } catch (error) {
+                // Anything not raised through this.error() is a bug, not a syntax error
+                if (this.errors.length === errorCount) throw error;
+                this.synchronize();
             }
         }
 
-        return new Program(models, features, guides, imports);
+        return new Program(models, features, guides, imports, typeAliases);
     }
 
     /**
@@ -69,16 +104,53 @@ export class Parser {
         return new ImportDeclaration(path);
     }
 
+    /**
+     * Parse type alias
+     * type Email = text
+     * type Tags = list of text
+     * type MaybeUser = User?
+     */
+    parseTypeAlias() {
+        this.consume('type');
+        const name = this.consume(TokenType.IDENTIFIER).value;
+        this.consume(TokenType.EQUALS);
+
+        const aliasedType = this.parseType();
+        const optional = this.match(TokenType.QUESTION);
+
+        this.skipNewlines();
+        return new TypeAliasDeclaration(name, aliasedType, optional);
+    }
+
     /**
      * Parse model declaration
      * model User:
      *   email: text (unique)
      *   name: text
+     * model Admin extends User with Timestamps, SoftDelete:
      */
     parseModel() {
-        const name = this.consume(TokenType.IDENTIFIER).value;
+        const nameToken = this.consume(TokenType.IDENTIFIER);
+        const name = nameToken.value;
+
+        const baseTokens = [];
+        const extendsModel = this.match('extends')
+            ? this.consumeBase(baseTokens, 'extends')
+            : null;
+        const mixins = [];
+        if (this.match('with')) {
+            do {
+                mixins.push(this.consumeBase(baseTokens, 'with'));
+            } while (this.match(TokenType.COMMA));
+        }
+
         this.consume(TokenType.COLON);
         this.skipNewlines();
+
+        // A model made only of inherited fields needs no body
+        if ((extendsModel || mixins.length > 0) && !this.check(TokenType.INDENT)) {
+            return this.locateModel(new ModelDeclaration(name, [], extendsModel, mixins), nameToken, baseTokens);
+        }
         this.consume(TokenType.INDENT);
 
         const fields = [];
@@ -93,16 +165,46 @@ export class Parser {
             this.consume(TokenType.DEDENT);
         }
 
-        return new ModelDeclaration(name, fields);
+        return this.locateModel(new ModelDeclaration(name, fields, extendsModel, mixins), nameToken, baseTokens);
+    }
+
+    /**
+     * Consume the name of a parent or mixin after 'extends' or 'with'
+     * @param {object[]} baseTokens - Collects the name tokens
+     * @param {string} keyword - 'extends' or 'with'
+     * @returns {string} - The model name
+     */
+    consumeBase(baseTokens, keyword) {
+        const token = this.consume(TokenType.IDENTIFIER, `Expected a model name after '${keyword}', got ${describeToken(this.peek())}`);
+        baseTokens.push(token);
+        return token.value;
+    }
+
+    /**
+     * Set the location of a model and of the parent and mixin names it lists
+     * @param {ModelDeclaration} model - Model node
+     * @param {object} nameToken - Model name token
+     * @param {object[]} baseTokens - Parent and mixin name tokens
+     * @returns {ModelDeclaration} - The model
+     */
+    locateModel(model, nameToken, baseTokens) {
+        for (const token of baseTokens) {
+            if (!model.baseLocations[token.value]) {
+                model.baseLocations[token.value] = locationOf(token);
+            }
+        }
+        return this.locate(model, nameToken);
     }
 
     /**
      * Parse field declaration
      * email: text (unique)
-     * role: "admin" | "member"
+     * role: "admin" | "member" = "member"
+     * username: text (min 3, max 20, pattern "^[a-z]+$")
      * assignee: User?
      */
     parseField() {
+        const nameToken = this.peek();
         const name = this.consumeIdentifier();
         this.consume(TokenType.COLON);
 
@@ -111,21 +213,83 @@ export class Parser {
         // Check for optional marker
         const optional = this.match(TokenType.QUESTION);
 
-        // Parse constraints like (unique), (required)
+        // The default may come before or after the constraint list
         const constraints = [];
+        if (this.match(TokenType.EQUALS)) {
+            constraints.push(this.parseDefault());
+        }
         if (this.match(TokenType.LPAREN)) {
-            while (!this.check(TokenType.RPAREN) && !this.isAtEnd()) {
-                if (this.check(TokenType.IDENTIFIER)) {
-                    constraints.push(this.advance().value);
-                } else {
-                    this.advance();
-                }
-            }
-            this.consume(TokenType.RPAREN);
+            constraints.push(...this.parseConstraints());
+        }
+        if (!constraints.some(constraint => constraint.name === 'default') && this.match(TokenType.EQUALS)) {
+            constraints.push(this.parseDefault());
         }
 
         this.skipNewlines();
-        return new FieldDeclaration(name, fieldType, optional, constraints);
+        return this.locate(new FieldDeclaration(name, fieldType, optional, constraints), nameToken);
+    }
+
+    /**
+     * Parse the value of a default, after the =
+     */
+    parseDefault() {
+        const equals = this.previous();
+        return this.locate(new Constraint('default', this.parseLiteral(true)), equals);
+    }
+
+    /**
+     * Parse the constraints inside ( ), after the opening parenthesis
+     * (unique), (unique, required), (min 3, max 20), (pattern "^[a-z]+$")
+     */
+    parseConstraints() {
+        const constraints = [];
+
+        while (!this.check(TokenType.RPAREN) && !this.isAtEnd()) {
+            if (this.match(TokenType.COMMA)) {
+                continue;
+            }
+
+            const nameToken = this.peek();
+            const name = this.consumeIdentifier();
+            const value = this.checkLiteral() ? this.parseLiteral() : null;
+            constraints.push(this.locate(new Constraint(name, value), nameToken));
+        }
+        this.consume(TokenType.RPAREN);
+
+        return constraints;
+    }
+
+    /**
+     * Check whether a literal value follows
+     */
+    checkLiteral() {
+        const next = this.tokens[this.current + 1];
+        return this.check(TokenType.STRING) ||
+            this.check(TokenType.NUMBER_LITERAL) ||
+            this.check('true') || this.check('false') ||
+            (this.check(TokenType.DASH) && next?.type === TokenType.NUMBER_LITERAL);
+    }
+
+    /**
+     * Parse a literal value: "text", 3, -1.5, true, false
+     * Defaults of date and timestamp fields may also be the keyword now.
+     * @param {boolean} allowNow - Accept now (stored as the string 'now')
+     */
+    parseLiteral(allowNow = false) {
+        if (this.check(TokenType.STRING)) {
+            return this.advance().value;
+        }
+        if (this.match(TokenType.DASH)) {
+            return -Number(this.consume(TokenType.NUMBER_LITERAL, `Expected a number after '-', got ${describeToken(this.peek())}`).value);
+        }
+        if (this.check(TokenType.NUMBER_LITERAL)) {
+            return Number(this.advance().value);
+        }
+        if (this.match('true')) return true;
+        if (this.match('false')) return false;
+        if (allowNow && this.match('now')) return 'now';
+
+        throw this.error(`Expected a value, got ${describeToken(this.peek())}`);
     }
 
     /**
@@ -181,7 +345,7 @@ export class Parser {
             return this.advance().value;
         }
 
-        throw new Error(`Expected type, got ${token.type}`);
+        throw this.error(`Expected type, got ${describeToken(token)}`);
     }
 
     /**
@@ -322,7 +486,7 @@ export class Parser {
         const nonIdentifierTypes = [
             TokenType.COLON, TokenType.DASH, TokenType.PIPE, TokenType.QUESTION,
             TokenType.LPAREN, TokenType.RPAREN, TokenType.LBRACKET, TokenType.RBRACKET,
-            TokenType.COMMA, TokenType.STRING, TokenType.NEWLINE, TokenType.INDENT,
+            TokenType.COMMA, TokenType.STRING, TokenType.NUMBER_LITERAL, TokenType.NEWLINE, TokenType.INDENT,
             TokenType.DEDENT, TokenType.EOF, TokenType.COMMENT
         ];
 
@@ -330,14 +494,53 @@ export class Parser {
             return this.advance().value;
         }
 
-        throw new Error(`Expected identifier, got ${token.type} ('${token.value}')`);
+        throw this.error(`Expected identifier, got ${describeToken(token)}`);
     }
 
     consume(type, message) {
         if (this.check(type)) {
             return this.advance();
         }
-        throw new Error(message || `Expected '${type}', got ${this.peek().value}`);
+        throw this.error(message || `Expected ${SYMBOLS[type] ? `'${SYMBOLS[type]}'` : describeType(type)}, got ${describeToken(this.peek())}`);
+    }
+
+    /**
+     * Record a syntax error at a token
+     * @param {string} message - Error message
+     * @param {object} token - Offending token (defaults to the current one)
+     * @returns {Error} - To be thrown by the caller
+     */
+    error(message, token = this.peek()) {
+        // The EOF placeholder of peek() has no position, fall back to the last token
+        const at = token.line ? token : this.tokens[this.tokens.length - 1] || {};
+
+        this.errors.push({ message, location: locationOf(at), type: 'SyntaxError' });
+        return new Error(message);
+    }
+
+    /**
+     * Set the location of a node to the token it is named by
+     * @param {object} node - AST node
+     * @param {object} token - Name token
+     * @returns {object} - The node
+     */
+    locate(node, token) {
+        node.location = locationOf(token);
+        return node;
+    }
+
+    /**
+     * Skip to the next top-level declaration after a syntax error
+     * Declarations start at the first column; a field named like a keyword
+     * (type: text) is indented and does not count.
+     */
+    synchronize() {
+        while (!this.isAtEnd()) {
+            const startsDeclaration = this.check(TokenType.MODEL) || this.check(TokenType.FEATURE) ||
+                this.check(TokenType.GUIDE) || this.check('import') || this.check('type');
+            if (startsDeclaration && this.peek().column === 1) return;
+            this.advance();
+        }
     }
 
     skipNewlines() {
@@ -345,5 +548,45 @@ export class Parser {
             // skip
         }
     }
+}
+
+/**
+ * Describe a token for error messages: 'User', "admin", end of line
+ */
+function describeToken(token) {
+    switch (token.type) {
+        case TokenType.EOF: return 'end of file';
+        case TokenType.NEWLINE: return 'end of line';
+        case TokenType.INDENT: return 'indented block';
+        case TokenType.DEDENT: return 'end of block';
+        case TokenType.STRING: return `"${token.value}"`;
+        default: return `'${token.value}'`;
+    }
+}
+
+/**
+ * Describe an expected token type or word for error messages
+ */
+function describeType(type) {
+    if (type === TokenType.INDENT) return 'an indented block';
+    if (type === TokenType.DEDENT) return 'end of block';
+    if (type === TokenType.STRING) return 'a string';
+    if (type === TokenType.IDENTIFIER) return 'a name';
+    return `'${type.toLowerCase()}'`;
+}
 
+/**
+ * Location of a token: { file, line, column, endColumn }, 1-based
+ */
+function locationOf(token) {
+    const column = token.column || 1;
+    return { file: token.file || '<input>', line: token.line || 1, column, endColumn: column + tokenLength(token) };
+}
+
+/**
+ * Number of columns a token spans, at least one so the error has a visible range
+ */
+function tokenLength(token) {
+    if (token.type === TokenType.STRING) return token.value.length + 2;
+    return Math.max(1, token.value?.length || 0);
 }
@@ -31,13 +31,16 @@ async function validateDocument(textContent, uri = 'file:///test.compose') {
         const parser = new Parser(tokens);
         const ast = parser.parse();
 
-        // Analyze
-        const analyzer = new SemanticAnalyzer({ loadImports: false });
-        const result = analyzer.analyze(ast);
+        // Analyze, unless there are syntax errors
+        let errors = parser.errors;
+        if (errors.length === 0) {
+            const analyzer = new SemanticAnalyzer({ loadImports: false });
+            errors = analyzer.analyze(ast).errors || [];
+        }
 
         // Convert errors to diagnostics
-        if (result.errors && result.errors.length > 0) {
-            for (const error of result.errors) {
+        if (errors.length > 0) {
+            for (const error of errors) {
                 const diagnostic = {
                     severity: DiagnosticSeverity.Error,
                     range: {
@@ -47,7 +50,9 @@ async function validateDocument(textContent, uri = 'file:///test.compose') {
                         },
                         end: {
                             line: (error.location?.line || 1) - 1,
-                            character: (error.location?.column || 1) + 10
+                            character: error.location?.endColumn
+                                ? error.location.endColumn - 1
+                                : (error.location?.column || 1) + 10
                         }
                     },
                     message: error.message,
@@ -187,6 +192,22 @@ describe('Language Server - Edge Cases & Bug Detection', () => {
         assert.equal(diagnostics[0].severity, DiagnosticSeverity.Error);
     });
 
+    it('should report every syntax error at the offending token', async () => {
+        const source = `model User
+  name: text
+
+model Post:
+  title text`;
+
+        const diagnostics = await validateDocument(source);
+
+        assert.equal(diagnostics.length, 2);
+        assert.deepEqual(diagnostics.map(diag => diag.range), [
+            { start: { line: 0, character: 10 }, end: { line: 0, character: 11 } },
+            { start: { line: 4, character: 8 }, end: { line: 4, character: 12 } }
+        ]);
+    });
+
     it('should handle Unicode content correctly', async () => {
         const source = `model User:
   name: text
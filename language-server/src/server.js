@@ -68,24 +68,30 @@ async function validateTextDocument(textDocument) {
         const lexer = new Lexer(text);
         const tokens = lexer.tokenize();
 
-        // Parse
+        // Parse (collects every syntax error instead of stopping at the first)
         const parser = new Parser(tokens);
         const ast = parser.parse();
 
-        // Analyze
-        const analyzer = new Analyzer({ loadImports: false });
-        const result = analyzer.analyze(ast);
+        // Analyze, unless there are syntax errors: the declarations dropped
+        // by the parser would only show up as follow-up errors
+        let errors = parser.errors;
+        if (errors.length === 0) {
+            const analyzer = new Analyzer({ loadImports: false });
+            errors = analyzer.analyze(ast).errors || [];
+        }
 
         // Convert errors to diagnostics
-        if (result.errors && result.errors.length > 0) {
-            for (const error of result.errors) {
+        if (errors.length > 0) {
+            for (const error of errors) {
                 // Defensive: handle missing location data
                 const line = Math.max(0, (error.location?.line || 1) - 1);
                 const column = Math.max(0, (error.location?.column || 1) - 1);
 
-                // Calculate a reasonable end character based on error message length
-                // or use a sensible default (e.g., 50 characters)
-                const endCharacter = column + Math.min(error.message?.length || 20, 50);
+                // Syntax errors span the offending token; otherwise calculate a
+                // reasonable end character based on error message length
+                const endCharacter = error.location?.endColumn
+                    ? error.location.endColumn - 1
+                    : column + Math.min(error.message?.length || 20, 50);
 
                 const diagnostic = {
                     severity: DiagnosticSeverity.Error,
@@ -109,10 +115,12 @@ async function validateTextDocument(textDocument) {
         // Parser or analyzer error - provide helpful diagnostic
         const errorMessage = error.message || 'Unknown compilation error';
 
-        // Try to extract line info from error message if available
+        // Lexer errors carry their location; otherwise try the message
         let line = 0;
         const lineMatch = errorMessage.match(/:([0-9]+):/);
-        if (lineMatch) {
+        if (error.location) {
+            line = Math.max(0, error.location.line - 1);
+        } else if (lineMatch) {
             line = Math.max(0, parseInt(lineMatch[1]) - 1);
         }
 